@@ -1,5 +1,6 @@
 const aws = require('aws-sdk'),
-	log4js = require('log4js');
+	log4js = require('log4js'),
+	uuid = require('uuid');
 
 const array = require('@barchart/common-js/lang/array'),
 	assert = require('@barchart/common-js/lang/assert'),
@@ -12,14 +13,19 @@ const array = require('@barchart/common-js/lang/array'),
 	WorkQueue = require('@barchart/common-js/timing/Serializer'),
 	Scheduler = require('@barchart/common-js/timing/Scheduler');
 
-const ConditionalBuilder = require('./dynamo/query/builders/ConditionalBuilder'),
+const ConcurrencyConflictError = require('./dynamo/errors/ConcurrencyConflictError'),
+	ConditionalBuilder = require('./dynamo/query/builders/ConditionalBuilder'),
+	DynamoIterator = require('./dynamo/stream/DynamoIterator'),
+	DynamoMetricsCollector = require('./dynamo/metrics/DynamoMetricsCollector'),
 	KeyType = require('./dynamo/schema/definitions/KeyType'),
 	OperatorType = require('./dynamo/query/definitions/OperatorType'),
 	Table = require('./dynamo/schema/definitions/Table'),
 	TableBuilder = require('./dynamo/schema/builders/TableBuilder'),
+	TableMigration = require('./dynamo/schema/definitions/TableMigration'),
 	Query = require('./dynamo/query/definitions/Query'),
 	Scan = require('./dynamo/query/definitions/Scan'),
 	Serializer = require('./dynamo/schema/serialization/Serializer'),
+	Transaction = require('./dynamo/query/definitions/Transaction'),
 	Update = require('./dynamo/query/definitions/Update');
 
 module.exports = (() => {
@@ -30,6 +36,10 @@ module.exports = (() => {
 	const READ_MILLISECOND_BACKOFF = 500;
 	const WRITE_MILLISECOND_BACKOFF = 500;
 
+	const RETURN_CONSUMED_CAPACITY = 'INDEXES';
+
+	const MAXIMUM_BATCH_GET_KEYS = 100;
+
 	/**
 	 * A facade for Amazon's DynamoDB service. The constructor accepts
 	 * configuration options. The promise-based instance functions
@@ -43,6 +53,8 @@ module.exports = (() => {
 	 * @param {string=} configuration.apiVersion - The DynamoDB API version (defaults to "2012-08-10").
 	 * @param {object=} options
 	 * @param {Boolean=} options.preferConsistentReads
+	 * @param {Object=} options.client - An object which implements the DynamoDB client interface from the AWS SDK (e.g. a {@link DynamoEmulator}), used instead of connecting to Amazon.
+	 * @param {DynamoMetricsCollector=} options.metrics - Receives the capacity consumed by each operation (if omitted, a new collector is created, see {@link DynamoProvider#getMetrics}).
 	 */
 	class DynamoProvider extends Disposable {
 		constructor(configuration, options) {
@@ -57,6 +69,10 @@ module.exports = (() => {
 
 			this._options = Object.assign({ preferConsistentReads: false }, options || { });
 
+			assert.argumentIsOptional(this._options.metrics, 'options.metrics', DynamoMetricsCollector, 'DynamoMetricsCollector');
+
+			this._metrics = this._options.metrics || new DynamoMetricsCollector();
+
 			this._startPromise = null;
 			this._started = false;
 
@@ -82,9 +98,13 @@ module.exports = (() => {
 					.then(() => {
 						this._scheduler = new Scheduler();
 					}).then(() => {
-						aws.config.update({ region: this._configuration.region });
+						if (is.object(this._options.client)) {
+							this._dynamo = this._options.client;
+						} else {
+							aws.config.update({ region: this._configuration.region });
 
-						this._dynamo = new aws.DynamoDB({ apiVersion: this._configuration.apiVersion || '2012-08-10' });
+							this._dynamo = new aws.DynamoDB({ apiVersion: this._configuration.apiVersion || '2012-08-10' });
+						}
 					}).then(() => {
 						logger.debug('The DynamoProvider has started');
 
@@ -116,6 +136,17 @@ module.exports = (() => {
 			return object.clone(this._configuration);
 		}
 
+		/**
+		 * Returns the collector which aggregates the capacity consumed (and the
+		 * retries required) by the operations this provider runs.
+		 *
+		 * @public
+		 * @returns {DynamoMetricsCollector}
+		 */
+		getMetrics() {
+			return this._metrics;
+		}
+
 		/**
 		 * Gets the definition of a table. If no matching table exists; then
 		 * the promise is rejected.
@@ -245,6 +276,136 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Restores a backup to a new table and returns the new table's definition
+		 * once the table becomes ready.
+		 *
+		 * @public
+		 * @param {string} arn - The ARN of the backup (see {@link DynamoProvider#listBackups}).
+		 * @param {string} name - The (unqualified) name of the new table.
+		 * @returns {Promise<Table>}
+		 */
+		restoreBackup(arn, name) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(arn, 'arn', String);
+					assert.argumentIsRequired(name, 'name', String);
+
+					checkReady.call(this);
+
+					const qualifiedTableName = getQualifiedTableName(this._configuration.prefix, name);
+
+					return promise.build((resolve, reject) => {
+						logger.info(`Restoring backup [ ${arn} ] to table [ ${qualifiedTableName} ]`);
+
+						const query = {
+							BackupArn: arn,
+							TargetTableName: qualifiedTableName
+						};
+
+						this._dynamo.restoreTableFromBackup(query, (error, data) => {
+							if (error) {
+								logger.error('Failed to restore backup', error);
+								reject(error);
+							} else {
+								resolve(data);
+							}
+						});
+					}).then(() => {
+						return getTableWhenReady.call(this, qualifiedTableName);
+					});
+				});
+		}
+
+		/**
+		 * Enables point-in-time recovery (i.e. continuous backups) for a table.
+		 *
+		 * @public
+		 * @param {string} name - The (unqualified) name of the table.
+		 * @returns {Promise<Object>}
+		 */
+		enablePointInTimeRecovery(name) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(name, 'name', String);
+
+					checkReady.call(this);
+
+					const qualifiedTableName = getQualifiedTableName(this._configuration.prefix, name);
+
+					return promise.build((resolve, reject) => {
+						logger.info(`Enabling point-in-time recovery for table [ ${qualifiedTableName} ]`);
+
+						const query = {
+							TableName: qualifiedTableName,
+							PointInTimeRecoverySpecification: {
+								PointInTimeRecoveryEnabled: true
+							}
+						};
+
+						this._dynamo.updateContinuousBackups(query, (error, data) => {
+							if (error) {
+								logger.error('Failed to enable point-in-time recovery', error);
+								reject(error);
+							} else {
+								resolve(data.ContinuousBackupsDescription);
+							}
+						});
+					});
+				});
+		}
+
+		/**
+		 * Restores a table, which has point-in-time recovery enabled (see
+		 * {@link DynamoProvider#enablePointInTimeRecovery}), to a new table and
+		 * returns the new table's definition once the table becomes ready.
+		 *
+		 * @public
+		 * @param {string} source - The (unqualified) name of the table to restore.
+		 * @param {string} name - The (unqualified) name of the new table.
+		 * @param {Date=} restoreDateTime - The point in time to restore. If omitted, the latest restorable time is used.
+		 * @returns {Promise<Table>}
+		 */
+		restorePointInTime(source, name, restoreDateTime) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(source, 'source', String);
+					assert.argumentIsRequired(name, 'name', String);
+					assert.argumentIsOptional(restoreDateTime, 'restoreDateTime', Date, 'Date');
+
+					checkReady.call(this);
+
+					const qualifiedSourceName = getQualifiedTableName(this._configuration.prefix, source);
+					const qualifiedTableName = getQualifiedTableName(this._configuration.prefix, name);
+
+					return promise.build((resolve, reject) => {
+						logger.info(`Restoring table [ ${qualifiedSourceName} ] to table [ ${qualifiedTableName} ]`);
+
+						const query = {
+							SourceTableName: qualifiedSourceName,
+							TargetTableName: qualifiedTableName
+						};
+
+						if (restoreDateTime) {
+							query.RestoreDateTime = restoreDateTime;
+						} else {
+							query.UseLatestRestorableTime = true;
+						}
+
+						this._dynamo.restoreTableToPointInTime(query, (error, data) => {
+							if (error) {
+								logger.error('Failed to restore table', error);
+								reject(error);
+							} else {
+								resolve(data);
+							}
+						});
+					}).then(() => {
+						return getTableWhenReady.call(this, qualifiedTableName);
+					});
+				});
+		}
+
 		/**
 		 * Gets a list of all table names.
 		 *
@@ -297,12 +458,14 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {Table} definition - Describes the schema of the table to create.
+		 * @param {Boolean=} migrate - If true, and the table already exists, safe changes are applied to the existing table (see {@link DynamoProvider#migrateTable}).
 		 * @returns {Promise<Table>}
 		 */
-		createTable(definition) {
+		createTable(definition, migrate) {
 			return Promise.resolve()
 				.then(() => {
 					assert.argumentIsRequired(definition, 'definition', Table, 'Table');
+					assert.argumentIsOptional(migrate, 'migrate', Boolean);
 
 					checkReady.call(this);
 
@@ -346,6 +509,15 @@ module.exports = (() => {
 								if (is.string(error.message) && error.message === `Table already exists: ${qualifiedTableName}`) {
 									logger.info('Unable to create table [', qualifiedTableName, '], table already exists');
 
+									if (is.boolean(migrate) && migrate) {
+										return this.migrateTable(definition)
+											.then((serverDefinition) => {
+												resolveCallback(serverDefinition);
+											}).catch((e) => {
+												rejectCallback(e);
+											});
+									}
+
 									return getTableForCreate.call(this, qualifiedTableName)
 										.then((tableData) => {
 											const serverDefinition = TableBuilder.fromDefinition(tableData);
@@ -397,6 +569,82 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Compares a table definition to the table which exists on the server,
+		 * returning the changes needed to make the server's table match the
+		 * definition. Nothing is changed (i.e. this is a "dry run").
+		 *
+		 * @public
+		 * @param {Table} definition - Describes the desired schema of the table.
+		 * @returns {Promise<TableMigration>}
+		 */
+		getTableMigration(definition) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(definition, 'definition', Table, 'Table');
+
+					checkReady.call(this);
+
+					return getServerDefinition.call(this, definition.name)
+						.then((serverDefinition) => {
+							const migration = TableMigration.compare(definition, serverDefinition);
+
+							migration.toReport().forEach((line) => {
+								logger.info(`Planned change for table [ ${definition.name} ]: ${line}`);
+							});
+
+							return migration;
+						});
+				});
+		}
+
+		/**
+		 * Applies changes to an existing table, so that it matches a definition,
+		 * then returns the table's metadata once the table becomes ready. Safe
+		 * changes include adding (or removing) global secondary indices, changing
+		 * the provisioning type, changing the stream view type, and enabling
+		 * time-to-live. If any other changes are required (e.g. changing keys), the
+		 * promise rejects and no changes are made.
+		 *
+		 * @public
+		 * @param {Table} definition - Describes the desired schema of the table.
+		 * @returns {Promise<Table>}
+		 */
+		migrateTable(definition) {
+			return this.getTableMigration(definition)
+				.then((migration) => {
+					const qualifiedTableName = definition.name;
+
+					if (!migration.safe) {
+						const unsafe = migration.changes.filter(c => !c.safe).map(c => c.description);
+
+						throw new Error(`Unable to migrate table [ ${qualifiedTableName} ], unsupported changes are required [ ${unsafe.join(', ')} ]`);
+					}
+
+					if (!migration.required) {
+						logger.info(`Table [ ${qualifiedTableName} ] matches its definition, no migration required`);
+
+						return migration.current;
+					}
+
+					return migration.changes.reduce((previous, change) => {
+						return previous.then(() => {
+							logger.info(`Migrating table [ ${qualifiedTableName} ]: ${change.description}`);
+
+							return this._dynamo[change.changeType.operation](change.toChangeSchema()).promise()
+								.then(() => {
+									return this._scheduler.backoff(() => getActiveTable.call(this, qualifiedTableName), 2000);
+								});
+						});
+					}, Promise.resolve())
+						.then(() => {
+							logger.info(`Migrated table [ ${qualifiedTableName} ]`);
+
+							return getServerDefinition.call(this, qualifiedTableName);
+						});
+				});
+		}
+
 		/**
 		 * Deletes a table.
 		 *
@@ -432,6 +680,14 @@ module.exports = (() => {
 		/**
 		 * Adds a new item to a table. If the item already exists, it is overwritten.
 		 *
+		 * If the table is versioned (see {@link Table#versionAttribute}), the item is
+		 * written with an incremented version (the item passed is not mutated) and
+		 * the write succeeds only if the existing item's version matches the version
+		 * of the item passed. Otherwise, the promise is rejected with a
+		 * {@link ConcurrencyConflictError}. However, when overwrites are prevented,
+		 * the version is irrelevant and an existing item causes the promise to
+		 * reject with the original error (i.e. ConditionalCheckFailedException).
+		 *
 		 * @public
 		 * @param {Object} item - The item to write.
 		 * @param {Table} table - Describes the schema of the table to write to.
@@ -447,16 +703,38 @@ module.exports = (() => {
 					checkReady.call(this);
 
 					const qualifiedTableName = table.name;
+					const versionAttribute = table.versionAttribute;
+
+					const overwrite = !(is.boolean(preventOverwrite) && preventOverwrite);
+					const versioned = versionAttribute !== null;
+
+					let expectedVersion;
+
+					if (versioned && is.number(item[versionAttribute])) {
+						expectedVersion = item[versionAttribute];
+					} else {
+						expectedVersion = null;
+					}
 
 					let payload;
 
-					if (is.boolean(preventOverwrite) && preventOverwrite) {
+					if (!overwrite || versioned) {
 						const builder = new ConditionalBuilder(table)
 							.withDescription(`Conditional put to [${qualifiedTableName}] table`)
 							.withFilterBuilder((fb) => {
-								const hashKeyName = table.keys.find(k => k.keyType === KeyType.HASH).attribute.name;
+								if (!overwrite) {
+									const hashKeyName = table.keys.find(k => k.keyType === KeyType.HASH).attribute.name;
+
+									fb.withExpression(hashKeyName, OperatorType.ATTRIBUTE_NOT_EXISTS);
+								}
 
-								fb.withExpression(hashKeyName, OperatorType.ATTRIBUTE_NOT_EXISTS);
+								if (versioned) {
+									if (expectedVersion === null) {
+										fb.withExpression(versionAttribute, OperatorType.ATTRIBUTE_NOT_EXISTS);
+									} else {
+										fb.withExpression(versionAttribute, OperatorType.EQUALS, expectedVersion);
+									}
+								}
 							});
 
 						payload = builder.conditional.toConditionalSchema();
@@ -466,7 +744,17 @@ module.exports = (() => {
 						};
 					}
 
-					payload.Item = Serializer.serialize(item, table);
+					if (versioned) {
+						const copy = Object.assign({ }, item);
+
+						copy[versionAttribute] = (expectedVersion || 0) + 1;
+
+						payload.Item = Serializer.serialize(copy, table);
+					} else {
+						payload.Item = Serializer.serialize(item, table);
+					}
+
+					payload.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
 
 					const putItem = () => {
 						return promise.build((resolveCallback, rejectCallback) => {
@@ -477,11 +765,15 @@ module.exports = (() => {
 									if (dynamoError !== null && dynamoError.getRetryable(error)) {
 										logger.debug('Encountered retryable error [', error.code, '] while putting an item into [', qualifiedTableName, ']');
 
+										this._metrics.recordRetry('PutItem', qualifiedTableName, error.code);
+
 										rejectCallback(error);
 									} else {
 										resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
 									}
 								} else {
+									this._metrics.recordCapacity('PutItem', data.ConsumedCapacity);
+
 									resolveCallback({ code: DYNAMO_RESULT.SUCCESS });
 								}
 							});
@@ -491,6 +783,10 @@ module.exports = (() => {
 					return this._scheduler.backoff(putItem, WRITE_MILLISECOND_BACKOFF)
 						.then((result) => {
 							if (result.code === DYNAMO_RESULT.FAILURE) {
+								if (versioned && overwrite && result.error.code === dynamoErrorConditional.code) {
+									throw new ConcurrencyConflictError(qualifiedTableName, getKey(table, item), expectedVersion, result.error);
+								}
+
 								throw result.error;
 							}
 
@@ -502,6 +798,11 @@ module.exports = (() => {
 		/**
 		 * Edits an existing item's attributes.
 		 *
+		 * If the table is versioned (see {@link Table#versionAttribute}), the item's
+		 * version is incremented. And, if the update specifies an expected version
+		 * (see {@link UpdateBuilder#withExpectedVersion}) which does not match the
+		 * item's version, the promise is rejected with a {@link ConcurrencyConflictError}.
+		 *
 		 * @public
 		 * @param {Update} update
 		 * @returns {Promise<Object|null>}
@@ -515,9 +816,13 @@ module.exports = (() => {
 
 					const schema = update.toUpdateSchema();
 
+					schema.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
+
 					const updateItem = () => {
 						return Promise.resolve(this._dynamo.updateItem(schema).promise())
 							.then((data) => {
+								this._metrics.recordCapacity('UpdateItem', data.ConsumedCapacity);
+
 								let deserialized;
 
 								if (!attributes.has(data, 'Attributes') || data.Attributes === null) {
@@ -535,6 +840,8 @@ module.exports = (() => {
 								if (dynamoError !== null && dynamoError.getRetryable(error)) {
 									logger.debug('Encountered retryable error [', error.code, '] while putting an item into [', update.table.name, ']');
 
+									this._metrics.recordRetry('UpdateItem', update.table.name, error.code);
+
 									result = Promise.reject(error);
 								} else {
 									result = Promise.resolve({ code: DYNAMO_RESULT.FAILURE, error: error });
@@ -547,6 +854,16 @@ module.exports = (() => {
 					return this._scheduler.backoff(updateItem, WRITE_MILLISECOND_BACKOFF)
 						.then((result) => {
 							if (result.code === DYNAMO_RESULT.FAILURE) {
+								if (update.table.versionAttribute !== null && update.expectedVersion !== null && result.error.code === dynamoErrorConditional.code) {
+									const key = update.keyFilter.expressions.reduce((acc, e) => {
+										acc[e.attribute.name] = e.operand;
+
+										return acc;
+									}, { });
+
+									throw new ConcurrencyConflictError(update.table.name, key, update.expectedVersion, result.error);
+								}
+
 								throw result.error;
 							}
 
@@ -555,11 +872,82 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Executes a group of write operations (puts, updates, deletes, and condition
+		 * checks), possibly targeting multiple tables, as a single all-or-nothing
+		 * operation. If a condition fails, the promise is rejected with an error which
+		 * identifies the operation (by index, table, and key) that caused the failure.
+		 *
+		 * Puts and updates targeting a versioned table (see {@link Table#versionAttribute})
+		 * increment the version and are conditioned on the expected version, so a
+		 * concurrent write causes the transaction to be cancelled.
+		 *
+		 * @public
+		 * @param {Transaction} transaction
+		 * @returns {Promise<Boolean>}
+		 */
+		executeTransaction(transaction) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(transaction, 'transaction', Transaction, 'Transaction');
+
+					checkReady.call(this);
+
+					const payload = transaction.toTransactionSchema();
+
+					payload.ClientRequestToken = uuid.v4();
+					payload.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
+
+					const transactWriteItems = () => {
+						return promise.build((resolveCallback, rejectCallback) => {
+							this._dynamo.transactWriteItems(payload, (error, data) => {
+								if (error) {
+									const dynamoError = Enum.fromCode(DynamoError, error.code);
+
+									if (dynamoError !== null && dynamoError.getRetryable(error)) {
+										logger.debug('Encountered retryable error [', error.code, '] while running transaction [', transaction.description, ']');
+
+										transaction.operations.map(o => o.table.name).filter((name, i, names) => names.indexOf(name) === i).forEach((name) => {
+											this._metrics.recordRetry('TransactWriteItems', name, error.code);
+										});
+
+										rejectCallback(error);
+									} else {
+										resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
+									}
+								} else {
+									this._metrics.recordCapacity('TransactWriteItems', data.ConsumedCapacity);
+
+									resolveCallback({ code: DYNAMO_RESULT.SUCCESS });
+								}
+							});
+						});
+					};
+
+					return this._scheduler.backoff(transactWriteItems, WRITE_MILLISECOND_BACKOFF)
+						.then((result) => {
+							if (result.code === DYNAMO_RESULT.FAILURE) {
+								logger.error('Failed to run transaction [', transaction.description, ']', result.error);
+
+								throw getTransactionError(transaction, result.error);
+							}
+
+							logger.debug('Ran transaction [', transaction.description, '] with [', transaction.operations.length, '] operations');
+
+							return true;
+						});
+				});
+		}
+
 		/**
 		 * Adds multiple items to a table. Unlike the {@link DynamoProvider#saveItem} function,
 		 * batches are processed serially; that is, writes from a batch must complete before
 		 * writes from a subsequent batch are started.
 		 *
+		 * Batch writes cannot be conditional, so versioned tables (see {@link Table#versionAttribute})
+		 * are not supported; the promise is rejected. Use {@link DynamoProvider#saveItem} (or
+		 * a {@link Transaction}) instead.
+		 *
 		 * @public
 		 * @param {Object[]} item - The items to write.
 		 * @param {Table} table - Describes the schema of the table to write to.
@@ -568,6 +956,10 @@ module.exports = (() => {
 		createItems(items, table) {
 			return Promise.resolve()
 				.then(() => {
+					if (table instanceof Table && table.versionAttribute !== null) {
+						throw new Error(`Unable to create items in the [ ${table.name} ] table, batch writes cannot check (or increment) the version attribute of a versioned table`);
+					}
+
 					return processBatch.call(this, table, DynamoBatchType.PUT, items);
 				});
 		}
@@ -615,6 +1007,7 @@ module.exports = (() => {
 					};
 
 					payload.Key = Serializer.serialize(item, table, true, explicit);
+					payload.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
 
 					const deleteItem = () => {
 						return promise.build((resolveCallback, rejectCallback) => {
@@ -625,11 +1018,15 @@ module.exports = (() => {
 									if (dynamoError !== null && dynamoError.getRetryable(error)) {
 										logger.debug('Encountered retryable error [', error.code, '] while deleting an item from [', qualifiedTableName, ']');
 
+										this._metrics.recordRetry('DeleteItem', qualifiedTableName, error.code);
+
 										rejectCallback(error);
 									} else {
 										resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
 									}
 								} else {
+									this._metrics.recordCapacity('DeleteItem', data.ConsumedCapacity);
+
 									resolveCallback({ code: DYNAMO_RESULT.SUCCESS });
 								}
 							});
@@ -647,6 +1044,189 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Reads a single item from a table, using the item's key.
+		 *
+		 * @public
+		 * @param {Object} key - An object with the table's key attribute(s).
+		 * @param {Table} table - Describes the schema of the table to read from.
+		 * @param {Boolean=} consistentRead - If true, a strongly consistent read is used.
+		 * @returns {Promise<Object|null>}
+		 */
+		getItem(key, table, consistentRead) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(key, 'key', Object);
+					assert.argumentIsRequired(table, 'table', Table, 'Table');
+					assert.argumentIsOptional(consistentRead, 'consistentRead', Boolean);
+
+					checkReady.call(this);
+
+					const qualifiedTableName = table.name;
+
+					const payload = {
+						TableName: qualifiedTableName,
+						Key: Serializer.serialize(key, table, true),
+						ReturnConsumedCapacity: RETURN_CONSUMED_CAPACITY
+					};
+
+					if ((is.boolean(consistentRead) && consistentRead) || this._options.preferConsistentReads) {
+						payload.ConsistentRead = true;
+					}
+
+					const getItem = () => {
+						return promise.build((resolveCallback, rejectCallback) => {
+							this._dynamo.getItem(payload, (error, data) => {
+								if (error) {
+									const dynamoError = Enum.fromCode(DynamoError, error.code);
+
+									if (dynamoError !== null && dynamoError.getRetryable(error)) {
+										logger.debug('Encountered retryable error [', error.code, '] while getting an item from [', qualifiedTableName, ']');
+
+										this._metrics.recordRetry('GetItem', qualifiedTableName, error.code);
+
+										rejectCallback(error);
+									} else {
+										resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
+									}
+								} else {
+									this._metrics.recordCapacity('GetItem', data.ConsumedCapacity);
+
+									let item;
+
+									if (is.object(data.Item)) {
+										item = Serializer.deserialize(data.Item, table);
+									} else {
+										item = null;
+									}
+
+									resolveCallback({ code: DYNAMO_RESULT.SUCCESS, results: item });
+								}
+							});
+						});
+					};
+
+					return this._scheduler.backoff(getItem, READ_MILLISECOND_BACKOFF)
+						.then((result) => {
+							if (result.code === DYNAMO_RESULT.FAILURE) {
+								throw result.error;
+							}
+
+							return result.results;
+						});
+				});
+		}
+
+		/**
+		 * Reads multiple items from a table, using each item's key. Keys are
+		 * requested in batches (of up to 100 keys) and the results are returned
+		 * in the same order as the keys (with a null value for each key which
+		 * does not exist).
+		 *
+		 * @public
+		 * @param {Object[]} keys - Objects with the table's key attribute(s).
+		 * @param {Table} table - Describes the schema of the table to read from.
+		 * @param {Boolean=} consistentRead - If true, strongly consistent reads are used.
+		 * @returns {Promise<Array<Object|null>>}
+		 */
+		getItems(keys, table, consistentRead) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsArray(keys, 'keys', Object);
+					assert.argumentIsRequired(table, 'table', Table, 'Table');
+					assert.argumentIsOptional(consistentRead, 'consistentRead', Boolean);
+
+					checkReady.call(this);
+
+					const qualifiedTableName = table.name;
+
+					const serializedKeys = keys.map(k => Serializer.serialize(k, table, true));
+					const uniqueKeys = array.uniqueBy(serializedKeys, k => getKeyIdentifier(table, k));
+
+					const consistent = (is.boolean(consistentRead) && consistentRead) || this._options.preferConsistentReads;
+					const items = new Map();
+
+					const getBatch = (currentKeys) => {
+						return promise.build((resolveCallback, rejectCallback) => {
+							const request = { Keys: currentKeys };
+
+							if (consistent) {
+								request.ConsistentRead = true;
+							}
+
+							this._dynamo.batchGetItem(getBatchPayload(qualifiedTableName, request), (error, data) => {
+								if (error) {
+									const dynamoError = Enum.fromCode(DynamoError, error.code);
+
+									if (dynamoError !== null && dynamoError.getRetryable(error)) {
+										logger.debug('Encountered retryable error [', error.code, '] while getting items from [', qualifiedTableName, ']');
+
+										this._metrics.recordRetry('BatchGetItem', qualifiedTableName, error.code);
+
+										rejectCallback(error);
+									} else {
+										resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
+									}
+								} else {
+									this._metrics.recordCapacity('BatchGetItem', data.ConsumedCapacity);
+
+									if (is.object(data.Responses) && is.array(data.Responses[qualifiedTableName])) {
+										data.Responses[qualifiedTableName].forEach((item) => {
+											items.set(getKeyIdentifier(table, item), item);
+										});
+									}
+
+									let unprocessedKeys;
+
+									if (is.object(data.UnprocessedKeys) && is.object(data.UnprocessedKeys[qualifiedTableName]) && is.array(data.UnprocessedKeys[qualifiedTableName].Keys)) {
+										unprocessedKeys = data.UnprocessedKeys[qualifiedTableName].Keys;
+									} else {
+										unprocessedKeys = [ ];
+									}
+
+									if (unprocessedKeys.length === 0) {
+										resolveCallback({ code: DYNAMO_RESULT.SUCCESS });
+									} else {
+										logger.debug('Continuing batch get on [', qualifiedTableName, '] with [', unprocessedKeys.length, '] unprocessed keys');
+
+										this._metrics.recordRetry('BatchGetItem', qualifiedTableName, 'UnprocessedKeys');
+
+										this._scheduler.backoff(() => getBatch(unprocessedKeys), READ_MILLISECOND_BACKOFF)
+											.then((continueResult) => {
+												resolveCallback(continueResult);
+											});
+									}
+								}
+							});
+						});
+					};
+
+					return array.partition(uniqueKeys, MAXIMUM_BATCH_GET_KEYS).reduce((previous, batch) => {
+						return previous.then(() => {
+							return this._scheduler.backoff(() => getBatch(batch), READ_MILLISECOND_BACKOFF)
+								.then((result) => {
+									if (result.code === DYNAMO_RESULT.FAILURE) {
+										logger.error('Failed batch get on [', qualifiedTableName, '] with [', batch.length, '] keys');
+
+										throw result.error;
+									}
+								});
+						});
+					}, Promise.resolve())
+						.then(() => {
+							return serializedKeys.map((k) => {
+								const item = items.get(getKeyIdentifier(table, k)) || null;
+
+								if (item === null) {
+									return null;
+								}
+
+								return Serializer.deserialize(item, table);
+							});
+						});
+				});
+		}
+
 		/**
 		 * Runs a scan against a DynamoDB table (or index) and returns
 		 * all the items matching the scan.
@@ -664,6 +1244,8 @@ module.exports = (() => {
 
 					const options = scan.toScanSchema();
 
+					options.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
+
 					if (!scan.consistentRead && scan.index === null && this._options.preferConsistentReads) {
 						logger.debug('Overriding scan definition, setting consistent reads to true for [', (scan.description || 'unnamed scan'), '] on [', scan.table.name, ']');
 
@@ -734,6 +1316,8 @@ module.exports = (() => {
 										if (dynamoError !== null && dynamoError.getRetryable(error)) {
 											logger.debug('Encountered retryable error [', error.code, '] while scanning [', scan.table.name, ']');
 
+											this._metrics.recordRetry('Scan', scan.table.name, error.code);
+
 											rejectCallback(error);
 										} else {
 											logger.debug('Encountered non-retryable error [', error.code, '] while scanning [', scan.table.name, ']');
@@ -743,6 +1327,8 @@ module.exports = (() => {
 											resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
 										}
 									} else {
+										this._metrics.recordCapacity('Scan', data.ConsumedCapacity);
+
 										const deserializePromise = promise.build((resolveDeserialize) => {
 											if (abort) {
 												resolveDeserialize(getEmptyResult());
@@ -889,6 +1475,8 @@ module.exports = (() => {
 
 					const options = scan.toScanSchema();
 
+					options.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
+
 					if (!scan.consistentRead && scan.index === null && this._options.preferConsistentReads) {
 						logger.debug('Overriding scan definition, setting consistent reads to true for [', (scan.description || 'unnamed scan'), '] on [', scan.table.name, ']');
 
@@ -908,11 +1496,15 @@ module.exports = (() => {
 									if (dynamoError !== null && dynamoError.getRetryable(error)) {
 										logger.debug('Encountered retryable error [', error.code, '] while scanning [', scan.table.name, ']');
 
+										this._metrics.recordRetry('Scan', scan.table.name, error.code);
+
 										rejectCallback(error);
 									} else {
 										resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
 									}
 								} else {
+									this._metrics.recordCapacity('Scan', data.ConsumedCapacity);
+
 									let results;
 
 									try {
@@ -969,6 +1561,76 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Divides a scan into segments, runs the segments in parallel, and returns
+		 * all the items matching the scan. Any limit applies to each segment. To
+		 * process the items as they are read, use a {@link DynamoParallelScanReader}.
+		 *
+		 * @public
+		 * @param {Scan} scan - A scan which does not target a segment.
+		 * @param {Number} totalSegments - The number of segments.
+		 * @param {Number=} concurrency - The maximum number of segments to scan at once (defaults to the number of segments).
+		 * @returns {Promise<Object[]>|Promise<Number>}
+		 */
+		scanParallel(scan, totalSegments, concurrency) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(scan, 'scan', Scan, 'Scan');
+					assert.argumentIsRequired(totalSegments, 'totalSegments', Number);
+					assert.argumentIsOptional(concurrency, 'concurrency', Number);
+
+					checkReady.call(this);
+
+					if (concurrency && !(is.integer(concurrency) && is.positive(concurrency))) {
+						throw new Error('The concurrency must be a positive integer.');
+					}
+
+					const segments = scan.getSegments(totalSegments);
+
+					logger.debug('Running [', scan.description, '] on [', scan.table.name, '] in [', totalSegments, '] segments');
+
+					return promise.map(segments, segment => this.scan(segment), concurrency || totalSegments)
+						.then((results) => {
+							if (scan.countOnly) {
+								return results.reduce((total, count) => total + count, 0);
+							} else {
+								return array.flatten(results);
+							}
+						});
+				});
+		}
+
+		/**
+		 * Returns an async iterable (i.e. usable with a "for await...of" loop) which
+		 * runs a scan, requesting pages of results as needed. The scan's limit
+		 * applies to the total number of items returned.
+		 *
+		 * @public
+		 * @param {Scan} scan
+		 * @param {String=} cursor - A token, from a previous iterator, used to resume (see {@link DynamoIterator#cursor}).
+		 * @returns {DynamoIterator}
+		 */
+		iterateScan(scan, cursor) {
+			assert.argumentIsRequired(scan, 'scan', Scan, 'Scan');
+			assert.argumentIsOptional(cursor, 'cursor', String);
+
+			checkReady.call(this);
+
+			if (scan.countOnly) {
+				throw new Error('Unable to iterate a scan which only counts results.');
+			}
+
+			let startKey;
+
+			if (cursor) {
+				startKey = DynamoIterator.fromCursor(cursor, scan.table);
+			} else {
+				startKey = null;
+			}
+
+			return new DynamoIterator(scan.table, scan.index, scan.limit, scan.skipDeserialization, k => this.scanChunk(scan, k), startKey);
+		}
+
 		/**
 		 * Runs a query against a DynamoDB table (or index) and returns
 		 * all the items matching the query.
@@ -986,6 +1648,8 @@ module.exports = (() => {
 
 					const options = query.toQuerySchema();
 
+					options.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
+
 					if (!query.consistentRead && query.index === null && this._options.preferConsistentReads) {
 						logger.debug('Overriding query definition, setting consistent reads to true for [', (query.description || 'unnamed query'), '] on [', query.table.name, ']');
 
@@ -1056,6 +1720,8 @@ module.exports = (() => {
 										if (dynamoError !== null && dynamoError.getRetryable(error)) {
 											logger.debug('Encountered retryable error [', error.code, '] while querying [', query.table.name, ']');
 
+											this._metrics.recordRetry('Query', query.table.name, error.code);
+
 											rejectCallback(error);
 										} else {
 											logger.debug('Encountered non-retryable error [', error.code, '] while querying [', query.table.name, ']');
@@ -1065,6 +1731,8 @@ module.exports = (() => {
 											resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
 										}
 									} else {
+										this._metrics.recordCapacity('Query', data.ConsumedCapacity);
+
 										const deserializePromise = promise.build((resolveDeserialize) => {
 											if (abort) {
 												resolveDeserialize(getEmptyResult());
@@ -1237,6 +1905,8 @@ module.exports = (() => {
 
 					const options = query.toQuerySchema();
 
+					options.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
+
 					if (!query.consistentRead && query.index === null && this._options.preferConsistentReads) {
 						logger.debug('Overriding query definition, setting consistent reads to true for [', (query.description || 'unnamed query'), '] on [', query.table.name, ']');
 
@@ -1256,11 +1926,15 @@ module.exports = (() => {
 									if (dynamoError !== null && dynamoError.getRetryable(error)) {
 										logger.debug('Encountered retryable error [', error.code, '] while querying [', query.table.name, ']');
 
+										this._metrics.recordRetry('Query', query.table.name, error.code);
+
 										rejectCallback(error);
 									} else {
 										resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
 									}
 								} else {
+									this._metrics.recordCapacity('Query', data.ConsumedCapacity);
+
 									let results;
 
 									try {
@@ -1316,6 +1990,37 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Returns an async iterable (i.e. usable with a "for await...of" loop) which
+		 * runs a query, requesting pages of results as needed. The query's limit
+		 * applies to the total number of items returned.
+		 *
+		 * @public
+		 * @param {Query} query
+		 * @param {String=} cursor - A token, from a previous iterator, used to resume (see {@link DynamoIterator#cursor}).
+		 * @returns {DynamoIterator}
+		 */
+		iterateQuery(query, cursor) {
+			assert.argumentIsRequired(query, 'query', Query, 'Query');
+			assert.argumentIsOptional(cursor, 'cursor', String);
+
+			checkReady.call(this);
+
+			if (query.countOnly) {
+				throw new Error('Unable to iterate a query which only counts results.');
+			}
+
+			let startKey;
+
+			if (cursor) {
+				startKey = DynamoIterator.fromCursor(cursor, query.table);
+			} else {
+				startKey = null;
+			}
+
+			return new DynamoIterator(query.table, query.index, query.limit, query.skipDeserialization, k => this.queryChunk(query, k), startKey);
+		}
+
 		/**
 		 * Returns a new {@link TableBuilder} instance, suitable for use by the
 		 * {@link DynamoProvider#createTable} function.
@@ -1361,6 +2066,23 @@ module.exports = (() => {
 		return `${prefix}-${name}`;
 	}
 
+	function getTableWhenReady(qualifiedTableName) {
+		return this._scheduler.backoff(() => {
+			return getTable.call(this, qualifiedTableName)
+				.then((tableData) => {
+					if (tableData.TableStatus === 'ACTIVE') {
+						logger.info('Table ready [', qualifiedTableName, ']');
+
+						return TableBuilder.fromDefinition(tableData);
+					} else {
+						logger.debug('Table not yet ready [', qualifiedTableName, ']');
+
+						return Promise.reject();
+					}
+				});
+		}, 2000);
+	}
+
 	function getTable(qualifiedTableName) {
 		return promise.build((resolveCallback, rejectCallback) => {
 			this._dynamo.describeTable({ TableName: qualifiedTableName }, (error, data) => {
@@ -1381,6 +2103,31 @@ module.exports = (() => {
 		});
 	}
 
+	function getActiveTable(qualifiedTableName) {
+		return getTable.call(this, qualifiedTableName)
+			.then((tableData) => {
+				const indices = tableData.GlobalSecondaryIndexes || [ ];
+
+				if (tableData.TableStatus === 'ACTIVE' && indices.every(i => i.IndexStatus === 'ACTIVE')) {
+					return tableData;
+				} else {
+					logger.debug('Table not yet ready [', qualifiedTableName, ']');
+
+					return Promise.reject();
+				}
+			});
+	}
+
+	function getServerDefinition(qualifiedTableName) {
+		return getTable.call(this, qualifiedTableName)
+			.then((tableData) => {
+				return getTimeToLiveSettings.call(this, qualifiedTableName)
+					.then((ttlData) => {
+						return TableBuilder.fromDefinition(Object.assign({ }, tableData, ttlData));
+					});
+			});
+	}
+
 	function getTimeToLiveSettings(qualifiedTableName) {
 		return this._dynamo.describeTimeToLive({ TableName: qualifiedTableName }).promise()
 			.catch((error) => {
@@ -1424,11 +2171,15 @@ module.exports = (() => {
 							if (dynamoError !== null && dynamoError.getRetryable(error)) {
 								logger.debug('Encountered retryable error [', error.code, '] while running batch', type.description, 'on [', qualifiedTableName, ']');
 
+								this._metrics.recordRetry('BatchWriteItem', qualifiedTableName, error.code);
+
 								rejectCallback(error);
 							} else {
 								resolveCallback({ code: DYNAMO_RESULT.FAILURE, error: error });
 							}
 						} else {
+							this._metrics.recordCapacity('BatchWriteItem', data.ConsumedCapacity);
+
 							let unprocessedItems;
 
 							if (is.object(data.UnprocessedItems) && is.array(data.UnprocessedItems[qualifiedTableName])) {
@@ -1442,6 +2193,8 @@ module.exports = (() => {
 							} else {
 								logger.debug('Continuing batch [', type.description, '] on [', qualifiedTableName, '] for batch number [', batchNumber,'] with [', unprocessedItems.length, '] unprocessed items');
 
+								this._metrics.recordRetry('BatchWriteItem', qualifiedTableName, 'UnprocessedItems');
+
 								const continuePayload = getBatchPayload(qualifiedTableName, unprocessedItems);
 
 								this._scheduler.backoff(() => writeBatch(continuePayload), WRITE_MILLISECOND_BACKOFF)
@@ -1487,10 +2240,80 @@ module.exports = (() => {
 		};
 
 		payload.RequestItems[tableName] = serializedItems;
+		payload.ReturnConsumedCapacity = RETURN_CONSUMED_CAPACITY;
 
 		return payload;
 	}
 
+	function getKeyIdentifier(table, serialized) {
+		return JSON.stringify(table.keys.map(k => serialized[k.attribute.name]));
+	}
+
+	function getKey(table, item) {
+		return table.keys.reduce((key, k) => {
+			key[k.attribute.name] = item[k.attribute.name];
+
+			return key;
+		}, { });
+	}
+
+	function getCancellationReasons(error) {
+		if (is.array(error.CancellationReasons)) {
+			return error.CancellationReasons.map(r => r.Code || 'None');
+		}
+
+		const match = is.string(error.message) ? error.message.match(/\[([A-Za-z, ]+)\]$/) : null;
+
+		if (match === null) {
+			return [ ];
+		}
+
+		return match[1].split(',').map(r => r.trim());
+	}
+
+	function getTransactionError(transaction, error) {
+		if (error.code !== dynamoErrorTransactionCanceled.code) {
+			return error;
+		}
+
+		const operations = transaction.operations;
+		const reasons = getCancellationReasons(error);
+
+		const failures = reasons.reduce((accumulator, reason, i) => {
+			if (reason !== 'None' && i < operations.length) {
+				const operation = operations[i];
+				const schema = operation.toOperationSchema()[operation.operationType.keyword];
+				const serialized = schema.Key || schema.Item;
+
+				const key = operation.table.keys.reduce((k, tk) => {
+					k[tk.attribute.name] = serialized[tk.attribute.name];
+
+					return k;
+				}, { });
+
+				accumulator.push({ index: i, reason: reason, operation: operation, key: Serializer.deserialize(key, operation.table) });
+			}
+
+			return accumulator;
+		}, [ ]);
+
+		let message;
+
+		if (failures.length === 0) {
+			message = `Transaction [ ${transaction.description} ] was cancelled: ${error.message}`;
+		} else {
+			message = `Transaction [ ${transaction.description} ] was cancelled. ` + failures.map(f => `Operation [ ${f.index} ], a ${f.operation.operationType.description} on [ ${f.operation.table.name} ] for key [ ${JSON.stringify(f.key)} ], failed with [ ${f.reason} ].`).join(' ');
+		}
+
+		const transactionError = new Error(message);
+
+		transactionError.code = error.code;
+		transactionError.reasons = reasons;
+		transactionError.failures = failures.map(f => ({ index: f.index, reason: f.reason, table: f.operation.table.name, key: f.key }));
+
+		return transactionError;
+	}
+
 	const DYNAMO_RESULT = {
 		SUCCESS: 'SUCCESS',
 		FAILURE: 'FAILURE'
@@ -1517,6 +2340,13 @@ module.exports = (() => {
 	const dynamoErrorConditional = new DynamoError('ConditionalCheckFailedException', 'Conditional Check Failed Exception', () => false);
 	const dynamoErrorUnavailable = new DynamoError('UnknownError', 'Unknown Error Exception', (error) => is.boolean(error.retryable) && error.retryable);
 	const dynamoErrorTimeout = new DynamoError('TimeoutError', 'Timeout Error Exception', (error) => is.boolean(error.retryable) && error.retryable);
+	const dynamoErrorTransactionConflict = new DynamoError('TransactionConflictException', 'Transaction Conflict Exception', () => true);
+	const dynamoErrorTransactionInProgress = new DynamoError('TransactionInProgressException', 'Transaction In Progress Exception', () => true);
+	const dynamoErrorTransactionCanceled = new DynamoError('TransactionCanceledException', 'Transaction Canceled Exception', (error) => {
+		const reasons = getCancellationReasons(error).filter(r => r !== 'None');
+
+		return reasons.length !== 0 && reasons.every(r => [ 'ThrottlingError', 'TransactionConflict', 'ProvisionedThroughputExceeded' ].includes(r));
+	});
 
 	class DynamoBatchType extends Enum {
 		constructor(code, description, requestTypeName, requestItemName, keysOnly) {
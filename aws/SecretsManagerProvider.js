@@ -2,7 +2,8 @@ const aws = require('aws-sdk'),
 	log4js = require('log4js');
 
 const assert = require('@barchart/common-js/lang/assert'),
-	Disposable = require('@barchart/common-js/lang/Disposable');
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	is = require('@barchart/common-js/lang/is');
 
 module.exports = (() => {
 	'use strict';
@@ -74,22 +75,27 @@ module.exports = (() => {
 		 *
 		 * @public
 		 * @param {String} secretId
+		 * @param {String=} versionStage - The version stage (defaults to "AWSCURRENT").
 		 * @returns {Promise<String>}
 		 */
-		getSecretValue(secretId) {
+		getSecretValue(secretId, versionStage) {
 			return Promise.resolve()
 				.then(() => {
-					assert.argumentIsRequired(secretId, 'secretId', String);
+					checkSecretId(secretId);
 
-					if (secretId.length === 0) {
-						throw new Error('The "secretId" argument cannot be a zero-length string');
-					}
+					assert.argumentIsOptional(versionStage, 'versionStage', String);
 
 					checkReady.call(this);
 
 					logger.debug(`Attempting to retrieve secret [ ${secretId} ]`);
 
-					return Promise.resolve(this._secretsManager.getSecretValue({ SecretId: secretId }).promise())
+					const params = { SecretId: secretId };
+
+					if (versionStage) {
+						params.VersionStage = versionStage;
+					}
+
+					return Promise.resolve(this._secretsManager.getSecretValue(params).promise())
 						.then((response) => {
 							logger.info(`Retrieved secret [ ${secretId} ]`);
 
@@ -102,11 +108,150 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Gets a secret's metadata (e.g. rotation settings and the stages
+		 * assigned to each version), without its value.
+		 *
+		 * @public
+		 * @param {String} secretId
+		 * @returns {Promise<Object>}
+		 */
+		describeSecret(secretId) {
+			return Promise.resolve()
+				.then(() => {
+					checkSecretId(secretId);
+
+					checkReady.call(this);
+
+					logger.debug(`Attempting to describe secret [ ${secretId} ]`);
+
+					return Promise.resolve(this._secretsManager.describeSecret({ SecretId: secretId }).promise())
+						.then((response) => {
+							logger.debug(`Described secret [ ${secretId} ]`);
+
+							return response;
+						}).catch((err) => {
+							logger.error(`Failed to describe secret [ ${secretId} ]`);
+
+							return Promise.reject(err);
+						});
+				});
+		}
+
+		/**
+		 * Returns the metadata for all secrets (or the secrets with names that
+		 * begin with a prefix).
+		 *
+		 * @public
+		 * @param {String=} prefix
+		 * @returns {Promise<Object[]>}
+		 */
+		getSecrets(prefix) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsOptional(prefix, 'prefix', String);
+
+					checkReady.call(this);
+
+					const getSecretBatches = (secrets, token) => {
+						const params = { };
+
+						if (token) {
+							params.NextToken = token;
+						}
+
+						if (prefix) {
+							params.Filters = [ { Key: 'name', Values: [ prefix ] } ];
+						}
+
+						logger.debug('Requesting batch of secrets');
+
+						return Promise.resolve(this._secretsManager.listSecrets(params).promise())
+							.then((data) => {
+								const nextSecrets = secrets.concat(data.SecretList || [ ]);
+
+								if (data.NextToken) {
+									return getSecretBatches(nextSecrets, data.NextToken);
+								}
+
+								logger.debug(`Final batch of secrets received, [ ${nextSecrets.length} ] secrets listed`);
+
+								return nextSecrets;
+							});
+					};
+
+					return getSecretBatches([ ], null)
+						.catch((err) => {
+							logger.error('Failed to list secrets');
+
+							return Promise.reject(err);
+						});
+				});
+		}
+
+		/**
+		 * Stores a new version of a secret's value, returning the version identifier.
+		 * Objects are serialized as JSON.
+		 *
+		 * @public
+		 * @param {String} secretId
+		 * @param {String|Object} value
+		 * @param {String[]=} versionStages - The stages to assign to the new version (defaults to "AWSCURRENT").
+		 * @returns {Promise<String>}
+		 */
+		putSecretValue(secretId, value, versionStages) {
+			return Promise.resolve()
+				.then(() => {
+					checkSecretId(secretId);
+
+					if (!is.string(value) && !is.object(value)) {
+						throw new Error('The "value" argument must be a string or an object');
+					}
+
+					assert.argumentIsArray(versionStages || [ ], 'versionStages', String);
+
+					checkReady.call(this);
+
+					logger.debug(`Attempting to store secret [ ${secretId} ]`);
+
+					const params = { SecretId: secretId };
+
+					if (is.string(value)) {
+						params.SecretString = value;
+					} else {
+						params.SecretString = JSON.stringify(value);
+					}
+
+					if (versionStages) {
+						params.VersionStages = versionStages;
+					}
+
+					return Promise.resolve(this._secretsManager.putSecretValue(params).promise())
+						.then((response) => {
+							logger.info(`Stored secret [ ${secretId} ], version [ ${response.VersionId} ]`);
+
+							return response.VersionId;
+						}).catch((err) => {
+							logger.error(`Failed to store secret [ ${secretId} ]`);
+
+							return Promise.reject(err);
+						});
+				});
+		}
+
 		toString() {
 			return '[SecretsManagerProvider]';
 		}
 	}
 
+	function checkSecretId(secretId) {
+		assert.argumentIsRequired(secretId, 'secretId', String);
+
+		if (secretId.length === 0) {
+			throw new Error('The "secretId" argument cannot be a zero-length string');
+		}
+	}
+
 	function checkReady() {
 		if (this.getIsDisposed()) {
 			throw new Error('The SecretsManagerProvider has been disposed');
@@ -6,6 +6,7 @@ const assert = require('@barchart/common-js/lang/assert'),
 	is = require('@barchart/common-js/lang/is');
 
 const Definition = require('./schema/definitions/Table'),
+	DynamoIterator = require('./stream/DynamoIterator'),
 	DynamoProvider = require('./../DynamoProvider');
 
 module.exports = (() => {
@@ -68,6 +69,20 @@ module.exports = (() => {
 			return pagingKey;
 		}
 
+		/**
+		 * Returns an opaque token, suitable for resuming iteration after the
+		 * given key (see {@link TableContainer#iterateQuery} and
+		 * {@link TableContainer#iterateScan}).
+		 *
+		 * @public
+		 * @param {*} hash
+		 * @param {*|null|undefined} range
+		 * @returns {String}
+		 */
+		getCursor(hash, range) {
+			return DynamoIterator.toCursor(this.getPagingKey(hash, range), this._definition);
+		}
+
 		/**
 		 * Given a record, returns the record's hash key value.
 		 *
@@ -244,6 +259,41 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Reads an item from the table, using its key.
+		 *
+		 * @protected
+		 * @param {Object} key
+		 * @param {Boolean=} consistentRead
+		 * @returns {Promise<Object|null>}
+		 */
+		_getItem(key, consistentRead) {
+			return Promise.resolve()
+				.then(() => {
+					checkReady.call(this);
+
+					return this._provider.getItem(key, this.definition, consistentRead);
+				});
+		}
+
+		/**
+		 * Reads multiple items from the table, using their keys. The results
+		 * are returned in the same order as the keys.
+		 *
+		 * @protected
+		 * @param {Object[]} keys
+		 * @param {Boolean=} consistentRead
+		 * @returns {Promise<Array<Object|null>>}
+		 */
+		_getItems(keys, consistentRead) {
+			return Promise.resolve()
+				.then(() => {
+					checkReady.call(this);
+
+					return this._provider.getItems(keys, this.definition, consistentRead);
+				});
+		}
+
 		/**
 		 * Deletes a table.
 		 *
@@ -313,6 +363,40 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Runs a scan on the table, dividing the scan into segments which are
+		 * run in parallel.
+		 *
+		 * @public
+		 * @param {Scan} scan
+		 * @param {Number} totalSegments
+		 * @param {Number=} concurrency
+		 * @returns {Promise<Object[]>}
+		 */
+		scanParallel(scan, totalSegments, concurrency) {
+			return Promise.resolve()
+				.then(() => {
+					checkReady.call(this);
+
+					return this._provider.scanParallel(scan, totalSegments, concurrency);
+				});
+		}
+
+		/**
+		 * Returns an async iterable which runs a scan, requesting pages of
+		 * results as needed.
+		 *
+		 * @public
+		 * @param {Scan} scan
+		 * @param {String=} cursor
+		 * @returns {DynamoIterator}
+		 */
+		iterateScan(scan, cursor) {
+			checkReady.call(this);
+
+			return this._provider.iterateScan(scan, cursor);
+		}
+
 		/**
 		 * Runs a query on the table.
 		 *
@@ -362,6 +446,21 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Returns an async iterable which runs a query, requesting pages of
+		 * results as needed.
+		 *
+		 * @public
+		 * @param {Query} query
+		 * @param {String=} cursor
+		 * @returns {DynamoIterator}
+		 */
+		iterateQuery(query, cursor) {
+			checkReady.call(this);
+
+			return this._provider.iterateQuery(query, cursor);
+		}
+
 		_onDispose() {
 			return;
 		}
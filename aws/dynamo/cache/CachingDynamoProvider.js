@@ -0,0 +1,232 @@
+const log4js = require('log4js');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const DynamoCache = require('./DynamoCache'),
+	DynamoProvider = require('./../../DynamoProvider'),
+	Serializer = require('./../schema/serialization/Serializer'),
+	Table = require('./../schema/definitions/Table');
+
+module.exports = (() => {
+	'use strict';
+
+	const logger = log4js.getLogger('common-node/aws/dynamo/cache/CachingDynamoProvider');
+
+	/**
+	 * A {@link DynamoProvider} which reads through (and writes through) a
+	 * {@link DynamoCache}. Items read by key (see {@link DynamoProvider#getItem}
+	 * and {@link DynamoProvider#getItems}) and query results are cached for the
+	 * tables the cache is configured for. Consistent reads bypass the cache.
+	 *
+	 * Items are cached in the DynamoDB format and deserialized for each read,
+	 * so each caller receives its own copy (which can be mutated safely).
+	 *
+	 * Since a {@link TableContainer} delegates to its provider, passing an
+	 * instance to a {@link TableContainer} enables caching for the container.
+	 *
+	 * @public
+	 * @extends {DynamoProvider}
+	 * @param {object} configuration - See {@link DynamoProvider}.
+	 * @param {object=} options - See {@link DynamoProvider}.
+	 * @param {DynamoCache} cache
+	 */
+	class CachingDynamoProvider extends DynamoProvider {
+		constructor(configuration, options, cache) {
+			super(configuration, options);
+
+			assert.argumentIsRequired(cache, 'cache', DynamoCache, 'DynamoCache');
+
+			this._cache = cache;
+		}
+
+		/**
+		 * Returns the cache.
+		 *
+		 * @public
+		 * @returns {DynamoCache}
+		 */
+		getCache() {
+			return this._cache;
+		}
+
+		getItem(key, table, consistentRead) {
+			return Promise.resolve()
+				.then(() => {
+					if (!getIsCacheable.call(this, table, consistentRead)) {
+						return super.getItem(key, table, consistentRead);
+					}
+
+					const identifier = getIdentifier(table, Serializer.serialize(key, table, true));
+
+					return this._cache.getItem(table.name, identifier, () => super.getItem(key, table, consistentRead).then(item => serialize(item, table)))
+						.then((serialized) => {
+							return deserialize(serialized, table);
+						});
+				});
+		}
+
+		getItems(keys, table, consistentRead) {
+			return Promise.resolve()
+				.then(() => {
+					if (!is.array(keys) || !getIsCacheable.call(this, table, consistentRead)) {
+						return super.getItems(keys, table, consistentRead);
+					}
+
+					const identifiers = keys.map(key => getIdentifier(table, Serializer.serialize(key, table, true)));
+					const map = new Map(identifiers.map((identifier, i) => [ identifier, keys[i] ]));
+
+					return this._cache.getItems(table.name, identifiers, missing => super.getItems(missing.map(identifier => map.get(identifier)), table, consistentRead).then(items => items.map(item => serialize(item, table))))
+						.then((serialized) => {
+							return serialized.map(s => deserialize(s, table));
+						});
+				});
+		}
+
+		query(query) {
+			return Promise.resolve()
+				.then(() => {
+					if (!is.object(query) || !getIsCacheable.call(this, query.table, query.consistentRead)) {
+						return super.query(query);
+					}
+
+					const signature = JSON.stringify({ schema: query.toQuerySchema(), skipDeserialization: query.skipDeserialization });
+
+					return this._cache.getQuery(query.table.name, signature, () => super.query(query).then(results => serializeResults(results, query)))
+						.then((serialized) => {
+							return deserializeResults(serialized, query);
+						});
+				});
+		}
+
+		saveItem(item, table, preventOverwrite) {
+			return writeThrough.call(this, () => super.saveItem(item, table, preventOverwrite), () => [ { table: table, key: Serializer.serialize(item, table, true) } ]);
+		}
+
+		updateItem(update) {
+			return writeThrough.call(this, () => super.updateItem(update), () => [ { table: update.table, key: update.toUpdateSchema().Key } ]);
+		}
+
+		deleteItem(item, table, explicit) {
+			return writeThrough.call(this, () => super.deleteItem(item, table, explicit), () => [ { table: table, key: Serializer.serialize(item, table, true, explicit) } ]);
+		}
+
+		createItems(items, table) {
+			return writeThrough.call(this, () => super.createItems(items, table), () => items.map(item => ({ table: table, key: Serializer.serialize(item, table, true) })));
+		}
+
+		deleteItems(items, table, explicit) {
+			return writeThrough.call(this, () => super.deleteItems(items, table, explicit), () => items.map(item => ({ table: table, key: Serializer.serialize(item, table, true, explicit) })));
+		}
+
+		executeTransaction(transaction) {
+			return writeThrough.call(this, () => super.executeTransaction(transaction), () => {
+				return transaction.operations.map((operation) => {
+					const wrapper = operation.toOperationSchema();
+					const schema = wrapper[Object.keys(wrapper)[0]];
+
+					return { table: operation.table, key: schema.Key || schema.Item };
+				});
+			});
+		}
+
+		toString() {
+			return '[CachingDynamoProvider]';
+		}
+	}
+
+	function getIsCacheable(table, consistentRead) {
+		return table instanceof Table && this._cache.getIsEnabled(table.name) && !(is.boolean(consistentRead) && consistentRead) && !this._options.preferConsistentReads;
+	}
+
+	function serialize(item, table) {
+		if (!is.object(item)) {
+			return item;
+		}
+
+		return Serializer.serialize(item, table, false, true);
+	}
+
+	function deserialize(serialized, table) {
+		if (!is.object(serialized)) {
+			return serialized;
+		}
+
+		return Serializer.deserialize(serialized, table);
+	}
+
+	function serializeResults(results, query) {
+		if (!is.array(results) || query.skipDeserialization) {
+			return results;
+		}
+
+		return results.map(item => serialize(item, query.table));
+	}
+
+	function deserializeResults(serialized, query) {
+		if (!is.array(serialized)) {
+			return serialized;
+		}
+
+		if (query.skipDeserialization) {
+			return copy(serialized);
+		}
+
+		return serialized.map(item => deserialize(item, query.table));
+	}
+
+	function copy(value) {
+		if (Buffer.isBuffer(value)) {
+			return Buffer.from(value);
+		} else if (is.array(value)) {
+			return value.map(copy);
+		} else if (is.object(value)) {
+			return Object.keys(value).reduce((accumulator, key) => {
+				accumulator[key] = copy(value[key]);
+
+				return accumulator;
+			}, { });
+		} else {
+			return value;
+		}
+	}
+
+	function getIdentifier(table, serialized) {
+		return JSON.stringify(table.keys.map(k => serialized[k.attribute.name]));
+	}
+
+	function writeThrough(write, getTargets) {
+		const invalidate = () => {
+			return Promise.resolve()
+				.then(() => {
+					const targets = getTargets().filter(t => this._cache.getIsEnabled(t.table.name));
+
+					const identifiers = targets.reduce((map, target) => {
+						if (!map.has(target.table.name)) {
+							map.set(target.table.name, [ ]);
+						}
+
+						map.get(target.table.name).push(getIdentifier(target.table, target.key));
+
+						return map;
+					}, new Map());
+
+					return Promise.all(Array.from(identifiers.keys()).map(tableName => this._cache.invalidate(tableName, identifiers.get(tableName))));
+				});
+		};
+
+		return write()
+			.then((result) => {
+				return invalidate().then(() => result);
+			}, (e) => {
+				return invalidate()
+					.catch((invalidateError) => {
+						logger.warn('Unable to invalidate cache after failed write', invalidateError);
+					}).then(() => {
+						throw e;
+					});
+			});
+	}
+
+	return CachingDynamoProvider;
+})();
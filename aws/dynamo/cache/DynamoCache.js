@@ -0,0 +1,262 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+const DynamoCacheStore = require('./DynamoCacheStore'),
+	MemoryCacheStore = require('./MemoryCacheStore');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Caches the results of reads (items, read by key, and the results of
+	 * queries) for selected tables, each with its own time-to-live. Writes
+	 * invalidate cached items (by key) and all cached query results for the
+	 * table. Invalidation only applies to writes made in the same process.
+	 *
+	 * Cached values are returned as stored, so they are shared by all readers
+	 * and must not be mutated. The {@link CachingDynamoProvider} stores items in
+	 * the DynamoDB format, giving each reader its own (deserialized) copy.
+	 *
+	 * @public
+	 * @param {DynamoCacheStore=} store - Where results are stored (defaults to a {@link MemoryCacheStore}).
+	 */
+	class DynamoCache {
+		constructor(store) {
+			assert.argumentIsOptional(store, 'store', DynamoCacheStore, 'DynamoCacheStore');
+
+			this._store = store || new MemoryCacheStore();
+
+			this._tables = new Map();
+			this._statistics = { };
+		}
+
+		/**
+		 * The underlying store.
+		 *
+		 * @public
+		 * @returns {DynamoCacheStore}
+		 */
+		get store() {
+			return this._store;
+		}
+
+		/**
+		 * Enables caching for a table, then returns the current instance.
+		 *
+		 * @public
+		 * @param {String} tableName - The (qualified) name of the table.
+		 * @param {Number} ttl - The number of milliseconds results are kept.
+		 * @returns {DynamoCache}
+		 */
+		withTable(tableName, ttl) {
+			assert.argumentIsRequired(tableName, 'tableName', String);
+			assert.argumentIsRequired(ttl, 'ttl', Number);
+
+			if (!(is.integer(ttl) && is.positive(ttl))) {
+				throw new Error('The time-to-live must be a positive integer.');
+			}
+
+			this._tables.set(tableName, { ttl: ttl, generation: 0 });
+
+			return this;
+		}
+
+		/**
+		 * Indicates if caching is enabled for a table.
+		 *
+		 * @public
+		 * @param {String} tableName
+		 * @returns {Boolean}
+		 */
+		getIsEnabled(tableName) {
+			return this._tables.has(tableName);
+		}
+
+		/**
+		 * Returns a cached item. If the item is not cached, the loader is invoked
+		 * and its result is cached.
+		 *
+		 * @public
+		 * @param {String} tableName
+		 * @param {String} identifier - Uniquely identifies the item's key.
+		 * @param {Function} loader - Returns a promise for the item (or a null value).
+		 * @returns {Promise<Object|null>}
+		 */
+		getItem(tableName, identifier, loader) {
+			return this.getItems(tableName, [ identifier ], () => loader().then(item => [ item ]))
+				.then((items) => {
+					return items[0];
+				});
+		}
+
+		/**
+		 * Returns cached items. The loader is invoked for items which are not
+		 * cached (if any) and its results are cached.
+		 *
+		 * @public
+		 * @param {String} tableName
+		 * @param {String[]} identifiers - Uniquely identifies each item's key.
+		 * @param {Function} loader - Accepts the identifiers which are not cached and returns a promise for the items (in the same order, with a null value for each missing item).
+		 * @returns {Promise<Array<Object|null>>}
+		 */
+		getItems(tableName, identifiers, loader) {
+			return Promise.resolve()
+				.then(() => {
+					const table = getTable.call(this, tableName);
+					const generation = table.generation;
+
+					return Promise.all(identifiers.map(identifier => this._store.get(getItemKey(tableName, identifier))))
+						.then((entries) => {
+							const missing = identifiers.filter((identifier, i) => is.undefined(entries[i]));
+
+							record.call(this, tableName, identifiers.length - missing.length, missing.length);
+
+							if (missing.length === 0) {
+								return entries.map(e => e.value);
+							}
+
+							return loader(missing)
+								.then((items) => {
+									const loaded = new Map(missing.map((identifier, i) => [ identifier, items[i] ]));
+
+									let storePromise;
+
+									if (table.generation === generation) {
+										storePromise = Promise.all(missing.map(identifier => this._store.set(getItemKey(tableName, identifier), { value: loaded.get(identifier) }, table.ttl)));
+									} else {
+										storePromise = Promise.resolve();
+									}
+
+									return storePromise.then(() => {
+										return identifiers.map((identifier, i) => {
+											if (is.undefined(entries[i])) {
+												return loaded.get(identifier);
+											} else {
+												return entries[i].value;
+											}
+										});
+									});
+								});
+						});
+				});
+		}
+
+		/**
+		 * Returns the cached results of a query. If the results are not cached,
+		 * the loader is invoked and its result is cached.
+		 *
+		 * @public
+		 * @param {String} tableName
+		 * @param {String} signature - Uniquely identifies the query.
+		 * @param {Function} loader - Returns a promise for the results.
+		 * @returns {Promise<*>}
+		 */
+		getQuery(tableName, signature, loader) {
+			return Promise.resolve()
+				.then(() => {
+					const table = getTable.call(this, tableName);
+					const generation = table.generation;
+
+					const key = `${tableName}:query:${generation}:${signature}`;
+
+					return this._store.get(key)
+						.then((entry) => {
+							if (!is.undefined(entry)) {
+								record.call(this, tableName, 1, 0);
+
+								return entry.value;
+							}
+
+							record.call(this, tableName, 0, 1);
+
+							return loader()
+								.then((results) => {
+									let storePromise;
+
+									if (table.generation === generation) {
+										storePromise = this._store.set(key, { value: results }, table.ttl);
+									} else {
+										storePromise = Promise.resolve();
+									}
+
+									return storePromise.then(() => results);
+								});
+						});
+				});
+		}
+
+		/**
+		 * Discards cached items (by key) and all cached query results for a
+		 * table. Call this after writing to the table.
+		 *
+		 * @public
+		 * @param {String} tableName
+		 * @param {String[]} identifiers - Uniquely identifies each item's key.
+		 * @returns {Promise}
+		 */
+		invalidate(tableName, identifiers) {
+			return Promise.resolve()
+				.then(() => {
+					if (!this._tables.has(tableName)) {
+						return;
+					}
+
+					const table = this._tables.get(tableName);
+
+					table.generation = table.generation + 1;
+
+					return Promise.all(identifiers.map(identifier => this._store.delete(getItemKey(tableName, identifier))));
+				}).then(() => {
+					return null;
+				});
+		}
+
+		/**
+		 * Returns a copy of the hit and miss counters, keyed by table name (or
+		 * for a single table).
+		 *
+		 * @public
+		 * @param {String=} tableName
+		 * @returns {Object}
+		 */
+		getStatistics(tableName) {
+			assert.argumentIsOptional(tableName, 'tableName', String);
+
+			if (tableName) {
+				return object.clone(this._statistics[tableName] || { hits: 0, misses: 0 });
+			}
+
+			return object.clone(this._statistics);
+		}
+
+		toString() {
+			return '[DynamoCache]';
+		}
+	}
+
+	function getTable(tableName) {
+		if (!this._tables.has(tableName)) {
+			throw new Error(`Caching is not enabled for the [ ${tableName} ] table.`);
+		}
+
+		return this._tables.get(tableName);
+	}
+
+	function getItemKey(tableName, identifier) {
+		return `${tableName}:item:${identifier}`;
+	}
+
+	function record(tableName, hits, misses) {
+		if (!this._statistics.hasOwnProperty(tableName)) {
+			this._statistics[tableName] = { hits: 0, misses: 0 };
+		}
+
+		const statistics = this._statistics[tableName];
+
+		statistics.hits = statistics.hits + hits;
+		statistics.misses = statistics.misses + misses;
+	}
+
+	return DynamoCache;
+})();
@@ -0,0 +1,73 @@
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Storage for a {@link DynamoCache}. Implementations may keep values in
+	 * memory (see {@link MemoryCacheStore}) or delegate to an external service.
+	 * Each function returns a promise, so either is possible.
+	 *
+	 * @public
+	 * @interface
+	 */
+	class DynamoCacheStore {
+		constructor() {
+
+		}
+
+		/**
+		 * Returns a value (or an undefined value, if the key is not present or
+		 * the value has expired).
+		 *
+		 * @public
+		 * @abstract
+		 * @param {String} key
+		 * @returns {Promise<*|undefined>}
+		 */
+		get(key) {
+			return Promise.resolve(undefined);
+		}
+
+		/**
+		 * Stores a value.
+		 *
+		 * @public
+		 * @abstract
+		 * @param {String} key
+		 * @param {*} value
+		 * @param {Number} ttl - The number of milliseconds the value should be kept.
+		 * @returns {Promise}
+		 */
+		set(key, value, ttl) {
+			return Promise.resolve();
+		}
+
+		/**
+		 * Removes a value.
+		 *
+		 * @public
+		 * @abstract
+		 * @param {String} key
+		 * @returns {Promise}
+		 */
+		delete(key) {
+			return Promise.resolve();
+		}
+
+		/**
+		 * Removes all values.
+		 *
+		 * @public
+		 * @abstract
+		 * @returns {Promise}
+		 */
+		clear() {
+			return Promise.resolve();
+		}
+
+		toString() {
+			return '[DynamoCacheStore]';
+		}
+	}
+
+	return DynamoCacheStore;
+})();
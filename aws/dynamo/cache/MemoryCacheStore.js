@@ -0,0 +1,101 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const DynamoCacheStore = require('./DynamoCacheStore');
+
+module.exports = (() => {
+	'use strict';
+
+	const DEFAULT_CAPACITY = 1000;
+
+	/**
+	 * A {@link DynamoCacheStore} which keeps values in memory. When the capacity
+	 * is reached, the least recently used value is discarded.
+	 *
+	 * @public
+	 * @extends {DynamoCacheStore}
+	 * @param {Number=} capacity - The maximum number of values to keep (defaults to 1,000).
+	 * @param {Function=} now - Returns the current time, in milliseconds (defaults to "Date.now").
+	 */
+	class MemoryCacheStore extends DynamoCacheStore {
+		constructor(capacity, now) {
+			super();
+
+			assert.argumentIsOptional(capacity, 'capacity', Number);
+			assert.argumentIsOptional(now, 'now', Function);
+
+			if (is.number(capacity) && !(is.integer(capacity) && is.positive(capacity))) {
+				throw new Error('The capacity must be a positive integer.');
+			}
+
+			this._capacity = capacity || DEFAULT_CAPACITY;
+			this._now = now || Date.now;
+
+			this._entries = new Map();
+		}
+
+		/**
+		 * The number of values stored (including values which have expired,
+		 * but have not been discarded).
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get size() {
+			return this._entries.size;
+		}
+
+		get(key) {
+			return Promise.resolve()
+				.then(() => {
+					if (!this._entries.has(key)) {
+						return undefined;
+					}
+
+					const entry = this._entries.get(key);
+
+					this._entries.delete(key);
+
+					if (entry.expiration <= this._now()) {
+						return undefined;
+					}
+
+					this._entries.set(key, entry);
+
+					return entry.value;
+				});
+		}
+
+		set(key, value, ttl) {
+			return Promise.resolve()
+				.then(() => {
+					this._entries.delete(key);
+					this._entries.set(key, { value: value, expiration: this._now() + ttl });
+
+					while (this._entries.size > this._capacity) {
+						this._entries.delete(this._entries.keys().next().value);
+					}
+				});
+		}
+
+		delete(key) {
+			return Promise.resolve()
+				.then(() => {
+					this._entries.delete(key);
+				});
+		}
+
+		clear() {
+			return Promise.resolve()
+				.then(() => {
+					this._entries.clear();
+				});
+		}
+
+		toString() {
+			return '[MemoryCacheStore]';
+		}
+	}
+
+	return MemoryCacheStore;
+})();
@@ -0,0 +1,954 @@
+const is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+const EmulatedTable = require('./EmulatedTable'),
+	ExpressionEvaluator = require('./ExpressionEvaluator'),
+	ExpressionParser = require('./ExpressionParser');
+
+module.exports = (() => {
+	'use strict';
+
+	const MAXIMUM_PAGE_BYTES = 1024 * 1024;
+
+	const MAXIMUM_BATCH_WRITE_ITEMS = 25;
+	const MAXIMUM_BATCH_GET_ITEMS = 100;
+	const MAXIMUM_TRANSACTION_ITEMS = 100;
+
+	const READ_UNIT_BYTES = 4096;
+	const WRITE_UNIT_BYTES = 1024;
+
+	/**
+	 * An in-process stand-in for the DynamoDB client from the AWS SDK, intended
+	 * for unit tests. Pass an instance to the {@link DynamoProvider} constructor
+	 * (using the "client" option) and all operations will be performed against
+	 * tables stored in memory.
+	 *
+	 * Supports table management (including time-to-live settings, backups, and
+	 * point-in-time recovery), single-item reads and writes (including conditional
+	 * writes and update expressions), batch reads and writes, queries (against
+	 * tables and secondary indices), scans (including parallel scans), paging, and
+	 * transactions. Errors are reported using the same codes the DynamoDB service
+	 * uses. No history is kept, so a point-in-time restore copies the table's
+	 * current items. Consumed capacity is estimated from item sizes (writes to
+	 * secondary indices are not counted).
+	 *
+	 * @public
+	 * @param {Object=} options
+	 * @param {Function=} options.now - Returns the current time, in milliseconds (used to expire items with a time-to-live attribute).
+	 * @param {Number=} options.pageSize - The maximum number of items to evaluate per query (or scan) request, simulating the service's one megabyte page limit.
+	 */
+	class DynamoEmulator {
+		constructor(options) {
+			this._options = Object.assign({ now: () => Date.now(), pageSize: 0 }, options || { });
+
+			this._tables = new Map();
+			this._backups = new Map();
+			this._recovery = new Set();
+		}
+
+		/**
+		 * Returns the raw items (in DynamoDB format) stored in a table.
+		 *
+		 * @public
+		 * @param {String} tableName
+		 * @returns {Object[]}
+		 */
+		getItems(tableName) {
+			return getTable.call(this, tableName).getItems();
+		}
+
+		/**
+		 * Discards all tables and backups.
+		 *
+		 * @public
+		 */
+		reset() {
+			this._tables.clear();
+			this._backups.clear();
+			this._recovery.clear();
+		}
+
+		createTable(params, callback) {
+			return createRequest(() => {
+				const name = params.TableName;
+
+				if (this._tables.has(name)) {
+					throw ExpressionParser.createError('ResourceInUseException', `Table already exists: ${name}`);
+				}
+
+				const definitions = params.AttributeDefinitions || [ ];
+				const keySchemas = [ params.KeySchema ].concat((params.GlobalSecondaryIndexes || [ ]).map(i => i.KeySchema), (params.LocalSecondaryIndexes || [ ]).map(i => i.KeySchema));
+
+				keySchemas.forEach((keySchema) => {
+					if (!is.array(keySchema) || !keySchema.some(k => k.KeyType === 'HASH')) {
+						throw ExpressionParser.createError('ValidationException', 'No Hash Key specified in schema.  All Dynamo DB tables must have exactly one hash key');
+					}
+
+					keySchema.forEach((k) => {
+						if (!definitions.some(d => d.AttributeName === k.AttributeName)) {
+							throw ExpressionParser.createError('ValidationException', `One or more parameter values were invalid: Some index key attributes are not defined in AttributeDefinitions. Keys: [${k.AttributeName}]`);
+						}
+					});
+				});
+
+				const table = new EmulatedTable(params, new Date(this._options.now()));
+
+				this._tables.set(name, table);
+
+				return { TableDescription: table.describe() };
+			}, callback);
+		}
+
+		describeTable(params, callback) {
+			return createRequest(() => {
+				return { Table: getTable.call(this, params.TableName).describe() };
+			}, callback);
+		}
+
+		deleteTable(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.TableName);
+				const description = table.describe();
+
+				description.TableStatus = 'DELETING';
+
+				this._tables.delete(table.name);
+				this._recovery.delete(table.name);
+
+				return { TableDescription: description };
+			}, callback);
+		}
+
+		updateTable(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.TableName);
+				const schema = object.clone(table.schema);
+
+				const definitions = (schema.AttributeDefinitions || [ ]).concat((params.AttributeDefinitions || [ ]).filter(ad => !(schema.AttributeDefinitions || [ ]).some(d => d.AttributeName === ad.AttributeName)));
+
+				if (is.string(params.BillingMode)) {
+					schema.BillingMode = params.BillingMode;
+
+					if (params.BillingMode === 'PAY_PER_REQUEST') {
+						delete schema.ProvisionedThroughput;
+
+						(schema.GlobalSecondaryIndexes || [ ]).forEach(i => delete i.ProvisionedThroughput);
+					}
+				}
+
+				if (is.object(params.ProvisionedThroughput)) {
+					schema.ProvisionedThroughput = object.clone(params.ProvisionedThroughput);
+				}
+
+				const updates = params.GlobalSecondaryIndexUpdates || [ ];
+
+				if (updates.filter(u => is.object(u.Create) || is.object(u.Delete)).length > 1) {
+					throw ExpressionParser.createError('LimitExceededException', 'Subscriber limit exceeded: Only 1 online index can be created or deleted simultaneously per table');
+				}
+
+				updates.forEach((update) => {
+					const indices = schema.GlobalSecondaryIndexes || [ ];
+
+					if (is.object(update.Create)) {
+						if (indices.some(i => i.IndexName === update.Create.IndexName)) {
+							throw ExpressionParser.createError('ValidationException', `One or more parameter values were invalid: Index already exists: ${update.Create.IndexName}`);
+						}
+
+						update.Create.KeySchema.forEach((k) => {
+							if (!definitions.some(d => d.AttributeName === k.AttributeName)) {
+								throw ExpressionParser.createError('ValidationException', `One or more parameter values were invalid: Some index key attributes are not defined in AttributeDefinitions. Keys: [${k.AttributeName}]`);
+							}
+						});
+
+						schema.GlobalSecondaryIndexes = indices.concat([ object.clone(update.Create) ]);
+					} else if (is.object(update.Delete)) {
+						if (!indices.some(i => i.IndexName === update.Delete.IndexName)) {
+							throw ExpressionParser.createError('ResourceNotFoundException', `Requested resource not found: Index: ${update.Delete.IndexName} not found`);
+						}
+
+						schema.GlobalSecondaryIndexes = indices.filter(i => i.IndexName !== update.Delete.IndexName);
+					} else if (is.object(update.Update)) {
+						const index = indices.find(i => i.IndexName === update.Update.IndexName);
+
+						if (!index) {
+							throw ExpressionParser.createError('ResourceNotFoundException', `Requested resource not found: Index: ${update.Update.IndexName} not found`);
+						}
+
+						index.ProvisionedThroughput = object.clone(update.Update.ProvisionedThroughput);
+					}
+				});
+
+				if (is.object(params.StreamSpecification)) {
+					const enabled = is.object(schema.StreamSpecification) && schema.StreamSpecification.StreamEnabled === true;
+
+					if (params.StreamSpecification.StreamEnabled === enabled) {
+						throw ExpressionParser.createError('ValidationException', `Table ${table.name} already has ${enabled ? 'an enabled' : 'no'} stream`);
+					}
+
+					schema.StreamSpecification = object.clone(params.StreamSpecification);
+				}
+
+				schema.AttributeDefinitions = definitions;
+
+				table.setSchema(schema);
+
+				return { TableDescription: table.describe() };
+			}, callback);
+		}
+
+		listTables(params, callback) {
+			return createRequest(() => {
+				const p = params || { };
+				const limit = p.Limit || 100;
+
+				const names = Array.from(this._tables.keys())
+					.sort()
+					.filter(name => !is.string(p.ExclusiveStartTableName) || name > p.ExclusiveStartTableName);
+
+				const page = names.slice(0, limit);
+				const result = { TableNames: page };
+
+				if (names.length > page.length) {
+					result.LastEvaluatedTableName = page[page.length - 1];
+				}
+
+				return result;
+			}, callback);
+		}
+
+		waitFor(state, params, callback) {
+			return createRequest(() => {
+				if (state === 'tableExists') {
+					return { Table: getTable.call(this, params.TableName).describe() };
+				} else if (state === 'tableNotExists') {
+					if (this._tables.has(params.TableName)) {
+						throw ExpressionParser.createError('ResourceNotReady', `Resource is not in the state ${state}`);
+					}
+
+					return { };
+				} else {
+					throw ExpressionParser.createError('ValidationException', `State ${state} not found.`);
+				}
+			}, callback);
+		}
+
+		updateTimeToLive(params, callback) {
+			return createRequest(() => {
+				getTable.call(this, params.TableName).setTimeToLive(params.TimeToLiveSpecification);
+
+				return { TimeToLiveSpecification: object.clone(params.TimeToLiveSpecification) };
+			}, callback);
+		}
+
+		describeTimeToLive(params, callback) {
+			return createRequest(() => {
+				const ttl = getTable.call(this, params.TableName).ttl;
+
+				let description;
+
+				if (ttl === null) {
+					description = { TimeToLiveStatus: 'DISABLED' };
+				} else {
+					description = { TimeToLiveStatus: 'ENABLED', AttributeName: ttl.AttributeName };
+				}
+
+				return { TimeToLiveDescription: description };
+			}, callback);
+		}
+
+		createBackup(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.TableName);
+				const created = new Date(this._options.now());
+
+				const details = {
+					BackupArn: `${table.describe().TableArn}/backup/${created.getTime()}-${this._backups.size}`,
+					BackupName: params.BackupName,
+					BackupSizeBytes: table.getItems().reduce((total, item) => total + EmulatedTable.getSize(item), 0),
+					BackupStatus: 'AVAILABLE',
+					BackupType: 'USER',
+					BackupCreationDateTime: created
+				};
+
+				this._backups.set(details.BackupArn, { details: details, table: table.name, schema: object.clone(table.schema), items: table.getItems() });
+
+				return { BackupDetails: object.clone(details) };
+			}, callback);
+		}
+
+		listBackups(params, callback) {
+			return createRequest(() => {
+				const p = params || { };
+
+				const summaries = Array.from(this._backups.values())
+					.filter(b => !is.string(p.TableName) || b.table === p.TableName)
+					.filter(b => !p.TimeRangeLowerBound || b.details.BackupCreationDateTime >= new Date(p.TimeRangeLowerBound))
+					.filter(b => !p.TimeRangeUpperBound || b.details.BackupCreationDateTime <= new Date(p.TimeRangeUpperBound))
+					.map(b => Object.assign({ TableName: b.table }, object.clone(b.details)));
+
+				return { BackupSummaries: summaries };
+			}, callback);
+		}
+
+		deleteBackup(params, callback) {
+			return createRequest(() => {
+				const backup = this._backups.get(params.BackupArn);
+
+				if (!backup) {
+					throw ExpressionParser.createError('BackupNotFoundException', `Backup not found: ${params.BackupArn}`);
+				}
+
+				this._backups.delete(params.BackupArn);
+
+				return { BackupDescription: { BackupDetails: object.clone(backup.details) } };
+			}, callback);
+		}
+
+		restoreTableFromBackup(params, callback) {
+			return createRequest(() => {
+				const backup = this._backups.get(params.BackupArn);
+
+				if (!backup) {
+					throw ExpressionParser.createError('BackupNotFoundException', `Backup not found: ${params.BackupArn}`);
+				}
+
+				return { TableDescription: restoreTable.call(this, params.TargetTableName, backup.schema, backup.items).describe() };
+			}, callback);
+		}
+
+		updateContinuousBackups(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.TableName);
+
+				if (params.PointInTimeRecoverySpecification.PointInTimeRecoveryEnabled) {
+					this._recovery.add(table.name);
+				} else {
+					this._recovery.delete(table.name);
+				}
+
+				return { ContinuousBackupsDescription: describeContinuousBackups.call(this, table) };
+			}, callback);
+		}
+
+		describeContinuousBackups(params, callback) {
+			return createRequest(() => {
+				return { ContinuousBackupsDescription: describeContinuousBackups.call(this, getTable.call(this, params.TableName)) };
+			}, callback);
+		}
+
+		restoreTableToPointInTime(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.SourceTableName);
+
+				if (!this._recovery.has(table.name)) {
+					throw ExpressionParser.createError('PointInTimeRecoveryUnavailableException', `Point in time recovery is not enabled for table '${table.name}'`);
+				}
+
+				return { TableDescription: restoreTable.call(this, params.TargetTableName, table.schema, table.getItems()).describe() };
+			}, callback);
+		}
+
+		putItem(params, callback) {
+			return createRequest(() => {
+				const write = prepareWrite.call(this, 'Put', params);
+
+				if (!write.passed) {
+					throw getConditionalCheckFailedError();
+				}
+
+				write.commit();
+
+				return addConsumedCapacity(getReturnValues(params.ReturnValues, write), params, [ { table: write.table, units: getWriteUnits(write.existing, write.next) } ], true);
+			}, callback);
+		}
+
+		updateItem(params, callback) {
+			return createRequest(() => {
+				const write = prepareWrite.call(this, 'Update', params);
+
+				if (!write.passed) {
+					throw getConditionalCheckFailedError();
+				}
+
+				write.commit();
+
+				return addConsumedCapacity(getReturnValues(params.ReturnValues, write), params, [ { table: write.table, units: getWriteUnits(write.existing, write.next) } ], true);
+			}, callback);
+		}
+
+		deleteItem(params, callback) {
+			return createRequest(() => {
+				const write = prepareWrite.call(this, 'Delete', params);
+
+				if (!write.passed) {
+					throw getConditionalCheckFailedError();
+				}
+
+				write.commit();
+
+				return addConsumedCapacity(getReturnValues(params.ReturnValues, write), params, [ { table: write.table, units: getWriteUnits(write.existing, write.next) } ], true);
+			}, callback);
+		}
+
+		getItem(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.TableName);
+				const item = table.get(table.getKey(params.Key, true));
+
+				const result = { };
+
+				if (item !== null) {
+					result.Item = applyProjection(params, item);
+				}
+
+				return addConsumedCapacity(result, params, [ { table: table, units: getReadUnits(item, params.ConsistentRead) } ], false);
+			}, callback);
+		}
+
+		batchWriteItem(params, callback) {
+			return createRequest(() => {
+				const requests = Object.keys(params.RequestItems || { }).reduce((accumulator, tableName) => {
+					const table = getTable.call(this, tableName);
+
+					return accumulator.concat(params.RequestItems[tableName].map(r => ({ table: table, request: r })));
+				}, [ ]);
+
+				if (requests.length === 0 || requests.length > MAXIMUM_BATCH_WRITE_ITEMS) {
+					throw ExpressionParser.createError('ValidationException', `Too many items requested for the BatchWriteItem call`);
+				}
+
+				requests.forEach((r) => {
+					if (is.object(r.request.PutRequest)) {
+						r.table.getKey(r.request.PutRequest.Item);
+					} else if (is.object(r.request.DeleteRequest)) {
+						r.table.getKey(r.request.DeleteRequest.Key, true);
+					} else {
+						throw ExpressionParser.createError('ValidationException', 'Supplied AttributeValue has more than one datatypes set, must contain exactly one of the supported datatypes');
+					}
+				});
+
+				const usage = requests.map((r) => {
+					let units;
+
+					if (is.object(r.request.PutRequest)) {
+						units = getWriteUnits(r.table.get(r.table.getKey(r.request.PutRequest.Item)), r.request.PutRequest.Item);
+
+						r.table.put(r.request.PutRequest.Item);
+					} else {
+						units = getWriteUnits(r.table.get(r.table.getKey(r.request.DeleteRequest.Key, true)));
+
+						r.table.delete(r.request.DeleteRequest.Key);
+					}
+
+					return { table: r.table, units: units };
+				});
+
+				return addConsumedCapacity({ UnprocessedItems: { } }, params, usage, true, true);
+			}, callback);
+		}
+
+		batchGetItem(params, callback) {
+			return createRequest(() => {
+				const tableNames = Object.keys(params.RequestItems || { });
+
+				const count = tableNames.reduce((total, tableName) => total + params.RequestItems[tableName].Keys.length, 0);
+
+				if (count === 0 || count > MAXIMUM_BATCH_GET_ITEMS) {
+					throw ExpressionParser.createError('ValidationException', `Too many items requested for the BatchGetItem call`);
+				}
+
+				const usage = [ ];
+
+				const responses = tableNames.reduce((accumulator, tableName) => {
+					const table = getTable.call(this, tableName);
+					const request = params.RequestItems[tableName];
+
+					const items = request.Keys.map(key => table.get(table.getKey(key, true)));
+
+					items.forEach((item) => {
+						usage.push({ table: table, units: getReadUnits(item, request.ConsistentRead) });
+					});
+
+					accumulator[tableName] = items
+						.filter(item => item !== null)
+						.map(item => applyProjection(request, item));
+
+					return accumulator;
+				}, { });
+
+				return addConsumedCapacity({ Responses: responses, UnprocessedKeys: { } }, params, usage, false, true);
+			}, callback);
+		}
+
+		query(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.TableName);
+				const view = table.getView(params.IndexName);
+
+				if (!is.string(params.KeyConditionExpression)) {
+					throw ExpressionParser.createError('ValidationException', 'Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+				}
+
+				const keyCondition = ExpressionParser.parseCondition(params.KeyConditionExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+				validateKeyCondition(keyCondition, view);
+
+				let candidates = view.items.filter(item => ExpressionEvaluator.evaluate(keyCondition, item));
+
+				const forward = !is.boolean(params.ScanIndexForward) || params.ScanIndexForward;
+
+				if (!forward) {
+					candidates = candidates.reverse();
+				}
+
+				return read.call(this, table, view, candidates, params, forward);
+			}, callback);
+		}
+
+		scan(params, callback) {
+			return createRequest(() => {
+				const table = getTable.call(this, params.TableName);
+				const view = table.getView(params.IndexName);
+
+				let candidates = view.items;
+
+				if (is.number(params.TotalSegments)) {
+					if (!is.number(params.Segment) || params.Segment < 0 || params.Segment >= params.TotalSegments) {
+						throw ExpressionParser.createError('ValidationException', 'The Segment parameter is required but was not present in the request when parameter TotalSegments is present');
+					}
+
+					candidates = candidates.filter(item => getSegment(item[view.hashName], params.TotalSegments) === params.Segment);
+				}
+
+				return read.call(this, table, view, candidates, params, true);
+			}, callback);
+		}
+
+		transactWriteItems(params, callback) {
+			return createRequest(() => {
+				const operations = params.TransactItems || [ ];
+
+				if (operations.length === 0 || operations.length > MAXIMUM_TRANSACTION_ITEMS) {
+					throw ExpressionParser.createError('ValidationException', `Member must have length less than or equal to ${MAXIMUM_TRANSACTION_ITEMS}`);
+				}
+
+				const writes = operations.map((operation) => {
+					const type = Object.keys(operation)[0];
+
+					return prepareWrite.call(this, type, operation[type]);
+				});
+
+				const targets = writes.map(w => `${w.table.name}/${JSON.stringify(w.key)}`);
+
+				if (targets.some((t, i) => targets.indexOf(t) !== i)) {
+					throw ExpressionParser.createError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+				}
+
+				if (writes.some(w => !w.passed)) {
+					const reasons = writes.map((w) => {
+						if (w.passed) {
+							return { Code: 'None' };
+						} else {
+							return { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' };
+						}
+					});
+
+					const error = ExpressionParser.createError('TransactionCanceledException', `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(r => r.Code).join(', ')}]`);
+
+					Object.defineProperty(error, 'CancellationReasons', { value: reasons, enumerable: false });
+
+					throw error;
+				}
+
+				writes.forEach(w => w.commit());
+
+				return addConsumedCapacity({ }, params, writes.map(w => ({ table: w.table, units: getWriteUnits(w.existing, w.next) * 2 })), true, true);
+			}, callback);
+		}
+
+		toString() {
+			return '[DynamoEmulator]';
+		}
+	}
+
+	function createRequest(handler, callback) {
+		let pending = null;
+
+		const send = () => {
+			if (pending === null) {
+				pending = new Promise((resolve) => {
+					setImmediate(() => {
+						try {
+							resolve({ error: null, data: handler() });
+						} catch (e) {
+							resolve({ error: e, data: null });
+						}
+					});
+				});
+			}
+
+			return pending;
+		};
+
+		const request = {
+			promise: () => {
+				return send().then((result) => {
+					if (result.error) {
+						return Promise.reject(result.error);
+					} else {
+						return result.data;
+					}
+				});
+			},
+			send: (c) => {
+				send().then((result) => {
+					if (is.fn(c)) {
+						setImmediate(() => c(result.error, result.data));
+					}
+				});
+			}
+		};
+
+		if (is.fn(callback)) {
+			request.send(callback);
+		}
+
+		return request;
+	}
+
+	function getTable(name) {
+		const table = this._tables.get(name) || null;
+
+		if (table === null) {
+			throw ExpressionParser.createError('ResourceNotFoundException', `Requested resource not found: Table: ${name} not found`);
+		}
+
+		table.purge(this._options.now());
+
+		return table;
+	}
+
+	function restoreTable(name, schema, items) {
+		if (this._tables.has(name)) {
+			throw ExpressionParser.createError('TableAlreadyExistsException', `Table already exists: ${name}`);
+		}
+
+		const table = new EmulatedTable(Object.assign(object.clone(schema), { TableName: name }), new Date(this._options.now()));
+
+		items.forEach(item => table.put(item));
+
+		this._tables.set(name, table);
+
+		return table;
+	}
+
+	function describeContinuousBackups(table) {
+		const enabled = this._recovery.has(table.name);
+
+		const description = {
+			ContinuousBackupsStatus: 'ENABLED',
+			PointInTimeRecoveryDescription: {
+				PointInTimeRecoveryStatus: enabled ? 'ENABLED' : 'DISABLED'
+			}
+		};
+
+		if (enabled) {
+			const now = new Date(this._options.now());
+
+			description.PointInTimeRecoveryDescription.EarliestRestorableDateTime = now;
+			description.PointInTimeRecoveryDescription.LatestRestorableDateTime = now;
+		}
+
+		return description;
+	}
+
+	function prepareWrite(type, params) {
+		const table = getTable.call(this, params.TableName);
+
+		let key;
+
+		if (type === 'Put') {
+			key = table.getKey(params.Item);
+		} else if (type === 'Update' || type === 'Delete' || type === 'ConditionCheck') {
+			key = table.getKey(params.Key, true);
+		} else {
+			throw ExpressionParser.createError('ValidationException', `Unsupported transaction operation [ ${type} ]`);
+		}
+
+		const existing = table.get(key);
+
+		let passed;
+
+		if (is.string(params.ConditionExpression)) {
+			passed = ExpressionEvaluator.evaluate(ExpressionParser.parseCondition(params.ConditionExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues), existing);
+		} else if (type === 'ConditionCheck') {
+			throw ExpressionParser.createError('ValidationException', 'The ConditionExpression parameter is required for a condition check');
+		} else {
+			passed = true;
+		}
+
+		let next;
+		let updated;
+
+		if (type === 'Put') {
+			next = params.Item;
+			updated = Object.keys(params.Item);
+		} else if (type === 'Update') {
+			if (is.string(params.UpdateExpression)) {
+				const actions = ExpressionParser.parseUpdate(params.UpdateExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+				updated = actions.map(a => a.path.elements[0]).filter((name, i, names) => names.indexOf(name) === i);
+
+				const keyNames = Object.keys(key);
+
+				updated.forEach((name) => {
+					if (keyNames.includes(name)) {
+						throw ExpressionParser.createError('ValidationException', `One or more parameter values were invalid: Cannot update attribute ${name}. This attribute is part of the key`);
+					}
+				});
+
+				next = ExpressionEvaluator.update(actions, existing || key);
+			} else {
+				next = existing || key;
+				updated = [ ];
+			}
+		} else if (type === 'Delete') {
+			next = null;
+			updated = existing === null ? [ ] : Object.keys(existing);
+		} else {
+			next = existing;
+			updated = [ ];
+		}
+
+		return {
+			table: table,
+			key: key,
+			passed: passed,
+			existing: existing,
+			next: next,
+			updated: updated,
+			commit: () => {
+				if (type === 'Put' || type === 'Update') {
+					table.put(next);
+				} else if (type === 'Delete') {
+					table.delete(key);
+				}
+			}
+		};
+	}
+
+	function getReturnValues(returnValues, write) {
+		const select = (item) => {
+			return write.updated.reduce((selected, name) => {
+				if (item !== null && item.hasOwnProperty(name)) {
+					selected[name] = item[name];
+				}
+
+				return selected;
+			}, { });
+		};
+
+		let attributes;
+
+		if (returnValues === 'ALL_OLD') {
+			attributes = write.existing;
+		} else if (returnValues === 'ALL_NEW') {
+			attributes = write.next;
+		} else if (returnValues === 'UPDATED_OLD') {
+			attributes = select(write.existing);
+		} else if (returnValues === 'UPDATED_NEW') {
+			attributes = select(write.next);
+		} else {
+			attributes = null;
+		}
+
+		const result = { };
+
+		if (attributes !== null && Object.keys(attributes).length !== 0) {
+			result.Attributes = ExpressionEvaluator.copy(attributes);
+		}
+
+		return result;
+	}
+
+	function getConditionalCheckFailedError() {
+		return ExpressionParser.createError('ConditionalCheckFailedException', 'The conditional request failed');
+	}
+
+	function applyProjection(params, item) {
+		if (is.string(params.ProjectionExpression)) {
+			return ExpressionEvaluator.project(ExpressionParser.parseProjection(params.ProjectionExpression, params.ExpressionAttributeNames), item);
+		} else {
+			return item;
+		}
+	}
+
+	function validateKeyCondition(node, view) {
+		const paths = [ ];
+
+		const collect = (n) => {
+			if (n.type === 'and') {
+				collect(n.left);
+				collect(n.right);
+			} else if (n.type === 'compare' || n.type === 'between' || n.type === 'function') {
+				if (n.type === 'function' && n.name !== 'begins_with') {
+					throw ExpressionParser.createError('ValidationException', `Invalid operator used in KeyConditionExpression: ${n.name}`);
+				}
+
+				if (n.type === 'compare' && n.operator === '<>') {
+					throw ExpressionParser.createError('ValidationException', 'Unsupported operator in KeyConditionExpression: <>');
+				}
+
+				[ n.left, n.operand, n.args && n.args[0] ].filter(o => o && o.type === 'path').forEach(o => paths.push(o.elements.join('.')));
+			} else {
+				throw ExpressionParser.createError('ValidationException', `Invalid operator used in KeyConditionExpression: ${n.type.toUpperCase()}`);
+			}
+		};
+
+		collect(node);
+
+		if (!paths.includes(view.hashName)) {
+			throw ExpressionParser.createError('ValidationException', `Query condition missed key schema element: ${view.hashName}`);
+		}
+
+		paths.forEach((path) => {
+			if (path !== view.hashName && path !== view.rangeName) {
+				throw ExpressionParser.createError('ValidationException', `Query key condition not supported; attribute: ${path}`);
+			}
+		});
+	}
+
+	function read(table, view, candidates, params, forward) {
+		let start = 0;
+
+		if (is.object(params.ExclusiveStartKey)) {
+			const exclusive = params.ExclusiveStartKey;
+
+			start = candidates.findIndex((item) => {
+				const comparison = view.compare(item, exclusive);
+
+				return forward ? comparison > 0 : comparison < 0;
+			});
+
+			if (start < 0) {
+				start = candidates.length;
+			}
+		}
+
+		const filter = is.string(params.FilterExpression) ? ExpressionParser.parseCondition(params.FilterExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues) : null;
+		const limit = is.number(params.Limit) ? params.Limit : 0;
+		const pageSize = this._options.pageSize;
+
+		const items = [ ];
+
+		let scanned = 0;
+		let bytes = 0;
+		let last = null;
+
+		for (let i = start; i < candidates.length; i++) {
+			if ((limit !== 0 && scanned === limit) || (pageSize !== 0 && scanned === pageSize) || bytes >= MAXIMUM_PAGE_BYTES) {
+				break;
+			}
+
+			const item = view.project(candidates[i]);
+
+			last = candidates[i];
+			scanned = scanned + 1;
+			bytes = bytes + EmulatedTable.getSize(item);
+
+			if (filter === null || ExpressionEvaluator.evaluate(filter, item)) {
+				items.push(item);
+			}
+		}
+
+		const result = { Count: items.length, ScannedCount: scanned };
+
+		if (params.Select !== 'COUNT') {
+			result.Items = items.map(item => applyProjection(params, item));
+		}
+
+		if (last !== null && start + scanned < candidates.length) {
+			result.LastEvaluatedKey = view.getKey(last);
+		}
+
+		const units = Math.max(1, Math.ceil(bytes / READ_UNIT_BYTES)) * (params.ConsistentRead ? 1 : 0.5);
+
+		return addConsumedCapacity(result, params, [ { table: table, units: units } ], false, false, params.IndexName);
+	}
+
+	function getReadUnits(item, consistent) {
+		const size = item === null ? 0 : EmulatedTable.getSize(item);
+
+		return Math.max(1, Math.ceil(size / READ_UNIT_BYTES)) * (consistent ? 1 : 0.5);
+	}
+
+	function getWriteUnits(...items) {
+		const size = items.reduce((maximum, item) => Math.max(maximum, item ? EmulatedTable.getSize(item) : 0), 0);
+
+		return Math.max(1, Math.ceil(size / WRITE_UNIT_BYTES));
+	}
+
+	function addConsumedCapacity(result, params, usage, write, multiple, indexName) {
+		const mode = params.ReturnConsumedCapacity;
+
+		if (mode !== 'TOTAL' && mode !== 'INDEXES') {
+			return result;
+		}
+
+		const property = write ? 'WriteCapacityUnits' : 'ReadCapacityUnits';
+
+		const capacities = usage.reduce((accumulator, u) => {
+			let capacity = accumulator.find(c => c.TableName === u.table.name);
+
+			if (!capacity) {
+				capacity = { TableName: u.table.name, CapacityUnits: 0 };
+
+				accumulator.push(capacity);
+			}
+
+			capacity.CapacityUnits = capacity.CapacityUnits + u.units;
+
+			return accumulator;
+		}, [ ]);
+
+		if (mode === 'INDEXES') {
+			capacities.forEach((capacity) => {
+				const units = { CapacityUnits: capacity.CapacityUnits };
+
+				units[property] = capacity.CapacityUnits;
+				capacity[property] = capacity.CapacityUnits;
+
+				if (is.string(indexName)) {
+					const table = usage[0].table;
+					const local = (table.schema.LocalSecondaryIndexes || [ ]).some(i => i.IndexName === indexName);
+
+					capacity[local ? 'LocalSecondaryIndexes' : 'GlobalSecondaryIndexes'] = { [indexName]: units };
+				} else {
+					capacity.Table = units;
+				}
+			});
+		}
+
+		if (multiple) {
+			result.ConsumedCapacity = capacities;
+		} else {
+			result.ConsumedCapacity = capacities[0];
+		}
+
+		return result;
+	}
+
+	function getSegment(value, totalSegments) {
+		const text = JSON.stringify(value);
+
+		let hash = 5381;
+
+		for (let i = 0; i < text.length; i++) {
+			hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+		}
+
+		return hash % totalSegments;
+	}
+
+	return DynamoEmulator;
+})();
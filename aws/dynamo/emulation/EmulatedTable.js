@@ -0,0 +1,431 @@
+const is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+const ExpressionEvaluator = require('./ExpressionEvaluator'),
+	ExpressionParser = require('./ExpressionParser');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * In-memory storage for a single table hosted by a {@link DynamoEmulator}. Items
+	 * are stored in DynamoDB format and secondary indices are computed on demand.
+	 *
+	 * @public
+	 * @param {Object} schema - The parameters originally passed to the "createTable" operation.
+	 * @param {Date} created
+	 */
+	class EmulatedTable {
+		constructor(schema, created) {
+			this._schema = object.clone(schema);
+			this._created = created;
+
+			this._name = schema.TableName;
+
+			this._keyNames = getKeyNames(schema.KeySchema);
+			this._attributeTypes = (schema.AttributeDefinitions || [ ]).reduce((types, ad) => {
+				types[ad.AttributeName] = ad.AttributeType;
+
+				return types;
+			}, { });
+
+			this._ttl = null;
+			this._items = new Map();
+		}
+
+		/**
+		 * The name of the table.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get name() {
+			return this._name;
+		}
+
+		/**
+		 * The time-to-live specification (i.e. an object with "AttributeName" and
+		 * "Enabled" properties) or a null value.
+		 *
+		 * @public
+		 * @returns {Object|null}
+		 */
+		get ttl() {
+			return this._ttl;
+		}
+
+		/**
+		 * The schema of the table, in the format used by the "createTable" operation.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		get schema() {
+			return this._schema;
+		}
+
+		/**
+		 * The number of items in the table.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get size() {
+			return this._items.size;
+		}
+
+		/**
+		 * Replaces the schema (e.g. after an "updateTable" operation). The key
+		 * schema must not change.
+		 *
+		 * @public
+		 * @param {Object} schema
+		 */
+		setSchema(schema) {
+			this._schema = object.clone(schema);
+
+			this._attributeTypes = (schema.AttributeDefinitions || [ ]).reduce((types, ad) => {
+				types[ad.AttributeName] = ad.AttributeType;
+
+				return types;
+			}, { });
+		}
+
+		/**
+		 * Changes the time-to-live specification.
+		 *
+		 * @public
+		 * @param {Object} specification
+		 */
+		setTimeToLive(specification) {
+			if (specification.Enabled) {
+				this._ttl = { AttributeName: specification.AttributeName, Enabled: true };
+			} else {
+				this._ttl = null;
+			}
+		}
+
+		/**
+		 * Removes items which have expired, according to the time-to-live attribute.
+		 *
+		 * @public
+		 * @param {Number} now - The current time, in milliseconds.
+		 */
+		purge(now) {
+			if (this._ttl === null) {
+				return;
+			}
+
+			const name = this._ttl.AttributeName;
+
+			Array.from(this._items.entries()).forEach(([ key, item ]) => {
+				const value = item[name];
+
+				if (is.object(value) && is.string(value.N) && (parseFloat(value.N) * 1000) < now) {
+					this._items.delete(key);
+				}
+			});
+		}
+
+		/**
+		 * Extracts the key attributes from an item, throwing an error if the item
+		 * does not have valid key attributes.
+		 *
+		 * @public
+		 * @param {Object} item
+		 * @param {Boolean=} exact - If true, the item must contain key attributes only.
+		 * @returns {Object}
+		 */
+		getKey(item, exact) {
+			if (!is.object(item)) {
+				throw ExpressionParser.createError('ValidationException', 'One or more parameter values were invalid: The provided key element does not match the schema');
+			}
+
+			if (is.boolean(exact) && exact && Object.keys(item).some(k => !this._keyNames.includes(k))) {
+				throw ExpressionParser.createError('ValidationException', 'The provided key element does not match the schema');
+			}
+
+			return this._keyNames.reduce((key, name) => {
+				const value = item[name];
+
+				if (!is.object(value)) {
+					throw ExpressionParser.createError('ValidationException', `One or more parameter values were invalid: Missing the key ${name} in the item`);
+				}
+
+				if (ExpressionEvaluator.getType(value) !== this._attributeTypes[name]) {
+					throw ExpressionParser.createError('ValidationException', `One or more parameter values were invalid: Type mismatch for key ${name} expected: ${this._attributeTypes[name]} actual: ${ExpressionEvaluator.getType(value)}`);
+				}
+
+				key[name] = value;
+
+				return key;
+			}, { });
+		}
+
+		/**
+		 * Returns a copy of the item with the given key (or a null value).
+		 *
+		 * @public
+		 * @param {Object} key
+		 * @returns {Object|null}
+		 */
+		get(key) {
+			const item = this._items.get(getKeyString(this.getKey(key), this._keyNames));
+
+			if (item) {
+				return ExpressionEvaluator.copy(item);
+			} else {
+				return null;
+			}
+		}
+
+		/**
+		 * Writes a copy of an item, replacing any existing item with the same key.
+		 *
+		 * @public
+		 * @param {Object} item
+		 */
+		put(item) {
+			const key = this.getKey(item);
+
+			getIndexSchemas(this._schema).forEach((index) => {
+				getKeyNames(index.KeySchema).forEach((name) => {
+					if (item.hasOwnProperty(name) && ExpressionEvaluator.getType(item[name]) !== this._attributeTypes[name]) {
+						throw ExpressionParser.createError('ValidationException', `One or more parameter values were invalid: Type mismatch for Index Key ${name} expected: ${this._attributeTypes[name]} IndexName: ${index.IndexName}`);
+					}
+				});
+			});
+
+			this._items.set(getKeyString(key, this._keyNames), ExpressionEvaluator.copy(item));
+		}
+
+		/**
+		 * Removes the item with the given key (if it exists).
+		 *
+		 * @public
+		 * @param {Object} key
+		 */
+		delete(key) {
+			this._items.delete(getKeyString(this.getKey(key), this._keyNames));
+		}
+
+		/**
+		 * Returns a view of the table (or one of its secondary indices) which can be
+		 * used for queries and scans. The view's items are sorted by hash key, range
+		 * key, and table key.
+		 *
+		 * @public
+		 * @param {String=} indexName
+		 * @returns {EmulatedTable~View}
+		 */
+		getView(indexName) {
+			let index;
+
+			if (is.string(indexName)) {
+				index = getIndexSchemas(this._schema).find(i => i.IndexName === indexName) || null;
+
+				if (index === null) {
+					throw ExpressionParser.createError('ValidationException', `The table does not have the specified index: ${indexName}`);
+				}
+			} else {
+				index = null;
+			}
+
+			const keySchema = index === null ? this._schema.KeySchema : index.KeySchema;
+
+			const hashName = keySchema.find(k => k.KeyType === 'HASH').AttributeName;
+			const rangeSchema = keySchema.find(k => k.KeyType === 'RANGE');
+			const rangeName = rangeSchema ? rangeSchema.AttributeName : null;
+
+			const tableKeyNames = this._keyNames;
+
+			const compare = (a, b) => {
+				let result = compareStrings(JSON.stringify(a[hashName]), JSON.stringify(b[hashName]));
+
+				if (result === 0 && rangeName !== null) {
+					result = ExpressionEvaluator.compare(a[rangeName], b[rangeName]);
+				}
+
+				if (result === 0 && index !== null) {
+					result = compareStrings(getKeyString(a, tableKeyNames), getKeyString(b, tableKeyNames));
+				}
+
+				return result;
+			};
+
+			const items = Array.from(this._items.values())
+				.filter(item => item.hasOwnProperty(hashName) && (rangeName === null || item.hasOwnProperty(rangeName)))
+				.sort(compare);
+
+			let project;
+
+			if (index === null || index.Projection.ProjectionType === 'ALL') {
+				project = item => ExpressionEvaluator.copy(item);
+			} else {
+				const names = tableKeyNames.concat(getKeyNames(keySchema), index.Projection.NonKeyAttributes || [ ]);
+
+				project = item => names.reduce((projected, name) => {
+					if (item.hasOwnProperty(name)) {
+						projected[name] = ExpressionEvaluator.copy(item[name]);
+					}
+
+					return projected;
+				}, { });
+			}
+
+			const keyNames = tableKeyNames.concat(getKeyNames(keySchema).filter(n => !tableKeyNames.includes(n)));
+
+			return {
+				index: index,
+				hashName: hashName,
+				rangeName: rangeName,
+				keyNames: keyNames,
+				items: items,
+				compare: compare,
+				project: project,
+				getKey: item => keyNames.reduce((key, name) => {
+					key[name] = ExpressionEvaluator.copy(item[name]);
+
+					return key;
+				}, { })
+			};
+		}
+
+		/**
+		 * Returns all items (copies), in no particular order.
+		 *
+		 * @public
+		 * @returns {Object[]}
+		 */
+		getItems() {
+			return Array.from(this._items.values()).map(i => ExpressionEvaluator.copy(i));
+		}
+
+		/**
+		 * Generates an object which mimics the result of the "describeTable" operation.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		describe() {
+			const schema = this._schema;
+
+			const description = {
+				TableName: this._name,
+				TableStatus: 'ACTIVE',
+				TableArn: `arn:aws:dynamodb:local:000000000000:table/${this._name}`,
+				CreationDateTime: this._created,
+				KeySchema: object.clone(schema.KeySchema),
+				AttributeDefinitions: object.clone(schema.AttributeDefinitions),
+				ItemCount: this._items.size,
+				TableSizeBytes: Array.from(this._items.values()).reduce((total, item) => total + EmulatedTable.getSize(item), 0)
+			};
+
+			if (schema.BillingMode === 'PAY_PER_REQUEST') {
+				description.BillingModeSummary = { BillingMode: 'PAY_PER_REQUEST' };
+			} else {
+				description.BillingModeSummary = { BillingMode: 'PROVISIONED' };
+				description.ProvisionedThroughput = Object.assign({ NumberOfDecreasesToday: 0 }, schema.ProvisionedThroughput);
+			}
+
+			const describeIndex = (index, global) => {
+				const indexDescription = {
+					IndexName: index.IndexName,
+					KeySchema: object.clone(index.KeySchema),
+					Projection: object.clone(index.Projection),
+					IndexArn: `${description.TableArn}/index/${index.IndexName}`,
+					ItemCount: this.getView(index.IndexName).items.length
+				};
+
+				if (global) {
+					indexDescription.IndexStatus = 'ACTIVE';
+
+					if (index.ProvisionedThroughput) {
+						indexDescription.ProvisionedThroughput = Object.assign({ NumberOfDecreasesToday: 0 }, index.ProvisionedThroughput);
+					}
+				}
+
+				return indexDescription;
+			};
+
+			if (is.array(schema.GlobalSecondaryIndexes) && schema.GlobalSecondaryIndexes.length !== 0) {
+				description.GlobalSecondaryIndexes = schema.GlobalSecondaryIndexes.map(i => describeIndex(i, true));
+			}
+
+			if (is.array(schema.LocalSecondaryIndexes) && schema.LocalSecondaryIndexes.length !== 0) {
+				description.LocalSecondaryIndexes = schema.LocalSecondaryIndexes.map(i => describeIndex(i, false));
+			}
+
+			if (is.object(schema.StreamSpecification) && schema.StreamSpecification.StreamEnabled) {
+				description.StreamSpecification = object.clone(schema.StreamSpecification);
+				description.LatestStreamArn = `${description.TableArn}/stream/${this._created.toISOString()}`;
+			}
+
+			return description;
+		}
+
+		/**
+		 * Returns the approximate size, in bytes, of an item.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} item
+		 * @returns {Number}
+		 */
+		static getSize(item) {
+			return Buffer.byteLength(JSON.stringify(item));
+		}
+
+		toString() {
+			return `[EmulatedTable (name=${this._name})]`;
+		}
+	}
+
+	function getKeyNames(keySchema) {
+		const hash = keySchema.find(k => k.KeyType === 'HASH');
+		const range = keySchema.find(k => k.KeyType === 'RANGE');
+
+		const names = [ hash.AttributeName ];
+
+		if (range) {
+			names.push(range.AttributeName);
+		}
+
+		return names;
+	}
+
+	function getKeyString(key, keyNames) {
+		return JSON.stringify(keyNames.map(name => key[name]));
+	}
+
+	function getIndexSchemas(schema) {
+		return (schema.GlobalSecondaryIndexes || [ ]).concat(schema.LocalSecondaryIndexes || [ ]);
+	}
+
+	function compareStrings(a, b) {
+		if (a < b) {
+			return -1;
+		} else if (a > b) {
+			return 1;
+		} else {
+			return 0;
+		}
+	}
+
+	/**
+	 * A sorted view of a table (or index).
+	 *
+	 * @typedef EmulatedTable~View
+	 * @type {Object}
+	 * @property {Object|null} index - The index schema (or null, for the table itself).
+	 * @property {String} hashName
+	 * @property {String|null} rangeName
+	 * @property {String[]} keyNames - The names of the table's key attributes and the index's key attributes.
+	 * @property {Object[]} items - The items, sorted.
+	 * @property {Function} compare - The function used to sort items (also suitable for comparing keys).
+	 * @property {Function} project - Returns a copy of an item, containing only the attributes projected into the view.
+	 * @property {Function} getKey - Returns the key (as used for "LastEvaluatedKey") of an item.
+	 */
+
+	return EmulatedTable;
+})();
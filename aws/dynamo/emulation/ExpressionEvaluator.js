@@ -0,0 +1,565 @@
+const Decimal = require('@barchart/common-js/lang/Decimal'),
+	is = require('@barchart/common-js/lang/is');
+
+const ExpressionParser = require('./ExpressionParser');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Evaluates syntax trees produced by the {@link ExpressionParser} against
+	 * items stored in DynamoDB format (i.e. maps of attribute values). No
+	 * instance-level functionality exists -- static functions only.
+	 *
+	 * @public
+	 */
+	class ExpressionEvaluator {
+		constructor() {
+
+		}
+
+		/**
+		 * Returns true if the item satisfies the condition.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} node - A condition, as returned by {@link ExpressionParser.parseCondition}.
+		 * @param {Object|null} item - The item, in DynamoDB format (a null value represents a missing item).
+		 * @returns {Boolean}
+		 */
+		static evaluate(node, item) {
+			const target = item || { };
+
+			switch (node.type) {
+				case 'or':
+					return ExpressionEvaluator.evaluate(node.left, target) || ExpressionEvaluator.evaluate(node.right, target);
+				case 'and':
+					return ExpressionEvaluator.evaluate(node.left, target) && ExpressionEvaluator.evaluate(node.right, target);
+				case 'not':
+					return !ExpressionEvaluator.evaluate(node.operand, target);
+				case 'compare':
+					return evaluateComparison(node.operator, resolveOperand(node.left, target), resolveOperand(node.right, target));
+				case 'between': {
+					const value = resolveOperand(node.operand, target);
+
+					return evaluateComparison('>=', value, resolveOperand(node.lower, target)) && evaluateComparison('<=', value, resolveOperand(node.upper, target));
+				}
+				case 'in': {
+					const value = resolveOperand(node.operand, target);
+
+					return node.candidates.some(c => evaluateComparison('=', value, resolveOperand(c, target)));
+				}
+				case 'function':
+					return evaluateFunction(node.name, node.args, target);
+				default:
+					throw ExpressionParser.createError('ValidationException', `Invalid expression: unsupported condition [ ${node.type} ]`);
+			}
+		}
+
+		/**
+		 * Applies update actions to a copy of an item, returning the copy.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object[]} actions - The actions, as returned by {@link ExpressionParser.parseUpdate}.
+		 * @param {Object} item - The item, in DynamoDB format.
+		 * @returns {Object}
+		 */
+		static update(actions, item) {
+			const updated = copy(item);
+
+			actions.forEach((action) => {
+				const path = action.path.elements;
+
+				if (action.action === 'SET') {
+					writePath(updated, path, resolveSetValue(action.value, item));
+				} else if (action.action === 'REMOVE') {
+					removePath(updated, path);
+				} else {
+					const current = readPath(updated, path);
+					const operand = action.value.value;
+					const operandType = getType(operand);
+
+					let value;
+
+					if (action.action === 'ADD') {
+						if (operandType === 'N') {
+							if (is.undefined(current)) {
+								value = operand;
+							} else {
+								value = { N: addNumbers(requireType(current, 'N').N, operand.N) };
+							}
+						} else if (SET_TYPES.includes(operandType)) {
+							value = unionSets(current, operand, operandType);
+						} else {
+							throw ExpressionParser.createError('ValidationException', 'Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ADD, operand type: ' + getTypeName(operandType));
+						}
+					} else {
+						if (!SET_TYPES.includes(operandType)) {
+							throw ExpressionParser.createError('ValidationException', 'Invalid UpdateExpression: Incorrect operand type for operator or function; operator: DELETE, operand type: ' + getTypeName(operandType));
+						}
+
+						value = is.undefined(current) ? undefined : subtractSets(current, operand, operandType);
+					}
+
+					if (is.undefined(value)) {
+						removePath(updated, path);
+					} else {
+						writePath(updated, path, value);
+					}
+				}
+			});
+
+			return updated;
+		}
+
+		/**
+		 * Returns a copy of the item containing only the attributes referenced by
+		 * the projection.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object[]} paths - The paths, as returned by {@link ExpressionParser.parseProjection}.
+		 * @param {Object} item - The item, in DynamoDB format.
+		 * @returns {Object}
+		 */
+		static project(paths, item) {
+			return paths.reduce((projected, path) => {
+				const elements = path.elements;
+				const value = readPath(item, elements);
+
+				if (!is.undefined(value)) {
+					let target = projected;
+
+					elements.forEach((element, i) => {
+						if (i === elements.length - 1) {
+							if (is.number(element)) {
+								target.push(copy(value));
+							} else {
+								target[element] = copy(value);
+							}
+						} else {
+							const next = elements[i + 1];
+
+							let container = target[element];
+
+							if (is.undefined(container)) {
+								container = is.number(next) ? { L: [ ] } : { M: { } };
+
+								if (is.number(element)) {
+									target.push(container);
+								} else {
+									target[element] = container;
+								}
+							}
+
+							target = container.L || container.M;
+						}
+					});
+				}
+
+				return projected;
+			}, { });
+		}
+
+		/**
+		 * Compares two scalar attribute values of the same type (i.e. "S", "N",
+		 * or "B"), returning a negative number, zero, or a positive number.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} a
+		 * @param {Object} b
+		 * @returns {Number}
+		 */
+		static compare(a, b) {
+			const type = getType(a);
+
+			if (type === 'N') {
+				return Decimal.compareDecimals(new Decimal(a.N), new Decimal(b.N));
+			} else if (type === 'B') {
+				return Buffer.compare(toBuffer(a.B), toBuffer(b.B));
+			} else if (a.S < b.S) {
+				return -1;
+			} else if (a.S > b.S) {
+				return 1;
+			} else {
+				return 0;
+			}
+		}
+
+		/**
+		 * Returns true if two attribute values are equal (including type).
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} a
+		 * @param {Object} b
+		 * @returns {Boolean}
+		 */
+		static equals(a, b) {
+			const type = getType(a);
+
+			if (type !== getType(b)) {
+				return false;
+			}
+
+			switch (type) {
+				case 'S':
+				case 'N':
+				case 'B':
+					return ExpressionEvaluator.compare(a, b) === 0;
+				case 'SS':
+				case 'NS':
+				case 'BS':
+					return a[type].length === b[type].length && a[type].every(v => b[type].some(ov => ExpressionEvaluator.equals(wrap(type, v), wrap(type, ov))));
+				case 'L':
+					return a.L.length === b.L.length && a.L.every((v, i) => ExpressionEvaluator.equals(v, b.L[i]));
+				case 'M':
+					return Object.keys(a.M).length === Object.keys(b.M).length && Object.keys(a.M).every(k => b.M.hasOwnProperty(k) && ExpressionEvaluator.equals(a.M[k], b.M[k]));
+				default:
+					return a[type] === b[type];
+			}
+		}
+
+		/**
+		 * Returns the type descriptor of an attribute value (e.g. "S", "N", "M", etc).
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} value
+		 * @returns {String|null}
+		 */
+		static getType(value) {
+			return getType(value);
+		}
+
+		/**
+		 * Reads the value at a document path (returns undefined if the path
+		 * does not exist).
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} item
+		 * @param {Array<String|Number>} elements
+		 * @returns {Object|undefined}
+		 */
+		static read(item, elements) {
+			return readPath(item, elements);
+		}
+
+		/**
+		 * Performs a deep copy of an item (or attribute value).
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} item
+		 * @returns {Object}
+		 */
+		static copy(item) {
+			return copy(item);
+		}
+
+		toString() {
+			return '[ExpressionEvaluator]';
+		}
+	}
+
+	const SCALAR_TYPES = [ 'S', 'N', 'B' ];
+	const SET_TYPES = [ 'SS', 'NS', 'BS' ];
+
+	const TYPE_NAMES = { S: 'STRING', N: 'NUMBER', B: 'BINARY', SS: 'SET', NS: 'SET', BS: 'SET', M: 'MAP', L: 'LIST', NULL: 'NULL', BOOL: 'BOOLEAN' };
+
+	function getType(value) {
+		if (!is.object(value)) {
+			return null;
+		}
+
+		return Object.keys(value).find(k => TYPE_NAMES.hasOwnProperty(k)) || null;
+	}
+
+	function getTypeName(type) {
+		return TYPE_NAMES[type] || 'UNKNOWN';
+	}
+
+	function requireType(value, type) {
+		if (getType(value) !== type) {
+			throw ExpressionParser.createError('ValidationException', `An operand in the update expression has an incorrect data type`);
+		}
+
+		return value;
+	}
+
+	function wrap(type, value) {
+		const wrapper = { };
+
+		wrapper[type.charAt(0)] = value;
+
+		return wrapper;
+	}
+
+	function toBuffer(value) {
+		if (Buffer.isBuffer(value)) {
+			return value;
+		} else if (is.string(value)) {
+			return Buffer.from(value, 'base64');
+		} else {
+			return Buffer.from(value);
+		}
+	}
+
+	function copy(value) {
+		if (Buffer.isBuffer(value)) {
+			return Buffer.from(value);
+		} else if (is.array(value)) {
+			return value.map(v => copy(v));
+		} else if (is.object(value)) {
+			return Object.keys(value).reduce((accumulator, key) => {
+				accumulator[key] = copy(value[key]);
+
+				return accumulator;
+			}, { });
+		} else {
+			return value;
+		}
+	}
+
+	function readPath(item, elements) {
+		return elements.reduce((value, element, i) => {
+			if (i === 0) {
+				return item[element];
+			}
+
+			if (is.undefined(value)) {
+				return value;
+			}
+
+			if (is.number(element)) {
+				return is.array(value.L) ? value.L[element] : undefined;
+			} else {
+				return is.object(value.M) ? value.M[element] : undefined;
+			}
+		}, undefined);
+	}
+
+	function getParent(item, elements) {
+		if (elements.length === 1) {
+			return item;
+		}
+
+		const container = readPath(item, elements.slice(0, -1));
+		const element = elements[elements.length - 1];
+
+		if (is.number(element) && is.object(container) && is.array(container.L)) {
+			return container.L;
+		} else if (!is.number(element) && is.object(container) && is.object(container.M)) {
+			return container.M;
+		} else {
+			throw ExpressionParser.createError('ValidationException', 'The document path provided in the update expression is invalid for update');
+		}
+	}
+
+	function writePath(item, elements, value) {
+		const parent = getParent(item, elements);
+		const element = elements[elements.length - 1];
+
+		if (is.array(parent) && element >= parent.length) {
+			parent.push(value);
+		} else {
+			parent[element] = value;
+		}
+	}
+
+	function removePath(item, elements) {
+		let parent;
+
+		try {
+			parent = getParent(item, elements);
+		} catch (e) {
+			return;
+		}
+
+		const element = elements[elements.length - 1];
+
+		if (is.array(parent)) {
+			parent.splice(element, 1);
+		} else {
+			delete parent[element];
+		}
+	}
+
+	function resolveOperand(node, item) {
+		if (node.type === 'value') {
+			return node.value;
+		} else if (node.type === 'path') {
+			return readPath(item, node.elements);
+		} else if (node.type === 'size') {
+			const value = readPath(item, node.path.elements);
+
+			return is.undefined(value) ? undefined : { N: getSize(value).toString() };
+		} else {
+			throw ExpressionParser.createError('ValidationException', `Invalid expression: unsupported operand [ ${node.type} ]`);
+		}
+	}
+
+	function getSize(value) {
+		const type = getType(value);
+
+		if (type === 'S') {
+			return Buffer.byteLength(value.S);
+		} else if (type === 'B') {
+			return toBuffer(value.B).length;
+		} else if (type === 'M') {
+			return Object.keys(value.M).length;
+		} else if (type === null || type === 'N' || type === 'BOOL' || type === 'NULL') {
+			throw ExpressionParser.createError('ValidationException', `Invalid ConditionExpression: Incorrect operand type for operator or function; operator or function: size, operand type: ${getTypeName(type)}`);
+		} else {
+			return value[type].length;
+		}
+	}
+
+	function evaluateComparison(operator, left, right) {
+		if (operator === '=') {
+			return !is.undefined(left) && !is.undefined(right) && ExpressionEvaluator.equals(left, right);
+		}
+
+		if (operator === '<>') {
+			return is.undefined(left) || is.undefined(right) || !ExpressionEvaluator.equals(left, right);
+		}
+
+		if (is.undefined(left) || is.undefined(right)) {
+			return false;
+		}
+
+		const type = getType(left);
+
+		if (type !== getType(right) || !SCALAR_TYPES.includes(type)) {
+			return false;
+		}
+
+		const comparison = ExpressionEvaluator.compare(left, right);
+
+		switch (operator) {
+			case '<':
+				return comparison < 0;
+			case '<=':
+				return comparison <= 0;
+			case '>':
+				return comparison > 0;
+			default:
+				return comparison >= 0;
+		}
+	}
+
+	function evaluateFunction(name, args, item) {
+		const value = readPath(item, args[0].elements);
+
+		if (name === 'attribute_exists') {
+			return !is.undefined(value);
+		}
+
+		if (name === 'attribute_not_exists') {
+			return is.undefined(value);
+		}
+
+		const operand = resolveOperand(args[1], item);
+
+		if (is.undefined(value) || is.undefined(operand)) {
+			return false;
+		}
+
+		const type = getType(value);
+		const operandType = getType(operand);
+
+		if (name === 'attribute_type') {
+			return type === operand.S;
+		}
+
+		if (name === 'begins_with') {
+			if (type === 'S' && operandType === 'S') {
+				return value.S.startsWith(operand.S);
+			} else if (type === 'B' && operandType === 'B') {
+				const buffer = toBuffer(value.B);
+				const prefix = toBuffer(operand.B);
+
+				return buffer.length >= prefix.length && Buffer.compare(buffer.slice(0, prefix.length), prefix) === 0;
+			} else {
+				return false;
+			}
+		}
+
+		if (type === 'S' && operandType === 'S') {
+			return value.S.includes(operand.S);
+		} else if (SET_TYPES.includes(type) && operandType === type.charAt(0)) {
+			return value[type].some(v => ExpressionEvaluator.equals(wrap(type, v), operand));
+		} else if (type === 'L') {
+			return value.L.some(v => ExpressionEvaluator.equals(v, operand));
+		} else {
+			return false;
+		}
+	}
+
+	function resolveSetValue(node, item) {
+		if (node.type === 'value') {
+			return copy(node.value);
+		} else if (node.type === 'path') {
+			const value = readPath(item, node.elements);
+
+			if (is.undefined(value)) {
+				throw ExpressionParser.createError('ValidationException', 'The provided expression refers to an attribute that does not exist in the item');
+			}
+
+			return copy(value);
+		} else if (node.type === 'if_not_exists') {
+			const value = readPath(item, node.path.elements);
+
+			return is.undefined(value) ? resolveSetValue(node.fallback, item) : copy(value);
+		} else if (node.type === 'list_append') {
+			const left = requireType(resolveSetValue(node.left, item), 'L');
+			const right = requireType(resolveSetValue(node.right, item), 'L');
+
+			return { L: left.L.concat(right.L) };
+		} else if (node.type === 'plus' || node.type === 'minus') {
+			const left = requireType(resolveSetValue(node.left, item), 'N');
+			const right = requireType(resolveSetValue(node.right, item), 'N');
+
+			if (node.type === 'plus') {
+				return { N: addNumbers(left.N, right.N) };
+			} else {
+				return { N: new Decimal(left.N).subtract(right.N).toFixed() };
+			}
+		} else {
+			throw ExpressionParser.createError('ValidationException', `Invalid UpdateExpression: unsupported operand [ ${node.type} ]`);
+		}
+	}
+
+	function addNumbers(a, b) {
+		return new Decimal(a).add(b).toFixed();
+	}
+
+	function unionSets(current, operand, type) {
+		if (is.undefined(current)) {
+			return copy(operand);
+		}
+
+		requireType(current, type);
+
+		const values = current[type].concat(operand[type].filter(v => !current[type].some(cv => ExpressionEvaluator.equals(wrap(type, cv), wrap(type, v)))));
+
+		return { [type]: values };
+	}
+
+	function subtractSets(current, operand, type) {
+		requireType(current, type);
+
+		const values = current[type].filter(cv => !operand[type].some(v => ExpressionEvaluator.equals(wrap(type, cv), wrap(type, v))));
+
+		if (values.length === 0) {
+			return undefined;
+		}
+
+		return { [type]: values };
+	}
+
+	return ExpressionEvaluator;
+})();
@@ -0,0 +1,493 @@
+const is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Converts DynamoDB expression strings (e.g. "KeyConditionExpression",
+	 * "FilterExpression", "ConditionExpression", "UpdateExpression", and
+	 * "ProjectionExpression") into simple syntax trees, resolving attribute
+	 * name and value placeholders along the way. Errors are thrown using the
+	 * same code the DynamoDB service uses (i.e. "ValidationException").
+	 *
+	 * @public
+	 */
+	class ExpressionParser {
+		constructor() {
+
+		}
+
+		/**
+		 * Parses a condition expression (suitable for key conditions, filters, and
+		 * conditional writes).
+		 *
+		 * @public
+		 * @static
+		 * @param {String} expression
+		 * @param {Object=} names - The "ExpressionAttributeNames" map.
+		 * @param {Object=} values - The "ExpressionAttributeValues" map.
+		 * @returns {Object}
+		 */
+		static parseCondition(expression, names, values) {
+			const parser = new Parser(expression, names, values);
+			const node = parser.parseCondition();
+
+			parser.expectEnd();
+
+			return node;
+		}
+
+		/**
+		 * Parses an update expression into an array of actions, each having an
+		 * "action" property (i.e. "SET", "REMOVE", "ADD", or "DELETE").
+		 *
+		 * @public
+		 * @static
+		 * @param {String} expression
+		 * @param {Object=} names - The "ExpressionAttributeNames" map.
+		 * @param {Object=} values - The "ExpressionAttributeValues" map.
+		 * @returns {Object[]}
+		 */
+		static parseUpdate(expression, names, values) {
+			const parser = new Parser(expression, names, values);
+			const actions = parser.parseUpdate();
+
+			parser.expectEnd();
+
+			return actions;
+		}
+
+		/**
+		 * Parses a projection expression into an array of document paths.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} expression
+		 * @param {Object=} names - The "ExpressionAttributeNames" map.
+		 * @returns {Object[]}
+		 */
+		static parseProjection(expression, names) {
+			const parser = new Parser(expression, names, { });
+			const paths = parser.parseList(() => parser.parsePath());
+
+			parser.expectEnd();
+
+			return paths;
+		}
+
+		/**
+		 * Creates an error which mimics errors returned by the DynamoDB service.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} code
+		 * @param {String} message
+		 * @returns {Error}
+		 */
+		static createError(code, message) {
+			const error = new Error(message);
+
+			error.code = code;
+			error.statusCode = 400;
+			error.retryable = false;
+			error.time = new Date();
+
+			return error;
+		}
+
+		toString() {
+			return '[ExpressionParser]';
+		}
+	}
+
+	const CONDITION_FUNCTIONS = [ 'attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains' ];
+	const COMPARATORS = [ '=', '<>', '<', '<=', '>', '>=' ];
+	const UPDATE_ACTIONS = [ 'SET', 'REMOVE', 'ADD', 'DELETE' ];
+
+	class Parser {
+		constructor(expression, names, values) {
+			if (!is.string(expression) || expression.trim().length === 0) {
+				throw invalid('The expression can not be empty');
+			}
+
+			this._expression = expression;
+			this._tokens = tokenize(expression);
+			this._position = 0;
+
+			this._names = names || { };
+			this._values = values || { };
+		}
+
+		peek(offset) {
+			return this._tokens[this._position + (offset || 0)] || null;
+		}
+
+		next() {
+			const token = this.peek();
+
+			if (token === null) {
+				throw invalid(`Unexpected end of expression [ ${this._expression} ]`);
+			}
+
+			this._position = this._position + 1;
+
+			return token;
+		}
+
+		accept(value) {
+			const token = this.peek();
+
+			if (token !== null && matches(token, value)) {
+				this._position = this._position + 1;
+
+				return true;
+			}
+
+			return false;
+		}
+
+		expect(value) {
+			const token = this.next();
+
+			if (!matches(token, value)) {
+				throw invalid(`Syntax error; token: "${token.value}", expected "${value}", expression [ ${this._expression} ]`);
+			}
+
+			return token;
+		}
+
+		expectEnd() {
+			const token = this.peek();
+
+			if (token !== null) {
+				throw invalid(`Syntax error; unexpected token: "${token.value}", expression [ ${this._expression} ]`);
+			}
+		}
+
+		parseList(delegate) {
+			const items = [ delegate() ];
+
+			while (this.accept(',')) {
+				items.push(delegate());
+			}
+
+			return items;
+		}
+
+		parseCondition() {
+			let node = this.parseConjunction();
+
+			while (this.accept('OR')) {
+				node = { type: 'or', left: node, right: this.parseConjunction() };
+			}
+
+			return node;
+		}
+
+		parseConjunction() {
+			let node = this.parseNegation();
+
+			while (this.accept('AND')) {
+				node = { type: 'and', left: node, right: this.parseNegation() };
+			}
+
+			return node;
+		}
+
+		parseNegation() {
+			if (this.accept('NOT')) {
+				return { type: 'not', operand: this.parseNegation() };
+			}
+
+			return this.parsePredicate();
+		}
+
+		parsePredicate() {
+			if (this.accept('(')) {
+				const node = this.parseCondition();
+
+				this.expect(')');
+
+				return node;
+			}
+
+			const token = this.peek();
+			const following = this.peek(1);
+
+			if (token !== null && token.type === 'identifier' && following !== null && following.value === '(' && CONDITION_FUNCTIONS.includes(token.value.toLowerCase())) {
+				return this.parseFunction();
+			}
+
+			const operand = this.parseOperand();
+
+			if (this.accept('BETWEEN')) {
+				const lower = this.parseOperand();
+
+				this.expect('AND');
+
+				const upper = this.parseOperand();
+
+				return { type: 'between', operand: operand, lower: lower, upper: upper };
+			}
+
+			if (this.accept('IN')) {
+				this.expect('(');
+
+				const candidates = this.parseList(() => this.parseOperand());
+
+				this.expect(')');
+
+				return { type: 'in', operand: operand, candidates: candidates };
+			}
+
+			const comparator = this.next();
+
+			if (comparator.type !== 'symbol' || !COMPARATORS.includes(comparator.value)) {
+				throw invalid(`Syntax error; token: "${comparator.value}", expected a comparator, expression [ ${this._expression} ]`);
+			}
+
+			return { type: 'compare', operator: comparator.value, left: operand, right: this.parseOperand() };
+		}
+
+		parseFunction() {
+			const name = this.next().value.toLowerCase();
+
+			this.expect('(');
+
+			const args = [ this.parsePath() ];
+
+			if (name !== 'attribute_exists' && name !== 'attribute_not_exists') {
+				this.expect(',');
+
+				args.push(this.parseOperand());
+			}
+
+			this.expect(')');
+
+			return { type: 'function', name: name, args: args };
+		}
+
+		parseOperand() {
+			const token = this.peek();
+
+			if (token === null) {
+				throw invalid(`Unexpected end of expression [ ${this._expression} ]`);
+			}
+
+			if (token.type === 'value') {
+				return this.parseValue();
+			}
+
+			if (token.type === 'identifier' && token.value.toLowerCase() === 'size' && this.peek(1) !== null && this.peek(1).value === '(') {
+				this.next();
+				this.expect('(');
+
+				const path = this.parsePath();
+
+				this.expect(')');
+
+				return { type: 'size', path: path };
+			}
+
+			return this.parsePath();
+		}
+
+		parseValue() {
+			const token = this.next();
+
+			if (token.type !== 'value') {
+				throw invalid(`Syntax error; token: "${token.value}", expected a value placeholder, expression [ ${this._expression} ]`);
+			}
+
+			if (!this._values.hasOwnProperty(token.value)) {
+				throw invalid(`An expression attribute value used in expression is not defined; attribute value: ${token.value}`);
+			}
+
+			return { type: 'value', value: this._values[token.value] };
+		}
+
+		parsePath() {
+			const elements = [ this.parsePathElement() ];
+
+			for (;;) {
+				if (this.accept('.')) {
+					elements.push(this.parsePathElement());
+				} else if (this.accept('[')) {
+					const index = this.next();
+
+					if (index.type !== 'number') {
+						throw invalid(`Syntax error; token: "${index.value}", expected a list index, expression [ ${this._expression} ]`);
+					}
+
+					elements.push(parseInt(index.value, 10));
+
+					this.expect(']');
+				} else {
+					break;
+				}
+			}
+
+			return { type: 'path', elements: elements };
+		}
+
+		parsePathElement() {
+			const token = this.next();
+
+			if (token.type === 'name') {
+				if (!this._names.hasOwnProperty(token.value)) {
+					throw invalid(`An expression attribute name used in the document path is not defined; attribute name: ${token.value}`);
+				}
+
+				return this._names[token.value];
+			} else if (token.type === 'identifier') {
+				return token.value;
+			} else {
+				throw invalid(`Syntax error; token: "${token.value}", expected an attribute name, expression [ ${this._expression} ]`);
+			}
+		}
+
+		parseUpdate() {
+			const actions = [ ];
+			const keywords = [ ];
+
+			do {
+				const token = this.next();
+				const keyword = token.type === 'identifier' ? token.value.toUpperCase() : null;
+
+				if (!UPDATE_ACTIONS.includes(keyword)) {
+					throw invalid(`Syntax error; token: "${token.value}", expected SET, REMOVE, ADD, or DELETE, expression [ ${this._expression} ]`);
+				}
+
+				if (keywords.includes(keyword)) {
+					throw invalid(`The "${keyword}" section can only be used once in an update expression`);
+				}
+
+				keywords.push(keyword);
+
+				this.parseList(() => {
+					let action;
+
+					if (keyword === 'SET') {
+						const path = this.parsePath();
+
+						this.expect('=');
+
+						action = { action: keyword, path: path, value: this.parseSetValue() };
+					} else if (keyword === 'REMOVE') {
+						action = { action: keyword, path: this.parsePath() };
+					} else {
+						action = { action: keyword, path: this.parsePath(), value: this.parseValue() };
+					}
+
+					actions.push(action);
+
+					return action;
+				});
+			} while (this.peek() !== null);
+
+			return actions;
+		}
+
+		parseSetValue() {
+			const left = this.parseSetOperand();
+
+			if (this.accept('+')) {
+				return { type: 'plus', left: left, right: this.parseSetOperand() };
+			} else if (this.accept('-')) {
+				return { type: 'minus', left: left, right: this.parseSetOperand() };
+			} else {
+				return left;
+			}
+		}
+
+		parseSetOperand() {
+			const token = this.peek();
+			const following = this.peek(1);
+
+			if (token !== null && token.type === 'identifier' && following !== null && following.value === '(') {
+				const name = this.next().value.toLowerCase();
+
+				this.expect('(');
+
+				let node;
+
+				if (name === 'if_not_exists') {
+					const path = this.parsePath();
+
+					this.expect(',');
+
+					node = { type: 'if_not_exists', path: path, fallback: this.parseSetOperand() };
+				} else if (name === 'list_append') {
+					const first = this.parseSetOperand();
+
+					this.expect(',');
+
+					node = { type: 'list_append', left: first, right: this.parseSetOperand() };
+				} else {
+					throw invalid(`Invalid function name; function: ${name}`);
+				}
+
+				this.expect(')');
+
+				return node;
+			}
+
+			if (token !== null && token.type === 'value') {
+				return this.parseValue();
+			}
+
+			return this.parsePath();
+		}
+	}
+
+	function matches(token, value) {
+		if (token.type === 'identifier') {
+			return token.value.toUpperCase() === value;
+		} else {
+			return token.type === 'symbol' && token.value === value;
+		}
+	}
+
+	function tokenize(expression) {
+		const tokens = [ ];
+		const pattern = /\s*(?:(<>|<=|>=|[=<>()[\],.+-])|(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([0-9]+)|([A-Za-z_][A-Za-z0-9_]*))/y;
+
+		let position = 0;
+
+		while (position < expression.length) {
+			if (expression.slice(position).trim().length === 0) {
+				break;
+			}
+
+			pattern.lastIndex = position;
+
+			const match = pattern.exec(expression);
+
+			if (match === null) {
+				throw invalid(`Syntax error; unable to parse expression at position [ ${position} ], expression [ ${expression} ]`);
+			}
+
+			if (match[1]) {
+				tokens.push({ type: 'symbol', value: match[1] });
+			} else if (match[2]) {
+				tokens.push({ type: 'name', value: match[2] });
+			} else if (match[3]) {
+				tokens.push({ type: 'value', value: match[3] });
+			} else if (match[4]) {
+				tokens.push({ type: 'number', value: match[4] });
+			} else {
+				tokens.push({ type: 'identifier', value: match[5] });
+			}
+
+			position = pattern.lastIndex;
+		}
+
+		return tokens;
+	}
+
+	function invalid(message) {
+		return ExpressionParser.createError('ValidationException', `Invalid expression: ${message}`);
+	}
+
+	return ExpressionParser;
+})();
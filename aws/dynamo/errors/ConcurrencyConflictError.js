@@ -0,0 +1,77 @@
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * An error which indicates that a write to a versioned table (see
+	 * {@link Table#versionAttribute}) was rejected because another writer
+	 * changed the item first. Unlike other DynamoDB errors, the write should
+	 * not be retried without first reading the item again.
+	 *
+	 * @public
+	 * @extends {Error}
+	 * @param {String} tableName - The name of the table written to.
+	 * @param {Object} key - The key of the item written.
+	 * @param {Number|null} expectedVersion - The version the writer expected the item to have (or null, if the writer expected the item to be unversioned).
+	 * @param {Error=} cause - The error returned by DynamoDB.
+	 */
+	class ConcurrencyConflictError extends Error {
+		constructor(tableName, key, expectedVersion, cause) {
+			super(`Unable to write item to [ ${tableName} ] table, the item was changed by another writer (expected version [ ${expectedVersion} ])`);
+
+			this.name = 'ConcurrencyConflictError';
+			this.code = 'ConcurrencyConflict';
+
+			this._tableName = tableName;
+			this._key = key;
+			this._expectedVersion = expectedVersion;
+			this._cause = cause || null;
+		}
+
+		/**
+		 * The name of the table written to.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get tableName() {
+			return this._tableName;
+		}
+
+		/**
+		 * The key of the item written.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		get key() {
+			return this._key;
+		}
+
+		/**
+		 * The version the writer expected the item to have (or null, if the
+		 * writer expected the item to be unversioned).
+		 *
+		 * @public
+		 * @returns {Number|null}
+		 */
+		get expectedVersion() {
+			return this._expectedVersion;
+		}
+
+		/**
+		 * The error returned by DynamoDB.
+		 *
+		 * @public
+		 * @returns {Error|null}
+		 */
+		get cause() {
+			return this._cause;
+		}
+
+		toString() {
+			return `[ConcurrencyConflictError (tableName=${this._tableName})]`;
+		}
+	}
+
+	return ConcurrencyConflictError;
+})();
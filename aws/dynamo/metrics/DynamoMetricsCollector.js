@@ -0,0 +1,222 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Disposable = require('@barchart/common-js/lang/Disposable'),
+	Event = require('@barchart/common-js/messaging/Event'),
+	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+module.exports = (() => {
+	'use strict';
+
+	const THROTTLING_CODES = [ 'ThrottlingException', 'ProvisionedThroughputExceededException', 'RequestLimitExceeded', 'UnprocessedItems', 'UnprocessedKeys' ];
+
+	/**
+	 * Aggregates the capacity consumed by DynamoDB operations (i.e. the
+	 * "ConsumedCapacity" returned with each response) along with the number of
+	 * requests retried (and throttled). Statistics are kept for each table,
+	 * each index, and each operation. A {@link DynamoProvider} records every
+	 * operation it runs (see {@link DynamoProvider#getMetrics}), so observers
+	 * can log (or publish) each operation as it completes.
+	 *
+	 * @public
+	 * @extends {Disposable}
+	 */
+	class DynamoMetricsCollector extends Disposable {
+		constructor() {
+			super();
+
+			this._tables = { };
+
+			this._capacityEvent = new Event(this);
+			this._retryEvent = new Event(this);
+		}
+
+		/**
+		 * Records the capacity consumed by an operation.
+		 *
+		 * @public
+		 * @param {String} operation - The name of the DynamoDB operation (e.g. "Query").
+		 * @param {Object|Object[]|null|undefined} consumedCapacity - The "ConsumedCapacity" property of the operation's response.
+		 */
+		recordCapacity(operation, consumedCapacity) {
+			assert.argumentIsRequired(operation, 'operation', String);
+
+			if (this.getIsDisposed() || !consumedCapacity) {
+				return;
+			}
+
+			const entries = is.array(consumedCapacity) ? consumedCapacity : [ consumedCapacity ];
+
+			entries.forEach((entry) => {
+				const capacity = getCapacity(entry);
+
+				const indices = [ entry.GlobalSecondaryIndexes, entry.LocalSecondaryIndexes ].reduce((accumulator, map) => {
+					if (is.object(map)) {
+						Object.keys(map).forEach((name) => {
+							accumulator[name] = getCapacity(map[name]);
+						});
+					}
+
+					return accumulator;
+				}, { });
+
+				const table = getTableStatistics.call(this, entry.TableName);
+				const operationStatistics = getOperationStatistics(table, operation);
+
+				addCapacity(table.capacity, capacity);
+				addCapacity(operationStatistics.capacity, capacity);
+
+				operationStatistics.requests = operationStatistics.requests + 1;
+
+				Object.keys(indices).forEach((name) => {
+					if (!table.indices.hasOwnProperty(name)) {
+						table.indices[name] = getEmptyCapacity();
+					}
+
+					addCapacity(table.indices[name], indices[name]);
+				});
+
+				this._capacityEvent.fire({ operation: operation, tableName: entry.TableName, capacity: capacity, indices: indices });
+			});
+		}
+
+		/**
+		 * Records a retry (e.g. after a request was throttled).
+		 *
+		 * @public
+		 * @param {String} operation - The name of the DynamoDB operation (e.g. "Query").
+		 * @param {String} tableName - The name of the table.
+		 * @param {String} code - The error code (or "UnprocessedItems" or "UnprocessedKeys" for incomplete batch operations).
+		 */
+		recordRetry(operation, tableName, code) {
+			assert.argumentIsRequired(operation, 'operation', String);
+			assert.argumentIsRequired(tableName, 'tableName', String);
+			assert.argumentIsRequired(code, 'code', String);
+
+			if (this.getIsDisposed()) {
+				return;
+			}
+
+			const throttled = THROTTLING_CODES.includes(code);
+
+			const table = getTableStatistics.call(this, tableName);
+			const operationStatistics = getOperationStatistics(table, operation);
+
+			table.retries = table.retries + 1;
+			operationStatistics.retries = operationStatistics.retries + 1;
+
+			if (throttled) {
+				table.throttles = table.throttles + 1;
+				operationStatistics.throttles = operationStatistics.throttles + 1;
+			}
+
+			this._retryEvent.fire({ operation: operation, tableName: tableName, code: code, throttled: throttled });
+		}
+
+		/**
+		 * Returns a copy of the aggregated statistics, keyed by table name. Each
+		 * table's statistics include "capacity" (an object with "total", "read",
+		 * and "write" units), "indices" (capacity, keyed by index name), "retries",
+		 * "throttles", and "operations" (keyed by operation name, each with
+		 * "requests", "capacity", "retries", and "throttles").
+		 *
+		 * @public
+		 * @param {String=} tableName - If specified, only the statistics for the table are returned.
+		 * @returns {Object}
+		 */
+		getStatistics(tableName) {
+			assert.argumentIsOptional(tableName, 'tableName', String);
+
+			if (tableName) {
+				return object.clone(this._tables[tableName] || getEmptyTableStatistics());
+			}
+
+			return object.clone(this._tables);
+		}
+
+		/**
+		 * Discards all statistics.
+		 *
+		 * @public
+		 */
+		reset() {
+			this._tables = { };
+		}
+
+		/**
+		 * Registers an observer which is notified each time capacity is recorded.
+		 * The observer receives an object with "operation", "tableName", "capacity",
+		 * and "indices" properties.
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerCapacityObserver(handler) {
+			return this._capacityEvent.register(handler);
+		}
+
+		/**
+		 * Registers an observer which is notified each time a retry is recorded.
+		 * The observer receives an object with "operation", "tableName", "code",
+		 * and "throttled" properties.
+		 *
+		 * @public
+		 * @param {Function} handler
+		 * @returns {Disposable}
+		 */
+		registerRetryObserver(handler) {
+			return this._retryEvent.register(handler);
+		}
+
+		_onDispose() {
+			this._capacityEvent.dispose();
+			this._retryEvent.dispose();
+
+			this._tables = null;
+		}
+
+		toString() {
+			return '[DynamoMetricsCollector]';
+		}
+	}
+
+	function getTableStatistics(tableName) {
+		if (!this._tables.hasOwnProperty(tableName)) {
+			this._tables[tableName] = getEmptyTableStatistics();
+		}
+
+		return this._tables[tableName];
+	}
+
+	function getOperationStatistics(table, operation) {
+		if (!table.operations.hasOwnProperty(operation)) {
+			table.operations[operation] = { requests: 0, capacity: getEmptyCapacity(), retries: 0, throttles: 0 };
+		}
+
+		return table.operations[operation];
+	}
+
+	function getEmptyTableStatistics() {
+		return { capacity: getEmptyCapacity(), indices: { }, operations: { }, retries: 0, throttles: 0 };
+	}
+
+	function getEmptyCapacity() {
+		return { total: 0, read: 0, write: 0 };
+	}
+
+	function getCapacity(units) {
+		return {
+			total: units.CapacityUnits || 0,
+			read: units.ReadCapacityUnits || 0,
+			write: units.WriteCapacityUnits || 0
+		};
+	}
+
+	function addCapacity(target, source) {
+		target.total = target.total + source.total;
+		target.read = target.read + source.read;
+		target.write = target.write + source.write;
+	}
+
+	return DynamoMetricsCollector;
+})();
@@ -1,6 +1,7 @@
 const assert = require('@barchart/common-js/lang/assert');
 
-const Filter = require('./../definitions/Filter');
+const ConjunctionType = require('./../definitions/ConjunctionType'),
+	Filter = require('./../definitions/Filter');
 
 const ExpressionBuilder = require('./ExpressionBuilder');
 
@@ -61,15 +62,69 @@ module.exports = (() => {
 
 			callback(expressionBuilder);
 
-			this._filter = new Filter(this._filter.expressions.concat([ expressionBuilder.expression ]));
+			this._filter = new Filter(this._filter.components.concat([ expressionBuilder.expression ]));
 
 			return this;
 		}
 
+		/**
+		 * Adds a group of expressions to the filter, where at least one of the
+		 * group's expressions must be true (e.g. "status = A OR status = B"), then
+		 * returns the current instance.
+		 *
+		 * @public
+		 * @param {Function} callback - Synchronously called, providing a {@link FilterBuilder} used to define the group.
+		 * @returns {FilterBuilder}
+		 */
+		orGroup(callback) {
+			return addGroup.call(this, callback, ConjunctionType.OR, false);
+		}
+
+		/**
+		 * Adds a group of expressions to the filter, where all of the group's
+		 * expressions must be true, then returns the current instance. Useful
+		 * for nesting inside an {@link FilterBuilder#orGroup}.
+		 *
+		 * @public
+		 * @param {Function} callback - Synchronously called, providing a {@link FilterBuilder} used to define the group.
+		 * @returns {FilterBuilder}
+		 */
+		andGroup(callback) {
+			return addGroup.call(this, callback, ConjunctionType.AND, false);
+		}
+
+		/**
+		 * Adds a negated group of expressions to the filter (e.g. "NOT (x BETWEEN
+		 * 1 AND 3)"), then returns the current instance. When the group contains
+		 * more than one expression, the expressions are combined with "and" before
+		 * being negated.
+		 *
+		 * @public
+		 * @param {Function} callback - Synchronously called, providing a {@link FilterBuilder} used to define the group.
+		 * @returns {FilterBuilder}
+		 */
+		not(callback) {
+			return addGroup.call(this, callback, ConjunctionType.AND, true);
+		}
+
 		toString() {
 			return '[FilterBuilder]';
 		}
 	}
 
+	function addGroup(callback, conjunctionType, negated) {
+		assert.argumentIsRequired(callback, 'callback', Function);
+
+		const filterBuilder = new FilterBuilder(this._parent);
+
+		callback(filterBuilder);
+
+		const group = new Filter(filterBuilder.filter.components, conjunctionType, negated);
+
+		this._filter = new Filter(this._filter.components.concat([ group ]));
+
+		return this;
+	}
+
 	return FilterBuilder;
 })();
\ No newline at end of file
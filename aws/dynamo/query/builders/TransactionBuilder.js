@@ -0,0 +1,173 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const Table = require('./../../schema/definitions/Table'),
+	Transaction = require('./../definitions/Transaction'),
+	TransactionOperation = require('./../definitions/TransactionOperation'),
+	TransactionOperationType = require('./../definitions/TransactionOperationType'),
+	Update = require('./../definitions/Update');
+
+const ConditionalBuilder = require('./ConditionalBuilder'),
+	UpdateBuilder = require('./UpdateBuilder');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Fluent interface for building a {@link Transaction}.
+	 *
+	 * @public
+	 */
+	class TransactionBuilder {
+		constructor() {
+			this._transaction = new Transaction([ ]);
+		}
+
+		/**
+		 * The {@link Transaction}, given all the information provided thus far.
+		 *
+		 * @public
+		 * @returns {Transaction}
+		 */
+		get transaction() {
+			return this._transaction;
+		}
+
+		/**
+		 * Adds an operation which writes an entire item (overwriting any existing
+		 * item with the same key), then returns the current instance.
+		 *
+		 * @public
+		 * @param {Object} item - The item to write.
+		 * @param {Table} table - Describes the schema of the table to write to.
+		 * @param {Function=} callback - Synchronously called, providing a {@link FilterBuilder} for an (optional) condition.
+		 * @returns {TransactionBuilder}
+		 */
+		withPut(item, table, callback) {
+			assert.argumentIsRequired(item, 'item', Object);
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+			assert.argumentIsOptional(callback, 'callback', Function);
+
+			return addOperation.call(this, new TransactionOperation(TransactionOperationType.PUT, table, item, null, getConditionFilter(table, callback)));
+		}
+
+		/**
+		 * Adds an {@link Update} to the transaction, then returns the current instance.
+		 * Any {@link ReturnValueType} assigned to the update is ignored.
+		 *
+		 * @public
+		 * @param {Update} update
+		 * @returns {TransactionBuilder}
+		 */
+		withUpdate(update) {
+			assert.argumentIsRequired(update, 'update', Update, 'Update');
+
+			return addOperation.call(this, new TransactionOperation(TransactionOperationType.UPDATE, update.table, null, update));
+		}
+
+		/**
+		 * Adds an {@link Update} to the transaction, using a callback that provides the
+		 * consumer with an {@link UpdateBuilder}, then returns the current instance.
+		 *
+		 * @public
+		 * @param {Table} table - Describes the schema of the table to update.
+		 * @param {Function} callback - Synchronously called, providing an {@link UpdateBuilder} for the table.
+		 * @returns {TransactionBuilder}
+		 */
+		withUpdateBuilder(table, callback) {
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+			assert.argumentIsRequired(callback, 'callback', Function);
+
+			const updateBuilder = UpdateBuilder.targeting(table);
+
+			callback(updateBuilder);
+
+			return this.withUpdate(updateBuilder.update);
+		}
+
+		/**
+		 * Adds an operation which removes an item, then returns the current instance.
+		 *
+		 * @public
+		 * @param {Object} item - The item to delete.
+		 * @param {Table} table - Describes the schema of the table to delete from.
+		 * @param {Boolean=} explicit - If keys are derived, the item will be deleted as-is, without rederiving the key.
+		 * @param {Function=} callback - Synchronously called, providing a {@link FilterBuilder} for an (optional) condition.
+		 * @returns {TransactionBuilder}
+		 */
+		withDelete(item, table, explicit, callback) {
+			assert.argumentIsRequired(item, 'item', Object);
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+			assert.argumentIsOptional(explicit, 'explicit', Boolean);
+			assert.argumentIsOptional(callback, 'callback', Function);
+
+			return addOperation.call(this, new TransactionOperation(TransactionOperationType.DELETE, table, item, null, getConditionFilter(table, callback), explicit));
+		}
+
+		/**
+		 * Adds an operation which checks a condition on an item (without changing
+		 * the item), then returns the current instance. If the condition fails, the
+		 * entire transaction fails.
+		 *
+		 * @public
+		 * @param {Object} item - The item (or key of the item) to check.
+		 * @param {Table} table - Describes the schema of the table to check.
+		 * @param {Function} callback - Synchronously called, providing a {@link FilterBuilder} for the condition.
+		 * @returns {TransactionBuilder}
+		 */
+		withConditionCheck(item, table, callback) {
+			assert.argumentIsRequired(item, 'item', Object);
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+			assert.argumentIsRequired(callback, 'callback', Function);
+
+			return addOperation.call(this, new TransactionOperation(TransactionOperationType.CONDITION_CHECK, table, item, null, getConditionFilter(table, callback)));
+		}
+
+		/**
+		 * Adds a description to the transaction and returns the current instance.
+		 *
+		 * @public
+		 * @param {String} description
+		 * @returns {TransactionBuilder}
+		 */
+		withDescription(description) {
+			assert.argumentIsRequired(description, 'description', String);
+
+			this._transaction = new Transaction(this._transaction.operations, description);
+
+			return this;
+		}
+
+		/**
+		 * Creates a new {@link TransactionBuilder}.
+		 *
+		 * @public
+		 * @static
+		 * @returns {TransactionBuilder}
+		 */
+		static create() {
+			return new TransactionBuilder();
+		}
+
+		toString() {
+			return '[TransactionBuilder]';
+		}
+	}
+
+	function addOperation(operation) {
+		this._transaction = new Transaction(this._transaction.operations.concat(operation), this._transaction.description);
+
+		return this;
+	}
+
+	function getConditionFilter(table, callback) {
+		if (!callback) {
+			return null;
+		}
+
+		return new ConditionalBuilder(table)
+			.withFilterBuilder(callback)
+			.conditional.filter;
+	}
+
+	return TransactionBuilder;
+})();
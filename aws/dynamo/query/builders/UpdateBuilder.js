@@ -62,7 +62,7 @@ module.exports = (() => {
 
 			callback(filterBuilder);
 
-			this._update = new Update(this._update.table, filterBuilder.filter, this._update.conditionFilter, this._update.expressions, this._update.returnType, this._update.description);
+			this._update = new Update(this._update.table, filterBuilder.filter, this._update.conditionFilter, this._update.expressions, this._update.returnType, this._update.description, this._update.expectedVersion);
 
 			return this;
 		}
@@ -82,7 +82,7 @@ module.exports = (() => {
 
 			callback(filterBuilder);
 
-			this._update = new Update(this._update.table, this._update.keyFilter, filterBuilder.filter, this._update.expressions, this._update.returnType, this._update.description);
+			this._update = new Update(this._update.table, this._update.keyFilter, filterBuilder.filter, this._update.expressions, this._update.returnType, this._update.description, this._update.expectedVersion);
 
 			return this;
 		}
@@ -107,11 +107,41 @@ module.exports = (() => {
 
 			const expressions = this._update.expressions.concat(expression);
 
-			this._update = new Update(this._update.table, this._update.keyFilter, this._update.conditionFilter, expressions, this._update.returnType, this._update.description);
+			this._update = new Update(this._update.table, this._update.keyFilter, this._update.conditionFilter, expressions, this._update.returnType, this._update.description, this._update.expectedVersion);
 
 			return this;
 		}
 
+		/**
+		 * Adds items to a set attribute (e.g. {@link DataType.STRING_SET} or
+		 * {@link DataType.NUMBER_SET}) and returns the current instance. Items
+		 * which already exist in the set are ignored.
+		 *
+		 * @public
+		 * @param {String} attributeName
+		 * @param {Array} items
+		 * @returns {UpdateBuilder}
+		 */
+		withAddToSet(attributeName, items) {
+			assert.argumentIsArray(items, 'items');
+
+			return this.withUpdateExpression(UpdateActionType.ADD, attributeName, UpdateOperatorType.SPACE, items);
+		}
+
+		/**
+		 * Removes items from a set attribute and returns the current instance.
+		 *
+		 * @public
+		 * @param {String} attributeName
+		 * @param {Array} items
+		 * @returns {UpdateBuilder}
+		 */
+		withDeleteFromSet(attributeName, items) {
+			assert.argumentIsArray(items, 'items');
+
+			return this.withUpdateExpression(UpdateActionType.DELETE, attributeName, UpdateOperatorType.SPACE, items);
+		}
+
 		/**
 		 * Add a {@link ReturnValueType} to the update.
 		 *
@@ -122,7 +152,7 @@ module.exports = (() => {
 		withReturnValueType(returnValueType) {
 			assert.argumentIsRequired(returnValueType, 'returnValueType', ReturnValueType, 'ReturnValueType');
 
-			this._update = new Update(this._update.table, this._update.keyFilter, this._update.conditionFilter, this._update.expressions, returnValueType, this._update.description);
+			this._update = new Update(this._update.table, this._update.keyFilter, this._update.conditionFilter, this._update.expressions, returnValueType, this._update.description, this._update.expectedVersion);
 
 			return this;
 		}
@@ -137,7 +167,24 @@ module.exports = (() => {
 		withDescription(description) {
 			assert.argumentIsRequired(description, 'description', String);
 
-			this._update = new Update(this._update.table, this._update.keyFilter, this._update.conditionFilter, this._update.expressions, this._update.returnType, description);
+			this._update = new Update(this._update.table, this._update.keyFilter, this._update.conditionFilter, this._update.expressions, this._update.returnType, description, this._update.expectedVersion);
+
+			return this;
+		}
+
+		/**
+		 * Specifies the version the item is expected to have. Only applicable when
+		 * the table is versioned (see {@link TableBuilder#withVersionAttribute}); if
+		 * the item's version differs, the update fails.
+		 *
+		 * @public
+		 * @param {Number} version
+		 * @returns {UpdateBuilder}
+		 */
+		withExpectedVersion(version) {
+			assert.argumentIsRequired(version, 'version', Number);
+
+			this._update = new Update(this._update.table, this._update.keyFilter, this._update.conditionFilter, this._update.expressions, this._update.returnType, this._update.description, version);
 
 			return this;
 		}
@@ -113,11 +113,15 @@ module.exports = (() => {
 
 			const offsetToUse = offset || 0;
 
-			const data = filter.expressions.reduce((accumulator, e, index) => {
+			const accumulator = { expressionComponents: [ ], valueAliases: { }, offset: offsetToUse };
+
+			const formatExpression = (e) => {
 				const operatorType = e.operatorType;
 				const operand = e.operand;
 
-				const indexToUse = index + offsetToUse;
+				const indexToUse = accumulator.offset;
+
+				accumulator.offset = accumulator.offset + 1;
 
 				const repeatCount = 1 + Math.floor(indexToUse / 26);
 				const letterCode = 97 + (indexToUse % 26);
@@ -128,7 +132,7 @@ module.exports = (() => {
 
 				let operandAliases;
 
-				if (operatorType.operandCount > 1) {
+				if (operatorType.operandCount > 1 || operatorType.variadic) {
 					operandAliases = operand.map((o, i) => {
 						const operandAlias = `:${String.fromCharCode(letterCode).repeat(repeatCount)}${i}`;
 						const operandValue = Serializers.forDataType(e.attribute.dataType).serialize(operand[i]);
@@ -148,14 +152,37 @@ module.exports = (() => {
 					operandAliases = [ ];
 				}
 
-				accumulator.expressionComponents.push(operatorType.format(attributeAliases[e.attribute.name], operandAliases));
+				return operatorType.format(attributeAliases[e.attribute.name], operandAliases);
+			};
+
+			const formatComponent = (c) => {
+				if (c instanceof Filter) {
+					const components = c.components.map(formatComponent);
+					const joined = components.join(` ${c.conjunctionType.keyword} `);
+
+					if (c.negated) {
+						return `NOT (${joined})`;
+					} else if (components.length > 1) {
+						return `(${joined})`;
+					} else {
+						return joined;
+					}
+				} else {
+					return formatExpression(c);
+				}
+			};
+
+			accumulator.expressionComponents = filter.components.map(formatComponent);
 
-				return accumulator;
-			}, { expressionComponents: [ ], valueAliases: { }, offset: offsetToUse + filter.expressions.length });
+			const joined = accumulator.expressionComponents.join(` ${filter.conjunctionType.keyword} `);
 
-			data.expression = data.expressionComponents.join(' and ');
+			if (filter.negated) {
+				accumulator.expression = `NOT (${joined})`;
+			} else {
+				accumulator.expression = joined;
+			}
 
-			return data;
+			return accumulator;
 		}
 
 		toString() {
@@ -0,0 +1,72 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Defines the logical operator used to combine the components of
+	 * a {@link Filter}.
+	 *
+	 * @public
+	 * @param {String} description
+	 * @param {String} keyword
+	 */
+	class ConjunctionType {
+		constructor(description, keyword) {
+			assert.argumentIsRequired(description, 'description', String);
+			assert.argumentIsRequired(keyword, 'keyword', String);
+
+			this._description = description;
+			this._keyword = keyword;
+		}
+
+		/**
+		 * Description of the conjunction.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get description() {
+			return this._description;
+		}
+
+		/**
+		 * The keyword used to join components in an AWS SDK expression.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get keyword() {
+			return this._keyword;
+		}
+
+		/**
+		 * All components must be true.
+		 *
+		 * @public
+		 * @returns {ConjunctionType}
+		 */
+		static get AND() {
+			return conjunctionTypeAnd;
+		}
+
+		/**
+		 * At least one component must be true.
+		 *
+		 * @public
+		 * @returns {ConjunctionType}
+		 */
+		static get OR() {
+			return conjunctionTypeOr;
+		}
+
+		toString() {
+			return `[ConjunctionType (description=${this._description})]`;
+		}
+	}
+
+	const conjunctionTypeAnd = new ConjunctionType('and', 'and');
+	const conjunctionTypeOr = new ConjunctionType('or', 'or');
+
+	return ConjunctionType;
+})();
@@ -6,6 +6,8 @@ const Attribute = require('./../../schema/definitions/Attribute'),
 module.exports = (() => {
 	'use strict';
 
+	const MAXIMUM_OPERANDS = 100;
+
 	/**
 	 * An expression that can be used as part of a {@link Filter}.
 	 *
@@ -73,6 +75,10 @@ module.exports = (() => {
 			if (!(this._operatorType instanceof OperatorType)) {
 				throw new Error('Expression data type is invalid.');
 			}
+
+			if (this._operatorType.variadic && (!is.array(this._operand) || this._operand.length < this._operatorType.operandCount || this._operand.length > MAXIMUM_OPERANDS)) {
+				throw new Error(`Expression operand must be an array with between ${this._operatorType.operandCount} and ${MAXIMUM_OPERANDS} items.`);
+			}
 		}
 
 		toString() {
@@ -1,29 +1,88 @@
-const assert = require('@barchart/common-js/lang/assert');
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
 
-const Expression = require('./Expression');
+const ConjunctionType = require('./ConjunctionType'),
+	Expression = require('./Expression');
 
 module.exports = (() => {
 	'use strict';
 
 	/**
-	 * The collection of {@link Expression} objects that compose a filter.
+	 * The collection of {@link Expression} objects that compose a filter. A filter
+	 * can also contain other {@link Filter} instances (i.e. groups), allowing
+	 * expressions to be combined with "or" and negated with "not".
 	 *
 	 * @public
-	 * @param {Expression[]} expressions
+	 * @param {Array<Expression|Filter>} components
+	 * @param {ConjunctionType=} conjunctionType - Defaults to {@link ConjunctionType.AND}.
+	 * @param {Boolean=} negated
 	 */
 	class Filter {
-		constructor(expressions) {
-			this._expressions = expressions;
+		constructor(components, conjunctionType, negated) {
+			this._components = components;
+			this._conjunctionType = conjunctionType || ConjunctionType.AND;
+			this._negated = is.boolean(negated) && negated;
 		}
 
 		/**
-		 * The collection of {@link Expression} objects that compose a filter.
+		 * The collection of {@link Expression} objects that compose the filter,
+		 * including the expressions contained in groups (in the order they will
+		 * appear in the output expression).
 		 *
 		 * @public
 		 * @returns {Expression[]}
 		 */
 		get expressions() {
-			return [...this._expressions];
+			return this._components.reduce((expressions, c) => {
+				if (c instanceof Filter) {
+					return expressions.concat(c.expressions);
+				} else {
+					return expressions.concat([ c ]);
+				}
+			}, [ ]);
+		}
+
+		/**
+		 * The direct children of the filter (i.e. {@link Expression} and
+		 * {@link Filter} instances).
+		 *
+		 * @public
+		 * @returns {Array<Expression|Filter>}
+		 */
+		get components() {
+			return [...this._components];
+		}
+
+		/**
+		 * The logical operator used to combine the filter's components.
+		 *
+		 * @public
+		 * @returns {ConjunctionType}
+		 */
+		get conjunctionType() {
+			return this._conjunctionType;
+		}
+
+		/**
+		 * If true, the filter is satisfied when its components are not.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get negated() {
+			return this._negated;
+		}
+
+		/**
+		 * Returns true if the filter is anything other than a list of expressions
+		 * joined with "and" (i.e. the filter contains groups, uses "or", or is
+		 * negated).
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get grouped() {
+			return this._negated || this._conjunctionType !== ConjunctionType.AND || this._components.some(c => c instanceof Filter);
 		}
 
 		/**
@@ -32,15 +91,19 @@ module.exports = (() => {
 		 * @public
 		 */
 		validate() {
-			if (this._expressions.length === 0) {
+			if (this._components.length === 0) {
 				throw new Error('Filter must contain at least one Expression.');
 			}
 
-			if (!this._expressions.every((e => e instanceof Expression))) {
-				throw new Error('Filter expression array can only contain Expression instances.');
+			if (!this._components.every((c => c instanceof Expression || c instanceof Filter))) {
+				throw new Error('Filter expression array can only contain Expression (or Filter) instances.');
+			}
+
+			if (!(this._conjunctionType instanceof ConjunctionType)) {
+				throw new Error('Filter conjunction type is invalid.');
 			}
 
-			this._expressions.forEach(e => e.validate());
+			this._components.forEach(c => c.validate());
 		}
 
 		/**
@@ -57,9 +120,9 @@ module.exports = (() => {
 			assert.argumentIsRequired(b, 'b', Filter, 'Filter');
 
 			if (a === b) {
-				return new Filter(a.expressions);
+				return new Filter(getComponentsForMerge(a));
 			} else {
-				return new Filter(a.expressions.concat(b.expressions));
+				return new Filter(getComponentsForMerge(a).concat(getComponentsForMerge(b)));
 			}
 		}
 
@@ -68,5 +131,13 @@ module.exports = (() => {
 		}
 	}
 
+	function getComponentsForMerge(filter) {
+		if (filter.negated || filter.conjunctionType !== ConjunctionType.AND) {
+			return [ filter ];
+		} else {
+			return filter.components;
+		}
+	}
+
 	return Filter;
 })();
@@ -14,18 +14,21 @@ module.exports = (() => {
 	 * @param {Function} formatter
 	 * @param {Number} operandCount
 	 * @param {Array<KeyType>} keyTypes
+	 * @param {Boolean=} variadic
 	 */
 	class OperatorType {
-		constructor(description, formatter, operandCount, keyTypes) {
+		constructor(description, formatter, operandCount, keyTypes, variadic) {
 			assert.argumentIsRequired(description, 'description', String);
 			assert.argumentIsRequired(formatter, 'formatter', Function);
 			assert.argumentIsRequired(operandCount, 'operandCount', Number);
 			assert.argumentIsArray(keyTypes, 'keyTypes', KeyType, 'KeyType');
+			assert.argumentIsOptional(variadic, 'variadic', Boolean);
 
 			this._description = description;
 			this._formatter = formatter;
 			this._operandCount = operandCount;
 			this._keyTypes = keyTypes;
+			this._variadic = variadic || false;
 		}
 
 		/**
@@ -48,6 +51,17 @@ module.exports = (() => {
 			return this._operandCount;
 		}
 
+		/**
+		 * If true, the operand is an array which can contain any number of items
+		 * (but no fewer than the operand count).
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get variadic() {
+			return this._variadic;
+		}
+
 		/**
 		 * Returns true, if the operator an be used with the {@link KeyType}.
 		 *
@@ -72,7 +86,7 @@ module.exports = (() => {
 		format(field, operand) {
 			assert.argumentIsRequired(field, 'field', String);
 
-			if (this._operandCount === 2) {
+			if (this._operandCount === 2 || this._variadic) {
 				assert.argumentIsArray(operand, 'operand', String);
 			} else if (this._operandCount === 1) {
 				assert.argumentIsRequired(operand, 'operand', String);
@@ -171,6 +185,16 @@ module.exports = (() => {
 			return operatorTypeBetween;
 		}
 
+		/**
+		 * Attribute is equal to one of the items in a list.
+		 *
+		 * @public
+		 * @returns {OperatorType}
+		 */
+		static get IN() {
+			return operatorTypeIn;
+		}
+
 		/**
 		 * Attribute begins with text.
 		 *
@@ -215,6 +239,7 @@ module.exports = (() => {
 	const operatorTypeGreaterThanOrEqualTo = new OperatorType('Greater Than Or Equal To', (f, o) => `${f} >= ${o}`, 1, [ KeyType.RANGE ]);
 	const operatorTypeLessThanOrEqualTo = new OperatorType('Less Than Or Equal To', (f, o) => `${f} <= ${o}`, 1, [ KeyType.RANGE ]);
 	const operatorTypeBetween = new OperatorType('Between', (f, o) => `${f} BETWEEN ${o[0]} AND ${o[1]}`, 2, [ KeyType.RANGE ]);
+	const operatorTypeIn = new OperatorType('In', (f, o) => `${f} IN (${o.join(', ')})`, 1, [ ], true);
 
 	const operatorTypeBeginsWith = new OperatorType('Begins With', (f, o) => `begins_with(${f}, ${o})`, 1, [ KeyType.RANGE ]);
 
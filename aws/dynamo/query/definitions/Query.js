@@ -168,6 +168,10 @@ module.exports = (() => {
 
 			this._keyFilter.validate();
 
+			if (this._keyFilter.grouped) {
+				throw new Error('The key filter cannot contain groups.');
+			}
+
 			let keys;
 
 			if (this.index === null) {
@@ -123,6 +123,32 @@ module.exports = (() => {
 			return this._countOnly;
 		}
 
+		/**
+		 * Divides the scan into segments, returning one scan for each segment
+		 * (see {@link DynamoProvider#scanParallel}).
+		 *
+		 * @public
+		 * @param {Number} totalSegments
+		 * @returns {Scan[]}
+		 */
+		getSegments(totalSegments) {
+			if (this._segment !== null) {
+				throw new Error('Unable to divide a scan which already targets a segment.');
+			}
+
+			const segments = [ ];
+
+			for (let segment = 0; segment < totalSegments; segment++) {
+				const scan = new Scan(this.table, this.index, this._filter, this.attributes, this._limit, segment, totalSegments, this._consistentRead, this._skipDeserialization, this._countOnly, `${this.description} (segment ${segment + 1} of ${totalSegments})`);
+
+				scan.validate();
+
+				segments.push(scan);
+			}
+
+			return segments;
+		}
+
 		/**
 		 * Throws an {@link Error} if the instance is invalid.
 		 *
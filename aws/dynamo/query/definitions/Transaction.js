@@ -0,0 +1,115 @@
+const is = require('@barchart/common-js/lang/is');
+
+const TransactionOperation = require('./TransactionOperation');
+
+module.exports = (() => {
+	'use strict';
+
+	const MAXIMUM_OPERATIONS = 100;
+
+	/**
+	 * A group of write operations (which may target multiple tables) that
+	 * must succeed, or fail, together.
+	 *
+	 * @public
+	 * @param {TransactionOperation[]} operations
+	 * @param {String=} description
+	 */
+	class Transaction {
+		constructor(operations, description) {
+			this._operations = operations || [ ];
+			this._description = description || '[Unnamed Transaction]';
+		}
+
+		/**
+		 * The operations which compose the transaction (in order).
+		 *
+		 * @public
+		 * @returns {TransactionOperation[]}
+		 */
+		get operations() {
+			return [...this._operations];
+		}
+
+		/**
+		 * A description of the transaction (for logging purposes).
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get description() {
+			return this._description;
+		}
+
+		/**
+		 * Throws an {@link Error} if the instance is invalid.
+		 *
+		 * @public
+		 */
+		validate() {
+			if (!is.array(this._operations)) {
+				throw new Error('Transaction must have an array of operations.');
+			}
+
+			if (this._operations.length === 0) {
+				throw new Error('Transaction must contain at least one operation.');
+			}
+
+			if (this._operations.length > MAXIMUM_OPERATIONS) {
+				throw new Error(`Transaction must not contain more than ${MAXIMUM_OPERATIONS} operations.`);
+			}
+
+			if (!this._operations.every(o => o instanceof TransactionOperation)) {
+				throw new Error('Transaction operation array can only contain TransactionOperation instances.');
+			}
+
+			this._operations.forEach(o => o.validate());
+		}
+
+		/**
+		 * Outputs an object suitable for running a "transactWriteItems" operation
+		 * using the DynamoDB SDK.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		toTransactionSchema() {
+			this.validate();
+
+			const schema = { };
+
+			schema.TransactItems = this._operations.map(o => o.toOperationSchema());
+
+			const targets = schema.TransactItems.map((ti, i) => {
+				const operation = this._operations[i];
+				const operationSchema = ti[operation.operationType.keyword];
+
+				return JSON.stringify([ operationSchema.TableName, getKey(operation.table, operationSchema.Key || operationSchema.Item) ]);
+			});
+
+			targets.forEach((target, i) => {
+				if (targets.indexOf(target) !== i) {
+					throw new Error(`Transaction operations must target distinct items, operation [ ${i} ] targets the same item as operation [ ${targets.indexOf(target)} ].`);
+				}
+			});
+
+			return schema;
+		}
+
+		toString() {
+			return '[Transaction]';
+		}
+	}
+
+	function getKey(table, serialized) {
+		return table.keys.reduce((accumulator, key) => {
+			const name = key.attribute.name;
+
+			accumulator[name] = serialized[name];
+
+			return accumulator;
+		}, { });
+	}
+
+	return Transaction;
+})();
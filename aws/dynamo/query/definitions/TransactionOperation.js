@@ -0,0 +1,212 @@
+const is = require('@barchart/common-js/lang/is');
+
+const Conditional = require('./Conditional'),
+	Expression = require('./Expression'),
+	Filter = require('./Filter'),
+	OperatorType = require('./OperatorType'),
+	Serializer = require('./../../schema/serialization/Serializer'),
+	Table = require('./../../schema/definitions/Table'),
+	TransactionOperationType = require('./TransactionOperationType'),
+	Update = require('./Update');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A single operation (i.e. a put, update, delete, or condition check)
+	 * which is part of a {@link Transaction}.
+	 *
+	 * When the table is versioned (see {@link Table#versionAttribute}), a put
+	 * writes the item with an incremented version (the item passed is not
+	 * mutated) and, like {@link DynamoProvider#saveItem}, is conditioned on the
+	 * existing item's version matching the version of the item passed (or the
+	 * absence of a version, if the item passed has none).
+	 *
+	 * @public
+	 * @param {TransactionOperationType} operationType
+	 * @param {Table} table
+	 * @param {Object=} item - The item to write (or the key of the item to delete or check). Not used for updates.
+	 * @param {Update=} update - The update to perform. Only used for updates.
+	 * @param {Filter=} conditionFilter - An optional condition which must pass for the transaction to proceed.
+	 * @param {Boolean=} explicit - If keys are derived, the item will be used as-is, without rederiving the key.
+	 */
+	class TransactionOperation {
+		constructor(operationType, table, item, update, conditionFilter, explicit) {
+			this._operationType = operationType;
+			this._table = table;
+
+			this._item = item || null;
+			this._update = update || null;
+			this._conditionFilter = conditionFilter || null;
+			this._explicit = is.boolean(explicit) && explicit;
+		}
+
+		/**
+		 * The type of operation.
+		 *
+		 * @public
+		 * @returns {TransactionOperationType}
+		 */
+		get operationType() {
+			return this._operationType;
+		}
+
+		/**
+		 * The {@link Table} targeted by the operation.
+		 *
+		 * @public
+		 * @returns {Table}
+		 */
+		get table() {
+			return this._table;
+		}
+
+		/**
+		 * The item to write (or the key of the item to delete or check).
+		 *
+		 * @public
+		 * @returns {Object|null}
+		 */
+		get item() {
+			return this._item;
+		}
+
+		/**
+		 * The {@link Update} to perform (for update operations only).
+		 *
+		 * @public
+		 * @returns {Update|null}
+		 */
+		get update() {
+			return this._update;
+		}
+
+		/**
+		 * A {@link Filter} which must be satisfied for the transaction to proceed.
+		 *
+		 * @public
+		 * @returns {Filter|null}
+		 */
+		get conditionFilter() {
+			return this._conditionFilter;
+		}
+
+		/**
+		 * Throws an {@link Error} if the instance is invalid.
+		 *
+		 * @public
+		 */
+		validate() {
+			if (!(this._operationType instanceof TransactionOperationType)) {
+				throw new Error('Transaction operation type is invalid.');
+			}
+
+			if (!(this._table instanceof Table)) {
+				throw new Error('Table data type is invalid.');
+			}
+
+			if (this._operationType === TransactionOperationType.UPDATE) {
+				if (!(this._update instanceof Update)) {
+					throw new Error('An update operation requires an Update instance.');
+				}
+
+				if (this._update.table !== this._table) {
+					throw new Error('The update must target the same table as the operation.');
+				}
+
+				this._update.validate();
+			} else if (!is.object(this._item)) {
+				throw new Error(`A ${this._operationType.description} operation requires an item.`);
+			}
+
+			if (this._conditionFilter !== null) {
+				if (!(this._conditionFilter instanceof Filter)) {
+					throw new Error('The condition filter data type is invalid.');
+				}
+
+				this._conditionFilter.validate();
+			} else if (this._operationType.requiresCondition) {
+				throw new Error(`A ${this._operationType.description} operation requires a condition.`);
+			}
+		}
+
+		/**
+		 * Outputs an object suitable for inclusion in the "TransactItems" array
+		 * of a "transactWriteItems" operation using the DynamoDB SDK.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		toOperationSchema() {
+			this.validate();
+
+			let schema;
+
+			if (this._operationType === TransactionOperationType.UPDATE) {
+				schema = this._update.toUpdateSchema();
+
+				delete schema.ReturnValues;
+			} else {
+				const versioned = this._operationType === TransactionOperationType.PUT && this._table.versionAttribute !== null;
+
+				let conditionFilter = this._conditionFilter;
+				let item = this._item;
+
+				if (versioned) {
+					const versionAttribute = this._table.attributes.find(a => a.name === this._table.versionAttribute);
+
+					let expectedVersion;
+
+					if (is.number(item[versionAttribute.name])) {
+						expectedVersion = item[versionAttribute.name];
+					} else {
+						expectedVersion = null;
+					}
+
+					let versionFilter;
+
+					if (expectedVersion === null) {
+						versionFilter = new Filter([ new Expression(versionAttribute, OperatorType.ATTRIBUTE_NOT_EXISTS) ]);
+					} else {
+						versionFilter = new Filter([ new Expression(versionAttribute, OperatorType.EQUALS, expectedVersion) ]);
+					}
+
+					if (conditionFilter === null) {
+						conditionFilter = versionFilter;
+					} else {
+						conditionFilter = Filter.merge(conditionFilter, versionFilter);
+					}
+
+					item = Object.assign({ }, item);
+					item[versionAttribute.name] = (expectedVersion || 0) + 1;
+				}
+
+				if (conditionFilter !== null) {
+					schema = new Conditional(this._table, conditionFilter).toConditionalSchema();
+				} else {
+					schema = {
+						TableName: this._table.name
+					};
+				}
+
+				if (this._operationType === TransactionOperationType.PUT) {
+					schema.Item = Serializer.serialize(item, this._table, false, this._explicit);
+				} else {
+					schema.Key = Serializer.serialize(this._item, this._table, true, this._explicit);
+				}
+			}
+
+			const wrapper = { };
+
+			wrapper[this._operationType.keyword] = schema;
+
+			return wrapper;
+		}
+
+		toString() {
+			return `[TransactionOperation (type=${this._operationType.code}, table=${this._table.name})]`;
+		}
+	}
+
+	return TransactionOperation;
+})();
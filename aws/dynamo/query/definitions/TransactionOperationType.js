@@ -0,0 +1,101 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Enum = require('@barchart/common-js/lang/Enum');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Defines the types of operations which can be grouped into
+	 * a {@link Transaction}.
+	 *
+	 * @public
+	 * @extends {Enum}
+	 * @param {String} code
+	 * @param {String} description
+	 * @param {String} keyword
+	 * @param {Boolean} requiresCondition
+	 */
+	class TransactionOperationType extends Enum {
+		constructor(code, description, keyword, requiresCondition) {
+			super(code, description);
+
+			assert.argumentIsRequired(keyword, 'keyword', String);
+			assert.argumentIsRequired(requiresCondition, 'requiresCondition', Boolean);
+
+			this._keyword = keyword;
+			this._requiresCondition = requiresCondition;
+		}
+
+		/**
+		 * Name of the property used by the DynamoDB SDK to describe the
+		 * operation (within a "TransactItems" array).
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get keyword() {
+			return this._keyword;
+		}
+
+		/**
+		 * If true, the operation cannot be used without a condition expression.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get requiresCondition() {
+			return this._requiresCondition;
+		}
+
+		/**
+		 * Writes an entire item.
+		 *
+		 * @public
+		 * @returns {TransactionOperationType}
+		 */
+		static get PUT() {
+			return put;
+		}
+
+		/**
+		 * Edits an existing item's attributes.
+		 *
+		 * @public
+		 * @returns {TransactionOperationType}
+		 */
+		static get UPDATE() {
+			return update;
+		}
+
+		/**
+		 * Removes an item.
+		 *
+		 * @public
+		 * @returns {TransactionOperationType}
+		 */
+		static get DELETE() {
+			return del;
+		}
+
+		/**
+		 * Checks a condition on an item, without changing the item.
+		 *
+		 * @public
+		 * @returns {TransactionOperationType}
+		 */
+		static get CONDITION_CHECK() {
+			return conditionCheck;
+		}
+
+		toString() {
+			return `[TransactionOperationType (code=${this.code}, description=${this.description})]`;
+		}
+	}
+
+	const put = new TransactionOperationType('put', 'put', 'Put', false);
+	const update = new TransactionOperationType('update', 'update', 'Update', false);
+	const del = new TransactionOperationType('delete', 'delete', 'Delete', false);
+	const conditionCheck = new TransactionOperationType('condition-check', 'condition check', 'ConditionCheck', true);
+
+	return TransactionOperationType;
+})();
@@ -1,15 +1,18 @@
 const array = require('@barchart/common-js/lang/array'),
 	Enum = require('@barchart/common-js/lang/Enum'),
-	object = require('@barchart/common-js/lang/object');
+	is = require('@barchart/common-js/lang/is');
 
 const Action = require('./Action'),
+	Expression = require('./Expression'),
 	Filter = require('./Filter'),
 	KeyType = require('./../../schema/definitions/KeyType'),
 	OperatorType = require('./OperatorType'),
 	ReturnValueType = require('./ReturnValueType'),
 	Serializers = require('./../../../dynamo/schema/serialization/Serializers'),
 	Table = require('./../../schema/definitions/Table'),
-	UpdateActionType = require('./UpdateActionType');
+	UpdateActionType = require('./UpdateActionType'),
+	UpdateExpression = require('./UpdateExpression'),
+	UpdateOperatorType = require('./UpdateOperatorType');
 
 module.exports = (() => {
 	'use strict';
@@ -25,15 +28,17 @@ module.exports = (() => {
 	 * @param {UpdateExpression[]} expressions
 	 * @param {ReturnValueType} returnType
 	 * @param {String=} description
+	 * @param {Number=} expectedVersion
 	 */
 	class Update extends Action {
-		constructor(table, keyFilter, conditionFilter, expressions, returnType, description) {
+		constructor(table, keyFilter, conditionFilter, expressions, returnType, description, expectedVersion) {
 			super(table, null, (description || '[Unnamed Update]'));
 
 			this._keyFilter = keyFilter || null;
 			this._conditionFilter = conditionFilter || null;
 			this._expressions = expressions || [ ];
 			this._returnType = returnType || null;
+			this._expectedVersion = is.number(expectedVersion) ? expectedVersion : null;
 		}
 
 		/**
@@ -77,6 +82,18 @@ module.exports = (() => {
 			return this._returnType;
 		}
 
+		/**
+		 * When the table is versioned (see {@link Table#versionAttribute}), the
+		 * version the item is expected to have. The update will fail if the
+		 * item's version differs.
+		 *
+		 * @public
+		 * @returns {Number|null}
+		 */
+		get expectedVersion() {
+			return this._expectedVersion;
+		}
+
 		/**
 		 * Throws an {@link Error} if the instance is invalid.
 		 *
@@ -93,6 +110,10 @@ module.exports = (() => {
 
 			this._keyFilter.validate();
 
+			if (this._keyFilter.grouped) {
+				throw new Error('The key filter cannot contain groups.');
+			}
+
 			if (this._keyFilter.expressions.filter(e => e.attribute.name === (this.table.keys.find(k => k.keyType === KeyType.HASH)).attribute.name).length !== 1) {
 				throw new Error('The key filter must reference the hash key.');
 			}
@@ -114,6 +135,14 @@ module.exports = (() => {
 			}
 
 			this._expressions.forEach(e => e.validate());
+
+			if (this.table.versionAttribute !== null) {
+				if (this._expressions.some(e => e.attribute.name === this.table.versionAttribute)) {
+					throw new Error('The update expressions cannot reference the version attribute.');
+				}
+			} else if (this._expectedVersion !== null) {
+				throw new Error('An expected version was specified, but the table does not have a version attribute.');
+			}
 		}
 
 		/**
@@ -142,25 +171,44 @@ module.exports = (() => {
 			expression.filter = new Filter([ ]);
 			expression.offset = 0;
 
-			if (this._conditionFilter !== null) {
-				const conditionExpressionData = Action.getConditionExpressionData(this._table, this._conditionFilter, expression.offset);
+			let conditionFilter = this._conditionFilter;
+			let updateExpressions = this._expressions;
+
+			if (this._table.versionAttribute !== null) {
+				const versionAttribute = this._table.attributes.find(a => a.name === this._table.versionAttribute);
+
+				if (this._expectedVersion !== null) {
+					const versionFilter = new Filter([ new Expression(versionAttribute, OperatorType.EQUALS, this._expectedVersion) ]);
+
+					if (conditionFilter === null) {
+						conditionFilter = versionFilter;
+					} else {
+						conditionFilter = Filter.merge(conditionFilter, versionFilter);
+					}
+				}
+
+				updateExpressions = updateExpressions.concat(new UpdateExpression(UpdateActionType.ADD, versionAttribute, UpdateOperatorType.SPACE, 1));
+			}
+
+			if (conditionFilter !== null) {
+				const conditionExpressionData = Action.getConditionExpressionData(this._table, conditionFilter, expression.offset);
 
-				expression.attributeAliases = object.merge(expression.attributeAliases, conditionExpressionData.valueAliases);
-				expression.filter = Filter.merge(expression.filter, this._conditionFilter);
+				expression.attributeAliases = Object.assign({ }, expression.attributeAliases, conditionExpressionData.valueAliases);
+				expression.filter = Filter.merge(expression.filter, conditionFilter);
 				expression.offset = conditionExpressionData.offset;
 
 				schema.ConditionExpression = conditionExpressionData.expression;
 			}
 
-			const expressionsByAction = array.groupBy(this._expressions, e => e.actionType.code);
+			const expressionsByAction = array.groupBy(updateExpressions, e => e.actionType.code);
 
-			const updateExpressions = Object.keys(expressionsByAction).map((key) => {
+			const clauses = Object.keys(expressionsByAction).map((key) => {
 				const actionType = Enum.fromCode(UpdateActionType, key);
 
 				const expressions = expressionsByAction[key];
 				const updateExpressionData = Action.getConditionExpressionData(this._table, new Filter(expressions), expression.offset);
 
-				expression.attributeAliases = object.merge(expression.attributeAliases, updateExpressionData.valueAliases);
+				expression.attributeAliases = Object.assign({ }, expression.attributeAliases, updateExpressionData.valueAliases);
 				expression.filter = Filter.merge(expression.filter, new Filter(expressions));
 				expression.offset = updateExpressionData.offset;
 
@@ -169,7 +217,7 @@ module.exports = (() => {
 
 			schema.ExpressionAttributeValues = expression.attributeAliases;
 			schema.ExpressionAttributeNames = Action.getExpressionAttributeNames(this._table, expression.filter.expressions.map(e => e.attribute));
-			schema.UpdateExpression = updateExpressions.join(' ');
+			schema.UpdateExpression = clauses.join(' ');
 
 			if (this._returnType) {
 				schema.ReturnValues = this._returnType.keyword;
@@ -1,6 +1,7 @@
 const is = require('@barchart/common-js/lang/is');
 
 const Attribute = require('./../../schema/definitions/Attribute'),
+	DataType = require('./../../schema/definitions/DataType'),
 	UpdateActionType = require('./UpdateActionType'),
 	UpdateOperatorType = require('./UpdateOperatorType');
 
@@ -93,6 +94,16 @@ module.exports = (() => {
 			if (!(this._actionType.operators.includes(this._operatorType))) {
 				throw new Error(`OperatorType ${this._operatorType} incompatible with ${this._actionType} ActionType`);
 			}
+
+			const dataType = this._attribute.dataType;
+
+			if (this._actionType === UpdateActionType.ADD && !(dataType.code === DataType.NUMBER.code || dataType.supportsSetOperations)) {
+				throw new Error(`The ${this._actionType} ActionType requires a number or set attribute`);
+			}
+
+			if (this._actionType === UpdateActionType.DELETE && !dataType.supportsSetOperations) {
+				throw new Error(`The ${this._actionType} ActionType requires a set attribute`);
+			}
 		}
 
 		toString() {
@@ -0,0 +1,107 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const AccessPatternType = require('./AccessPatternType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Declares a way to find items in a table. A {@link TableRepository} turns
+	 * each access pattern into a finder function (with the access pattern's name).
+	 *
+	 * @public
+	 * @param {String} name - The name of the finder function (e.g. "findByStatus").
+	 * @param {AccessPatternType} type
+	 * @param {String=} indexName - The name of the index to query (if omitted, the table is queried).
+	 */
+	class AccessPattern {
+		constructor(name, type, indexName) {
+			assert.argumentIsRequired(name, 'name', String);
+			assert.argumentIsRequired(type, 'type', AccessPatternType, 'AccessPatternType');
+			assert.argumentIsOptional(indexName, 'indexName', String);
+
+			if (type === AccessPatternType.KEY && indexName) {
+				throw new Error('An access pattern which finds items by key cannot use an index.');
+			}
+
+			this._name = name;
+			this._type = type;
+			this._indexName = indexName || null;
+		}
+
+		/**
+		 * The name of the finder function.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get name() {
+			return this._name;
+		}
+
+		/**
+		 * The type of access pattern.
+		 *
+		 * @public
+		 * @returns {AccessPatternType}
+		 */
+		get type() {
+			return this._type;
+		}
+
+		/**
+		 * The name of the index to query (or a null value, if the table is queried).
+		 *
+		 * @public
+		 * @returns {String|null}
+		 */
+		get indexName() {
+			return this._indexName;
+		}
+
+		/**
+		 * Creates an access pattern which finds a single item by its key.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} name
+		 * @returns {AccessPattern}
+		 */
+		static byKey(name) {
+			return new AccessPattern(name, AccessPatternType.KEY);
+		}
+
+		/**
+		 * Creates an access pattern which finds every item with a hash key value.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} name
+		 * @param {String=} indexName
+		 * @returns {AccessPattern}
+		 */
+		static byHash(name, indexName) {
+			return new AccessPattern(name, AccessPatternType.HASH, indexName);
+		}
+
+		/**
+		 * Creates an access pattern which finds every item with a hash key value
+		 * and a range key value which begins with a prefix.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} name
+		 * @param {String=} indexName
+		 * @returns {AccessPattern}
+		 */
+		static byRangePrefix(name, indexName) {
+			return new AccessPattern(name, AccessPatternType.RANGE_PREFIX, indexName);
+		}
+
+		toString() {
+			return `[AccessPattern (name=${this._name})]`;
+		}
+	}
+
+	return AccessPattern;
+})();
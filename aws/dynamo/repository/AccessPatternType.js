@@ -0,0 +1,61 @@
+const Enum = require('@barchart/common-js/lang/Enum');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Defines the way an {@link AccessPattern} finds items.
+	 *
+	 * @public
+	 * @extends {Enum}
+	 */
+	class AccessPatternType extends Enum {
+		constructor(code, description) {
+			super(code, description);
+		}
+
+		/**
+		 * Finds a single item, using the table's hash key and range key.
+		 *
+		 * @public
+		 * @static
+		 * @returns {AccessPatternType}
+		 */
+		static get KEY() {
+			return accessPatternTypeKey;
+		}
+
+		/**
+		 * Finds every item with a hash key value (using the table, or an index).
+		 *
+		 * @public
+		 * @static
+		 * @returns {AccessPatternType}
+		 */
+		static get HASH() {
+			return accessPatternTypeHash;
+		}
+
+		/**
+		 * Finds every item with a hash key value and a range key value which
+		 * begins with a prefix (using the table, or an index).
+		 *
+		 * @public
+		 * @static
+		 * @returns {AccessPatternType}
+		 */
+		static get RANGE_PREFIX() {
+			return accessPatternTypeRangePrefix;
+		}
+
+		toString() {
+			return `[AccessPatternType (code=${this.code})]`;
+		}
+	}
+
+	const accessPatternTypeKey = new AccessPatternType('KEY', 'Key');
+	const accessPatternTypeHash = new AccessPatternType('HASH', 'Hash');
+	const accessPatternTypeRangePrefix = new AccessPatternType('RANGE_PREFIX', 'Range Prefix');
+
+	return AccessPatternType;
+})();
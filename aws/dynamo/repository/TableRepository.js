@@ -0,0 +1,224 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Day = require('@barchart/common-js/lang/Day'),
+	Decimal = require('@barchart/common-js/lang/Decimal'),
+	is = require('@barchart/common-js/lang/is'),
+	Timestamp = require('@barchart/common-js/lang/Timestamp');
+
+const AccessPattern = require('./AccessPattern'),
+	AccessPatternType = require('./AccessPatternType'),
+	DataType = require('./../schema/definitions/DataType'),
+	KeyType = require('./../schema/definitions/KeyType'),
+	OperatorType = require('./../query/definitions/OperatorType'),
+	QueryBuilder = require('./../query/builders/QueryBuilder'),
+	TableContainer = require('./../TableContainer');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A {@link TableContainer} which adds a finder function for each of its
+	 * {@link AccessPattern} items. Access patterns are checked against the
+	 * table definition when the repository is constructed, and the arguments
+	 * passed to finder functions are checked against the data types of the
+	 * key attributes. Finder functions return promises for deserialized items.
+	 *
+	 * For example, given an access pattern created with
+	 * "AccessPattern.byHash('findByStatus', 'status-index')", the repository
+	 * will have a "findByStatus" function that accepts a status and queries
+	 * the "status-index" index.
+	 *
+	 * @public
+	 * @extends {TableContainer}
+	 * @param {DynamoProvider} provider
+	 * @param {Table} definition
+	 * @param {AccessPattern[]} accessPatterns
+	 */
+	class TableRepository extends TableContainer {
+		constructor(provider, definition, accessPatterns) {
+			super(provider, definition);
+
+			assert.argumentIsArray(accessPatterns, 'accessPatterns', AccessPattern, 'AccessPattern');
+
+			this._accessPatterns = accessPatterns.reduce((map, accessPattern) => {
+				const name = accessPattern.name;
+
+				if (map.has(name) || name in this) {
+					throw new Error(`Unable to create finder function [ ${name} ], the name is already used.`);
+				}
+
+				map.set(name, getDescriptor(definition, accessPattern));
+
+				this[name] = (...args) => find.call(this, name, args);
+
+				return map;
+			}, new Map());
+		}
+
+		/**
+		 * The access patterns.
+		 *
+		 * @public
+		 * @returns {AccessPattern[]}
+		 */
+		get accessPatterns() {
+			return Array.from(this._accessPatterns.values()).map(d => d.accessPattern);
+		}
+
+		/**
+		 * Returns a {@link QueryBuilder} for an access pattern (other than an
+		 * {@link AccessPatternType.KEY} access pattern), which can be refined
+		 * (e.g. with a limit) before running the query.
+		 *
+		 * @public
+		 * @param {String} name - The name of the access pattern.
+		 * @param {...*} args - The arguments for the finder function.
+		 * @returns {QueryBuilder}
+		 */
+		getQueryBuilder(name, ...args) {
+			const descriptor = getDescriptorByName.call(this, name);
+
+			if (descriptor.accessPattern.type === AccessPatternType.KEY) {
+				throw new Error(`Unable to create a query for [ ${name} ], the access pattern finds items by key.`);
+			}
+
+			validateArguments(descriptor, args);
+
+			const builder = QueryBuilder.targeting(this.definition)
+				.withDescription(`${this.definition.name} ${name}`);
+
+			if (descriptor.accessPattern.indexName !== null) {
+				builder.withIndex(descriptor.accessPattern.indexName);
+			}
+
+			builder.withKeyFilterBuilder((kfb) => {
+				kfb.withExpression(descriptor.hashAttribute.name, OperatorType.EQUALS, args[0]);
+
+				if (descriptor.accessPattern.type === AccessPatternType.RANGE_PREFIX) {
+					kfb.withExpression(descriptor.rangeAttribute.name, OperatorType.BEGINS_WITH, args[1]);
+				}
+			});
+
+			return builder;
+		}
+
+		toString() {
+			return '[TableRepository]';
+		}
+	}
+
+	function getDescriptor(definition, accessPattern) {
+		let keys;
+
+		if (accessPattern.indexName === null) {
+			keys = definition.keys;
+		} else {
+			const index = definition.indices.find(i => i.name === accessPattern.indexName);
+
+			if (!index) {
+				throw new Error(`Unable to create finder function [ ${accessPattern.name} ], the [ ${definition.name} ] table does not have an index named [ ${accessPattern.indexName} ].`);
+			}
+
+			keys = index.keys;
+		}
+
+		const hashKey = keys.find(k => k.keyType === KeyType.HASH);
+		const rangeKey = keys.find(k => k.keyType === KeyType.RANGE) || null;
+
+		const hashAttribute = hashKey.attribute;
+		const rangeAttribute = rangeKey === null ? null : rangeKey.attribute;
+
+		if (accessPattern.type === AccessPatternType.RANGE_PREFIX) {
+			if (rangeAttribute === null) {
+				throw new Error(`Unable to create finder function [ ${accessPattern.name} ], a range key is required.`);
+			}
+
+			if (rangeAttribute.dataType !== DataType.STRING) {
+				throw new Error(`Unable to create finder function [ ${accessPattern.name} ], the range key must be a string.`);
+			}
+		}
+
+		const attributes = [ hashAttribute ];
+
+		if (rangeAttribute !== null && accessPattern.type !== AccessPatternType.HASH) {
+			attributes.push(rangeAttribute);
+		}
+
+		return {
+			accessPattern: accessPattern,
+			hashAttribute: hashAttribute,
+			rangeAttribute: rangeAttribute,
+			attributes: attributes
+		};
+	}
+
+	function getDescriptorByName(name) {
+		assert.argumentIsRequired(name, 'name', String);
+
+		if (!this._accessPatterns.has(name)) {
+			throw new Error(`The [ ${this.definition.name} ] repository does not have an access pattern named [ ${name} ].`);
+		}
+
+		return this._accessPatterns.get(name);
+	}
+
+	function find(name, args) {
+		return Promise.resolve()
+			.then(() => {
+				const descriptor = getDescriptorByName.call(this, name);
+
+				if (descriptor.accessPattern.type === AccessPatternType.KEY) {
+					validateArguments(descriptor, args);
+
+					return this._getItem(this.getPagingKey(args[0], args[1]));
+				} else {
+					return this.query(this.getQueryBuilder(name, ...args).query);
+				}
+			});
+	}
+
+	function validateArguments(descriptor, args) {
+		descriptor.attributes.forEach((attribute, i) => {
+			let valid;
+
+			if (descriptor.accessPattern.type === AccessPatternType.RANGE_PREFIX && attribute === descriptor.rangeAttribute) {
+				valid = is.string(args[i]) && args[i].length !== 0;
+			} else {
+				valid = getIsValid(attribute.dataType, args[i]);
+			}
+
+			if (!valid) {
+				throw new Error(`The [ ${descriptor.accessPattern.name} ] finder requires a [ ${attribute.dataType.description} ] value for the [ ${attribute.name} ] argument.`);
+			}
+		});
+	}
+
+	function getIsValid(dataType, value) {
+		if (is.undefined(value) || is.null(value)) {
+			return false;
+		}
+
+		if (dataType.enumerationType) {
+			return value instanceof dataType.enumerationType;
+		}
+
+		if (dataType === DataType.STRING) {
+			return is.string(value);
+		} else if (dataType === DataType.NUMBER) {
+			return is.number(value) && !isNaN(value);
+		} else if (dataType === DataType.BOOLEAN) {
+			return is.boolean(value);
+		} else if (dataType === DataType.BINARY) {
+			return Buffer.isBuffer(value);
+		} else if (dataType === DataType.DAY) {
+			return value instanceof Day;
+		} else if (dataType === DataType.DECIMAL) {
+			return value instanceof Decimal;
+		} else if (dataType === DataType.TIMESTAMP) {
+			return value instanceof Timestamp;
+		} else {
+			return true;
+		}
+	}
+
+	return TableRepository;
+})();
@@ -1,4 +1,7 @@
-const assert = require('@barchart/common-js/lang/assert');
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const SecretsManagerProvider = require('./../../../SecretsManagerProvider');
 
 const Encryptor = require('./../definitions/Encryptor'),
 	EncryptionType = require('./../definitions/EncryptionType');
@@ -36,26 +39,129 @@ module.exports = (() => {
 		withEncryptionType(type) {
 			assert.argumentIsRequired(type, 'type', EncryptionType, 'EncryptionType');
 
-			this._encryptor = new Encryptor(type, this._encryptor.key);
+			this._encryptor = new Encryptor(type, this._encryptor.key, this._encryptor.keyId, this._encryptor.retiredKeys, this._encryptor.legacy);
 
 			return this;
 		}
 
 		/**
-		 * Sets the encryption key and returns the current instance.
+		 * Sets the encryption key and returns the current instance. If a key
+		 * identifier is specified, it will be written with each encrypted value.
 		 *
 		 * @public
 		 * @param {String} key
+		 * @param {String=} keyId
 		 * @returns {EncryptorBuilder}
 		 */
-		withKey(key) {
+		withKey(key, keyId) {
 			assert.argumentIsRequired(key, 'key', String);
+			assert.argumentIsOptional(keyId, 'keyId', String);
+
+			this._encryptor = new Encryptor(this._encryptor.type, key, keyId, this._encryptor.retiredKeys, this._encryptor.legacy);
+
+			return this;
+		}
 
-			this._encryptor = new Encryptor(this._encryptor.type, key);
+		/**
+		 * Adds a key which is no longer used to encrypt values, but is still needed
+		 * to decrypt existing values, and returns the current instance. Omit the key
+		 * identifier for the key used to write values which have no key identifier.
+		 *
+		 * @public
+		 * @param {String} key
+		 * @param {String=} keyId
+		 * @returns {EncryptorBuilder}
+		 */
+		withRetiredKey(key, keyId) {
+			assert.argumentIsRequired(key, 'key', String);
+			assert.argumentIsOptional(keyId, 'keyId', String);
+
+			const retiredKeys = this._encryptor.retiredKeys.concat({ keyId: keyId || null, key: key });
+
+			this._encryptor = new Encryptor(this._encryptor.type, this._encryptor.key, this._encryptor.keyId, retiredKeys, this._encryptor.legacy);
+
+			return this;
+		}
+
+		/**
+		 * Allows values written using the legacy (unauthenticated) encryption type
+		 * to be read (see {@link EncryptionType#legacyType}) and returns the current
+		 * instance. Use only while a table is migrated to an authenticated encryption
+		 * type (e.g. using {@link DynamoKeyRotator}), because legacy values are not
+		 * protected from tampering.
+		 *
+		 * @public
+		 * @returns {EncryptorBuilder}
+		 */
+		withLegacyReads() {
+			this._encryptor = new Encryptor(this._encryptor.type, this._encryptor.key, this._encryptor.keyId, this._encryptor.retiredKeys, true);
 
 			return this;
 		}
 
+		/**
+		 * Sets the current key and the retired keys, using a keyring, and returns
+		 * the current instance (see {@link EncryptorBuilder.getKeyring}).
+		 *
+		 * @public
+		 * @param {Object} keyring
+		 * @param {String} keyring.current - The identifier of the key used to encrypt values.
+		 * @param {Object} keyring.keys - A map of key identifiers to keys.
+		 * @param {String=} keyring.legacy - The key used to write values which have no key identifier.
+		 * @returns {EncryptorBuilder}
+		 */
+		withKeyring(keyring) {
+			assert.argumentIsRequired(keyring, 'keyring', Object);
+			assert.argumentIsRequired(keyring.current, 'keyring.current', String);
+			assert.argumentIsRequired(keyring.keys, 'keyring.keys', Object);
+			assert.argumentIsOptional(keyring.legacy, 'keyring.legacy', String);
+
+			if (!is.string(keyring.keys[keyring.current])) {
+				throw new Error(`The keyring does not contain the current key [ ${keyring.current} ]`);
+			}
+
+			const retiredKeys = Object.keys(keyring.keys)
+				.filter(keyId => keyId !== keyring.current)
+				.map(keyId => ({ keyId: keyId, key: keyring.keys[keyId] }));
+
+			if (is.string(keyring.legacy)) {
+				retiredKeys.push({ keyId: null, key: keyring.legacy });
+			}
+
+			this._encryptor = new Encryptor(this._encryptor.type, keyring.keys[keyring.current], keyring.current, retiredKeys, this._encryptor.legacy);
+
+			return this;
+		}
+
+		/**
+		 * Reads a keyring from AWS Secrets Manager. The secret must be a JSON
+		 * document with "current" and "keys" properties (and, optionally, a
+		 * "legacy" property) -- see {@link EncryptorBuilder#withKeyring}.
+		 *
+		 * @public
+		 * @static
+		 * @param {SecretsManagerProvider} provider
+		 * @param {String} secretId
+		 * @returns {Promise<Object>}
+		 */
+		static getKeyring(provider, secretId) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(provider, 'provider', SecretsManagerProvider, 'SecretsManagerProvider');
+					assert.argumentIsRequired(secretId, 'secretId', String);
+
+					return provider.getSecretValue(secretId);
+				}).then((secret) => {
+					const keyring = JSON.parse(secret);
+
+					if (!is.object(keyring) || !is.string(keyring.current) || !is.object(keyring.keys)) {
+						throw new Error(`The secret [ ${secretId} ] is not a valid keyring`);
+					}
+
+					return keyring;
+				});
+		}
+
 		toString() {
 			return '[EncryptorBuilder]';
 		}
@@ -8,6 +8,7 @@ const DataType = require('./../definitions/DataType'),
 	KeyType = require('./../definitions/KeyType'),
 	ProjectionType = require('./../definitions/ProjectionType'),
 	ProvisionedThroughput = require('./../definitions/ProvisionedThroughput'),
+	ProvisioningType = require('./../definitions/ProvisioningType'),
 	StreamViewType = require('./../definitions/StreamViewType'),
 	Table = require('./../definitions/Table');
 
@@ -32,7 +33,7 @@ module.exports = (() => {
 		constructor(name) {
 			assert.argumentIsRequired(name, 'name', String);
 
-			this._table = new Table(name, [ ], [ ], [ ], [ ], null, null, null);
+			this._table = new Table(name, [ ], [ ], [ ], [ ], null, null, null, null);
 		}
 
 		/**
@@ -104,7 +105,7 @@ module.exports = (() => {
 			const attribute = attributeBuilder.attribute;
 			const attributes = this._table.attributes.filter(a => a.name !== attribute.name).concat(attribute);
 
-			this._table = new Table(this._table.name, this._table.keys, this._table.indices, attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute);
+			this._table = new Table(this._table.name, this._table.keys, this._table.indices, attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute, this._table.versionAttribute);
 
 			return this;
 		}
@@ -141,7 +142,7 @@ module.exports = (() => {
 			const component = componentBuilder.component;
 			const components = this._table.components.filter(c => c.name !== component.name).concat(component);
 
-			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute);
+			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute, this._table.versionAttribute);
 
 			return this;
 		}
@@ -178,7 +179,7 @@ module.exports = (() => {
 			const key = keyBuilder.key;
 			const keys = this._table.keys.filter(k => k.attribute.name !== key.attribute.name).concat(key);
 
-			this._table = new Table(this._table.name, keys, this._table.indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute);
+			this._table = new Table(this._table.name, keys, this._table.indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute, this._table.versionAttribute);
 
 			return this;
 		}
@@ -203,7 +204,7 @@ module.exports = (() => {
 			const index = indexBuilder.index;
 			const indices = this._table._indices.filter(i => i.name !== index.name).concat(index);
 
-			this._table = new Table(this._table.name, this._table.keys, indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute);
+			this._table = new Table(this._table.name, this._table.keys, indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute, this._table.versionAttribute);
 
 			return this;
 		}
@@ -237,7 +238,7 @@ module.exports = (() => {
 
 			callback(provisionedThroughputBuilder);
 
-			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, provisionedThroughputBuilder.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute);
+			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, provisionedThroughputBuilder.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute, this._table.versionAttribute);
 
 			return this;
 		}
@@ -250,7 +251,7 @@ module.exports = (() => {
 		 * @returns {TableBuilder}
 		 */
 		withOnDemandThroughput() {
-			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, null, this._table.streamViewType, this._table.ttlAttribute);
+			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, null, this._table.streamViewType, this._table.ttlAttribute, this._table.versionAttribute);
 
 			return this;
 		}
@@ -264,7 +265,7 @@ module.exports = (() => {
 		withStreamViewType(streamViewType) {
 			assert.argumentIsRequired(streamViewType, 'streamViewType', StreamViewType, 'StreamViewType');
 
-			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, streamViewType, this._table.ttlAttribute);
+			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, streamViewType, this._table.ttlAttribute, this._table.versionAttribute);
 
 			return this;
 		}
@@ -279,7 +280,25 @@ module.exports = (() => {
 		withTimeToLive(attributeName) {
 			assert.argumentIsRequired(attributeName, 'attributeName', String);
 
-			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, attributeName);
+			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, attributeName, this._table.versionAttribute);
+
+			return this;
+		}
+
+		/**
+		 * Defines the numeric attribute used for optimistic locking. Each time an
+		 * item is saved (or updated), the attribute is incremented, and the write
+		 * fails with a {@link ConcurrencyConflictError} if the item was changed by
+		 * another writer.
+		 *
+		 * @public
+		 * @param {String} attributeName
+		 * @returns {TableBuilder}
+		 */
+		withVersionAttribute(attributeName) {
+			assert.argumentIsRequired(attributeName, 'attributeName', String);
+
+			this._table = new Table(this._table.name, this._table.keys, this._table.indices, this._table.attributes, this._table.components, this._table.provisionedThroughput, this._table.streamViewType, this._table.ttlAttribute, attributeName);
 
 			return this;
 		}
@@ -299,7 +318,9 @@ module.exports = (() => {
 		static fromDefinition(definition) {
 			let tableBuilder = TableBuilder.withName(definition.TableName);
 
-			if (definition.ProvisionedThroughput) {
+			const onDemand = is.object(definition.BillingModeSummary) && definition.BillingModeSummary.BillingMode === ProvisioningType.ON_DEMAND.key;
+
+			if (definition.ProvisionedThroughput && !onDemand) {
 				tableBuilder.withProvisionedThroughput(definition.ProvisionedThroughput.ReadCapacityUnits, definition.ProvisionedThroughput.WriteCapacityUnits);
 			}
 
@@ -316,6 +337,10 @@ module.exports = (() => {
 								indexDefinition.Projection.NonKeyAttributes.reduce((pb, nka) => pb.withAttribute(nka, true), projectionBuilder);
 							}
 						});
+
+					if (indexType === IndexType.GLOBAL_SECONDARY && indexDefinition.ProvisionedThroughput && !onDemand) {
+						indexBuilder.withProvisionedThroughput(indexDefinition.ProvisionedThroughput.ReadCapacityUnits, indexDefinition.ProvisionedThroughput.WriteCapacityUnits);
+					}
 				});
 			};
 
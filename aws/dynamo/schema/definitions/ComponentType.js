@@ -20,7 +20,7 @@ module.exports = (() => {
 		constructor(description, definitions, type) {
 			assert.argumentIsRequired(description, 'description', String);
 			assert.argumentIsArray(definitions, 'definitions', ComponentTypeDefinition, 'ComponentTypeDefinition');
-			assert.argumentIsOptional(type, type, Function);
+			assert.argumentIsOptional(type, 'type', Function);
 
 			if (definitions.length < 1) {
 				throw new Error('The "definitions" array cannot be empty.');
@@ -72,6 +72,29 @@ module.exports = (() => {
 			return componentTypeAmount;
 		}
 
+		/**
+		 * The component type for a range of days, using an object with "start"
+		 * and "end" properties (each a {@link Day} instance).
+		 *
+		 * @public
+		 * @returns {ComponentType}
+		 */
+		static get DAY_RANGE() {
+			return componentTypeDayRange;
+		}
+
+		/**
+		 * The component type for a quantity combined with its unit of measure, using
+		 * an object with "quantity" (a {@link Decimal} instance) and "unit" (a string)
+		 * properties.
+		 *
+		 * @public
+		 * @returns {ComponentType}
+		 */
+		static get QUANTITY() {
+			return componentTypeQuantity;
+		}
+
 		toString() {
 			return `[ComponentType (description=${this._description})]`;
 		}
@@ -82,5 +105,15 @@ module.exports = (() => {
 		new ComponentTypeDefinition('currency', DataType.forEnum(Currency, 'currency'), 'currency')
 	], Money);
 
+	const componentTypeDayRange = new ComponentType('Day Range', [
+		new ComponentTypeDefinition('start', DataType.DAY, 'start'),
+		new ComponentTypeDefinition('end', DataType.DAY, 'end')
+	]);
+
+	const componentTypeQuantity = new ComponentType('Quantity', [
+		new ComponentTypeDefinition('quantity', DataType.DECIMAL, 'quantity'),
+		new ComponentTypeDefinition('unit', DataType.STRING, 'unit')
+	]);
+
 	return ComponentType;
 })();
\ No newline at end of file
@@ -14,9 +14,10 @@ module.exports = (() => {
 	 * @param {Function=} enumerationType
 	 * @param {Boolean=} supportsCompression
 	 * @param {Boolean=} supportsEncryption
+	 * @param {DataType=} elementType
 	 */
 	class DataType {
-		constructor(code, description, enumerationType, supportsCompression, supportsEncryption) {
+		constructor(code, description, enumerationType, supportsCompression, supportsEncryption, elementType) {
 			assert.argumentIsRequired(code, 'code', String);
 			assert.argumentIsRequired(description, 'description', String);
 			assert.argumentIsOptional(enumerationType, 'enumerationType', Function);
@@ -27,6 +28,7 @@ module.exports = (() => {
 
 			assert.argumentIsOptional(supportsCompression, 'supportsCompression', Boolean);
 			assert.argumentIsOptional(supportsEncryption, 'supportsEncryption', Boolean);
+			assert.argumentIsOptional(elementType, 'elementType', DataType, 'DataType');
 
 			this._code = code;
 			this._description = description;
@@ -35,6 +37,8 @@ module.exports = (() => {
 
 			this._supportsCompression = is.boolean(supportsCompression) && supportsCompression;
 			this._supportsEncryption = is.boolean(supportsEncryption) && supportsEncryption;
+
+			this._elementType = elementType || null;
 		}
 
 		/**
@@ -87,6 +91,28 @@ module.exports = (() => {
 			return this._supportsEncryption;
 		}
 
+		/**
+		 * Indicates if the {@link DataType} is a set (which supports the "ADD"
+		 * and "DELETE" update actions).
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get supportsSetOperations() {
+			return SET_CODES.includes(this._code);
+		}
+
+		/**
+		 * The {@link DataType} of each item in a typed list (or each value in
+		 * a typed map), otherwise null.
+		 *
+		 * @public
+		 * @returns {DataType|null}
+		 */
+		get elementType() {
+			return this._elementType;
+		}
+
 		/**
 		 * Creates a {@link DataType} for an {@link Enum}.
 		 *
@@ -100,6 +126,51 @@ module.exports = (() => {
 			return new DataType('S', description, EnumerationType);
 		}
 
+		/**
+		 * Creates a {@link DataType} for a list, where each item has the same
+		 * {@link DataType}.
+		 *
+		 * @public
+		 * @static
+		 * @param {DataType} elementType
+		 * @param {String} description
+		 * @returns {DataType}
+		 */
+		static forList(elementType, description) {
+			assert.argumentIsRequired(elementType, 'elementType', DataType, 'DataType');
+
+			return new DataType(dataTypeList.code, description, null, false, false, elementType);
+		}
+
+		/**
+		 * Creates a {@link DataType} for a list of {@link Enum} items.
+		 *
+		 * @public
+		 * @static
+		 * @param {Function} EnumerationType - A type that inherits {@link Enum}
+		 * @param {String} description
+		 * @returns {DataType}
+		 */
+		static forEnumList(EnumerationType, description) {
+			return DataType.forList(DataType.forEnum(EnumerationType, description), description);
+		}
+
+		/**
+		 * Creates a {@link DataType} for a map, where each value has the same
+		 * {@link DataType} (e.g. a map of {@link Decimal} instances).
+		 *
+		 * @public
+		 * @static
+		 * @param {DataType} elementType
+		 * @param {String} description
+		 * @returns {DataType}
+		 */
+		static forMap(elementType, description) {
+			assert.argumentIsRequired(elementType, 'elementType', DataType, 'DataType');
+
+			return new DataType(dataTypeMap.code, description, null, false, false, elementType);
+		}
+
 		/**
 		 * References a {@link Buffer} instance.
 		 *
@@ -155,6 +226,28 @@ module.exports = (() => {
 			return dataTypeStringSet;
 		}
 
+		/**
+		 * References a number set.
+		 *
+		 * @public
+		 * @static
+		 * @return {DataType}
+		 */
+		static get NUMBER_SET() {
+			return dataTypeNumberSet;
+		}
+
+		/**
+		 * References a binary set (i.e. a set of {@link Buffer} instances).
+		 *
+		 * @public
+		 * @static
+		 * @return {DataType}
+		 */
+		static get BINARY_SET() {
+			return dataTypeBinarySet;
+		}
+
 		/**
 		 * References a list.
 		 *
@@ -328,6 +421,10 @@ module.exports = (() => {
 	const dataTypeList = new DataType('L', 'List');
 	const dataTypeMap = new DataType('M', 'Map');
 	const dataTypeStringSet = new DataType('SS', 'String Set');
+	const dataTypeNumberSet = new DataType('NS', 'Number Set');
+	const dataTypeBinarySet = new DataType('BS', 'Binary Set');
+
+	const SET_CODES = [ dataTypeStringSet.code, dataTypeNumberSet.code, dataTypeBinarySet.code ];
 
 	const dataTypeJson = new DataType('S', 'Json');
 
@@ -354,6 +451,8 @@ module.exports = (() => {
 		dataTypeList,
 		dataTypeMap,
 		dataTypeStringSet,
+		dataTypeNumberSet,
+		dataTypeBinarySet,
 		dataTypeJson,
 		dataTypeJsonCompressed,
 		dataTypeJsonEncrypted,
@@ -11,13 +11,17 @@ module.exports = (() => {
 	 * @param {String} code
 	 * @param {Number} keyLength
 	 * @param {Number} initializationVectorLength
+	 * @param {Number=} authenticationTagLength
+	 * @param {EncryptionType=} legacyType
 	 */
 	class EncryptionType extends Enum {
-		constructor(code, keyLength, initializationVectorLength) {
+		constructor(code, keyLength, initializationVectorLength, authenticationTagLength, legacyType) {
 			super(code, code);
 
 			this._keyLength = keyLength;
 			this._initializationVectorLength = initializationVectorLength;
+			this._authenticationTagLength = authenticationTagLength || null;
+			this._legacyType = legacyType || null;
 		}
 
 		/**
@@ -40,6 +44,40 @@ module.exports = (() => {
 			return this._initializationVectorLength;
 		}
 
+		/**
+		 * The byte length of the algorithm's authentication tag (or null, if the
+		 * algorithm does not provide integrity protection).
+		 *
+		 * @public
+		 * @returns {Number|null}
+		 */
+		get authenticationTagLength() {
+			return this._authenticationTagLength;
+		}
+
+		/**
+		 * Indicates if the algorithm detects tampering (i.e. authenticated encryption).
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get authenticated() {
+			return this._authenticationTagLength !== null;
+		}
+
+		/**
+		 * The (unauthenticated) algorithm, using the same key, which was used to
+		 * write values before the attribute was changed to use this algorithm. Values
+		 * written using the legacy algorithm are only read when the {@link Encryptor}
+		 * allows it (see {@link Encryptor#legacy}).
+		 *
+		 * @public
+		 * @returns {EncryptionType|null}
+		 */
+		get legacyType() {
+			return this._legacyType;
+		}
+
 		/**
 		 * AES-192.
 		 *
@@ -62,6 +100,32 @@ module.exports = (() => {
 			return encryptionTypeAes256;
 		}
 
+		/**
+		 * AES-192, using Galois/Counter Mode (authenticated). Values written
+		 * using {@link EncryptionType.AES_192} can be read, if enabled (see
+		 * {@link EncryptorBuilder#withLegacyReads}).
+		 *
+		 * @public
+		 * @static
+		 * @returns {EncryptionType}
+		 */
+		static get AES_192_GCM() {
+			return encryptionTypeAes192Gcm;
+		}
+
+		/**
+		 * AES-256, using Galois/Counter Mode (authenticated). Values written
+		 * using {@link EncryptionType.AES_256} can be read, if enabled (see
+		 * {@link EncryptorBuilder#withLegacyReads}).
+		 *
+		 * @public
+		 * @static
+		 * @returns {EncryptionType}
+		 */
+		static get AES_256_GCM() {
+			return encryptionTypeAes256Gcm;
+		}
+
 		toString() {
 			return `[EncryptionType (code=${this.code})]`;
 		}
@@ -70,5 +134,8 @@ module.exports = (() => {
 	const encryptionTypeAes192 = new EncryptionType('aes192', 24, 16);
 	const encryptionTypeAes256 = new EncryptionType('aes256', 32, 16);
 
+	const encryptionTypeAes192Gcm = new EncryptionType('aes-192-gcm', 24, 12, 16, encryptionTypeAes192);
+	const encryptionTypeAes256Gcm = new EncryptionType('aes-256-gcm', 32, 12, 16, encryptionTypeAes256);
+
 	return EncryptionType;
 })();
\ No newline at end of file
@@ -8,14 +8,24 @@ module.exports = (() => {
 	/**
 	 * The definition an encryption scheme to use for data at rest.
 	 *
+	 * When a key identifier is specified, encrypted values are written with
+	 * the identifier, allowing values written with a retired key to be read
+	 * after a new key is put into service.
+	 *
 	 * @public
 	 * @param {EncyrptionType} type
-	 * @param {String} key
+	 * @param {String} key - The current key, used to encrypt values.
+	 * @param {String=} keyId - The identifier of the current key.
+	 * @param {Object[]=} retiredKeys - Keys which can be used to decrypt values (but are no longer used to encrypt values), each with "keyId" and "key" properties.
+	 * @param {Boolean=} legacy - If true, values written using the legacy type (see {@link EncryptionType#legacyType}) can be read.
 	 */
 	class Encryptor {
-		constructor(type, key) {
+		constructor(type, key, keyId, retiredKeys, legacy) {
 			this._type = type || null;
 			this._key = key;
+			this._keyId = keyId || null;
+			this._retiredKeys = retiredKeys || [ ];
+			this._legacy = is.boolean(legacy) && legacy;
 		}
 
 		/**
@@ -38,6 +48,68 @@ module.exports = (() => {
 			return this._key;
 		}
 
+		/**
+		 * The identifier of the current key (or null, if values are written
+		 * without a key identifier).
+		 *
+		 * @public
+		 * @returns {String|null}
+		 */
+		get keyId() {
+			return this._keyId;
+		}
+
+		/**
+		 * Keys which can be used to decrypt existing values, but are no longer
+		 * used to encrypt new values.
+		 *
+		 * @public
+		 * @returns {Object[]}
+		 */
+		get retiredKeys() {
+			return [...this._retiredKeys];
+		}
+
+		/**
+		 * Indicates if values written using the (unauthenticated) legacy type can
+		 * be read (see {@link EncryptionType#legacyType}). Intended for use while
+		 * a table is migrated to authenticated encryption, because legacy values
+		 * are not protected from tampering.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get legacy() {
+			return this._legacy;
+		}
+
+		/**
+		 * Returns the key to use for decrypting a value. Values written without
+		 * a key identifier are decrypted using the retired key that has no
+		 * identifier (or the current key, if no such key exists).
+		 *
+		 * @public
+		 * @param {String|null} keyId
+		 * @returns {String|null}
+		 */
+		getKey(keyId) {
+			if (keyId === this._keyId) {
+				return this._key;
+			}
+
+			const retired = this._retiredKeys.find(k => k.keyId === keyId) || null;
+
+			if (retired !== null) {
+				return retired.key;
+			}
+
+			if (keyId === null) {
+				return this._key;
+			}
+
+			return null;
+		}
+
 		/**
 		 * Throws an {@link Error} if the instance is invalid.
 		 *
@@ -48,8 +120,22 @@ module.exports = (() => {
 				throw new Error('Encryption type is invalid.');
 			}
 
-			if (!(is.string(this._password)) || this._password.length === 0) {
-				throw new Error('Password is invalid.');
+			if (!(is.string(this._key)) || this._key.length === 0) {
+				throw new Error('Key is invalid.');
+			}
+
+			if (this._retiredKeys.some(k => !is.string(k.key) || k.key.length === 0)) {
+				throw new Error('Retired key is invalid.');
+			}
+
+			const keyIds = this._retiredKeys.map(k => k.keyId).concat(this._keyId);
+
+			if (keyIds.some((keyId, i) => keyIds.indexOf(keyId) !== i)) {
+				throw new Error('Key identifiers must be unique.');
+			}
+
+			if (this._legacy && this._type.legacyType === null) {
+				throw new Error('Legacy values can only be read when the encryption type has a legacy type.');
 			}
 		}
 
@@ -3,6 +3,7 @@ const array = require('@barchart/common-js/lang/array'),
 
 const Attribute = require('./Attribute'),
 	Component = require('./Component'),
+	DataType = require('./DataType'),
 	Key = require('./Key'),
 	KeyType = require('./KeyType'),
 	Index = require('./Index'),
@@ -19,7 +20,7 @@ module.exports = (() => {
 	 * @public
 	 */
 	class Table {
-		constructor(name, keys, indices, attributes, components, provisionedThroughput, streamViewType, ttlAttribute) {
+		constructor(name, keys, indices, attributes, components, provisionedThroughput, streamViewType, ttlAttribute, versionAttribute) {
 			this._name = name;
 
 			this._keys = keys || [ ];
@@ -32,6 +33,8 @@ module.exports = (() => {
 			this._streamViewType = streamViewType || null;
 
 			this._ttlAttribute = ttlAttribute || null;
+
+			this._versionAttribute = versionAttribute || null;
 		}
 
 		/**
@@ -148,6 +151,24 @@ module.exports = (() => {
 			return this._ttlAttribute;
 		}
 
+		/**
+		 * The name of the numeric attribute used for optimistic locking. When
+		 * defined, writes automatically increment the attribute and fail if
+		 * another writer changed the item first.
+		 *
+		 * The protected write paths are {@link DynamoProvider#saveItem},
+		 * {@link DynamoProvider#updateItem}, and the puts and updates of a
+		 * {@link Transaction} (see {@link DynamoProvider#executeTransaction}).
+		 * Batch writes (i.e. {@link DynamoProvider#createItems}) cannot be
+		 * conditional and are rejected. Deletes do not check the version.
+		 *
+		 * @public
+		 * @returns {String|null}
+		 */
+		get versionAttribute() {
+			return this._versionAttribute;
+		}
+
 		/**
 		 * Throws an {@link Error} if the instance is invalid.
 		 *
@@ -226,6 +247,22 @@ module.exports = (() => {
 				throw new Error('A time-to-live attribute was specified, but it does not exist in the attribute list.');
 			}
 
+			if (this._versionAttribute !== null) {
+				const versionAttribute = this._attributes.find(a => a.name === this._versionAttribute) || null;
+
+				if (versionAttribute === null) {
+					throw new Error('A version attribute was specified, but it does not exist in the attribute list.');
+				}
+
+				if (versionAttribute.dataType !== DataType.NUMBER) {
+					throw new Error('The version attribute must be a number.');
+				}
+
+				if (this._keys.some(k => k.attribute.name === this._versionAttribute)) {
+					throw new Error('The version attribute cannot be part of the table\'s key.');
+				}
+			}
+
 			this._keys.forEach(k => k.validate());
 			this._indices.forEach(i => i.validate());
 			this._components.forEach(c => c.validate());
@@ -329,6 +366,7 @@ module.exports = (() => {
 
 				if (!(is.boolean(relaxed) && relaxed)) {
 					returnVal = returnVal && this._ttlAttribute === other.ttlAttribute;
+					returnVal = returnVal && this._versionAttribute === other.versionAttribute;
 
 					returnVal = returnVal && this._attributes.length === other.attributes.length;
 					returnVal = returnVal && this._attributes.every(a => other.attributes.some(oa => oa.equals(a, relaxed)));
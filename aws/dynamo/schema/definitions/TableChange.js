@@ -0,0 +1,74 @@
+const object = require('@barchart/common-js/lang/object');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A single difference between a {@link Table} definition and the table
+	 * which exists on the server, along with the parameters needed to resolve
+	 * the difference.
+	 *
+	 * @public
+	 * @param {TableChangeType} changeType
+	 * @param {String} description - A human-readable explanation of the change.
+	 * @param {Object|null} schema - The parameters for the AWS SDK function which applies the change.
+	 */
+	class TableChange {
+		constructor(changeType, description, schema) {
+			this._changeType = changeType;
+			this._description = description;
+			this._schema = schema || null;
+		}
+
+		/**
+		 * The type of change.
+		 *
+		 * @public
+		 * @returns {TableChangeType}
+		 */
+		get changeType() {
+			return this._changeType;
+		}
+
+		/**
+		 * A human-readable explanation of the change.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get description() {
+			return this._description;
+		}
+
+		/**
+		 * Indicates if the change can be applied to an existing table.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get safe() {
+			return this._changeType.safe;
+		}
+
+		/**
+		 * Generates an object which is suitable for use by the AWS SDK (see
+		 * {@link TableChangeType#operation}).
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		toChangeSchema() {
+			if (!this.safe) {
+				throw new Error(`Unable to apply change to an existing table [ ${this._description} ]`);
+			}
+
+			return object.clone(this._schema);
+		}
+
+		toString() {
+			return `[TableChange (type=${this._changeType.code})]`;
+		}
+	}
+
+	return TableChange;
+})();
@@ -0,0 +1,125 @@
+const Enum = require('@barchart/common-js/lang/Enum');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A type of difference between a {@link Table} definition and the
+	 * table which exists on the server. Safe changes can be applied to an
+	 * existing table; other changes require the table to be rebuilt.
+	 *
+	 * @public
+	 * @extends {Enum}
+	 * @param {String} code
+	 * @param {String} description
+	 * @param {String|null} operation - The AWS SDK function used to apply the change (or null, if the change cannot be applied).
+	 */
+	class TableChangeType extends Enum {
+		constructor(code, description, operation) {
+			super(code, description);
+
+			this._operation = operation;
+		}
+
+		/**
+		 * The name of the AWS SDK function used to apply the change (or null,
+		 * if the change cannot be applied to an existing table).
+		 *
+		 * @public
+		 * @returns {String|null}
+		 */
+		get operation() {
+			return this._operation;
+		}
+
+		/**
+		 * Indicates if the change can be applied to an existing table.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get safe() {
+			return this._operation !== null;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get REMOVE_INDEX() {
+			return tableChangeTypeRemoveIndex;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get CHANGE_PROVISIONING() {
+			return tableChangeTypeChangeProvisioning;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get ADD_INDEX() {
+			return tableChangeTypeAddIndex;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get DISABLE_STREAM() {
+			return tableChangeTypeDisableStream;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get ENABLE_STREAM() {
+			return tableChangeTypeEnableStream;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get ENABLE_TTL() {
+			return tableChangeTypeEnableTtl;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get CHANGE_TTL() {
+			return tableChangeTypeChangeTtl;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get CHANGE_KEYS() {
+			return tableChangeTypeChangeKeys;
+		}
+
+		/**
+		 * @returns {TableChangeType}
+		 */
+		static get CHANGE_LOCAL_INDEX() {
+			return tableChangeTypeChangeLocalIndex;
+		}
+
+		toString() {
+			return `[TableChangeType (code=${this.code})]`;
+		}
+	}
+
+	const tableChangeTypeRemoveIndex = new TableChangeType('REMOVE_INDEX', 'Remove global secondary index', 'updateTable');
+	const tableChangeTypeChangeProvisioning = new TableChangeType('CHANGE_PROVISIONING', 'Change provisioning', 'updateTable');
+	const tableChangeTypeAddIndex = new TableChangeType('ADD_INDEX', 'Add global secondary index', 'updateTable');
+	const tableChangeTypeDisableStream = new TableChangeType('DISABLE_STREAM', 'Disable stream', 'updateTable');
+	const tableChangeTypeEnableStream = new TableChangeType('ENABLE_STREAM', 'Enable stream', 'updateTable');
+	const tableChangeTypeEnableTtl = new TableChangeType('ENABLE_TTL', 'Enable time-to-live', 'updateTimeToLive');
+
+	const tableChangeTypeChangeTtl = new TableChangeType('CHANGE_TTL', 'Change (or disable) time-to-live', null);
+	const tableChangeTypeChangeKeys = new TableChangeType('CHANGE_KEYS', 'Change keys', null);
+	const tableChangeTypeChangeLocalIndex = new TableChangeType('CHANGE_LOCAL_INDEX', 'Change local secondary index', null);
+
+	return TableChangeType;
+})();
@@ -0,0 +1,235 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const IndexType = require('./IndexType'),
+	ProvisioningType = require('./ProvisioningType'),
+	Table = require('./Table'),
+	TableChange = require('./TableChange'),
+	TableChangeType = require('./TableChangeType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * The set of changes needed to make an existing table (on the server) match
+	 * a {@link Table} definition. The changes are listed in the order they should
+	 * be applied.
+	 *
+	 * @public
+	 * @param {Table} target - The desired definition.
+	 * @param {Table} current - The definition of the table which exists on the server.
+	 * @param {TableChange[]} changes
+	 */
+	class TableMigration {
+		constructor(target, current, changes) {
+			this._target = target;
+			this._current = current;
+			this._changes = changes;
+		}
+
+		/**
+		 * The desired definition.
+		 *
+		 * @public
+		 * @returns {Table}
+		 */
+		get target() {
+			return this._target;
+		}
+
+		/**
+		 * The definition of the table which exists on the server.
+		 *
+		 * @public
+		 * @returns {Table}
+		 */
+		get current() {
+			return this._current;
+		}
+
+		/**
+		 * The changes, in the order they should be applied.
+		 *
+		 * @public
+		 * @returns {TableChange[]}
+		 */
+		get changes() {
+			return [...this._changes];
+		}
+
+		/**
+		 * Indicates if the server's table differs from the desired definition.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get required() {
+			return this._changes.length !== 0;
+		}
+
+		/**
+		 * Indicates if every change can be applied to the existing table.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get safe() {
+			return this._changes.every(c => c.safe);
+		}
+
+		/**
+		 * Returns a human-readable list of the changes (i.e. a "dry run" report).
+		 *
+		 * @public
+		 * @returns {String[]}
+		 */
+		toReport() {
+			return this._changes.map((c) => {
+				if (c.safe) {
+					return c.description;
+				} else {
+					return `${c.description} (unsupported, the table must be rebuilt)`;
+				}
+			});
+		}
+
+		/**
+		 * Determines the changes needed to make an existing table match a
+		 * definition.
+		 *
+		 * @public
+		 * @static
+		 * @param {Table} target - The desired definition.
+		 * @param {Table} current - The definition of the table which exists on the server (see {@link TableBuilder.fromDefinition}).
+		 * @returns {TableMigration}
+		 */
+		static compare(target, current) {
+			assert.argumentIsRequired(target, 'target', Table, 'Table');
+			assert.argumentIsRequired(current, 'current', Table, 'Table');
+
+			target.validate();
+
+			const name = target.name;
+			const changes = [ ];
+
+			if (target.keys.length !== current.keys.length || !target.keys.every(k => current.keys.some(ck => ck.equals(k, true)))) {
+				changes.push(new TableChange(TableChangeType.CHANGE_KEYS, `Change the keys of [ ${name} ] table`));
+			}
+
+			const targetLocal = target.indices.filter(i => i.type === IndexType.LOCAL_SECONDARY);
+			const currentLocal = current.indices.filter(i => i.type === IndexType.LOCAL_SECONDARY);
+
+			targetLocal.filter(i => !currentLocal.some(ci => ci.equals(i, true)))
+				.concat(currentLocal.filter(ci => !targetLocal.some(i => i.name === ci.name)))
+				.forEach((i) => {
+					changes.push(new TableChange(TableChangeType.CHANGE_LOCAL_INDEX, `Change local secondary index [ ${i.name} ] on [ ${name} ] table`));
+				});
+
+			const targetGlobal = target.indices.filter(i => i.type === IndexType.GLOBAL_SECONDARY);
+			const currentGlobal = current.indices.filter(i => i.type === IndexType.GLOBAL_SECONDARY);
+
+			const removals = currentGlobal.filter(ci => !targetGlobal.some(i => i.equals(ci, true)));
+			const additions = targetGlobal.filter(i => !currentGlobal.some(ci => ci.equals(i, true)));
+			const retained = targetGlobal.filter(i => !additions.includes(i));
+
+			removals.forEach((i) => {
+				changes.push(new TableChange(TableChangeType.REMOVE_INDEX, `Remove global secondary index [ ${i.name} ] from [ ${name} ] table`, {
+					TableName: name,
+					GlobalSecondaryIndexUpdates: [ { Delete: { IndexName: i.name } } ]
+				}));
+			});
+
+			const provisioningChanged = target.provisioningType !== current.provisioningType;
+
+			if (provisioningChanged || (target.provisioningType === ProvisioningType.PROVISIONED && !target.provisionedThroughput.equals(current.provisionedThroughput))) {
+				const schema = {
+					TableName: name,
+					BillingMode: target.provisioningType.key
+				};
+
+				let description;
+
+				if (target.provisioningType === ProvisioningType.PROVISIONED) {
+					schema.ProvisionedThroughput = target.provisionedThroughput.toProvisionedThroughputSchema();
+
+					if (provisioningChanged && retained.length !== 0) {
+						schema.GlobalSecondaryIndexUpdates = retained.map((i) => {
+							return { Update: { IndexName: i.name, ProvisionedThroughput: getIndexThroughput(target, i) } };
+						});
+					}
+
+					description = `Provision [ ${name} ] table with [ ${schema.ProvisionedThroughput.ReadCapacityUnits} ] read units and [ ${schema.ProvisionedThroughput.WriteCapacityUnits} ] write units`;
+				} else {
+					description = `Change [ ${name} ] table to [ ${target.provisioningType.description.toLowerCase()} ] billing`;
+				}
+
+				changes.push(new TableChange(TableChangeType.CHANGE_PROVISIONING, description, schema));
+			}
+
+			if (!provisioningChanged && target.provisioningType === ProvisioningType.PROVISIONED) {
+				retained.forEach((i) => {
+					const targetThroughput = getIndexThroughput(target, i);
+					const currentThroughput = getIndexThroughput(current, currentGlobal.find(ci => ci.name === i.name));
+
+					if (targetThroughput.ReadCapacityUnits !== currentThroughput.ReadCapacityUnits || targetThroughput.WriteCapacityUnits !== currentThroughput.WriteCapacityUnits) {
+						changes.push(new TableChange(TableChangeType.CHANGE_PROVISIONING, `Provision global secondary index [ ${i.name} ] on [ ${name} ] table with [ ${targetThroughput.ReadCapacityUnits} ] read units and [ ${targetThroughput.WriteCapacityUnits} ] write units`, {
+							TableName: name,
+							GlobalSecondaryIndexUpdates: [ { Update: { IndexName: i.name, ProvisionedThroughput: targetThroughput } } ]
+						}));
+					}
+				});
+			}
+
+			additions.forEach((i) => {
+				const index = i.toIndexSchema();
+
+				if (target.provisioningType === ProvisioningType.PROVISIONED && !index.ProvisionedThroughput) {
+					index.ProvisionedThroughput = getIndexThroughput(target, i);
+				}
+
+				changes.push(new TableChange(TableChangeType.ADD_INDEX, `Add global secondary index [ ${i.name} ] to [ ${name} ] table`, {
+					TableName: name,
+					AttributeDefinitions: i.keys.map(k => k.attribute.toAttributeSchema()),
+					GlobalSecondaryIndexUpdates: [ { Create: index } ]
+				}));
+			});
+
+			if (target.streamViewType !== current.streamViewType) {
+				if (current.streamViewType !== null) {
+					changes.push(new TableChange(TableChangeType.DISABLE_STREAM, `Disable [ ${current.streamViewType.schemaName} ] stream for [ ${name} ] table`, {
+						TableName: name,
+						StreamSpecification: { StreamEnabled: false }
+					}));
+				}
+
+				if (target.streamViewType !== null) {
+					changes.push(new TableChange(TableChangeType.ENABLE_STREAM, `Enable [ ${target.streamViewType.schemaName} ] stream for [ ${name} ] table`, {
+						TableName: name,
+						StreamSpecification: { StreamEnabled: true, StreamViewType: target.streamViewType.schemaName }
+					}));
+				}
+			}
+
+			if (target.ttlAttribute !== current.ttlAttribute) {
+				if (current.ttlAttribute === null) {
+					changes.push(new TableChange(TableChangeType.ENABLE_TTL, `Enable time-to-live using [ ${target.ttlAttribute} ] attribute for [ ${name} ] table`, target.toTtlSchema()));
+				} else if (target.ttlAttribute === null) {
+					changes.push(new TableChange(TableChangeType.CHANGE_TTL, `Disable time-to-live using [ ${current.ttlAttribute} ] attribute for [ ${name} ] table`));
+				} else {
+					changes.push(new TableChange(TableChangeType.CHANGE_TTL, `Change time-to-live attribute from [ ${current.ttlAttribute} ] to [ ${target.ttlAttribute} ] for [ ${name} ] table`));
+				}
+			}
+
+			return new TableMigration(target, current, changes);
+		}
+
+		toString() {
+			return `[TableMigration (name=${this._target.name})]`;
+		}
+	}
+
+	function getIndexThroughput(table, index) {
+		return (index.provisionedThroughput || table.provisionedThroughput).toProvisionedThroughputSchema();
+	}
+
+	return TableMigration;
+})();
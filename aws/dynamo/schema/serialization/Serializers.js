@@ -7,6 +7,7 @@ const Attribute = require('./../../schema/definitions/Attribute'),
 
 const AttributeSerializer = require('./attributes/AttributeSerializer'),
 	BinarySerializer = require('./attributes/BinarySerializer'),
+	BinarySetSerializer = require('./attributes/BinarySetSerializer'),
 	BooleanSerializer = require('./attributes/BooleanSerializer'),
 	DaySerializer = require('./attributes/DaySerializer'),
 	DecimalSerializer = require('./attributes/DecimalSerializer'),
@@ -15,9 +16,12 @@ const AttributeSerializer = require('./attributes/AttributeSerializer'),
 	MapSerializer = require('./attributes/NestedSerializers').MapSerializer,
 	ListSerializer = require('./attributes/NestedSerializers').ListSerializer,
 	NumberSerializer = require('./attributes/NumberSerializer'),
+	NumberSetSerializer = require('./attributes/NumberSetSerializer'),
 	StringSerializer = require('./attributes/StringSerializer'),
 	StringSetSerializer = require('./attributes/StringSetSerializer'),
-	TimestampSerializer = require('./attributes/TimestampSerializer');
+	TimestampSerializer = require('./attributes/TimestampSerializer'),
+	TypedListSerializer = require('./attributes/TypedListSerializer'),
+	TypedMapSerializer = require('./attributes/TypedMapSerializer');
 
 const CompressedAdHocSerializer = require('./attributes/CompressedAdHocSerializer'),
 	CompressedBinarySerializer = require('./attributes/CompressedBinarySerializer'),
@@ -29,7 +33,10 @@ const EncryptedAdHocSerializer = require('./attributes/EncryptedAdHocSerializer'
 	EncryptedStringSerializer = require('./attributes/EncryptedStringSerializer');
 
 const ComponentSerializer = require('./components/ComponentSerializer'),
-	MoneySerializer = require('./components/MoneySerializer');
+	DayRangeSerializer = require('./components/DayRangeSerializer'),
+	DelegateComponentSerializer = require('./components/DelegateComponentSerializer'),
+	MoneySerializer = require('./components/MoneySerializer'),
+	QuantitySerializer = require('./components/QuantitySerializer');
 
 module.exports = (() => {
 	'use strict';
@@ -120,10 +127,27 @@ module.exports = (() => {
 			assert.argumentIsRequired(dataType, 'dataType', DataType, 'DataType');
 
 			const enumerationType = dataType.enumerationType;
+			const elementType = dataType.elementType;
 
 			let returnRef;
 
-			if (enumerationType) {
+			if (elementType) {
+				if (!typedSerializers.has(dataType)) {
+					const elementSerializer = Serializers.forDataType(elementType);
+
+					if (elementSerializer === null) {
+						throw new Error(`Unable to find a serializer for the element data type (${elementType.toString()})`);
+					}
+
+					if (dataType.code === DataType.LIST.code) {
+						typedSerializers.set(dataType, new TypedListSerializer(elementSerializer));
+					} else {
+						typedSerializers.set(dataType, new TypedMapSerializer(elementSerializer));
+					}
+				}
+
+				returnRef = typedSerializers.get(dataType);
+			} else if (enumerationType) {
 				if (!enumSerializers.has(enumerationType)) {
 					enumSerializers.set(enumerationType, new EnumSerializer(enumerationType));
 				}
@@ -158,6 +182,22 @@ module.exports = (() => {
 			componentSerializers.set(componentType, serializer);
 		}
 
+		/**
+		 * Registers a custom {@link ComponentType}, using delegates to read a component
+		 * object (into an array of values) and to create a component object (from an
+		 * array of values). Afterwards, the component type can be used with
+		 * {@link TableBuilder#withComponent}.
+		 *
+		 * @public
+		 * @static
+		 * @param {ComponentType} componentType
+		 * @param {Function} readDelegate - Accepts the component object and returns an array of values, in the order defined by {@link ComponentType#definitions}.
+		 * @param {Function} createDelegate - Accepts an array of values, in the order defined by {@link ComponentType#definitions}, and returns the component object.
+		 */
+		static registerComponentType(componentType, readDelegate, createDelegate) {
+			Serializers.registerComponentSerializer(componentType, new DelegateComponentSerializer(componentType, readDelegate, createDelegate));
+		}
+
 		/**
 		 * Returns the appropriate {@link ComponentSerializer} given a {@link Component}.
 		 *
@@ -192,6 +232,7 @@ module.exports = (() => {
 	}
 
 	const enumSerializers = new Map();
+	const typedSerializers = new Map();
 	const attributeSerializers = new Map();
 	const componentSerializers = new Map();
 
@@ -202,12 +243,16 @@ module.exports = (() => {
 	Serializers.registerAttributeSerializer(DataType.LIST, ListSerializer.INSTANCE);
 	Serializers.registerAttributeSerializer(DataType.MAP, MapSerializer.INSTANCE);
 	Serializers.registerAttributeSerializer(DataType.STRING_SET, StringSetSerializer.INSTANCE);
+	Serializers.registerAttributeSerializer(DataType.NUMBER_SET, NumberSetSerializer.INSTANCE);
+	Serializers.registerAttributeSerializer(DataType.BINARY_SET, BinarySetSerializer.INSTANCE);
 	Serializers.registerAttributeSerializer(DataType.JSON, JsonSerializer.INSTANCE);
 	Serializers.registerAttributeSerializer(DataType.DAY, DaySerializer.INSTANCE);
 	Serializers.registerAttributeSerializer(DataType.DECIMAL, DecimalSerializer.INSTANCE);
 	Serializers.registerAttributeSerializer(DataType.TIMESTAMP, TimestampSerializer.INSTANCE);
 
 	Serializers.registerComponentSerializer(ComponentType.MONEY, MoneySerializer.INSTANCE);
+	Serializers.registerComponentSerializer(ComponentType.DAY_RANGE, DayRangeSerializer.INSTANCE);
+	Serializers.registerComponentSerializer(ComponentType.QUANTITY, QuantitySerializer.INSTANCE);
 
 	const attributeSerializerFactories = new Map();
 
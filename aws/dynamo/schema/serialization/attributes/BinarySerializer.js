@@ -50,10 +50,24 @@ module.exports = (() => {
 			const encryptor = this._getEncryptor();
 
 			if (encryptor !== null) {
-				const initializationVector = crypto.randomBytes(encryptor.type.initializationVectorLength);
-				const cipher = crypto.createCipheriv(encryptor.type.code, encryptor.key, initializationVector);
+				const type = encryptor.type;
 
-				serialized = Buffer.concat([ initializationVector, cipher.update(serialized), cipher.final() ]);
+				const header = getKeyHeader(encryptor.keyId);
+				const initializationVector = crypto.randomBytes(type.initializationVectorLength);
+
+				if (type.authenticated) {
+					const cipher = crypto.createCipheriv(type.code, encryptor.key, initializationVector, { authTagLength: type.authenticationTagLength });
+
+					cipher.setAAD(header);
+
+					const encrypted = Buffer.concat([ cipher.update(serialized), cipher.final() ]);
+
+					serialized = Buffer.concat([ header, AUTHENTICATED_MARKER, initializationVector, cipher.getAuthTag(), encrypted ]);
+				} else {
+					const cipher = crypto.createCipheriv(type.code, encryptor.key, initializationVector);
+
+					serialized = Buffer.concat([ header, initializationVector, cipher.update(serialized), cipher.final() ]);
+				}
 			}
 
 			wrapper[DataType.BINARY.code] = serialized;
@@ -69,10 +83,37 @@ module.exports = (() => {
 			const encryptor = this._getEncryptor();
 
 			if (encryptor !== null) {
-				const initializationVector = value.slice(0, encryptor.type.initializationVectorLength);
-				const decipher = crypto.createDecipheriv(encryptor.type.code, encryptor.key, initializationVector);
-
-				deserialized = Buffer.concat([ decipher.update(value.slice(encryptor.type.initializationVectorLength)), decipher.final() ]);
+				const header = readKeyHeader(value);
+				const key = encryptor.getKey(header.keyId);
+
+				if (key === null) {
+					throw new Error(`Unable to decrypt value, the key [ ${header.keyId} ] is not configured`);
+				}
+
+				const encrypted = value.slice(header.length);
+				const type = encryptor.type;
+
+				if (type.authenticated) {
+					const marked = encrypted.slice(0, AUTHENTICATED_MARKER.length).equals(AUTHENTICATED_MARKER);
+
+					if (marked) {
+						try {
+							deserialized = decryptAuthenticated(type, key, value.slice(0, header.length), encrypted.slice(AUTHENTICATED_MARKER.length));
+						} catch (e) {
+							if (!encryptor.legacy) {
+								throw e;
+							}
+
+							deserialized = decryptLegacy(type.legacyType, key, encrypted, e);
+						}
+					} else if (encryptor.legacy) {
+						deserialized = decryptLegacy(type.legacyType, key, encrypted, null);
+					} else {
+						throw new Error('Unable to decrypt value, the value was not written using authenticated encryption');
+					}
+				} else {
+					deserialized = decrypt(type, key, encrypted);
+				}
 			}
 
 			const compressionType = this._getCompressionType();
@@ -97,11 +138,106 @@ module.exports = (() => {
 			return instance;
 		}
 
+		/**
+		 * Returns the identifier of the key used to encrypt a (serialized) value,
+		 * or null if the value was written without a key identifier.
+		 *
+		 * @public
+		 * @static
+		 * @param {Buffer} value
+		 * @returns {String|null}
+		 */
+		static getKeyId(value) {
+			assert.argumentIsValid(value, 'value', Buffer.isBuffer, 'is buffer');
+
+			return readKeyHeader(value).keyId;
+		}
+
+		/**
+		 * Indicates if a (serialized) value was written using authenticated
+		 * encryption (see {@link EncryptionType#authenticated}).
+		 *
+		 * @public
+		 * @static
+		 * @param {Buffer} value
+		 * @returns {Boolean}
+		 */
+		static getIsAuthenticated(value) {
+			assert.argumentIsValid(value, 'value', Buffer.isBuffer, 'is buffer');
+
+			const header = readKeyHeader(value);
+
+			return value.slice(header.length, header.length + AUTHENTICATED_MARKER.length).equals(AUTHENTICATED_MARKER);
+		}
+
 		toString() {
 			return '[BinarySerializer]';
 		}
 	}
 
+	const KEY_HEADER_MARKER = Buffer.from([ 0xba, 0x4b, 0x45, 0x59, 0x49, 0x44 ]);
+	const AUTHENTICATED_MARKER = Buffer.from([ 0xba, 0x47, 0x43, 0x4d ]);
+
+	function decrypt(type, key, encrypted) {
+		const initializationVector = encrypted.slice(0, type.initializationVectorLength);
+		const decipher = crypto.createDecipheriv(type.code, key, initializationVector);
+
+		return Buffer.concat([ decipher.update(encrypted.slice(type.initializationVectorLength)), decipher.final() ]);
+	}
+
+	function decryptAuthenticated(type, key, header, encrypted) {
+		const initializationVector = encrypted.slice(0, type.initializationVectorLength);
+		const authenticationTag = encrypted.slice(type.initializationVectorLength, type.initializationVectorLength + type.authenticationTagLength);
+		const decipher = crypto.createDecipheriv(type.code, key, initializationVector, { authTagLength: type.authenticationTagLength });
+
+		decipher.setAAD(header);
+		decipher.setAuthTag(authenticationTag);
+
+		try {
+			return Buffer.concat([ decipher.update(encrypted.slice(type.initializationVectorLength + type.authenticationTagLength)), decipher.final() ]);
+		} catch (e) {
+			throw new Error('Unable to decrypt value, the value failed authentication (it has been tampered with or the key is incorrect)');
+		}
+	}
+
+	function decryptLegacy(type, key, encrypted, authenticationError) {
+		try {
+			return decrypt(type, key, encrypted);
+		} catch (e) {
+			if (authenticationError !== null) {
+				throw authenticationError;
+			}
+
+			throw new Error('Unable to decrypt value, the (legacy) value could not be read (it has been tampered with or the key is incorrect)');
+		}
+	}
+
+	function getKeyHeader(keyId) {
+		if (keyId === null) {
+			return Buffer.alloc(0);
+		}
+
+		const encoded = Buffer.from(keyId);
+
+		if (encoded.length > 255) {
+			throw new Error(`Unable to encrypt value, the key identifier [ ${keyId} ] is too long`);
+		}
+
+		return Buffer.concat([ KEY_HEADER_MARKER, Buffer.from([ encoded.length ]), encoded ]);
+	}
+
+	function readKeyHeader(value) {
+		const offset = KEY_HEADER_MARKER.length + 1;
+
+		if (value.length < offset || !value.slice(0, KEY_HEADER_MARKER.length).equals(KEY_HEADER_MARKER)) {
+			return { keyId: null, length: 0 };
+		}
+
+		const length = value[KEY_HEADER_MARKER.length];
+
+		return { keyId: value.slice(offset, offset + length).toString(), length: offset + length };
+	}
+
 	const instance = new BinarySerializer();
 
 	return BinarySerializer;
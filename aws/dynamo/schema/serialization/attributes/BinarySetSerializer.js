@@ -0,0 +1,60 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const AttributeSerializer = require('./AttributeSerializer'),
+	DataType = require('./../../definitions/DataType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Converts a set of buffers into (and back from) the representation used
+	 * on a DynamoDB record.
+	 *
+	 * @public
+	 * @extends {AttributeSerializer}
+	 */
+	class BinarySetSerializer extends AttributeSerializer {
+		constructor() {
+			super();
+		}
+
+		serialize(items) {
+			assert.argumentIsArray(items, 'items');
+
+			items.forEach((item, i) => assert.argumentIsValid(item, `items[${i}]`, Buffer.isBuffer, 'is buffer'));
+
+			if (items.some((a, i) => items.some((b, j) => i < j && a.equals(b)))) {
+				throw new Error('Could not serialize set of buffers. Items must be unique.');
+			}
+
+			const wrapper = { };
+
+			wrapper[DataType.BINARY_SET.code] = items;
+
+			return wrapper;
+		}
+
+		deserialize(wrapper) {
+			return wrapper[DataType.BINARY_SET.code];
+		}
+
+		/**
+		 * A singleton.
+		 *
+		 * @public
+		 * @static
+		 * @returns {BinarySetSerializer}
+		 */
+		static get INSTANCE() {
+			return instance;
+		}
+
+		toString() {
+			return '[BinarySetSerializer]';
+		}
+	}
+
+	const instance = new BinarySetSerializer();
+
+	return BinarySetSerializer;
+})();
@@ -0,0 +1,59 @@
+const array = require('@barchart/common-js/lang/array'),
+	assert = require('@barchart/common-js/lang/assert');
+
+const AttributeSerializer = require('./AttributeSerializer'),
+	DataType = require('./../../definitions/DataType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Converts a number set into (and back from) the representation used
+	 * on a DynamoDB record.
+	 *
+	 * @public
+	 * @extends {AttributeSerializer}
+	 */
+	class NumberSetSerializer extends AttributeSerializer {
+		constructor() {
+			super();
+		}
+
+		serialize(items) {
+			assert.argumentIsArray(items, 'items', Number);
+
+			if (items.length !== array.unique(items).length) {
+				throw new Error('Could not serialize set of numbers. Items must be unique.');
+			}
+
+			const wrapper = { };
+
+			wrapper[DataType.NUMBER_SET.code] = items.map(i => i.toString());
+
+			return wrapper;
+		}
+
+		deserialize(wrapper) {
+			return wrapper[DataType.NUMBER_SET.code].map(i => parseFloat(i));
+		}
+
+		/**
+		 * A singleton.
+		 *
+		 * @public
+		 * @static
+		 * @returns {NumberSetSerializer}
+		 */
+		static get INSTANCE() {
+			return instance;
+		}
+
+		toString() {
+			return '[NumberSetSerializer]';
+		}
+	}
+
+	const instance = new NumberSetSerializer();
+
+	return NumberSetSerializer;
+})();
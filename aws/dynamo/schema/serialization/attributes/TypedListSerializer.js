@@ -0,0 +1,46 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const AttributeSerializer = require('./AttributeSerializer'),
+	DataType = require('./../../definitions/DataType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Converts a list, where each item has the same {@link DataType}, into (and
+	 * back from) the representation used on a DynamoDB record.
+	 *
+	 * @public
+	 * @extends {AttributeSerializer}
+	 * @param {AttributeSerializer} itemSerializer - The serializer used for each item.
+	 */
+	class TypedListSerializer extends AttributeSerializer {
+		constructor(itemSerializer) {
+			super();
+
+			assert.argumentIsRequired(itemSerializer, 'itemSerializer', AttributeSerializer, 'AttributeSerializer');
+
+			this._itemSerializer = itemSerializer;
+		}
+
+		serialize(list) {
+			assert.argumentIsArray(list, 'list');
+
+			const wrapper = { };
+
+			wrapper[DataType.LIST.code] = list.map(item => this._itemSerializer.serialize(item));
+
+			return wrapper;
+		}
+
+		deserialize(wrapper) {
+			return wrapper[DataType.LIST.code].map(item => this._itemSerializer.deserialize(item));
+		}
+
+		toString() {
+			return '[TypedListSerializer]';
+		}
+	}
+
+	return TypedListSerializer;
+})();
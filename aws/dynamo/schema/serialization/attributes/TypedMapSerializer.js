@@ -0,0 +1,56 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const AttributeSerializer = require('./AttributeSerializer'),
+	DataType = require('./../../definitions/DataType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Converts a map, where each value has the same {@link DataType}, into (and
+	 * back from) the representation used on a DynamoDB record.
+	 *
+	 * @public
+	 * @extends {AttributeSerializer}
+	 * @param {AttributeSerializer} valueSerializer - The serializer used for each value.
+	 */
+	class TypedMapSerializer extends AttributeSerializer {
+		constructor(valueSerializer) {
+			super();
+
+			assert.argumentIsRequired(valueSerializer, 'valueSerializer', AttributeSerializer, 'AttributeSerializer');
+
+			this._valueSerializer = valueSerializer;
+		}
+
+		serialize(map) {
+			assert.argumentIsRequired(map, 'map', Object);
+
+			const wrapper = { };
+
+			wrapper[DataType.MAP.code] = Object.keys(map).reduce((serialized, key) => {
+				serialized[key] = this._valueSerializer.serialize(map[key]);
+
+				return serialized;
+			}, { });
+
+			return wrapper;
+		}
+
+		deserialize(wrapper) {
+			const map = wrapper[DataType.MAP.code];
+
+			return Object.keys(map).reduce((deserialized, key) => {
+				deserialized[key] = this._valueSerializer.deserialize(map[key]);
+
+				return deserialized;
+			}, { });
+		}
+
+		toString() {
+			return '[TypedMapSerializer]';
+		}
+	}
+
+	return TypedMapSerializer;
+})();
@@ -1,7 +1,6 @@
 const assert = require('@barchart/common-js/lang/assert');
 
-const ComponentType = require('./../../definitions/ComponentType'),
-	Serializers = require('./../Serializers');
+const ComponentType = require('./../../definitions/ComponentType');
 
 module.exports = (() => {
 	'use strict';
@@ -36,8 +35,8 @@ module.exports = (() => {
 			const values = this._readComponent(source);
 
 			if (values !== null && values.length === definitions.length) {
-				serialized = definitions.map((ctd) => {
-					const serializer = Serializers.forDataType(ctd.dataType);
+				serialized = definitions.map((ctd, i) => {
+					const serializer = getSerializers().forDataType(ctd.dataType);
 
 					return serializer.serialize(values[i]);
 				});
@@ -74,7 +73,7 @@ module.exports = (() => {
 
 			return this._createComponent(
 				definitions.map((ctd, i) => {
-					const serializer = Serializers.forDataType(ctd.dataType);
+					const serializer = getSerializers().forDataType(ctd.dataType);
 
 					return serializer.deserialize(values[i]);
 				})
@@ -100,5 +99,9 @@ module.exports = (() => {
 		}
 	}
 
+	function getSerializers() {
+		return require('./../Serializers');
+	}
+
 	return ComponentSerializer;
 })();
\ No newline at end of file
@@ -0,0 +1,56 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Day = require('@barchart/common-js/lang/Day');
+
+const ComponentSerializer = require('./ComponentSerializer'),
+	ComponentType = require('./../../definitions/ComponentType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A component serializer for day ranges (objects with "start" and "end"
+	 * properties, each a {@link Day} instance).
+	 *
+	 * @public
+	 * @extends {ComponentSerializer}
+	 */
+	class DayRangeSerializer extends ComponentSerializer {
+		constructor() {
+			super(ComponentType.DAY_RANGE);
+		}
+
+		_readComponent(object) {
+			assert.argumentIsRequired(object, 'object', Object);
+			assert.argumentIsRequired(object.start, 'object.start', Day, 'Day');
+			assert.argumentIsRequired(object.end, 'object.end', Day, 'Day');
+
+			return [
+				object.start,
+				object.end
+			];
+		}
+
+		_createComponent(data) {
+			return { start: data[0], end: data[1] };
+		}
+
+		/**
+		 * A singleton.
+		 *
+		 * @public
+		 * @static
+		 * @returns {DayRangeSerializer}
+		 */
+		static get INSTANCE() {
+			return instance;
+		}
+
+		toString() {
+			return '[DayRangeSerializer]';
+		}
+	}
+
+	const instance = new DayRangeSerializer();
+
+	return DayRangeSerializer;
+})();
@@ -0,0 +1,50 @@
+const assert = require('@barchart/common-js/lang/assert');
+
+const ComponentSerializer = require('./ComponentSerializer');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A {@link ComponentSerializer} that delegates its work, allowing a custom
+	 * {@link ComponentType} to be registered without writing a serializer class
+	 * (see {@link Serializers.registerComponentType}).
+	 *
+	 * @public
+	 * @extends {ComponentSerializer}
+	 * @param {ComponentType} componentType
+	 * @param {Function} readDelegate - Accepts the component object and returns an array of values, in the order defined by {@link ComponentType#definitions}.
+	 * @param {Function} createDelegate - Accepts an array of values, in the order defined by {@link ComponentType#definitions}, and returns the component object.
+	 */
+	class DelegateComponentSerializer extends ComponentSerializer {
+		constructor(componentType, readDelegate, createDelegate) {
+			super(componentType);
+
+			assert.argumentIsRequired(readDelegate, 'readDelegate', Function);
+			assert.argumentIsRequired(createDelegate, 'createDelegate', Function);
+
+			this._readDelegate = readDelegate;
+			this._createDelegate = createDelegate;
+		}
+
+		_readComponent(object) {
+			const type = this._componentType.type;
+
+			if (type !== null) {
+				assert.argumentIsRequired(object, 'object', type);
+			}
+
+			return this._readDelegate(object);
+		}
+
+		_createComponent(data) {
+			return this._createDelegate(data);
+		}
+
+		toString() {
+			return '[DelegateComponentSerializer]';
+		}
+	}
+
+	return DelegateComponentSerializer;
+})();
@@ -0,0 +1,56 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	Decimal = require('@barchart/common-js/lang/Decimal');
+
+const ComponentSerializer = require('./ComponentSerializer'),
+	ComponentType = require('./../../definitions/ComponentType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * A component serializer for quantities (objects with "quantity" and "unit"
+	 * properties -- a {@link Decimal} instance and a string, respectively).
+	 *
+	 * @public
+	 * @extends {ComponentSerializer}
+	 */
+	class QuantitySerializer extends ComponentSerializer {
+		constructor() {
+			super(ComponentType.QUANTITY);
+		}
+
+		_readComponent(object) {
+			assert.argumentIsRequired(object, 'object', Object);
+			assert.argumentIsRequired(object.quantity, 'object.quantity', Decimal, 'Decimal');
+			assert.argumentIsRequired(object.unit, 'object.unit', String);
+
+			return [
+				object.quantity,
+				object.unit
+			];
+		}
+
+		_createComponent(data) {
+			return { quantity: data[0], unit: data[1] };
+		}
+
+		/**
+		 * A singleton.
+		 *
+		 * @public
+		 * @static
+		 * @returns {QuantitySerializer}
+		 */
+		static get INSTANCE() {
+			return instance;
+		}
+
+		toString() {
+			return '[QuantitySerializer]';
+		}
+	}
+
+	const instance = new QuantitySerializer();
+
+	return QuantitySerializer;
+})();
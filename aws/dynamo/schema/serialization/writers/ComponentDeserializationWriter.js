@@ -41,7 +41,10 @@ module.exports = (() => {
 		}
 
 		_canWrite(source, target) {
-			return this._serializer !== null && is.object(source) && source.hasOwnProperty(this._component.name);
+			const name = this._component.name;
+			const definitions = this._component.componentType.definitions;
+
+			return this._serializer !== null && is.object(source) && definitions.every(d => source.hasOwnProperty(d.getFieldName(name)));
 		}
 
 		toString() {
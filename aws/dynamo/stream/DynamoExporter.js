@@ -0,0 +1,307 @@
+const fs = require('fs'),
+	StringDecoder = require('string_decoder').StringDecoder;
+
+const log4js = require('log4js'),
+	Stream = require('stream');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	promise = require('@barchart/common-js/lang/promise');
+
+const DynamoProvider = require('./../../DynamoProvider'),
+	DynamoScanReader = require('./DynamoScanReader'),
+	DynamoStreamWriter = require('./DynamoStreamWriter'),
+	S3Provider = require('./../../S3Provider'),
+	ScanBuilder = require('./../query/builders/ScanBuilder'),
+	Serializer = require('./../schema/serialization/Serializer'),
+	Table = require('./../schema/definitions/Table');
+
+module.exports = (() => {
+	'use strict';
+
+	const logger = log4js.getLogger('common-node/aws/dynamo/stream/DynamoExporter');
+
+	const IMPORT_BATCH_SIZE = 25;
+
+	/**
+	 * Copies the items of a table to (and from) newline-delimited JSON, suitable
+	 * for moving data between environments. Each line contains one item, in
+	 * the format used by DynamoDB exports (i.e. an object with an "Item" property
+	 * containing DynamoDB attribute values, with binary values encoded as base64
+	 * strings). Encrypted attributes remain encrypted.
+	 *
+	 * @public
+	 */
+	class DynamoExporter {
+		constructor() {
+
+		}
+
+		/**
+		 * Writes every item in a table to a file. The promise resolves with the
+		 * number of items exported.
+		 *
+		 * @public
+		 * @static
+		 * @param {Table} table
+		 * @param {DynamoProvider} provider
+		 * @param {String} path - The file to write.
+		 * @returns {Promise<Number>}
+		 */
+		static exportToFile(table, provider, path) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(table, 'table', Table, 'Table');
+					assert.argumentIsRequired(provider, 'provider', DynamoProvider, 'DynamoProvider');
+					assert.argumentIsRequired(path, 'path', String);
+
+					return exportItems(table, provider, fs.createWriteStream(path), `[ ${path} ] file`);
+				});
+		}
+
+		/**
+		 * Writes every item in a table to an S3 object. The promise resolves with
+		 * the number of items exported. If the upload fails, the scan is stopped.
+		 *
+		 * @public
+		 * @static
+		 * @param {Table} table
+		 * @param {DynamoProvider} provider
+		 * @param {S3Provider} s3
+		 * @param {String} bucket
+		 * @param {String} key
+		 * @returns {Promise<Number>}
+		 */
+		static exportToS3(table, provider, s3, bucket, key) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(table, 'table', Table, 'Table');
+					assert.argumentIsRequired(provider, 'provider', DynamoProvider, 'DynamoProvider');
+					assert.argumentIsRequired(s3, 's3', S3Provider, 'S3Provider');
+					assert.argumentIsRequired(bucket, 'bucket', String);
+					assert.argumentIsRequired(key, 'key', String);
+
+					const body = new Stream.PassThrough();
+
+					const exported = exportItems(table, provider, body, `[ ${bucket}/${key} ] object`);
+
+					const uploaded = s3.uploadStream(bucket, key, body)
+						.catch((e) => {
+							body.destroy(e);
+
+							return exported.then(() => {
+								throw e;
+							}, () => {
+								throw e;
+							});
+						});
+
+					return Promise.all([ exported, uploaded ])
+						.then((results) => {
+							return results[0];
+						});
+				});
+		}
+
+		/**
+		 * Writes the items contained in a file (see {@link DynamoExporter.exportToFile})
+		 * to a table. The promise resolves with the number of items imported.
+		 *
+		 * @public
+		 * @static
+		 * @param {Table} table
+		 * @param {DynamoProvider} provider
+		 * @param {String} path - The file to read.
+		 * @returns {Promise<Number>}
+		 */
+		static importFromFile(table, provider, path) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(table, 'table', Table, 'Table');
+					assert.argumentIsRequired(provider, 'provider', DynamoProvider, 'DynamoProvider');
+					assert.argumentIsRequired(path, 'path', String);
+
+					return importItems(table, provider, fs.createReadStream(path), `[ ${path} ] file`);
+				});
+		}
+
+		/**
+		 * Writes the items contained in an S3 object (see {@link DynamoExporter.exportToS3})
+		 * to a table. The promise resolves with the number of items imported.
+		 *
+		 * @public
+		 * @static
+		 * @param {Table} table
+		 * @param {DynamoProvider} provider
+		 * @param {S3Provider} s3
+		 * @param {String} bucket
+		 * @param {String} key
+		 * @returns {Promise<Number>}
+		 */
+		static importFromS3(table, provider, s3, bucket, key) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(table, 'table', Table, 'Table');
+					assert.argumentIsRequired(provider, 'provider', DynamoProvider, 'DynamoProvider');
+					assert.argumentIsRequired(s3, 's3', S3Provider, 'S3Provider');
+					assert.argumentIsRequired(bucket, 'bucket', String);
+					assert.argumentIsRequired(key, 'key', String);
+
+					return s3.createReadStream(bucket, key)
+						.then((input) => {
+							return importItems(table, provider, input, `[ ${bucket}/${key} ] object`);
+						});
+				});
+		}
+
+		toString() {
+			return '[DynamoExporter]';
+		}
+	}
+
+	function exportItems(table, provider, output, description) {
+		logger.info(`Starting export of [ ${table.name} ] table to ${description}`);
+
+		const reader = new DynamoScanReader(ScanBuilder.targeting(table).withDescription(`Export of [ ${table.name} ] table`).scan, provider, null, true);
+
+		const formatter = new Stream.Transform({
+			writableObjectMode: true,
+			transform: (item, encoding, callback) => {
+				let line;
+
+				try {
+					line = JSON.stringify({ Item: convertItem(Serializer.serialize(item, table), b => b.toString('base64')) });
+				} catch (e) {
+					callback(e);
+
+					return;
+				}
+
+				callback(null, `${line}\n`);
+			}
+		});
+
+		return promise.build((resolveCallback, rejectCallback) => {
+			Stream.pipeline(reader, formatter, output, (e) => {
+				if (e) {
+					logger.error(`Export of [ ${table.name} ] table failed after [ ${reader.scanned} ] items`, e);
+
+					rejectCallback(e);
+				} else {
+					logger.info(`Completed export of [ ${table.name} ] table, [ ${reader.scanned} ] items exported`);
+
+					resolveCallback(reader.scanned);
+				}
+			});
+		});
+	}
+
+	function importItems(table, provider, input, description) {
+		logger.info(`Starting import of ${description} to [ ${table.name} ] table`);
+
+		const decoder = new StringDecoder('utf8');
+
+		let remainder = '';
+		let batch = [ ];
+		let count = 0;
+
+		const parse = (parser, lines) => {
+			lines.forEach((line) => {
+				if (line.trim().length === 0) {
+					return;
+				}
+
+				const parsed = JSON.parse(line);
+
+				batch.push(Serializer.deserialize(convertItem(parsed.Item, s => Buffer.from(s, 'base64')), table));
+				count = count + 1;
+
+				if (batch.length === IMPORT_BATCH_SIZE) {
+					parser.push(batch);
+
+					batch = [ ];
+				}
+			});
+		};
+
+		const parser = new Stream.Transform({
+			readableObjectMode: true,
+			transform(chunk, encoding, callback) {
+				const lines = (remainder + decoder.write(chunk)).split('\n');
+
+				remainder = lines.pop();
+
+				try {
+					parse(this, lines);
+				} catch (e) {
+					callback(e);
+
+					return;
+				}
+
+				callback();
+			},
+			flush(callback) {
+				try {
+					parse(this, [ remainder + decoder.end() ]);
+				} catch (e) {
+					callback(e);
+
+					return;
+				}
+
+				if (batch.length !== 0) {
+					this.push(batch);
+				}
+
+				callback();
+			}
+		});
+
+		const writer = new DynamoStreamWriter(table, provider);
+
+		return promise.build((resolveCallback, rejectCallback) => {
+			Stream.pipeline(input, parser, writer, (e) => {
+				if (e) {
+					logger.error(`Import to [ ${table.name} ] table failed after [ ${count} ] items`, e);
+
+					rejectCallback(e);
+				} else {
+					logger.info(`Completed import to [ ${table.name} ] table, [ ${count} ] items imported`);
+
+					resolveCallback(count);
+				}
+			});
+		});
+	}
+
+	function convertItem(item, converter) {
+		return Object.keys(item).reduce((converted, name) => {
+			converted[name] = convertAttribute(item[name], converter);
+
+			return converted;
+		}, { });
+	}
+
+	function convertAttribute(attribute, converter) {
+		const type = Object.keys(attribute)[0];
+		const value = attribute[type];
+
+		let converted;
+
+		if (type === 'B') {
+			converted = converter(value);
+		} else if (type === 'BS') {
+			converted = value.map(converter);
+		} else if (type === 'L') {
+			converted = value.map(a => convertAttribute(a, converter));
+		} else if (type === 'M') {
+			converted = convertItem(value, converter);
+		} else {
+			converted = value;
+		}
+
+		return { [type]: converted };
+	}
+
+	return DynamoExporter;
+})();
@@ -0,0 +1,255 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	attributes = require('@barchart/common-js/lang/attributes'),
+	is = require('@barchart/common-js/lang/is');
+
+const Index = require('./../schema/definitions/Index'),
+	Serializer = require('./../schema/serialization/Serializer'),
+	Table = require('./../schema/definitions/Table');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * An async iterable (i.e. usable with a "for await...of" loop) which returns
+	 * the results of a query (or scan) one item at a time. Pages of results are
+	 * requested lazily, as the previous page is exhausted. Use the
+	 * {@link DynamoProvider#iterateQuery} and {@link DynamoProvider#iterateScan}
+	 * functions to create instances.
+	 *
+	 * @public
+	 * @param {Table} table - The table being read.
+	 * @param {Index|null} index - The index being read (or a null value).
+	 * @param {Number|null} limit - The maximum number of items to return (or a null value).
+	 * @param {Boolean} raw - True if the items are not deserialized.
+	 * @param {Function} executor - Accepts a start key and returns a promise for a page of results (see {@link DynamoProvider#queryChunk}).
+	 * @param {Object=} startKey - The position at which to begin (see {@link DynamoIterator.fromCursor}).
+	 */
+	class DynamoIterator {
+		constructor(table, index, limit, raw, executor, startKey) {
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+			assert.argumentIsOptional(index, 'index', Index, 'Index');
+			assert.argumentIsOptional(limit, 'limit', Number);
+			assert.argumentIsRequired(raw, 'raw', Boolean);
+			assert.argumentIsRequired(executor, 'executor', Function);
+			assert.argumentIsOptional(startKey, 'startKey', Object);
+
+			this._table = table;
+			this._index = index || null;
+			this._limit = limit || null;
+			this._raw = raw;
+			this._executor = executor;
+
+			this._keyNames = table.keys.concat(this._index === null ? [ ] : this._index.keys)
+				.map(k => k.attribute.name)
+				.filter((name, i, names) => names.indexOf(name) === i);
+
+			this._startKey = startKey || null;
+			this._position = this._startKey;
+
+			this._buffer = [ ];
+			this._count = 0;
+
+			this._exhausted = false;
+			this._stopped = false;
+
+			this._previous = Promise.resolve();
+		}
+
+		/**
+		 * The number of items returned (so far).
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get count() {
+			return this._count;
+		}
+
+		/**
+		 * Indicates if every item has been returned (i.e. no more items exist).
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get completed() {
+			return this._exhausted && this._buffer.length === 0;
+		}
+
+		/**
+		 * An opaque token which can be used to resume iteration, after the last
+		 * item returned, using a new iterator (e.g. the next request to a REST
+		 * endpoint). A null value is returned if every item has been returned or
+		 * if iteration began at the start and no items have been returned.
+		 *
+		 * @public
+		 * @returns {String|null}
+		 */
+		get cursor() {
+			if (this.completed || this._position === null) {
+				return null;
+			}
+
+			return DynamoIterator.toCursor(this._position, this._table);
+		}
+
+		/**
+		 * Returns the next item.
+		 *
+		 * @public
+		 * @returns {Promise<Object>} - An object with "value" and "done" properties.
+		 */
+		next() {
+			const next = this._previous.then(() => getNext.call(this));
+
+			this._previous = next.catch(() => {
+				this._stopped = true;
+			});
+
+			return next;
+		}
+
+		/**
+		 * Stops iteration (e.g. when a "for await...of" loop exits early). No
+		 * further pages will be requested.
+		 *
+		 * @public
+		 * @returns {Promise<Object>}
+		 */
+		return() {
+			this._stopped = true;
+
+			return Promise.resolve({ value: undefined, done: true });
+		}
+
+		[Symbol.asyncIterator]() {
+			return this;
+		}
+
+		/**
+		 * Converts a start key (e.g. from {@link TableContainer#getPagingKey}) into
+		 * an opaque cursor token.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} startKey
+		 * @param {Table} table
+		 * @returns {String}
+		 */
+		static toCursor(startKey, table) {
+			assert.argumentIsRequired(startKey, 'startKey', Object);
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+
+			const serialized = Serializer.serialize(startKey, table, false, true);
+
+			const portable = Object.keys(serialized).reduce((accumulator, name) => {
+				const value = serialized[name];
+
+				if (is.object(value) && Buffer.isBuffer(value.B)) {
+					accumulator[name] = { B: value.B.toString('base64') };
+				} else {
+					accumulator[name] = value;
+				}
+
+				return accumulator;
+			}, { });
+
+			return Buffer.from(JSON.stringify(portable)).toString('base64');
+		}
+
+		/**
+		 * Converts an opaque cursor token (see {@link DynamoIterator#cursor}) back
+		 * into a start key.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} cursor
+		 * @param {Table} table
+		 * @returns {Object}
+		 */
+		static fromCursor(cursor, table) {
+			assert.argumentIsRequired(cursor, 'cursor', String);
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+
+			let portable;
+
+			try {
+				portable = JSON.parse(Buffer.from(cursor, 'base64').toString());
+			} catch (e) {
+				portable = null;
+			}
+
+			if (!is.object(portable) || !table.keys.every(k => is.object(portable[k.attribute.name]))) {
+				throw new Error(`Unable to use cursor, the cursor is not valid for [ ${table.name} ] table.`);
+			}
+
+			const serialized = Object.keys(portable).reduce((accumulator, name) => {
+				const value = portable[name];
+
+				if (is.string(value.B)) {
+					accumulator[name] = { B: Buffer.from(value.B, 'base64') };
+				} else {
+					accumulator[name] = value;
+				}
+
+				return accumulator;
+			}, { });
+
+			return Serializer.deserialize(serialized, table);
+		}
+
+		toString() {
+			return `[DynamoIterator (table=${this._table.name})]`;
+		}
+	}
+
+	function getNext() {
+		const done = { value: undefined, done: true };
+
+		if (this._stopped || (this._limit !== null && this._count >= this._limit)) {
+			return Promise.resolve(done);
+		}
+
+		if (this._buffer.length !== 0) {
+			const item = this._buffer.shift();
+
+			this._count = this._count + 1;
+			this._position = getKey.call(this, item);
+
+			return Promise.resolve({ value: item, done: false });
+		}
+
+		if (this._exhausted) {
+			return Promise.resolve(done);
+		}
+
+		return this._executor(this._startKey)
+			.then((page) => {
+				this._buffer = page.results;
+
+				if (page.startKey) {
+					this._startKey = page.startKey;
+				} else {
+					this._startKey = null;
+					this._exhausted = true;
+				}
+
+				return getNext.call(this);
+			});
+	}
+
+	function getKey(item) {
+		const key = this._keyNames.reduce((accumulator, name) => {
+			attributes.write(accumulator, name, attributes.read(item, name));
+
+			return accumulator;
+		}, { });
+
+		if (this._raw) {
+			return Serializer.deserialize(key, this._table);
+		} else {
+			return key;
+		}
+	}
+
+	return DynamoIterator;
+})();
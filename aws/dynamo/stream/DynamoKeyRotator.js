@@ -0,0 +1,218 @@
+const log4js = require('log4js'),
+	Stream = require('stream');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is'),
+	promise = require('@barchart/common-js/lang/promise');
+
+const DynamoProvider = require('./../../DynamoProvider'),
+	DynamoScanReader = require('./DynamoScanReader'),
+	OperatorType = require('./../query/definitions/OperatorType'),
+	QueryBuilder = require('./../query/builders/QueryBuilder'),
+	ScanBuilder = require('./../query/builders/ScanBuilder'),
+	UpdateActionType = require('./../query/definitions/UpdateActionType'),
+	UpdateBuilder = require('./../query/builders/UpdateBuilder'),
+	UpdateOperatorType = require('./../query/definitions/UpdateOperatorType');
+
+const BinarySerializer = require('./../schema/serialization/attributes/BinarySerializer'),
+	DataType = require('./../schema/definitions/DataType'),
+	Serializer = require('./../schema/serialization/Serializer'),
+	Table = require('./../schema/definitions/Table'),
+	TableBuilder = require('./../schema/builders/TableBuilder');
+
+module.exports = (() => {
+	'use strict';
+
+	const logger = log4js.getLogger('common-node/aws/dynamo/stream/DynamoKeyRotator');
+
+	const MAXIMUM_ATTEMPTS = 5;
+
+	/**
+	 * Re-encrypts the items of a table using the current key of each encrypted
+	 * attribute (see {@link EncryptorBuilder#withKey}). Each item is read (which
+	 * decrypts values written with retired keys) and the encrypted attributes are
+	 * written back (which encrypts values with the current key).
+	 *
+	 * This is also used to migrate a table to an authenticated encryption type.
+	 * Legacy values (see {@link EncryptorBuilder#withLegacyReads}) are read and
+	 * written back using authenticated encryption.
+	 *
+	 * The table does not need to be quiesced. Each write is conditional, applying
+	 * only if the encrypted values have not changed since the item was read, so
+	 * concurrent writes are never overwritten. When the condition fails, the item
+	 * is read again (and skipped, if it has been deleted). Other attributes are
+	 * not written.
+	 *
+	 * @public
+	 */
+	class DynamoKeyRotator {
+		constructor() {
+
+		}
+
+		/**
+		 * Streams every item in a table through a {@link DynamoScanReader},
+		 * re-encrypting the items which have values written with a retired key (or
+		 * legacy values). Items which only have values written with the current key
+		 * are skipped.
+		 * The promise resolves with the number of items re-encrypted.
+		 *
+		 * @public
+		 * @static
+		 * @param {Table} table - The table, with encryptors which include the current (and retired) keys.
+		 * @param {DynamoProvider} provider
+		 * @returns {Promise<Number>}
+		 */
+		static rotate(table, provider) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(table, 'table', Table, 'Table');
+					assert.argumentIsRequired(provider, 'provider', DynamoProvider, 'DynamoProvider');
+
+					const encrypted = table.attributes.filter(a => a.encryptor !== null);
+
+					if (encrypted.length === 0) {
+						throw new Error(`Unable to rotate keys, the [ ${table.name} ] table has no encrypted attributes`);
+					}
+
+					if (table.keys.some(k => k.attribute.encryptor !== null)) {
+						throw new Error(`Unable to rotate keys, the [ ${table.name} ] table has an encrypted key`);
+					}
+
+					logger.info(`Starting key rotation for [ ${table.name} ] table`);
+
+					const scan = ScanBuilder.targeting(table)
+						.withDescription(`Key rotation for [ ${table.name} ] table`)
+						.withDeserializationSkipped()
+						.scan;
+
+					const context = {
+						table: table,
+						provider: provider,
+						encrypted: encrypted,
+						target: getTarget(table, encrypted),
+						rotated: 0
+					};
+
+					const reader = new DynamoScanReader(scan, provider, null, true);
+
+					const writer = new Stream.Writable({
+						objectMode: true,
+						write: (raw, encoding, callback) => {
+							rotateItem(context, raw, 1)
+								.then(() => {
+									callback();
+								}).catch((e) => {
+									callback(e);
+								});
+						}
+					});
+
+					return promise.build((resolveCallback, rejectCallback) => {
+						Stream.pipeline(reader, writer, (e) => {
+							if (e) {
+								logger.error(`Key rotation for [ ${table.name} ] table failed after [ ${reader.scanned} ] items`, e);
+
+								rejectCallback(e);
+							} else {
+								logger.info(`Completed key rotation for [ ${table.name} ] table, [ ${context.rotated} ] of [ ${reader.scanned} ] items re-encrypted`);
+
+								resolveCallback(context.rotated);
+							}
+						});
+					});
+				});
+		}
+
+		toString() {
+			return '[DynamoKeyRotator]';
+		}
+	}
+
+	function getTarget(table, encrypted) {
+		const builder = TableBuilder.withName(table.name);
+
+		table.keys.forEach((k) => {
+			builder.withAttribute(k.attribute.name, k.attribute.dataType, k.keyType);
+		});
+
+		encrypted.forEach((a) => {
+			builder.withAttribute(a.name, DataType.BINARY);
+		});
+
+		return builder.table;
+	}
+
+	function getIsStale(attribute, wrapper) {
+		if (!is.object(wrapper) || !Buffer.isBuffer(wrapper.B)) {
+			return false;
+		}
+
+		const encryptor = attribute.encryptor;
+
+		return BinarySerializer.getKeyId(wrapper.B) !== encryptor.keyId || (encryptor.type.authenticated && !BinarySerializer.getIsAuthenticated(wrapper.B));
+	}
+
+	function rotateItem(context, raw, attempt) {
+		const stale = context.encrypted.filter(a => getIsStale(a, raw[a.name]));
+
+		if (stale.length === 0) {
+			return Promise.resolve();
+		}
+
+		const item = Serializer.deserialize(raw, context.table);
+		const serialized = Serializer.serialize(item, context.table);
+
+		const builder = UpdateBuilder.targeting(context.target)
+			.withDescription(`Key rotation for [ ${context.table.name} ] table`)
+			.withKeyFilterBuilder((kfb) => {
+				context.table.keys.forEach((k) => {
+					kfb.withExpression(k.attribute.name, OperatorType.EQUALS, item[k.attribute.name]);
+				});
+			}).withConditionFilterBuilder((cfb) => {
+				stale.forEach((a) => {
+					cfb.withExpression(a.name, OperatorType.EQUALS, raw[a.name].B);
+				});
+			});
+
+		stale.forEach((a) => {
+			builder.withUpdateExpression(UpdateActionType.SET, a.name, UpdateOperatorType.EQUALS, serialized[a.name].B);
+		});
+
+		return context.provider.updateItem(builder.update)
+			.then(() => {
+				context.rotated = context.rotated + 1;
+			}).catch((e) => {
+				if (e.code !== 'ConditionalCheckFailedException') {
+					throw e;
+				}
+
+				if (attempt >= MAXIMUM_ATTEMPTS) {
+					throw new Error(`Unable to rotate keys for an item in the [ ${context.table.name} ] table, the item was changed during each of [ ${attempt} ] attempts`);
+				}
+
+				logger.debug(`Item in [ ${context.table.name} ] table changed during key rotation, reading the item again`);
+
+				const query = QueryBuilder.targeting(context.table)
+					.withDescription(`Key rotation for [ ${context.table.name} ] table (reread)`)
+					.withKeyFilterBuilder((kfb) => {
+						context.table.keys.forEach((k) => {
+							kfb.withExpression(k.attribute.name, OperatorType.EQUALS, item[k.attribute.name]);
+						});
+					}).withConsistentRead()
+					.withDeserializationSkipped()
+					.query;
+
+				return context.provider.query(query)
+					.then((results) => {
+						if (results.length === 0) {
+							return;
+						}
+
+						return rotateItem(context, results[0], attempt + 1);
+					});
+			});
+	}
+
+	return DynamoKeyRotator;
+})();
@@ -0,0 +1,187 @@
+const log4js = require('log4js'),
+	Stream = require('stream');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const DynamoProvider = require('./../../DynamoProvider'),
+	DynamoScanReader = require('./DynamoScanReader'),
+	Scan = require('./../query/definitions/Scan');
+
+module.exports = (() => {
+	'use strict';
+
+	const logger = log4js.getLogger('common-node/aws/dynamo/stream/DynamoParallelScanReader');
+
+	/**
+	 * A Node.js {@link Stream.Readable} which divides a DynamoDB scan into segments,
+	 * reads the segments in parallel (using a {@link DynamoScanReader} for each
+	 * segment), and returns the results as they arrive. Results from different
+	 * segments are interleaved.
+	 *
+	 * @public
+	 * @extends {Stream.Readable}
+	 * @param {Scan} scan - A scan which does not target a segment.
+	 * @param {DynamoProvider} provider
+	 * @param {Number} totalSegments - The number of segments.
+	 * @param {Number=} concurrency - The maximum number of segments to read at once (defaults to the number of segments).
+	 * @param {Number=} highWaterMark
+	 * @param {Boolean=} discrete
+	 */
+	class DynamoParallelScanReader extends Stream.Readable {
+		constructor(scan, provider, totalSegments, concurrency, highWaterMark, discrete) {
+			super({ objectMode: true, highWaterMark: highWaterMark || 10 });
+
+			assert.argumentIsRequired(scan, 'scan', Scan, 'Scan');
+			assert.argumentIsRequired(provider, 'provider', DynamoProvider, 'DynamoProvider');
+			assert.argumentIsRequired(totalSegments, 'totalSegments', Number);
+			assert.argumentIsOptional(concurrency, 'concurrency', Number);
+			assert.argumentIsOptional(highWaterMark, 'highWaterMark', Number);
+			assert.argumentIsOptional(discrete, 'discrete', Boolean);
+
+			if (concurrency && !(is.integer(concurrency) && is.positive(concurrency))) {
+				throw new Error('The concurrency must be a positive integer.');
+			}
+
+			this._provider = provider;
+
+			this._pending = scan.getSegments(totalSegments);
+			this._concurrency = concurrency || totalSegments;
+
+			this._highWaterMark = highWaterMark || 10;
+			this._discrete = discrete || false;
+
+			this._readers = [ ];
+			this._active = [ ];
+
+			this._started = false;
+			this._paused = false;
+			this._stopping = false;
+			this._error = false;
+		}
+
+		/**
+		 * Returns the number of records scanned (so far), across all segments.
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get scanned() {
+			return this._readers.reduce((total, reader) => total + reader.scanned, 0);
+		}
+
+		/**
+		 * Indicates if the {@link DynamoParallelScanReader#stop} function has
+		 * been invoked.
+		 *
+		 * @public
+		 * @returns {Boolean}
+		 */
+		get stopping() {
+			return this._stopping;
+		}
+
+		_read(size) {
+			if (this._error) {
+				logger.error('Unable to continue reading, an error was encountered.');
+				return;
+			}
+
+			if (this._started) {
+				this._paused = false;
+
+				this._active.forEach(reader => reader.resume());
+			} else {
+				logger.debug('Parallel scan stream started');
+
+				this._started = true;
+
+				startSegments.call(this);
+
+				if (this._active.length === 0) {
+					this.push(null);
+				}
+			}
+		}
+
+		/**
+		 * Gracefully interrupts reading (see {@link DynamoScanReader#stop}). Segments
+		 * which have not started will not be read. Once reading has actually stopped,
+		 * the returned promise resolves.
+		 *
+		 * @public
+		 * @returns {Promise}
+		 */
+		stop() {
+			this._stopping = true;
+			this._pending = [ ];
+
+			return Promise.all(this._active.map(reader => reader.stop()))
+				.then(() => {
+					return null;
+				});
+		}
+
+		toString() {
+			return '[DynamoParallelScanReader]';
+		}
+	}
+
+	function startSegments() {
+		while (this._active.length < this._concurrency && this._pending.length !== 0) {
+			startSegment.call(this, this._pending.shift());
+		}
+	}
+
+	function startSegment(scan) {
+		logger.debug(`Starting [ ${scan.description} ]`);
+
+		const reader = new DynamoScanReader(scan, this._provider, this._highWaterMark, this._discrete);
+
+		this._readers.push(reader);
+		this._active.push(reader);
+
+		reader.on('data', (chunk) => {
+			if (!this.push(chunk)) {
+				this._paused = true;
+
+				this._active.forEach(r => r.pause());
+			}
+		});
+
+		if (this._paused) {
+			reader.pause();
+		}
+
+		reader.on('end', () => {
+			if (!reader.completed && !reader.stopping) {
+				return;
+			}
+
+			logger.debug(`Completed [ ${scan.description} ]`);
+
+			this._active = this._active.filter(r => r !== reader);
+
+			startSegments.call(this);
+
+			if (this._active.length === 0) {
+				logger.debug('Parallel scan stream stopping, no more results');
+
+				this.push(null);
+			}
+		});
+
+		reader.on('error', (e) => {
+			logger.error(`Parallel scan stopping, error encountered in [ ${scan.description} ]`, e);
+
+			this._error = true;
+			this._pending = [ ];
+
+			this._active.forEach(r => r.stop());
+
+			this.destroy(e);
+		});
+	}
+
+	return DynamoParallelScanReader;
+})();
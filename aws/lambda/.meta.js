@@ -13,4 +13,31 @@
  * @param {LambdaEventParser} parser
  * @param {LambdaResponder} responder
  * @returns {*}
- */
\ No newline at end of file
+ */
+
+/**
+ * A callback used to process a single message from a batch (see
+ * {@link LambdaHelper.processMessages}). If the callback throws (or
+ * returns a rejected promise), the message is reported as failed.
+ *
+ * @public
+ * @callback LambdaMessageProcessorCallback
+ * @memberOf Callbacks
+ * @param {*} message - The message content (parsed, if JSON).
+ * @param {Object} record - The record, as included in the event.
+ * @param {LambdaEventParser} parser - A parser for the entire event.
+ * @returns {*}
+ */
+
+/**
+ * A callback used to process a request which matches a route (see
+ * {@link LambdaRouter}).
+ *
+ * @public
+ * @callback LambdaRouteProcessorCallback
+ * @memberOf Callbacks
+ * @param {LambdaEventParser} parser
+ * @param {LambdaResponder} responder
+ * @param {LambdaRoute~Parameters} parameters - The path and querystring parameters, converted to their declared types.
+ * @returns {*}
+ */
@@ -2,13 +2,19 @@ const assert = require('@barchart/common-js/lang/assert'),
 	attributes = require('@barchart/common-js/lang/attributes'),
 	Enum = require('@barchart/common-js/lang/Enum'),
 	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object'),
 	promise = require('@barchart/common-js/lang/promise');
 	Schema = require('@barchart/common-js/serialization/json/Schema');
 
 const FailureReason = require('@barchart/common-js/api/failures/FailureReason'),
 	FailureType = require('@barchart/common-js/api/failures/FailureType');
 
-const LambdaTriggerType = require('./LambdaTriggerType');
+const Serializer = require('./../dynamo/schema/serialization/Serializer'),
+	Table = require('./../dynamo/schema/definitions/Table');
+
+const LambdaFailureType = require('./LambdaFailureType'),
+	LambdaSchemaValidator = require('./LambdaSchemaValidator'),
+	LambdaTriggerType = require('./LambdaTriggerType');
 
 module.exports = (() => {
 	'use strict';
@@ -259,6 +265,98 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Validates the parts of a request (i.e. the body, querystring parameters,
+		 * and path parameters) against schemas, converting field values to their
+		 * data types. If any field is missing (or invalid), the promise is rejected
+		 * with a {@link FailureReason} which lists each problem (see
+		 * {@link LambdaSchemaValidator}), resulting in an HTTP 400 response when
+		 * using {@link LambdaHelper.process}.
+		 *
+		 * @public
+		 * @param {LambdaEventParser~RequestSchemas} schemas
+		 * @param {String=} description
+		 * @returns {Promise<LambdaEventParser~ValidatedRequest>}
+		 */
+		validateRequest(schemas, description) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(schemas, 'schemas', Object);
+					assert.argumentIsOptional(description, 'description', String);
+
+					const result = { body: null, query: null, path: null };
+					const failures = [ ];
+
+					const check = (key, schema, candidate, coerce) => {
+						if (is.undefined(schema) || is.null(schema)) {
+							return;
+						}
+
+						const checked = LambdaSchemaValidator.check(schema, candidate, key, coerce);
+
+						result[key] = checked.value;
+						failures.push(...checked.failures);
+					};
+
+					if (schemas.body) {
+						const body = getBody.call(this);
+
+						if (body.parsed) {
+							check('body', schemas.body, body.value, false);
+						} else {
+							failures.push({ type: LambdaFailureType.LAMBDA_FIELD_INVALID, data: { source: 'body', field: 'body', expected: 'JSON', received: body.value } });
+						}
+					}
+
+					check('query', schemas.query, this._event.queryStringParameters || { }, true);
+					check('path', schemas.path, getPathParameters.call(this), true);
+
+					const reason = LambdaSchemaValidator.getFailureReason(failures, description);
+
+					if (reason !== null) {
+						return Promise.reject(reason);
+					}
+
+					return result;
+				});
+		}
+
+		/**
+		 * Validates the body against a schema (see {@link LambdaEventParser#validateRequest}).
+		 *
+		 * @public
+		 * @param {Schema|Object} schema
+		 * @param {String=} description
+		 * @returns {Promise<Object>}
+		 */
+		validateBody(schema, description) {
+			return this.validateRequest({ body: schema }, description).then(r => r.body);
+		}
+
+		/**
+		 * Validates querystring parameters against a schema (see {@link LambdaEventParser#validateRequest}).
+		 *
+		 * @public
+		 * @param {Schema|Object} schema
+		 * @param {String=} description
+		 * @returns {Promise<Object>}
+		 */
+		validateQueryString(schema, description) {
+			return this.validateRequest({ query: schema }, description).then(r => r.query);
+		}
+
+		/**
+		 * Validates path parameters against a schema (see {@link LambdaEventParser#validateRequest}).
+		 *
+		 * @public
+		 * @param {Schema|Object} schema
+		 * @param {String=} description
+		 * @returns {Promise<Object>}
+		 */
+		validatePath(schema, description) {
+			return this.validateRequest({ path: schema }, description).then(r => r.path);
+		}
+
 		/**
 		 * Returns an array of all messages included within the event.
 		 *
@@ -286,13 +384,138 @@ module.exports = (() => {
 					content = null;
 				}
 
-				if (content && (!is.boolean(text) || !text)) {
+				if (is.string(content) && (!is.boolean(text) || !text)) {
 					content = JSON.parse(content);
 				}
 
 				return content;
 			});
 		}
+
+		/**
+		 * Returns the DynamoDB stream records included within the event, for
+		 * one table, with the keys and images deserialized (using the table
+		 * definition). Records from other tables (and other sources) are ignored.
+		 *
+		 * @public
+		 * @param {Table} table - The definition of the table which produced the stream.
+		 * @returns {LambdaEventParser~StreamRecord[]}
+		 */
+		getStreamRecords(table) {
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+
+			let messages;
+
+			if (is.array(this._event.Records)) {
+				messages = this._event.Records;
+			} else {
+				messages = [ this._event ];
+			}
+
+			return messages
+				.filter(m => LambdaTriggerType.fromMessage(m) === LambdaTriggerType.DYNAMO)
+				.filter(m => !is.string(m.eventSourceARN) || m.eventSourceARN.includes(`:table/${table.name}/`))
+				.map((message) => {
+					const content = LambdaTriggerType.DYNAMO.getContent(message) || { };
+
+					const deserialize = (image) => {
+						if (is.object(image)) {
+							return Serializer.deserialize(image, table);
+						} else {
+							return null;
+						}
+					};
+
+					const keys = deserialize(content.Keys);
+					const newImage = deserialize(content.NewImage);
+					const oldImage = deserialize(content.OldImage);
+
+					return {
+						id: LambdaTriggerType.DYNAMO.getId(message),
+						eventName: message.eventName || null,
+						sequenceNumber: content.SequenceNumber || null,
+						keys: keys,
+						newImage: newImage,
+						oldImage: oldImage,
+						changes: getChanges(message.eventName, oldImage, newImage)
+					};
+				});
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {String} eventName
+	 * @param {Object|null} oldImage
+	 * @param {Object|null} newImage
+	 * @returns {String[]|null}
+	 */
+	function getChanges(eventName, oldImage, newImage) {
+		if (eventName === 'INSERT' && newImage !== null) {
+			return Object.keys(newImage);
+		}
+
+		if (eventName === 'REMOVE' && oldImage !== null) {
+			return Object.keys(oldImage);
+		}
+
+		if (eventName === 'MODIFY' && oldImage !== null && newImage !== null) {
+			return Object.keys(oldImage).concat(Object.keys(newImage))
+				.filter((name, i, names) => names.indexOf(name) === i)
+				.filter(name => !object.equals(oldImage[name], newImage[name]));
+		}
+
+		return null;
+	}
+
+	/**
+	 * @private
+	 * @returns {{parsed: Boolean, value: *}}
+	 */
+	function getBody() {
+		let body = this._event.body;
+
+		if (is.string(body) && this._event.isBase64Encoded) {
+			body = Buffer.from(body, 'base64').toString('utf8');
+		}
+
+		if (!is.string(body)) {
+			return { parsed: true, value: is.undefined(body) ? null : body };
+		}
+
+		try {
+			return { parsed: true, value: JSON.parse(body) };
+		} catch (e) {
+			return { parsed: false, value: body };
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {Object}
+	 */
+	function getPathParameters() {
+		const parameters = this._event.pathParameters;
+
+		if (!is.object(parameters)) {
+			return { };
+		}
+
+		return Object.keys(parameters).reduce((decoded, key) => {
+			const value = parameters[key];
+
+			if (is.string(value)) {
+				try {
+					decoded[key] = decodeURIComponent(value);
+				} catch (e) {
+					decoded[key] = value;
+				}
+			} else {
+				decoded[key] = value;
+			}
+
+			return decoded;
+		}, { });
 	}
 
 	/**
@@ -309,5 +532,41 @@ module.exports = (() => {
 		}
 	}
 
+	/**
+	 * A record from a DynamoDB stream, deserialized.
+	 *
+	 * @typedef LambdaEventParser~StreamRecord
+	 * @type {Object}
+	 * @property {String|null} id - The event identifier.
+	 * @property {String|null} eventName - The type of change (i.e. "INSERT", "MODIFY", or "REMOVE").
+	 * @property {String|null} sequenceNumber
+	 * @property {Object|null} keys - The key of the item which changed.
+	 * @property {Object|null} newImage - The item after the change (if the stream includes new images).
+	 * @property {Object|null} oldImage - The item before the change (if the stream includes old images).
+	 * @property {String[]|null} changes - The names of the attributes which changed (or a null value, if the stream does not include the images needed to compare).
+	 */
+
+	/**
+	 * The schemas used to validate the parts of a request (see
+	 * {@link LambdaEventParser#validateRequest}). Each schema is optional.
+	 *
+	 * @typedef LambdaEventParser~RequestSchemas
+	 * @type {Object}
+	 * @property {Schema|Object=} body
+	 * @property {Schema|Object=} query
+	 * @property {Schema|Object=} path
+	 */
+
+	/**
+	 * The validated parts of a request, with field values converted to their
+	 * data types. Parts without a schema are null.
+	 *
+	 * @typedef LambdaEventParser~ValidatedRequest
+	 * @type {Object}
+	 * @property {Object|null} body
+	 * @property {Object|null} query
+	 * @property {Object|null} path
+	 */
+
 	return LambdaEventParser;
 })();
\ No newline at end of file
@@ -24,12 +24,62 @@ module.exports = (() => {
 			return lambdaInvocationSuppressed;
 		}
 
+		/**
+		 * The request does not match any route (see {@link LambdaRouter}).
+		 *
+		 * @public
+		 * @static
+		 * @returns {FailureType}
+		 */
+		static get LAMBDA_ROUTE_NOT_FOUND() {
+			return lambdaRouteNotFound;
+		}
+
+		/**
+		 * The request path matches a route (see {@link LambdaRouter}); however,
+		 * the HTTP method does not.
+		 *
+		 * @public
+		 * @static
+		 * @returns {FailureType}
+		 */
+		static get LAMBDA_METHOD_NOT_ALLOWED() {
+			return lambdaMethodNotAllowed;
+		}
+
+		/**
+		 * A required field is missing from the request (see {@link LambdaSchemaValidator}).
+		 *
+		 * @public
+		 * @static
+		 * @returns {FailureType}
+		 */
+		static get LAMBDA_FIELD_MISSING() {
+			return lambdaFieldMissing;
+		}
+
+		/**
+		 * A field of the request does not conform to its data type (see
+		 * {@link LambdaSchemaValidator}).
+		 *
+		 * @public
+		 * @static
+		 * @returns {FailureType}
+		 */
+		static get LAMBDA_FIELD_INVALID() {
+			return lambdaFieldInvalid;
+		}
+
 		toString() {
 			return '[PortfolioFailureType]';
 		}
 	}
 
 	const lambdaInvocationSuppressed = new FailureType('LAMBDA_INVOCATION_SUPPRESSED', 'Processing of this operation was suppressed.', false);
+	const lambdaRouteNotFound = new FailureType('LAMBDA_ROUTE_NOT_FOUND', 'The requested resource ({method} {path}) does not exist.', false, 404);
+	const lambdaMethodNotAllowed = new FailureType('LAMBDA_METHOD_NOT_ALLOWED', 'The requested resource ({path}) does not support the {method} method.', false, 405);
+	const lambdaFieldMissing = new FailureType('LAMBDA_FIELD_MISSING', 'The "{field}" field is required.', false, 400, true);
+	const lambdaFieldInvalid = new FailureType('LAMBDA_FIELD_INVALID', 'The "{field}" field cannot be interpreted as {expected}.', false, 400, true);
 
 	return LambdaFailureType;
 })();
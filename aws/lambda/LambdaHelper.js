@@ -2,12 +2,14 @@ const aws = require('aws-sdk'),
 	log4js = require('log4js');
 
 const assert = require('@barchart/common-js/lang/assert'),
-	Enum = require('@barchart/common-js/lang/Enum');
+	Enum = require('@barchart/common-js/lang/Enum'),
+	is = require('@barchart/common-js/lang/is');
 
 const LambdaEventParser = require('./LambdaEventParser'),
 	LambdaResponder = require('./LambdaResponder'),
 	LambdaSecretsManager = require('./LambdaSecretsManager'),
-	LambdaStage = require('./LambdaStage');
+	LambdaStage = require('./LambdaStage'),
+	LambdaTriggerType = require('./LambdaTriggerType');
 
 const FailureReason = require('@barchart/common-js/api/failures/FailureReason'),
 	FailureType = require('@barchart/common-js/api/failures/FailureType'),
@@ -15,6 +17,9 @@ const FailureReason = require('@barchart/common-js/api/failures/FailureReason'),
 
 const LambdaValidator = require('./LambdaValidator');
 
+const JsonLayout = require('./../../logging/JsonLayout'),
+	LogContext = require('./../../logging/LogContext');
+
 module.exports = (() => {
 	'use strict';
 
@@ -37,23 +42,46 @@ module.exports = (() => {
 		 */
 		static getLogger(configuration) {
 			if (lambdaLogger === null) {
-				log4js.configure(configuration);
-
-				lambdaLogger = log4js.getLogger('LambdaHelper');
-				eventLogger = log4js.getLogger('LambdaHelper/Event');
-
-				const awsLogger = log4js.getLogger('aws-sdk');
+				configure(configuration);
+			}
 
-				const awsLogWrapper = { };
+			return lambdaLogger;
+		}
 
-				awsLogWrapper.log = (message) => {
-					if (awsLogger.isDebugEnabled()) {
-						awsLogger.debug(message);
+		/**
+		 * Configures log4js to write structured log entries (i.e. lines of JSON) to
+		 * the console, then returns a logger (see {@link LambdaHelper.getLogger}).
+		 * Each entry includes the AWS request identifier, the trigger type, the message
+		 * identifier, the API Gateway request identifier, and a correlation identifier
+		 * (read from the "X-Correlation-Id" header), when available (see {@link JsonLayout}
+		 * and {@link LogContext}).
+		 *
+		 * Unlike {@link LambdaHelper.getLogger}, the configuration is applied even if
+		 * log4js has already been configured.
+		 *
+		 * @public
+		 * @param {String=} level - The log level (defaults to "info").
+		 * @returns {Object}
+		 */
+		static getStructuredLogger(level) {
+			assert.argumentIsOptional(level, 'level', String);
+
+			configure({
+				appenders: {
+					console: {
+						type: 'console',
+						layout: {
+							type: JsonLayout.NAME
+						}
 					}
-				};
-
-				aws.config.logger = awsLogWrapper;
-			}
+				},
+				categories: {
+					default: {
+						appenders: [ 'console' ],
+						level: level || 'info'
+					}
+				}
+			});
 
 			return lambdaLogger;
 		}
@@ -83,15 +111,37 @@ module.exports = (() => {
 		}
 
 		/**
-		 * Builds and returns a new {@link LambdaValidator}.
+		 * Returns the {@link LambdaValidator} configured using
+		 * {@link LambdaHelper.setValidator} or, if none has been configured,
+		 * builds and returns a new {@link LambdaValidator}.
 		 *
 		 * @public
 		 * @returns {LambdaValidator}
 		 */
 		static getValidator() {
+			if (validator !== null) {
+				return validator;
+			}
+
 			return new LambdaValidator();
 		}
 
+		/**
+		 * Configures the {@link LambdaValidator} used to check events before they
+		 * are processed (e.g. a {@link LambdaEventValidator} which suppresses
+		 * duplicate messages). Pass a null value to restore the default.
+		 *
+		 * @public
+		 * @param {LambdaValidator|null} value
+		 */
+		static setValidator(value) {
+			if (value !== null) {
+				assert.argumentIsRequired(value, 'value', LambdaValidator, 'LambdaValidator');
+			}
+
+			validator = value;
+		}
+
 		/**
 		 * Builds and returns a new {@link LambdaResponder}.
 		 *
@@ -120,79 +170,274 @@ module.exports = (() => {
 		 * Starts a promise chain for the Lambda function, invoking the suppressor, then
 		 * the processor, and responding with the processor's result.
 		 *
+		 * When the event fails validation, the {@link LambdaValidator} can offer a
+		 * response to replay (see {@link LambdaValidator#getReplay}); otherwise, the
+		 * invocation is suppressed. The validator is notified after processing
+		 * succeeds (or fails). If the validator cannot be notified of success, the
+		 * failure is logged and the response is sent anyway.
+		 *
+		 * Log entries written during processing are associated with the invocation
+		 * (see {@link LambdaHelper.getStructuredLogger}). For API Gateway requests,
+		 * the correlation identifier is returned in the "X-Correlation-Id" header.
+		 *
 		 * @public
 		 * @param {String} description - Human-readable description of the Lambda Function.
 		 * @param {Object} event - The actual "event" object passed to the Lambda Function by the AWS framework.
 		 * @param {Function} callback - The actual "callback" function passed to the Lambda Function by the AWS framework.
 		 * @param {Callbacks.LambdaProcessorCallback} processor - The processor that is invoked to perform the work.
+		 * @param {Object=} lambdaContext - The actual "context" object passed to the Lambda Function by the AWS framework (used for logging).
 		 * @returns {Promise}
 		 */
-		static process(description, event, callback, processor) {
-			const context = { };
+		static process(description, event, callback, processor, lambdaContext) {
+			return LogContext.run(getLogProperties(event, lambdaContext), () => {
+				const context = { };
 
-			return Promise.resolve(context)
-				.then((context) => {
-					assert.argumentIsRequired(description, 'description', String);
-					assert.argumentIsRequired(processor, 'processor', Function);
+				return Promise.resolve(context)
+					.then((context) => {
+						assert.argumentIsRequired(description, 'description', String);
+						assert.argumentIsRequired(processor, 'processor', Function);
 
-					context.parser = LambdaHelper.getEventParser(event);
-					context.responder = LambdaHelper.getResponder(callback);
+						context.parser = LambdaHelper.getEventParser(event);
+						context.responder = LambdaHelper.getResponder(callback);
 
-					if (context.parser.plainText) {
-						context.responder.setPlainText();
-					}
+						if (context.parser.plainText) {
+							context.responder.setPlainText();
+						}
 
-					if (eventLogger && eventLogger.isTraceEnabled()) {
-						eventLogger.trace(JSON.stringify(event, null, 2));
-					}
+						if (is.object(event) && is.object(event.headers)) {
+							context.responder.setHeader(LogContext.CORRELATION_HEADER, LogContext.getProperties().correlationId);
+						}
 
-					return context;
-				}).then((context) => {
-					const validator = LambdaHelper.getValidator();
+						if (eventLogger && eventLogger.isTraceEnabled()) {
+							eventLogger.trace(JSON.stringify(event, null, 2));
+						}
 
-					return validator.validate(event)
-						.then((valid) => {
-							if (valid) {
-								return Promise.resolve(context);
-							} else {
-								return Promise.reject(FailureReason.from(LambdaFailureType.LAMBDA_INVOCATION_SUPPRESSED));
+						return context;
+					}).then((context) => {
+						context.validator = LambdaHelper.getValidator();
+
+						return context.validator.validate(event)
+							.then((valid) => {
+								if (valid) {
+									return Promise.resolve(context);
+								}
+
+								return context.validator.getReplay(event)
+									.then((replay) => {
+										if (is.undefined(replay)) {
+											return Promise.reject(FailureReason.from(LambdaFailureType.LAMBDA_INVOCATION_SUPPRESSED));
+										}
+
+										context.replay = replay;
+
+										return context;
+									});
+							});
+					}).then((context) => {
+						if (!is.undefined(context.replay)) {
+							if (lambdaLogger) {
+								lambdaLogger.info(`Replaying previous response for [ ${description} ]`);
 							}
-						});
-				}).then((context) => {
-					return Promise.resolve()
-						.then(() => {
-							return processor(context.parser, context.responder);
-						}).then((response) => {
-							context.responder.send(response);
-						});
-				}).catch((e) => {
-					let reason;
-
-					if (e instanceof FailureReason) {
-						reason = e;
-
-						if (lambdaLogger) {
-							if (reason.getIsSevere()) {
-								lambdaLogger.error(reason.format());
-							} else {
-								lambdaLogger.warn(reason.format());
+
+							return context.responder.send(context.replay);
+						}
+
+						context.processing = true;
+
+						return Promise.resolve()
+							.then(() => {
+								return processor(context.parser, context.responder);
+							}).then((response) => {
+								context.processing = false;
+
+								return complete(context, event, response)
+									.then(() => {
+										context.responder.send(response);
+									});
+							});
+					}).catch((e) => {
+						return abort(context, event)
+							.then(() => {
+								throw e;
+							});
+					}).catch((e) => {
+						let reason;
+
+						if (e instanceof FailureReason) {
+							reason = e;
+
+							if (lambdaLogger) {
+								if (reason.getIsSevere()) {
+									lambdaLogger.error(reason.format());
+								} else {
+									lambdaLogger.warn(reason.format());
+								}
+							}
+						} else {
+							reason = new FailureReason({ endpoint: { description }});
+							reason = reason.addItem(FailureType.REQUEST_GENERAL_FAILURE);
+
+							if (lambdaLogger) {
+								lambdaLogger.error(e);
 							}
 						}
-					} else {
-						reason = new FailureReason({ endpoint: { description }});
-						reason = reason.addItem(FailureType.REQUEST_GENERAL_FAILURE);
 
-						if (lambdaLogger) {
-							lambdaLogger.error(e);
+						if (eventLogger && !eventLogger.isTraceEnabled()) {
+							eventLogger.warn(JSON.stringify(event, null, 2));
 						}
-					}
 
-					if (eventLogger && !eventLogger.isTraceEnabled()) {
-						eventLogger.warn(JSON.stringify(event, null, 2));
-					}
+						context.responder.sendError(reason, reason.getErrorCode());
+					});
+			});
+		}
+
+		/**
+		 * Starts a promise chain for a Lambda function which processes a batch of
+		 * messages (e.g. from an SQS queue), invoking the processor once for each
+		 * message. Instead of failing the entire invocation when a message cannot
+		 * be processed, the function responds with the identifiers of the failed
+		 * messages (using the "batchItemFailures" response format), so only those
+		 * messages are retried. The event source mapping must be configured to
+		 * report batch item failures.
+		 *
+		 * Each message is checked by the {@link LambdaValidator} separately. Messages
+		 * which fail validation (e.g. duplicates) are skipped, without being reported
+		 * as failures.
+		 *
+		 * Messages are processed serially. For FIFO queues (and Kinesis and DynamoDB
+		 * streams), once a message fails, the remaining messages are reported as
+		 * failed (without being processed), preserving their order.
+		 *
+		 * If a failed message cannot be identified, the entire invocation fails
+		 * (and every message is retried).
+		 *
+		 * @public
+		 * @param {String} description - Human-readable description of the Lambda Function.
+		 * @param {Object} event - The actual "event" object passed to the Lambda Function by the AWS framework.
+		 * @param {Function} callback - The actual "callback" function passed to the Lambda Function by the AWS framework.
+		 * @param {Callbacks.LambdaMessageProcessorCallback} processor - The processor that is invoked for each message.
+		 * @param {Object=} lambdaContext - The actual "context" object passed to the Lambda Function by the AWS framework (used for logging).
+		 * @returns {Promise}
+		 */
+		static processMessages(description, event, callback, processor, lambdaContext) {
+			return LogContext.run(getLogProperties(event, lambdaContext), () => {
+				const context = { };
+
+				return Promise.resolve(context)
+					.then((context) => {
+						assert.argumentIsRequired(description, 'description', String);
+						assert.argumentIsRequired(processor, 'processor', Function);
+
+						context.parser = LambdaHelper.getEventParser(event);
+						context.responder = LambdaHelper.getResponder(callback);
+
+						if (eventLogger && eventLogger.isTraceEnabled()) {
+							eventLogger.trace(JSON.stringify(event, null, 2));
+						}
+
+						return context;
+					}).then((context) => {
+						context.validator = LambdaHelper.getValidator();
+
+						const records = getRecords(event);
+						const failures = [ ];
+
+						return records.reduce((previous, record) => {
+							return previous.then(() => {
+								const identifier = getItemIdentifier(record);
+
+								if (failures.length !== 0 && getIsOrdered(record)) {
+									failures.push(identifier);
+
+									return;
+								}
+
+								const single = { Records: [ record ] };
+								const item = { validator: context.validator };
+
+								return LogContext.run(getMessageLogProperties(record), () => {
+									return context.validator.validate(single)
+										.then((valid) => {
+											if (!valid) {
+												if (lambdaLogger) {
+													lambdaLogger.warn(`Skipped message [ ${identifier} ] for [ ${description} ], processing suppressed`);
+												}
+
+												return;
+											}
+
+											item.processing = true;
+
+											const message = LambdaHelper.getEventParser(record).getMessages()[0];
 
-					context.responder.sendError(reason, reason.getErrorCode());
-				});
+											return Promise.resolve(processor(message, record, context.parser))
+												.then((response) => {
+													item.processing = false;
+
+													return complete(item, single, response);
+												});
+										}).catch((e) => {
+											if (lambdaLogger) {
+												lambdaLogger.error(`Failed to process message [ ${identifier} ] for [ ${description} ]`, e);
+											}
+
+											failures.push(identifier);
+
+											return abort(item, single);
+										});
+								});
+							});
+						}, Promise.resolve())
+							.then(() => {
+								if (failures.some(f => f === null)) {
+									throw new Error(`Unable to identify each failed message for [ ${description} ]`);
+								}
+
+								if (failures.length !== 0 && lambdaLogger) {
+									lambdaLogger.warn(`Failed to process [ ${failures.length} ] of [ ${records.length} ] messages for [ ${description} ]`);
+								}
+
+								return context.responder.sendRaw(getBatchResponse(failures));
+							});
+					}).catch((e) => {
+						let failures;
+
+						if (e instanceof FailureReason && e.hasFailureType(LambdaFailureType.LAMBDA_INVOCATION_SUPPRESSED)) {
+							if (lambdaLogger) {
+								lambdaLogger.warn(e.format());
+							}
+
+							failures = [ ];
+						} else {
+							if (lambdaLogger) {
+								lambdaLogger.error(e);
+							}
+
+							failures = getRecords(event).map(getItemIdentifier);
+						}
+
+						if (eventLogger && !eventLogger.isTraceEnabled()) {
+							eventLogger.warn(JSON.stringify(event, null, 2));
+						}
+
+						let response;
+						let error;
+
+						if (failures.some(f => f === null)) {
+							response = null;
+							error = e;
+						} else {
+							response = getBatchResponse(failures);
+							error = null;
+						}
+
+						if (context.responder) {
+							return context.responder.sendRaw(response, error);
+						} else {
+							return callback(error, response);
+						}
+					});
+			});
 		}
 
 		toString() {
@@ -200,8 +445,134 @@ module.exports = (() => {
 		}
 	}
 
+	function configure(configuration) {
+		JsonLayout.register();
+
+		log4js.configure(configuration);
+
+		lambdaLogger = log4js.getLogger('LambdaHelper');
+		eventLogger = log4js.getLogger('LambdaHelper/Event');
+
+		const awsLogger = log4js.getLogger('aws-sdk');
+
+		const awsLogWrapper = { };
+
+		awsLogWrapper.log = (message) => {
+			if (awsLogger.isDebugEnabled()) {
+				awsLogger.debug(message);
+			}
+		};
+
+		aws.config.logger = awsLogWrapper;
+	}
+
+	function complete(context, event, response) {
+		return context.validator.complete(event, response)
+			.catch((e) => {
+				if (lambdaLogger) {
+					lambdaLogger.error('Unable to notify validator of successful processing', e);
+				}
+			});
+	}
+
+	function abort(context, event) {
+		if (!context.processing) {
+			return Promise.resolve();
+		}
+
+		context.processing = false;
+
+		return context.validator.abort(event)
+			.catch((e) => {
+				if (lambdaLogger) {
+					lambdaLogger.error('Unable to notify validator of failed processing', e);
+				}
+			});
+	}
+
+	function getLogProperties(event, lambdaContext) {
+		const properties = { };
+
+		if (is.object(lambdaContext) && is.string(lambdaContext.awsRequestId)) {
+			properties.requestId = lambdaContext.awsRequestId;
+		}
+
+		if (is.object(event)) {
+			if (is.object(event.requestContext) && is.string(event.requestContext.requestId)) {
+				properties.apiRequestId = event.requestContext.requestId;
+			}
+
+			if (is.object(event.headers)) {
+				properties.correlationId = LogContext.getCorrelationId(event.headers);
+			} else {
+				properties.correlationId = properties.requestId || LogContext.getCorrelationId();
+			}
+
+			const records = getRecords(event);
+
+			if (records.length === 1) {
+				Object.assign(properties, getMessageLogProperties(records[0]));
+			} else if (records.length === 0) {
+				Object.assign(properties, getMessageLogProperties(event));
+			}
+		}
+
+		return properties;
+	}
+
+	function getMessageLogProperties(message) {
+		const properties = { };
+		const trigger = LambdaTriggerType.fromMessage(message);
+
+		if (trigger !== null) {
+			properties.trigger = trigger.code;
+
+			try {
+				properties.messageId = trigger.getId(message);
+			} catch (e) {
+				properties.messageId = null;
+			}
+		}
+
+		return properties;
+	}
+
+	function getRecords(event) {
+		if (is.object(event) && is.array(event.Records)) {
+			return event.Records;
+		} else {
+			return [ ];
+		}
+	}
+
+	function getItemIdentifier(record) {
+		const trigger = LambdaTriggerType.fromMessage(record);
+
+		if (trigger === LambdaTriggerType.DYNAMO) {
+			return record.dynamodb.SequenceNumber;
+		} else if (trigger === LambdaTriggerType.KINESIS) {
+			return record.kinesis.sequenceNumber;
+		} else if (trigger !== null) {
+			return trigger.getId(record);
+		} else {
+			return null;
+		}
+	}
+
+	function getIsOrdered(record) {
+		const trigger = LambdaTriggerType.fromMessage(record);
+
+		return trigger === LambdaTriggerType.KINESIS || trigger === LambdaTriggerType.DYNAMO || (is.object(record.attributes) && is.string(record.attributes.MessageGroupId));
+	}
+
+	function getBatchResponse(failures) {
+		return { batchItemFailures: failures.map(f => ({ itemIdentifier: f })) };
+	}
+
 	let lambdaLogger = null;
 	let eventLogger = null;
 
+	let validator = null;
+
 	return LambdaHelper;
 })();
@@ -0,0 +1,181 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	attributes = require('@barchart/common-js/lang/attributes'),
+	is = require('@barchart/common-js/lang/is'),
+	object = require('@barchart/common-js/lang/object');
+
+const DataType = require('@barchart/common-js/serialization/json/DataType'),
+	Schema = require('@barchart/common-js/serialization/json/Schema');
+
+const FailureReason = require('@barchart/common-js/api/failures/FailureReason'),
+	FailureType = require('@barchart/common-js/api/failures/FailureType');
+
+const LambdaFailureType = require('./LambdaFailureType');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Utilities for validating the parts of a request (i.e. the body, querystring,
+	 * and path parameters) against a {@link Schema}, reporting every missing (or
+	 * invalid) field.
+	 *
+	 * @public
+	 */
+	class LambdaSchemaValidator {
+		constructor() {
+
+		}
+
+		/**
+		 * Checks a candidate against a schema, converting field values to their
+		 * data types (e.g. a string to a {@link Day}). When "coerce" is true,
+		 * field values are assumed to be strings (e.g. querystring parameters)
+		 * and numbers and booleans are parsed.
+		 *
+		 * @public
+		 * @static
+		 * @param {Schema|Object} schema - A {@link Schema} (or an object with a "schema" property, e.g. an {@link Enum}).
+		 * @param {*} candidate
+		 * @param {String} source - The part of the request being checked (e.g. "body").
+		 * @param {Boolean=} coerce
+		 * @returns {LambdaSchemaValidator~Result}
+		 */
+		static check(schema, candidate, source, coerce) {
+			const schemaToUse = getSchema(schema);
+
+			assert.argumentIsRequired(source, 'source', String);
+			assert.argumentIsOptional(coerce, 'coerce', Boolean);
+
+			const valid = is.object(candidate) && !is.array(candidate);
+
+			const value = valid ? object.clone(candidate) : { };
+			const failures = [ ];
+
+			schemaToUse.fields.forEach((field) => {
+				if (!valid || !attributes.has(candidate, field.name) || is.null(attributes.read(candidate, field.name))) {
+					if (!field.optional) {
+						failures.push({ type: LambdaFailureType.LAMBDA_FIELD_MISSING, data: { source: source, field: field.name, expected: field.dataType.description } });
+					}
+
+					return;
+				}
+
+				const received = attributes.read(candidate, field.name);
+				const converted = LambdaSchemaValidator.convert(received, field.dataType, coerce);
+
+				if (converted === null) {
+					failures.push({ type: LambdaFailureType.LAMBDA_FIELD_INVALID, data: { source: source, field: field.name, expected: field.dataType.description, received: received } });
+				} else {
+					attributes.write(value, field.name, converted.value);
+				}
+			});
+
+			return { value: value, failures: failures };
+		}
+
+		/**
+		 * Converts a value to a data type, returning an object with a "value" property
+		 * (or a null value, if the value cannot be converted). When "coerce" is true,
+		 * the value is assumed to be a string (e.g. a querystring parameter).
+		 *
+		 * @public
+		 * @static
+		 * @param {*} value
+		 * @param {DataType} dataType
+		 * @param {Boolean=} coerce
+		 * @returns {{value: *}|null}
+		 */
+		static convert(value, dataType, coerce) {
+			assert.argumentIsRequired(dataType, 'dataType', DataType, 'DataType');
+
+			let converted;
+
+			try {
+				if (dataType.validator(value)) {
+					converted = value;
+				} else if (is.boolean(coerce) && coerce && is.string(value)) {
+					converted = coerceString(value, dataType);
+				} else {
+					converted = dataType.reviver(value);
+				}
+			} catch (e) {
+				return null;
+			}
+
+			if (is.undefined(converted) || is.null(converted) || !dataType.validator(converted)) {
+				return null;
+			}
+
+			return { value: converted };
+		}
+
+		/**
+		 * Builds a {@link FailureReason} for the failures returned by
+		 * {@link LambdaSchemaValidator.check} (or a null value, if there are
+		 * no failures).
+		 *
+		 * @public
+		 * @static
+		 * @param {LambdaSchemaValidator~Failure[]} failures
+		 * @param {String=} description - Human-readable description of the operation.
+		 * @returns {FailureReason|null}
+		 */
+		static getFailureReason(failures, description) {
+			assert.argumentIsArray(failures, 'failures');
+			assert.argumentIsOptional(description, 'description', String);
+
+			if (failures.length === 0) {
+				return null;
+			}
+
+			const reason = FailureReason.forRequest({ endpoint: { description: description || 'process request' } })
+				.addItem(FailureType.REQUEST_INPUT_MALFORMED, { }, true);
+
+			return failures.reduce((accumulator, failure) => accumulator.addItem(failure.type, failure.data), reason);
+		}
+
+		toString() {
+			return '[LambdaSchemaValidator]';
+		}
+	}
+
+	function getSchema(schema) {
+		if (schema instanceof Schema) {
+			return schema;
+		} else if (is.object(schema) && schema.schema instanceof Schema) {
+			return schema.schema;
+		} else {
+			throw new Error('The "schema" argument must be a Schema (or have a "schema" property)');
+		}
+	}
+
+	function coerceString(value, dataType) {
+		if (dataType === DataType.NUMBER) {
+			const number = Number(value);
+
+			return value.trim().length === 0 || !isFinite(number) ? null : number;
+		} else if (dataType === DataType.BOOLEAN) {
+			return value === 'true' ? true : (value === 'false' ? false : null);
+		} else if (dataType === DataType.TIMESTAMP) {
+			return dataType.convert(Number(value));
+		} else {
+			return dataType.reviver(value);
+		}
+	}
+
+	/**
+	 * @typedef LambdaSchemaValidator~Failure
+	 * @type {Object}
+	 * @property {FailureType} type - Either {@link LambdaFailureType.LAMBDA_FIELD_MISSING} or {@link LambdaFailureType.LAMBDA_FIELD_INVALID}.
+	 * @property {Object} data - The source, field name, expected data type, and received value.
+	 */
+
+	/**
+	 * @typedef LambdaSchemaValidator~Result
+	 * @type {Object}
+	 * @property {Object} value - A copy of the candidate, with field values converted to their data types.
+	 * @property {LambdaSchemaValidator~Failure[]} failures
+	 */
+
+	return LambdaSchemaValidator;
+})();
@@ -0,0 +1,59 @@
+const Enum = require('@barchart/common-js/lang/Enum');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Defines the version stages of a secret (in AWS Secrets Manager).
+	 *
+	 * @public
+	 * @extends {Enum}
+	 * @param {String} code
+	 * @param {String} description
+	 */
+	class LambdaSecretStage extends Enum {
+		constructor(code, description) {
+			super(code, description);
+		}
+
+		/**
+		 * The current version.
+		 *
+		 * @static
+		 * @returns {LambdaSecretStage}
+		 */
+		static get CURRENT() {
+			return current;
+		}
+
+		/**
+		 * The previous version (i.e. before the most recent rotation).
+		 *
+		 * @static
+		 * @returns {LambdaSecretStage}
+		 */
+		static get PREVIOUS() {
+			return previous;
+		}
+
+		/**
+		 * The pending version (i.e. during rotation).
+		 *
+		 * @static
+		 * @returns {LambdaSecretStage}
+		 */
+		static get PENDING() {
+			return pending;
+		}
+
+		toString() {
+			return `[LambdaSecretStage (code=${this.code})]`;
+		}
+	}
+
+	const current = new LambdaSecretStage('AWSCURRENT', 'Current');
+	const previous = new LambdaSecretStage('AWSPREVIOUS', 'Previous');
+	const pending = new LambdaSecretStage('AWSPENDING', 'Pending');
+
+	return LambdaSecretStage;
+})();
@@ -1,15 +1,53 @@
+const log4js = require('log4js');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	attributes = require('@barchart/common-js/lang/attributes'),
+	is = require('@barchart/common-js/lang/is');
+
+const DataType = require('@barchart/common-js/serialization/json/DataType');
+
 const SecretsManagerProvider = require('./../SecretsManagerProvider');
 
+const LambdaSchemaValidator = require('./LambdaSchemaValidator'),
+	LambdaSecretStage = require('./LambdaSecretStage');
+
 module.exports = (() => {
 	'use strict';
 
+	const logger = log4js.getLogger('common-node/aws/lambda/LambdaSecretsManager');
+
+	const DEFAULT_TTL = 60 * 60 * 1000;
+
 	/**
-	 * Manages secrets from AWS Secrets Manager.
+	 * Manages secrets from AWS Secrets Manager. Secret values are cached for a
+	 * time-to-live (which can be configured for each secret), so rotated values
+	 * are eventually used. When background refresh is enabled, an expired value
+	 * is returned while a new value is retrieved.
 	 *
 	 * @public
+	 * @param {Object=} options
+	 * @param {Number=} options.ttl - The number of milliseconds to cache a secret value (defaults to one hour).
+	 * @param {Boolean=} options.refresh - When true, expired values are refreshed in the background (defaults to false).
+	 * @param {Function=} options.now - Returns the current time, in milliseconds (used for testing).
 	 */
 	class LambdaSecretsManager {
-		constructor() {
+		constructor(options) {
+			assert.argumentIsOptional(options, 'options', Object);
+
+			const o = options || { };
+
+			assert.argumentIsOptional(o.ttl, 'options.ttl', Number);
+			assert.argumentIsOptional(o.refresh, 'options.refresh', Boolean);
+			assert.argumentIsOptional(o.now, 'options.now', Function);
+
+			this._defaults = {
+				ttl: is.number(o.ttl) ? o.ttl : DEFAULT_TTL,
+				refresh: is.boolean(o.refresh) && o.refresh
+			};
+
+			this._now = o.now || (() => Date.now());
+
+			this._settings = new Map();
 			this._cache = new Map();
 		}
 
@@ -24,32 +62,260 @@ module.exports = (() => {
 			return instance;
 		}
 
+		/**
+		 * Overrides the caching options for a single secret, then returns the
+		 * current instance.
+		 *
+		 * @public
+		 * @param {String} secretId
+		 * @param {Object} options
+		 * @param {Number=} options.ttl - The number of milliseconds to cache the secret value.
+		 * @param {Boolean=} options.refresh - When true, an expired value is refreshed in the background.
+		 * @returns {LambdaSecretsManager}
+		 */
+		configure(secretId, options) {
+			assert.argumentIsRequired(secretId, 'secretId', String);
+			assert.argumentIsRequired(options, 'options', Object);
+			assert.argumentIsOptional(options.ttl, 'options.ttl', Number);
+			assert.argumentIsOptional(options.refresh, 'options.refresh', Boolean);
+
+			const settings = Object.assign({ }, this._settings.get(secretId));
+
+			if (is.number(options.ttl)) {
+				settings.ttl = options.ttl;
+			}
+
+			if (is.boolean(options.refresh)) {
+				settings.refresh = options.refresh;
+			}
+
+			this._settings.set(secretId, settings);
+
+			return this;
+		}
+
 		/**
 		 * Gets value from AWS Secrets Manager.
 		 *
 		 * @public
 		 * @param {String} secretId
+		 * @param {LambdaSecretStage=} stage - The version stage (defaults to {@link LambdaSecretStage.CURRENT}).
 		 * @return {Promise<String>}
 		 */
-		getValue(secretId) {
-			return getSecretsManagerProvider()
-				.then((provider) => {
-					let result;
+		getValue(secretId, stage) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(secretId, 'secretId', String);
+					assert.argumentIsOptional(stage, 'stage', LambdaSecretStage, 'LambdaSecretStage');
 
-					if (this._cache.has(secretId)) {
-						result = Promise.resolve(this._cache.get(secretId));
-					} else {
-						result = provider.getSecretValue(secretId)
-							.then((data) => {
-								this._cache.set(secretId, data);
+					return read.call(this, secretId, stage || LambdaSecretStage.CURRENT);
+				});
+		}
 
-								return data;
-							});
+		/**
+		 * Gets a value from AWS Secrets Manager, parsed as JSON.
+		 *
+		 * @public
+		 * @param {String} secretId
+		 * @param {LambdaSecretStage=} stage - The version stage (defaults to {@link LambdaSecretStage.CURRENT}).
+		 * @return {Promise<Object>}
+		 */
+		getJson(secretId, stage) {
+			return this.getValue(secretId, stage)
+				.then((value) => {
+					try {
+						return JSON.parse(value);
+					} catch (e) {
+						throw new Error(`Unable to parse secret [ ${secretId} ] as JSON`);
+					}
+				});
+		}
+
+		/**
+		 * Gets a field from a JSON value from AWS Secrets Manager. When a data
+		 * type is specified, the field is converted (e.g. a string to a number).
+		 * If the field is missing (or cannot be converted), the promise is rejected.
+		 *
+		 * @public
+		 * @param {String} secretId
+		 * @param {String} field - The field name (nested fields are separated with a period).
+		 * @param {DataType=} dataType
+		 * @param {LambdaSecretStage=} stage - The version stage (defaults to {@link LambdaSecretStage.CURRENT}).
+		 * @return {Promise<*>}
+		 */
+		getField(secretId, field, dataType, stage) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(field, 'field', String);
+					assert.argumentIsOptional(dataType, 'dataType', DataType, 'DataType');
+
+					return this.getJson(secretId, stage);
+				}).then((json) => {
+					if (!is.object(json) || !attributes.has(json, field)) {
+						throw new Error(`Unable to read field [ ${field} ] from secret [ ${secretId} ], the field does not exist`);
 					}
 
-					return result;
+					const value = attributes.read(json, field);
+
+					if (!dataType) {
+						return value;
+					}
+
+					const converted = LambdaSchemaValidator.convert(value, dataType, true);
+
+					if (converted === null) {
+						throw new Error(`Unable to read field [ ${field} ] from secret [ ${secretId} ], the field cannot be interpreted as ${dataType.description}`);
+					}
+
+					return converted.value;
 				});
 		}
+
+		/**
+		 * Invokes an action with the current value of a secret. When the action fails
+		 * due to an authentication failure (e.g. the credentials have been rotated),
+		 * the action is retried using a newly retrieved value and, failing that, the
+		 * previous value (see {@link LambdaSecretStage.PREVIOUS}), for use while a
+		 * rotation is in progress.
+		 *
+		 * @public
+		 * @param {String} secretId
+		 * @param {Function} action - Accepts the secret value and returns a promise.
+		 * @param {Function} isAuthenticationFailure - Accepts an error, returning true if the error was caused by an invalid secret value.
+		 * @returns {Promise<*>} - The result of the action.
+		 */
+		useValue(secretId, action, isAuthenticationFailure) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(secretId, 'secretId', String);
+					assert.argumentIsRequired(action, 'action', Function);
+					assert.argumentIsRequired(isAuthenticationFailure, 'isAuthenticationFailure', Function);
+
+					const steps = [
+						() => read.call(this, secretId, LambdaSecretStage.CURRENT),
+						() => fetch.call(this, secretId, LambdaSecretStage.CURRENT),
+						() => read.call(this, secretId, LambdaSecretStage.PREVIOUS)
+					];
+
+					const attempted = [ ];
+
+					const execute = (index, error) => {
+						if (index === steps.length) {
+							return Promise.reject(error);
+						}
+
+						return steps[index]()
+							.catch((e) => {
+								if (index === 0) {
+									throw e;
+								}
+
+								logger.warn(`Unable to retrieve secret [ ${secretId} ] for retry`, e);
+
+								return null;
+							}).then((value) => {
+								if (value === null || attempted.includes(value)) {
+									return execute(index + 1, error);
+								}
+
+								attempted.push(value);
+
+								return Promise.resolve()
+									.then(() => {
+										return action(value);
+									}).catch((e) => {
+										if (!isAuthenticationFailure(e)) {
+											throw e;
+										}
+
+										logger.warn(`Authentication failed using secret [ ${secretId} ], attempt [ ${attempted.length} ]`);
+
+										return execute(index + 1, e);
+									});
+							});
+					};
+
+					return execute(0, null);
+				});
+		}
+
+		/**
+		 * Discards the cached values of a secret.
+		 *
+		 * @public
+		 * @param {String} secretId
+		 */
+		invalidate(secretId) {
+			assert.argumentIsRequired(secretId, 'secretId', String);
+
+			Array.from(this._cache.keys()).forEach((key) => {
+				if (this._cache.get(key).secretId === secretId) {
+					this._cache.delete(key);
+				}
+			});
+		}
+
+		toString() {
+			return '[LambdaSecretsManager]';
+		}
+	}
+
+	function getKey(secretId, stage) {
+		return `${secretId}|${stage.code}`;
+	}
+
+	function read(secretId, stage) {
+		const entry = this._cache.get(getKey(secretId, stage));
+
+		if (entry && entry.fetched !== null) {
+			const settings = Object.assign({ }, this._defaults, this._settings.get(secretId));
+
+			if (this._now() < entry.fetched + settings.ttl) {
+				return Promise.resolve(entry.value);
+			}
+
+			if (settings.refresh) {
+				fetch.call(this, secretId, stage)
+					.catch((e) => {
+						logger.warn(`Unable to refresh secret [ ${secretId} ], using expired value`, e);
+					});
+
+				return Promise.resolve(entry.value);
+			}
+		}
+
+		return fetch.call(this, secretId, stage);
+	}
+
+	function fetch(secretId, stage) {
+		const key = getKey(secretId, stage);
+
+		let entry = this._cache.get(key);
+
+		if (!entry) {
+			entry = { secretId: secretId, value: null, fetched: null, promise: null };
+
+			this._cache.set(key, entry);
+		}
+
+		if (entry.promise === null) {
+			entry.promise = getSecretsManagerProvider()
+				.then((provider) => {
+					return provider.getSecretValue(secretId, stage.code);
+				}).then((value) => {
+					entry.value = value;
+					entry.fetched = this._now();
+					entry.promise = null;
+
+					return value;
+				}).catch((e) => {
+					entry.promise = null;
+
+					throw e;
+				});
+		}
+
+		return entry.promise;
 	}
 
 	let secretsManagerProviderPromise = null;
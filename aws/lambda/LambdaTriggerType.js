@@ -1,4 +1,5 @@
-const Enum = require('@barchart/common-js/lang/Enum');
+const Enum = require('@barchart/common-js/lang/Enum'),
+	is = require('@barchart/common-js/lang/is');
 
 module.exports = (() => {
 	'use strict';
@@ -111,6 +112,66 @@ module.exports = (() => {
 			return sqs;
 		}
 
+		/**
+		 * An S3 event notification. The content is an object which describes
+		 * the S3 object (with "bucket", "key", "size", "eTag", "versionId", and
+		 * "eventName" properties). The key is decoded.
+		 *
+		 * @public
+		 * @static
+		 * @returns {LambdaTriggerType}
+		 */
+		static get S3() {
+			return s3;
+		}
+
+		/**
+		 * A Kinesis record. The content is the record's data (decoded from base64).
+		 *
+		 * @public
+		 * @static
+		 * @returns {LambdaTriggerType}
+		 */
+		static get KINESIS() {
+			return kinesis;
+		}
+
+		/**
+		 * An email received by SES. The content is an object with "mail" and
+		 * "receipt" properties.
+		 *
+		 * @public
+		 * @static
+		 * @returns {LambdaTriggerType}
+		 */
+		static get SES() {
+			return ses;
+		}
+
+		/**
+		 * A message sent using an API Gateway WebSocket API (including connect
+		 * and disconnect events, which have no content).
+		 *
+		 * @public
+		 * @static
+		 * @returns {LambdaTriggerType}
+		 */
+		static get WEBSOCKET() {
+			return websocket;
+		}
+
+		/**
+		 * A custom EventBridge event (i.e. an event which does not come from
+		 * a CloudWatch schedule). The content is the event's detail.
+		 *
+		 * @public
+		 * @static
+		 * @returns {LambdaTriggerType}
+		 */
+		static get EVENTBRIDGE() {
+			return eventbridge;
+		}
+
 		toString() {
 			return `[LambdaTriggerType (code=${this.code})]`;
 		}
@@ -120,6 +181,32 @@ module.exports = (() => {
 	const dynamo = new LambdaTriggerType('DYNAMO', m => m.eventSource === 'aws:dynamodb', m => m.eventID, m => m.dynamodb);
 	const sns = new LambdaTriggerType('SNS', m => m.EventSource === 'aws:sns', m => m.Sns.MessageId, m => m.Sns.Message);
 	const sqs = new LambdaTriggerType('SQS', m => m.eventSource === 'aws:sqs', m => m.messageId, m => m.body);
+	const s3 = new LambdaTriggerType('S3', m => m.eventSource === 'aws:s3', getS3Id, getS3Content);
+	const kinesis = new LambdaTriggerType('KINESIS', m => m.eventSource === 'aws:kinesis', m => m.eventID, m => Buffer.from(m.kinesis.data, 'base64').toString('utf8'));
+	const ses = new LambdaTriggerType('SES', m => m.eventSource === 'aws:ses', m => m.ses.mail.messageId, m => m.ses);
+	const websocket = new LambdaTriggerType('WEBSOCKET', m => is.object(m.requestContext) && is.string(m.requestContext.connectionId) && is.string(m.requestContext.routeKey), m => m.requestContext.messageId || m.requestContext.requestId, m => m.body);
+	const eventbridge = new LambdaTriggerType('EVENTBRIDGE', m => is.string(m['detail-type']) && is.string(m.source) && m.source !== 'aws.events', m => m.id, m => m.detail);
+
+	function getS3Id(message) {
+		if (is.object(message.responseElements) && is.string(message.responseElements['x-amz-request-id'])) {
+			return message.responseElements['x-amz-request-id'];
+		}
+
+		return message.s3.object.sequencer;
+	}
+
+	function getS3Content(message) {
+		const object = message.s3.object;
+
+		return {
+			bucket: message.s3.bucket.name,
+			key: decodeURIComponent(object.key.replace(/\+/g, ' ')),
+			size: is.number(object.size) ? object.size : null,
+			eTag: object.eTag || null,
+			versionId: object.versionId || null,
+			eventName: message.eventName || null
+		};
+	}
 
 	return LambdaTriggerType;
 })();
@@ -62,6 +62,43 @@ module.exports = (() => {
 				});
 		}
 
+		/**
+		 * Invoked after an event (which passed validation) has been processed
+		 * successfully.
+		 *
+		 * @public
+		 * @param {Object} event
+		 * @param {*=} response - The result of processing.
+		 * @returns {Promise}
+		 */
+		complete(event, response) {
+			return Promise.resolve();
+		}
+
+		/**
+		 * Invoked after processing of an event (which passed validation) fails.
+		 *
+		 * @public
+		 * @param {Object} event
+		 * @returns {Promise}
+		 */
+		abort(event) {
+			return Promise.resolve();
+		}
+
+		/**
+		 * Invoked after an event fails validation. Resolves with a response
+		 * which should be sent instead of processing the event (or an undefined
+		 * value).
+		 *
+		 * @public
+		 * @param {Object} event
+		 * @returns {Promise<*|undefined>}
+		 */
+		getReplay(event) {
+			return Promise.resolve(undefined);
+		}
+
 		/**
 		 * @protected
 		 * @param {String} name
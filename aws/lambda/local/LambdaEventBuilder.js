@@ -0,0 +1,360 @@
+const crypto = require('crypto'),
+	uuid = require('uuid');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const LambdaTriggerType = require('./../LambdaTriggerType');
+
+module.exports = (() => {
+	'use strict';
+
+	const REGION = 'us-east-1';
+	const ACCOUNT = '123456789012';
+
+	/**
+	 * Fluent interface for building the event which AWS passes to a Lambda Function
+	 * for a {@link LambdaTriggerType} (e.g. a batch of SQS messages), for use when
+	 * running a Lambda Function locally (see {@link LambdaRunner}).
+	 *
+	 * Triggers which deliver batches (i.e. SQS, SNS, DynamoDB streams, S3, Kinesis,
+	 * and SES) produce an event with one record for each message. Other triggers
+	 * (i.e. CloudWatch, EventBridge, and WebSocket) produce an event for the last
+	 * message added.
+	 *
+	 * @public
+	 * @param {LambdaTriggerType} trigger
+	 */
+	class LambdaEventBuilder {
+		constructor(trigger) {
+			assert.argumentIsRequired(trigger, 'trigger', LambdaTriggerType, 'LambdaTriggerType');
+
+			if (!factories.has(trigger.code)) {
+				throw new Error(`Unable to build events for [ ${trigger.code} ] trigger`);
+			}
+
+			this._trigger = trigger;
+			this._messages = [ ];
+		}
+
+		/**
+		 * The trigger type.
+		 *
+		 * @public
+		 * @returns {LambdaTriggerType}
+		 */
+		get trigger() {
+			return this._trigger;
+		}
+
+		/**
+		 * The event.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		get event() {
+			const factory = factories.get(this._trigger.code);
+
+			const messages = this._messages.map((message, i) => factory.build(message.content, message.options, i));
+
+			if (factory.batch) {
+				return { Records: messages };
+			} else if (messages.length !== 0) {
+				return messages[messages.length - 1];
+			} else {
+				return factory.build(null, { }, 0);
+			}
+		}
+
+		/**
+		 * Adds a message, then returns the current instance.
+		 *
+		 * For SQS, SNS, Kinesis, WebSocket triggers, non-string content is converted
+		 * to JSON. For DynamoDB streams, the content is the "dynamodb" property of
+		 * the record (i.e. serialized keys and images). For S3 triggers, the content
+		 * describes an object (i.e. bucket, key, and size). For SES triggers, the
+		 * content is the "ses" property of the record. For CloudWatch and EventBridge
+		 * triggers, the content is the event detail.
+		 *
+		 * @public
+		 * @param {*} content
+		 * @param {LambdaEventBuilder~MessageOptions=} options
+		 * @returns {LambdaEventBuilder}
+		 */
+		withMessage(content, options) {
+			assert.argumentIsOptional(options, 'options', Object);
+
+			this._messages.push({ content: content, options: options || { } });
+
+			return this;
+		}
+
+		/**
+		 * Creates a new {@link LambdaEventBuilder}.
+		 *
+		 * @public
+		 * @static
+		 * @param {LambdaTriggerType} trigger
+		 * @returns {LambdaEventBuilder}
+		 */
+		static forTrigger(trigger) {
+			return new LambdaEventBuilder(trigger);
+		}
+
+		toString() {
+			return `[LambdaEventBuilder (trigger=${this._trigger.code})]`;
+		}
+	}
+
+	function stringify(content) {
+		if (is.string(content)) {
+			return content;
+		} else {
+			return JSON.stringify(is.undefined(content) ? null : content);
+		}
+	}
+
+	function getTimestamp() {
+		return (new Date()).toISOString();
+	}
+
+	function getSequenceNumber(i) {
+		return `${Date.now()}${i.toString().padStart(6, '0')}`;
+	}
+
+	function buildSqs(content, options, i) {
+		const body = stringify(content);
+
+		const attributes = {
+			ApproximateReceiveCount: '1',
+			SentTimestamp: Date.now().toString(),
+			SenderId: ACCOUNT,
+			ApproximateFirstReceiveTimestamp: Date.now().toString()
+		};
+
+		let queue = options.source || 'local-queue';
+
+		if (is.string(options.group)) {
+			attributes.MessageGroupId = options.group;
+			attributes.MessageDeduplicationId = uuid.v4();
+			attributes.SequenceNumber = getSequenceNumber(i);
+
+			if (!queue.endsWith('.fifo')) {
+				queue = `${queue}.fifo`;
+			}
+		}
+
+		return {
+			messageId: options.id || uuid.v4(),
+			receiptHandle: uuid.v4(),
+			body: body,
+			attributes: attributes,
+			messageAttributes: { },
+			md5OfBody: crypto.createHash('md5').update(body).digest('hex'),
+			eventSource: 'aws:sqs',
+			eventSourceARN: `arn:aws:sqs:${REGION}:${ACCOUNT}:${queue}`,
+			awsRegion: REGION
+		};
+	}
+
+	function buildSns(content, options, i) {
+		const topic = `arn:aws:sns:${REGION}:${ACCOUNT}:${options.source || 'local-topic'}`;
+
+		return {
+			EventSource: 'aws:sns',
+			EventVersion: '1.0',
+			EventSubscriptionArn: `${topic}:${uuid.v4()}`,
+			Sns: {
+				Type: 'Notification',
+				MessageId: options.id || uuid.v4(),
+				TopicArn: topic,
+				Subject: options.subject || null,
+				Message: stringify(content),
+				Timestamp: getTimestamp(),
+				MessageAttributes: { }
+			}
+		};
+	}
+
+	function buildDynamo(content, options, i) {
+		const dynamodb = Object.assign({ SequenceNumber: getSequenceNumber(i), StreamViewType: 'NEW_AND_OLD_IMAGES' }, content || { });
+
+		let eventName = options.eventName;
+
+		if (!is.string(eventName)) {
+			if (dynamodb.NewImage && dynamodb.OldImage) {
+				eventName = 'MODIFY';
+			} else if (dynamodb.NewImage) {
+				eventName = 'INSERT';
+			} else {
+				eventName = 'REMOVE';
+			}
+		}
+
+		return {
+			eventID: options.id || uuid.v4().replace(/-/g, ''),
+			eventName: eventName,
+			eventVersion: '1.1',
+			eventSource: 'aws:dynamodb',
+			awsRegion: REGION,
+			dynamodb: dynamodb,
+			eventSourceARN: `arn:aws:dynamodb:${REGION}:${ACCOUNT}:table/${options.source || 'local-table'}/stream/${getTimestamp()}`
+		};
+	}
+
+	function buildS3(content, options, i) {
+		const description = content || { };
+
+		const object = {
+			key: encodeURIComponent(description.key || 'object').replace(/%2F/g, '/').replace(/%20/g, '+'),
+			size: is.number(description.size) ? description.size : 0,
+			eTag: description.eTag || uuid.v4().replace(/-/g, ''),
+			sequencer: getSequenceNumber(i)
+		};
+
+		if (is.string(description.versionId)) {
+			object.versionId = description.versionId;
+		}
+
+		return {
+			eventVersion: '2.1',
+			eventSource: 'aws:s3',
+			awsRegion: REGION,
+			eventTime: getTimestamp(),
+			eventName: description.eventName || options.eventName || 'ObjectCreated:Put',
+			responseElements: { 'x-amz-request-id': options.id || uuid.v4().replace(/-/g, '').substring(0, 16).toUpperCase() },
+			s3: {
+				s3SchemaVersion: '1.0',
+				bucket: { name: description.bucket || options.source || 'local-bucket', arn: `arn:aws:s3:::${description.bucket || options.source || 'local-bucket'}` },
+				object: object
+			}
+		};
+	}
+
+	function buildKinesis(content, options, i) {
+		const sequenceNumber = getSequenceNumber(i);
+
+		return {
+			kinesis: {
+				kinesisSchemaVersion: '1.0',
+				partitionKey: options.group || '1',
+				sequenceNumber: sequenceNumber,
+				data: Buffer.from(stringify(content)).toString('base64'),
+				approximateArrivalTimestamp: Date.now() / 1000
+			},
+			eventSource: 'aws:kinesis',
+			eventVersion: '1.0',
+			eventID: options.id || `shardId-000000000000:${sequenceNumber}`,
+			eventName: 'aws:kinesis:record',
+			awsRegion: REGION,
+			eventSourceARN: `arn:aws:kinesis:${REGION}:${ACCOUNT}:stream/${options.source || 'local-stream'}`
+		};
+	}
+
+	function buildSes(content, options, i) {
+		const ses = Object.assign({ }, content || { });
+
+		ses.mail = Object.assign({ timestamp: getTimestamp(), source: 'sender@example.com', destination: [ 'recipient@example.com' ], headers: [ ], commonHeaders: { } }, ses.mail || { });
+		ses.receipt = Object.assign({ timestamp: getTimestamp(), recipients: ses.mail.destination, action: { type: 'Lambda', functionArn: `arn:aws:lambda:${REGION}:${ACCOUNT}:function:local`, invocationType: 'Event' } }, ses.receipt || { });
+
+		if (!is.string(ses.mail.messageId)) {
+			ses.mail.messageId = options.id || uuid.v4();
+		}
+
+		return {
+			eventSource: 'aws:ses',
+			eventVersion: '1.0',
+			ses: ses
+		};
+	}
+
+	function buildCloudWatch(content, options, i) {
+		return {
+			version: '0',
+			id: options.id || uuid.v4(),
+			'detail-type': options.detailType || 'Scheduled Event',
+			source: 'aws.events',
+			account: ACCOUNT,
+			time: getTimestamp(),
+			region: REGION,
+			resources: [ `arn:aws:events:${REGION}:${ACCOUNT}:rule/${options.source || 'local-rule'}` ],
+			detail: content || { }
+		};
+	}
+
+	function buildEventBridge(content, options, i) {
+		return {
+			version: '0',
+			id: options.id || uuid.v4(),
+			'detail-type': options.detailType || 'Local Event',
+			source: options.source || 'local.events',
+			account: ACCOUNT,
+			time: getTimestamp(),
+			region: REGION,
+			resources: [ ],
+			detail: content || { }
+		};
+	}
+
+	function buildWebSocket(content, options, i) {
+		const routeKey = options.routeKey || '$default';
+
+		let eventType;
+
+		if (routeKey === '$connect') {
+			eventType = 'CONNECT';
+		} else if (routeKey === '$disconnect') {
+			eventType = 'DISCONNECT';
+		} else {
+			eventType = 'MESSAGE';
+		}
+
+		const requestContext = {
+			routeKey: routeKey,
+			eventType: eventType,
+			connectionId: options.group || 'local-connection',
+			requestId: uuid.v4(),
+			requestTimeEpoch: Date.now(),
+			domainName: 'localhost',
+			stage: 'local',
+			apiId: 'local'
+		};
+
+		const event = { requestContext: requestContext, isBase64Encoded: false };
+
+		if (eventType === 'MESSAGE') {
+			requestContext.messageId = options.id || uuid.v4();
+
+			event.body = stringify(content);
+		}
+
+		return event;
+	}
+
+	const factories = new Map([
+		[ LambdaTriggerType.SQS.code, { batch: true, build: buildSqs } ],
+		[ LambdaTriggerType.SNS.code, { batch: true, build: buildSns } ],
+		[ LambdaTriggerType.DYNAMO.code, { batch: true, build: buildDynamo } ],
+		[ LambdaTriggerType.S3.code, { batch: true, build: buildS3 } ],
+		[ LambdaTriggerType.KINESIS.code, { batch: true, build: buildKinesis } ],
+		[ LambdaTriggerType.SES.code, { batch: true, build: buildSes } ],
+		[ LambdaTriggerType.CLOUDWATCH.code, { batch: false, build: buildCloudWatch } ],
+		[ LambdaTriggerType.EVENTBRIDGE.code, { batch: false, build: buildEventBridge } ],
+		[ LambdaTriggerType.WEBSOCKET.code, { batch: false, build: buildWebSocket } ]
+	]);
+
+	/**
+	 * @typedef LambdaEventBuilder~MessageOptions
+	 * @type {Object}
+	 * @property {String=} id - The message identifier (generated, if omitted).
+	 * @property {String=} source - The name of the queue, topic, table, bucket, stream, or rule (or the EventBridge source).
+	 * @property {String=} group - The SQS message group (for FIFO queues), Kinesis partition key, or WebSocket connection identifier.
+	 * @property {String=} eventName - The DynamoDB stream event name (derived from the images, if omitted) or S3 event name.
+	 * @property {String=} detailType - The CloudWatch or EventBridge detail type.
+	 * @property {String=} routeKey - The WebSocket route (e.g. "$connect").
+	 * @property {String=} subject - The SNS subject.
+	 */
+
+	return LambdaEventBuilder;
+})();
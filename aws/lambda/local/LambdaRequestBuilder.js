@@ -0,0 +1,254 @@
+const uuid = require('uuid');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * Fluent interface for building the event which the API Gateway passes to a
+	 * Lambda Function (using a proxy integration), for use when running a Lambda
+	 * Function locally (see {@link LambdaRunner}).
+	 *
+	 * @public
+	 * @param {String} method - The HTTP method (e.g. "GET").
+	 * @param {String} path - The request path (e.g. "/orders/42").
+	 */
+	class LambdaRequestBuilder {
+		constructor(method, path) {
+			assert.argumentIsRequired(method, 'method', String);
+			assert.argumentIsRequired(path, 'path', String);
+
+			this._method = method.toUpperCase();
+			this._path = path;
+			this._resource = path;
+
+			this._headers = { };
+			this._query = { };
+			this._parameters = null;
+			this._authorizer = null;
+
+			this._body = null;
+			this._base64 = false;
+		}
+
+		/**
+		 * The event.
+		 *
+		 * @public
+		 * @returns {Object}
+		 */
+		get request() {
+			const headers = getSingleValues(this._headers);
+			const query = this._query;
+
+			const requestContext = {
+				resourcePath: this._resource,
+				httpMethod: this._method,
+				path: `/local${this._path}`,
+				stage: 'local',
+				requestId: uuid.v4(),
+				requestTimeEpoch: Date.now(),
+				identity: { sourceIp: '127.0.0.1', userAgent: headers['User-Agent'] || null }
+			};
+
+			if (this._authorizer !== null) {
+				requestContext.authorizer = Object.assign({ }, this._authorizer);
+			}
+
+			return {
+				resource: this._resource,
+				path: this._path,
+				httpMethod: this._method,
+				headers: headers,
+				multiValueHeaders: getMultipleValues(this._headers),
+				queryStringParameters: Object.keys(query).length === 0 ? null : getSingleValues(query),
+				multiValueQueryStringParameters: Object.keys(query).length === 0 ? null : getMultipleValues(query),
+				pathParameters: this._parameters === null ? null : Object.assign({ }, this._parameters),
+				stageVariables: null,
+				requestContext: requestContext,
+				body: this._body,
+				isBase64Encoded: this._base64
+			};
+		}
+
+		/**
+		 * Sets the resource (i.e. the path template, e.g. "/orders/{order}"), then
+		 * returns the current instance.
+		 *
+		 * @public
+		 * @param {String} resource
+		 * @returns {LambdaRequestBuilder}
+		 */
+		withResource(resource) {
+			assert.argumentIsRequired(resource, 'resource', String);
+
+			this._resource = resource;
+
+			return this;
+		}
+
+		/**
+		 * Adds a path parameter (which will be URI encoded), then returns the
+		 * current instance.
+		 *
+		 * @public
+		 * @param {String} key
+		 * @param {String} value
+		 * @returns {LambdaRequestBuilder}
+		 */
+		withPathParameter(key, value) {
+			assert.argumentIsRequired(key, 'key', String);
+			assert.argumentIsRequired(value, 'value', String);
+
+			this._parameters = this._parameters || { };
+			this._parameters[key] = encodeURIComponent(value);
+
+			return this;
+		}
+
+		/**
+		 * Sets the "proxy" path parameter (see {@link LambdaEventParser#getPaths}),
+		 * then returns the current instance.
+		 *
+		 * @public
+		 * @param {String[]} paths
+		 * @returns {LambdaRequestBuilder}
+		 */
+		withProxy(paths) {
+			assert.argumentIsArray(paths, 'paths', String);
+
+			this._parameters = this._parameters || { };
+			this._parameters.proxy = paths.map(p => encodeURIComponent(p)).join('/');
+
+			return this;
+		}
+
+		/**
+		 * Adds a querystring parameter, then returns the current instance. Adding
+		 * the same parameter more than once creates a multi-value parameter.
+		 *
+		 * @public
+		 * @param {String} key
+		 * @param {String} value
+		 * @returns {LambdaRequestBuilder}
+		 */
+		withQueryString(key, value) {
+			assert.argumentIsRequired(key, 'key', String);
+			assert.argumentIsRequired(value, 'value', String);
+
+			addValue(this._query, key, value);
+
+			return this;
+		}
+
+		/**
+		 * Adds a request header, then returns the current instance.
+		 *
+		 * @public
+		 * @param {String} key
+		 * @param {String} value
+		 * @returns {LambdaRequestBuilder}
+		 */
+		withHeader(key, value) {
+			assert.argumentIsRequired(key, 'key', String);
+			assert.argumentIsRequired(value, 'value', String);
+
+			addValue(this._headers, key, value);
+
+			return this;
+		}
+
+		/**
+		 * Adds a value to the context provided by a custom authorizer (see
+		 * {@link LambdaEventParser#getContext}), then returns the current instance.
+		 *
+		 * @public
+		 * @param {String} key
+		 * @param {*} value
+		 * @returns {LambdaRequestBuilder}
+		 */
+		withAuthorizerContext(key, value) {
+			assert.argumentIsRequired(key, 'key', String);
+
+			this._authorizer = this._authorizer || { };
+			this._authorizer[key] = value;
+
+			return this;
+		}
+
+		/**
+		 * Sets the request body, then returns the current instance. Objects are
+		 * converted to JSON (and the "Content-Type" header is added) and buffers
+		 * are base-64 encoded.
+		 *
+		 * @public
+		 * @param {Object|String|Buffer} body
+		 * @returns {LambdaRequestBuilder}
+		 */
+		withBody(body) {
+			if (Buffer.isBuffer(body)) {
+				this._body = body.toString('base64');
+				this._base64 = true;
+			} else if (is.string(body)) {
+				this._body = body;
+				this._base64 = false;
+			} else {
+				this._body = JSON.stringify(body);
+				this._base64 = false;
+
+				if (!Object.keys(this._headers).some(k => k.toLowerCase() === 'content-type')) {
+					this.withHeader('Content-Type', 'application/json');
+				}
+			}
+
+			return this;
+		}
+
+		/**
+		 * Creates a new {@link LambdaRequestBuilder}.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} method
+		 * @param {String} path
+		 * @returns {LambdaRequestBuilder}
+		 */
+		static forRequest(method, path) {
+			return new LambdaRequestBuilder(method, path);
+		}
+
+		toString() {
+			return `[LambdaRequestBuilder (method=${this._method}, path=${this._path})]`;
+		}
+	}
+
+	function addValue(map, key, value) {
+		if (!is.array(map[key])) {
+			map[key] = [ ];
+		}
+
+		map[key].push(value);
+	}
+
+	function getSingleValues(map) {
+		return Object.keys(map).reduce((accumulator, key) => {
+			const values = map[key];
+
+			accumulator[key] = values[values.length - 1];
+
+			return accumulator;
+		}, { });
+	}
+
+	function getMultipleValues(map) {
+		return Object.keys(map).reduce((accumulator, key) => {
+			accumulator[key] = map[key].slice(0);
+
+			return accumulator;
+		}, { });
+	}
+
+	return LambdaRequestBuilder;
+})();
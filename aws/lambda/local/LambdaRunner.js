@@ -0,0 +1,248 @@
+const process = require('process'),
+	zlib = require('zlib');
+
+const log4js = require('log4js'),
+	uuid = require('uuid');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is'),
+	promise = require('@barchart/common-js/lang/promise');
+
+module.exports = (() => {
+	'use strict';
+
+	const logger = log4js.getLogger('common-node/aws/lambda/local/LambdaRunner');
+
+	/**
+	 * Invokes a Lambda Function handler locally (e.g. from a Jasmine spec), passing
+	 * an event (see {@link LambdaEventBuilder} and {@link LambdaRequestBuilder}), a
+	 * context, and a callback. The response is decoded, reversing the work done by
+	 * {@link LambdaResponseGenerator} instances (e.g. base-64 encoding and GZIP
+	 * compression). HTTP 303 responses (e.g. from {@link LambdaResponseGeneratorS3})
+	 * are reported as redirects.
+	 *
+	 * While the handler runs, the "AWS_LAMBDA_FUNCTION_NAME" environment variable
+	 * is set to the function name.
+	 *
+	 * @public
+	 * @param {Function} handler - The Lambda Function handler, accepting event, context, and callback arguments.
+	 * @param {LambdaRunner~Options=} options
+	 */
+	class LambdaRunner {
+		constructor(handler, options) {
+			assert.argumentIsRequired(handler, 'handler', Function);
+			assert.argumentIsOptional(options, 'options', Object);
+
+			options = options || { };
+
+			assert.argumentIsOptional(options.name, 'options.name', String);
+			assert.argumentIsOptional(options.timeout, 'options.timeout', Number);
+
+			this._handler = handler;
+
+			this._name = options.name || 'local';
+			this._timeout = options.timeout || 30000;
+		}
+
+		/**
+		 * Invokes the handler. The promise is rejected if the handler neither
+		 * invokes the callback nor resolves a value within the timeout.
+		 *
+		 * @public
+		 * @param {Object} event
+		 * @returns {Promise<LambdaRunner~Result>}
+		 */
+		invoke(event) {
+			return Promise.resolve()
+				.then(() => {
+					assert.argumentIsRequired(event, 'event', Object);
+
+					const previous = process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+					process.env.AWS_LAMBDA_FUNCTION_NAME = this._name;
+
+					const restore = () => {
+						if (is.undefined(previous)) {
+							delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+						} else {
+							process.env.AWS_LAMBDA_FUNCTION_NAME = previous;
+						}
+					};
+
+					return execute.call(this, event)
+						.then((result) => {
+							restore();
+
+							return decode(result.error, result.response);
+						}, (e) => {
+							restore();
+
+							throw e;
+						});
+				});
+		}
+
+		toString() {
+			return `[LambdaRunner (name=${this._name})]`;
+		}
+	}
+
+	function execute(event) {
+		return promise.build((resolve, reject) => {
+			const deadline = Date.now() + this._timeout;
+
+			let finished = false;
+			let timer = null;
+
+			const finish = (error, response) => {
+				if (finished) {
+					return;
+				}
+
+				finished = true;
+
+				clearTimeout(timer);
+
+				resolve({ error: error || null, response: response });
+			};
+
+			timer = setTimeout(() => {
+				if (!finished) {
+					finished = true;
+
+					reject(new Error(`Lambda Function [ ${this._name} ] did not respond within [ ${this._timeout} ] milliseconds`));
+				}
+			}, this._timeout);
+
+			const context = {
+				functionName: this._name,
+				functionVersion: '$LATEST',
+				awsRequestId: uuid.v4(),
+				callbackWaitsForEmptyEventLoop: true,
+				getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now())
+			};
+
+			let result;
+
+			try {
+				result = this._handler(event, context, finish);
+			} catch (e) {
+				finish(e);
+
+				return;
+			}
+
+			if (is.object(result) && is.fn(result.then)) {
+				result.then((response) => {
+					if (!is.undefined(response)) {
+						finish(null, response);
+					}
+				}, (e) => {
+					finish(e);
+				});
+			}
+		});
+	}
+
+	function decode(error, response) {
+		const result = { error: error, response: response, statusCode: null, headers: null, body: null, location: null };
+
+		if (!is.object(response) || !is.number(response.statusCode)) {
+			result.body = is.undefined(response) ? null : response;
+
+			return Promise.resolve(result);
+		}
+
+		result.statusCode = response.statusCode;
+		result.headers = response.headers || { };
+
+		if (response.statusCode === 303) {
+			result.location = getHeader(result.headers, 'Location');
+		}
+
+		if (is.undefined(response.body) || is.null(response.body)) {
+			return Promise.resolve(result);
+		}
+
+		let data;
+
+		if (response.isBase64Encoded) {
+			data = Buffer.from(response.body, 'base64');
+		} else {
+			data = response.body;
+		}
+
+		return Promise.resolve()
+			.then(() => {
+				const encoding = getHeader(result.headers, 'Content-Encoding');
+
+				if (encoding === 'gzip') {
+					return decompress(data);
+				} else {
+					return data;
+				}
+			}).then((data) => {
+				const type = getHeader(result.headers, 'Content-Type') || '';
+
+				if (type.includes('json')) {
+					const text = data.toString('utf8');
+
+					try {
+						result.body = JSON.parse(text);
+					} catch (e) {
+						logger.warn('Unable to parse JSON response body');
+
+						result.body = text;
+					}
+				} else if (type.startsWith('text/') || !Buffer.isBuffer(data)) {
+					result.body = data.toString('utf8');
+				} else {
+					result.body = data;
+				}
+
+				return result;
+			});
+	}
+
+	function getHeader(headers, name) {
+		const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+
+		if (is.undefined(key)) {
+			return null;
+		}
+
+		return headers[key];
+	}
+
+	function decompress(data) {
+		return promise.build((resolve, reject) => {
+			zlib.gunzip(Buffer.isBuffer(data) ? data : Buffer.from(data), (error, decompressed) => {
+				if (error) {
+					reject(error);
+				} else {
+					resolve(decompressed);
+				}
+			});
+		});
+	}
+
+	/**
+	 * @typedef LambdaRunner~Options
+	 * @type {Object}
+	 * @property {String=} name - The name of the Lambda Function (defaults to "local").
+	 * @property {Number=} timeout - The number of milliseconds to wait for a response (defaults to thirty seconds).
+	 */
+
+	/**
+	 * @typedef LambdaRunner~Result
+	 * @type {Object}
+	 * @property {*} error - The error passed to the callback (or a null value).
+	 * @property {*} response - The response, as passed to the callback.
+	 * @property {Number|null} statusCode - The HTTP status code (for API Gateway responses).
+	 * @property {Object|null} headers - The HTTP headers (for API Gateway responses).
+	 * @property {*} body - The decoded body (e.g. decompressed and parsed JSON) for API Gateway responses; otherwise, the response.
+	 * @property {String|null} location - The redirect location (for HTTP 303 responses).
+	 */
+
+	return LambdaRunner;
+})();
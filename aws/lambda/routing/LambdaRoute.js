@@ -0,0 +1,244 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const DataType = require('@barchart/common-js/serialization/json/DataType'),
+	Field = require('@barchart/common-js/serialization/json/Field'),
+	Schema = require('@barchart/common-js/serialization/json/Schema');
+
+const LambdaSchemaValidator = require('./../LambdaSchemaValidator');
+
+module.exports = (() => {
+	'use strict';
+
+	/**
+	 * An HTTP method and path template (e.g. "GET /orders/{order}") which is
+	 * handled by a processor (see {@link LambdaRouter}).
+	 *
+	 * Path templates are composed of literal segments and parameter segments. A
+	 * parameter segment matches one segment of the request path (e.g. "{order}")
+	 * or, when the parameter name ends with a plus sign, the remainder of the
+	 * request path (e.g. "{proxy+}"). Parameters are strings, unless a
+	 * {@link DataType} is declared.
+	 *
+	 * @public
+	 * @param {String} method - The HTTP method (e.g. "GET").
+	 * @param {String} template - The path template (e.g. "/orders/{order}").
+	 * @param {Callbacks.LambdaRouteProcessorCallback} processor
+	 */
+	class LambdaRoute {
+		constructor(method, template, processor) {
+			assert.argumentIsRequired(method, 'method', String);
+			assert.argumentIsRequired(template, 'template', String);
+			assert.argumentIsRequired(processor, 'processor', Function);
+
+			this._method = method.toUpperCase();
+			this._template = template;
+			this._processor = processor;
+
+			this._segments = getSegments(template).map((segment, i, segments) => {
+				const match = segment.match(/^{([^{}]+?)(\+)?}$/);
+
+				if (match === null) {
+					return { literal: segment, name: null, greedy: false };
+				}
+
+				if (match[2] && i !== segments.length - 1) {
+					throw new Error(`Unable to define route [ ${template} ], a greedy parameter must be the last segment`);
+				}
+
+				return { literal: null, name: match[1], greedy: !!match[2] };
+			});
+
+			this._pathParameters = this._segments.filter(s => s.name !== null).map(s => ({ name: s.name, dataType: DataType.STRING, optional: false }));
+			this._queryParameters = [ ];
+		}
+
+		/**
+		 * The HTTP method.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get method() {
+			return this._method;
+		}
+
+		/**
+		 * The path template.
+		 *
+		 * @public
+		 * @returns {String}
+		 */
+		get template() {
+			return this._template;
+		}
+
+		/**
+		 * The processor.
+		 *
+		 * @public
+		 * @returns {Callbacks.LambdaRouteProcessorCallback}
+		 */
+		get processor() {
+			return this._processor;
+		}
+
+		/**
+		 * The number of literal segments in the path template (used to prefer
+		 * specific routes over general routes).
+		 *
+		 * @public
+		 * @returns {Number}
+		 */
+		get specificity() {
+			return this._segments.filter(s => s.literal !== null).length;
+		}
+
+		/**
+		 * Declares the type of a path parameter, then returns the current instance.
+		 *
+		 * @public
+		 * @param {String} name
+		 * @param {DataType} dataType
+		 * @returns {LambdaRoute}
+		 */
+		withPathParameter(name, dataType) {
+			assert.argumentIsRequired(name, 'name', String);
+			assert.argumentIsRequired(dataType, 'dataType', DataType, 'DataType');
+
+			const parameter = this._pathParameters.find(p => p.name === name);
+
+			if (is.undefined(parameter)) {
+				throw new Error(`Unable to declare path parameter, the route [ ${this._template} ] does not have a [ ${name} ] parameter`);
+			}
+
+			parameter.dataType = dataType;
+
+			return this;
+		}
+
+		/**
+		 * Declares a querystring parameter, then returns the current instance.
+		 *
+		 * @public
+		 * @param {String} name
+		 * @param {DataType} dataType
+		 * @param {Boolean=} optional
+		 * @returns {LambdaRoute}
+		 */
+		withQueryParameter(name, dataType, optional) {
+			assert.argumentIsRequired(name, 'name', String);
+			assert.argumentIsRequired(dataType, 'dataType', DataType, 'DataType');
+			assert.argumentIsOptional(optional, 'optional', Boolean);
+
+			this._queryParameters = this._queryParameters.filter(p => p.name !== name);
+			this._queryParameters.push({ name: name, dataType: dataType, optional: is.boolean(optional) && optional });
+
+			return this;
+		}
+
+		/**
+		 * Compares the route's path template to a request path, returning the (raw)
+		 * path parameters, if the path matches; otherwise a null value.
+		 *
+		 * @public
+		 * @param {String} path
+		 * @returns {Object|null}
+		 */
+		match(path) {
+			assert.argumentIsRequired(path, 'path', String);
+
+			const segments = getSegments(path);
+			const parameters = { };
+
+			for (let i = 0; i < this._segments.length; i++) {
+				const definition = this._segments[i];
+
+				if (definition.greedy) {
+					if (i >= segments.length) {
+						return null;
+					}
+
+					parameters[definition.name] = segments.slice(i).map(decode).join('/');
+
+					return parameters;
+				}
+
+				if (i >= segments.length) {
+					return null;
+				}
+
+				if (definition.literal !== null) {
+					if (definition.literal !== segments[i]) {
+						return null;
+					}
+				} else {
+					parameters[definition.name] = decode(segments[i]);
+				}
+			}
+
+			if (segments.length !== this._segments.length) {
+				return null;
+			}
+
+			return parameters;
+		}
+
+		/**
+		 * Converts path parameters (see {@link LambdaRoute#match}) and querystring
+		 * parameters to their declared types. If a parameter is missing (or cannot be
+		 * converted), the promise is rejected with a {@link FailureReason} (see
+		 * {@link LambdaSchemaValidator}).
+		 *
+		 * @public
+		 * @param {Object} path - The raw path parameters.
+		 * @param {Object|null} query - The raw querystring parameters.
+		 * @param {String} description - Human-readable description of the Lambda Function.
+		 * @returns {Promise<LambdaRoute~Parameters>}
+		 */
+		getParameters(path, query, description) {
+			return Promise.resolve()
+				.then(() => {
+					const pathResult = LambdaSchemaValidator.check(getSchema(this._pathParameters), path, 'path', true);
+					const queryResult = LambdaSchemaValidator.check(getSchema(this._queryParameters), query || { }, 'query', true);
+
+					const reason = LambdaSchemaValidator.getFailureReason(pathResult.failures.concat(queryResult.failures), description);
+
+					if (reason !== null) {
+						return Promise.reject(reason);
+					}
+
+					return { path: pathResult.value, query: queryResult.value };
+				});
+		}
+
+		toString() {
+			return `[LambdaRoute (method=${this._method}, template=${this._template})]`;
+		}
+	}
+
+	function getSegments(path) {
+		return path.split('/').filter(s => s.length !== 0);
+	}
+
+	function decode(segment) {
+		try {
+			return decodeURIComponent(segment);
+		} catch (e) {
+			return segment;
+		}
+	}
+
+	function getSchema(parameters) {
+		return new Schema('parameters', parameters.map(p => new Field(p.name, p.dataType, p.optional)));
+	}
+
+	/**
+	 * @typedef LambdaRoute~Parameters
+	 * @type {Object}
+	 * @property {Object} path - The path parameters, converted to their declared types.
+	 * @property {Object} query - The querystring parameters, where declared parameters are converted to their declared types.
+	 */
+
+	return LambdaRoute;
+})();
@@ -0,0 +1,228 @@
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const FailureReason = require('@barchart/common-js/api/failures/FailureReason');
+
+const LambdaFailureType = require('./../LambdaFailureType'),
+	LambdaHelper = require('./../LambdaHelper'),
+	LambdaRoute = require('./LambdaRoute');
+
+module.exports = (() => {
+	'use strict';
+
+	const DEFAULT_CORS_HEADERS = [ 'Content-Type', 'Authorization', 'X-Amz-Date', 'X-Api-Key', 'X-Amz-Security-Token' ];
+
+	/**
+	 * Dispatches API Gateway requests to processors, based on the HTTP method and
+	 * request path, for Lambda Functions which serve multiple routes. Processing
+	 * is started using {@link LambdaHelper.process}.
+	 *
+	 * When more than one route matches the request path, routes with more literal
+	 * segments are preferred (e.g. "/orders/recent" is preferred to "/orders/{order}").
+	 * Requests which do not match any route are rejected with an HTTP 404 response
+	 * (see {@link LambdaFailureType.LAMBDA_ROUTE_NOT_FOUND}) and requests which match
+	 * a route's path, but not its method, are rejected with an HTTP 405 response
+	 * (see {@link LambdaFailureType.LAMBDA_METHOD_NOT_ALLOWED}). Missing (or malformed)
+	 * parameters are rejected with an HTTP 400 response.
+	 *
+	 * Unless an OPTIONS route is defined, OPTIONS (i.e. CORS preflight) requests are
+	 * answered automatically, listing the methods supported for the request path.
+	 *
+	 * @public
+	 * @param {String} description - Human-readable description of the Lambda Function.
+	 */
+	class LambdaRouter {
+		constructor(description) {
+			assert.argumentIsRequired(description, 'description', String);
+
+			this._description = description;
+			this._routes = [ ];
+
+			this._cors = {
+				origin: '*',
+				headers: DEFAULT_CORS_HEADERS,
+				maxAge: 600
+			};
+		}
+
+		/**
+		 * The routes, in the order they were added.
+		 *
+		 * @public
+		 * @returns {LambdaRoute[]}
+		 */
+		get routes() {
+			return this._routes.slice(0);
+		}
+
+		/**
+		 * Adds a route, then returns the current instance.
+		 *
+		 * @public
+		 * @param {String} method - The HTTP method (e.g. "GET") or "ANY" to match all methods.
+		 * @param {String} template - The path template (e.g. "/orders/{order}").
+		 * @param {Callbacks.LambdaRouteProcessorCallback} processor
+		 * @param {Function=} callback - Synchronously called, providing the {@link LambdaRoute} (used to declare parameters).
+		 * @returns {LambdaRouter}
+		 */
+		withRoute(method, template, processor, callback) {
+			assert.argumentIsOptional(callback, 'callback', Function);
+
+			const route = new LambdaRoute(method, template, processor);
+
+			if (callback) {
+				callback(route);
+			}
+
+			this._routes.push(route);
+
+			return this;
+		}
+
+		/**
+		 * Configures the CORS headers added to responses, then returns the current
+		 * instance.
+		 *
+		 * @public
+		 * @param {String} origin - The allowed origin (defaults to "*").
+		 * @param {String[]=} headers - The allowed request headers.
+		 * @param {Number=} maxAge - The number of seconds a preflight response can be cached (defaults to ten minutes).
+		 * @returns {LambdaRouter}
+		 */
+		withCors(origin, headers, maxAge) {
+			assert.argumentIsRequired(origin, 'origin', String);
+			assert.argumentIsArray(headers || [ ], 'headers', String);
+			assert.argumentIsOptional(maxAge, 'maxAge', Number);
+
+			this._cors = {
+				origin: origin,
+				headers: headers || DEFAULT_CORS_HEADERS,
+				maxAge: is.number(maxAge) ? maxAge : 600
+			};
+
+			return this;
+		}
+
+		/**
+		 * Processes an API Gateway request, invoking the processor for the matching
+		 * route (see {@link LambdaHelper.process}).
+		 *
+		 * @public
+		 * @param {Object} event - The actual "event" object passed to the Lambda Function by the AWS framework.
+		 * @param {Function} callback - The actual "callback" function passed to the Lambda Function by the AWS framework.
+		 * @param {Object=} lambdaContext - The actual "context" object passed to the Lambda Function by the AWS framework (used for logging).
+		 * @returns {Promise}
+		 */
+		process(event, callback, lambdaContext) {
+			return LambdaHelper.process(this._description, event, callback, (parser, responder) => {
+				return dispatch.call(this, parser, responder);
+			}, lambdaContext);
+		}
+
+		/**
+		 * Returns a Lambda Function handler which invokes {@link LambdaRouter#process}.
+		 *
+		 * @public
+		 * @returns {Function}
+		 */
+		getHandler() {
+			return (event, context, callback) => this.process(event, callback, context);
+		}
+
+		toString() {
+			return `[LambdaRouter (description=${this._description})]`;
+		}
+	}
+
+	function dispatch(parser, responder) {
+		const method = (parser.read('httpMethod') || parser.read('requestContext.http.method') || '').toUpperCase();
+		const path = parser.read('path') || parser.read('rawPath') || '/';
+
+		responder.setHeader('Access-Control-Allow-Origin', this._cors.origin);
+
+		const candidates = this._routes
+			.map((route, index) => ({ route: route, index: index, parameters: route.match(path) }))
+			.filter(c => c.parameters !== null)
+			.sort((a, b) => (b.route.specificity - a.route.specificity) || (a.index - b.index));
+
+		const methods = candidates.reduce((accumulator, c) => {
+			if (!accumulator.includes(c.route.method)) {
+				accumulator.push(c.route.method);
+			}
+
+			return accumulator;
+		}, [ ]);
+
+		let candidate = candidates.find(c => c.route.method === method) || null;
+
+		if (candidate === null && method !== 'OPTIONS') {
+			candidate = candidates.find(c => c.route.method === 'ANY') || null;
+		}
+
+		return Promise.resolve()
+			.then(() => {
+				if (candidate !== null) {
+					return candidate.route.getParameters(candidate.parameters, parser.read('queryStringParameters'), this._description)
+						.then((parameters) => {
+							return { route: candidate.route, parameters: parameters };
+						});
+				}
+
+				if (candidates.length !== 0 && method === 'OPTIONS') {
+					return null;
+				}
+
+				let reason = FailureReason.forRequest({ endpoint: { description: this._description } });
+
+				if (candidates.length === 0) {
+					reason = reason.addItem(LambdaFailureType.LAMBDA_ROUTE_NOT_FOUND, { method: method, path: path });
+				} else {
+					responder.setHeader('Allow', getAllowedMethods(methods));
+
+					reason = reason.addItem(LambdaFailureType.LAMBDA_METHOD_NOT_ALLOWED, { method: method, path: path });
+				}
+
+				return Promise.reject(reason);
+			}).catch((e) => {
+				if (!(e instanceof FailureReason)) {
+					throw e;
+				}
+
+				return responder.sendError(e, e.getErrorCode() || FailureReason.getHttpStatusCode(e))
+					.then(() => {
+						throw e;
+					});
+			}).then((match) => {
+				if (match === null) {
+					responder.setHeader('Access-Control-Allow-Methods', getAllowedMethods(methods));
+					responder.setHeader('Access-Control-Allow-Headers', this._cors.headers.join(','));
+					responder.setHeader('Access-Control-Max-Age', this._cors.maxAge);
+
+					return responder.send(null, 204)
+						.then(() => {
+							return null;
+						});
+				}
+
+				return match.route.processor(parser, responder, match.parameters);
+			});
+	}
+
+	function getAllowedMethods(methods) {
+		let allowed;
+
+		if (methods.includes('ANY')) {
+			allowed = [ 'DELETE', 'GET', 'HEAD', 'PATCH', 'POST', 'PUT' ];
+		} else {
+			allowed = methods.slice(0);
+		}
+
+		if (!allowed.includes('OPTIONS')) {
+			allowed.push('OPTIONS');
+		}
+
+		return allowed.join(',');
+	}
+
+	return LambdaRouter;
+})();
@@ -20,7 +20,13 @@ module.exports = (() => {
 	 * Evaluates the input to a Lambda Function to determine if processing should be
 	 * allowed. This is accomplished by examining each message (an event can contain
 	 * one or more messages). If any message is deemed invalid, the entire event is
-	 * deemed invalid.
+	 * deemed invalid. Each {@link LambdaMessageValidator} is then notified (see
+	 * {@link LambdaMessageValidator#abort}) for the messages it accepted, since
+	 * those messages will not be processed.
+	 *
+	 * Each message validator receives the {@link LambdaTriggerType} of the message
+	 * (or a null value, if the source is not recognized) and the message identifier
+	 * extracted by the trigger type.
 	 *
 	 * @public
 	 */
@@ -62,54 +68,82 @@ module.exports = (() => {
 						return true;
 					}
 
-					let messages;
-
-					if (is.array(event.Records)) {
-						messages = event.Records;
-					} else {
-						messages = [event];
-					}
+					const invocations = getInvocations.call(this, event);
 
-					if (messages.length === 0) {
+					if (invocations.length === 0) {
 						return true;
 					}
 
-					const name = process.env.AWS_LAMBDA_FUNCTION_NAME;
-
-					const validateMessage = (message) => {
-						const trigger = LambdaTriggerType.fromMessage(message);
+					const promises = invocations.map((i) => {
+						return i.validator.validate(i.name, i.message, event, i.trigger, i.messageId)
+							.then((valid) => {
+								if (!valid) {
+									logger.warn(`Message [ ${i.messageId} ] from [ ${i.trigger ? i.trigger.code : 'unknown source'} ] rejected by validator [ ${i.index.toString()} ] [ ${i.validator.toString()} ]`);
+								}
 
-						let messageId;
+								return valid;
+							});
+					});
 
-						if (trigger) {
-							messageId = trigger.getId(message);
-						} else {
-							messageId = null;
-						}
+					return Promise.all(promises)
+						.then((results) => {
+							if (results.every(r => r === true)) {
+								return true;
+							}
 
-						const promises = this._messageValidators.map((messageValidator, i) => {
-							return messageValidator.validate(name, message, event, trigger, messageId)
-								.then((valid) => {
-									if (!valid) {
-										logger.warn(`Message rejected by validator [ ${i.toString()} ] [ ${messageValidator.toString()} ]`);
-									}
+							const accepted = invocations.filter((i, index) => results[index] === true);
 
-									return valid;
+							return rollback(event, accepted)
+								.then(() => {
+									return false;
 								});
 						});
+				});
+		}
 
-						return checkValidationPromises(promises);
-					};
-
-					const validateEvent = () => {
-						const promises = messages.map((message) => {
-							return validateMessage(message);
-						});
+		/**
+		 * Notifies each {@link LambdaMessageValidator} that the messages contained
+		 * within a Lambda event were processed successfully.
+		 *
+		 * @public
+		 * @param {Object} event
+		 * @param {*=} response
+		 * @returns {Promise}
+		 */
+		complete(event, response) {
+			return Promise.all(getInvocations.call(this, event).map(i => i.validator.complete(i.name, i.message, event, i.trigger, i.messageId, response)))
+				.then(() => {
+					return;
+				});
+		}
 
-						return checkValidationPromises(promises);
-					};
+		/**
+		 * Notifies each {@link LambdaMessageValidator} that processing of the
+		 * messages contained within a Lambda event failed.
+		 *
+		 * @public
+		 * @param {Object} event
+		 * @returns {Promise}
+		 */
+		abort(event) {
+			return Promise.all(getInvocations.call(this, event).map(i => i.validator.abort(i.name, i.message, event, i.trigger, i.messageId)))
+				.then(() => {
+					return;
+				});
+		}
 
-					return validateEvent();
+		/**
+		 * Returns the first response offered by a {@link LambdaMessageValidator}
+		 * for a Lambda event which failed validation (or an undefined value).
+		 *
+		 * @public
+		 * @param {Object} event
+		 * @returns {Promise<*|undefined>}
+		 */
+		getReplay(event) {
+			return Promise.all(getInvocations.call(this, event).map(i => i.validator.getReplay(i.name, i.message, event, i.trigger, i.messageId)))
+				.then((replays) => {
+					return replays.find(r => !is.undefined(r));
 				});
 		}
 
@@ -118,11 +152,64 @@ module.exports = (() => {
 		}
 	}
 
-	function checkValidationPromises(promise) {
-		return Promise.all(promise)
-			.then((results) => {
-				return results.every(r => r === true);
+	function getMessages(event) {
+		if (is.array(event.Records)) {
+			return event.Records;
+		} else {
+			return [ event ];
+		}
+	}
+
+	function getInvocations(event) {
+		const name = process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+		return getMessages(event).reduce((invocations, message) => {
+			const trigger = LambdaTriggerType.fromMessage(message);
+			const messageId = getMessageId(trigger, message);
+
+			this._messageValidators.forEach((validator, index) => {
+				invocations.push({ validator: validator, index: index, name: name, message: message, trigger: trigger, messageId: messageId });
 			});
+
+			return invocations;
+		}, [ ]);
+	}
+
+	function getMessageId(trigger, message) {
+		if (trigger === null) {
+			return null;
+		}
+
+		let messageId;
+
+		try {
+			messageId = trigger.getId(message);
+		} catch (e) {
+			logger.warn(`Unable to extract message identifier from [ ${trigger.code} ] message`, e);
+
+			messageId = null;
+		}
+
+		if (messageId !== null && !is.string(messageId)) {
+			messageId = String(messageId);
+		}
+
+		return messageId;
+	}
+
+	function rollback(event, accepted) {
+		if (accepted.length === 0) {
+			return Promise.resolve();
+		}
+
+		logger.warn(`Releasing [ ${accepted.length.toString()} ] accepted message(s) from a rejected event`);
+
+		return Promise.all(accepted.map((i) => {
+			return i.validator.abort(i.name, i.message, event, i.trigger, i.messageId)
+				.catch((e) => {
+					logger.error(`Unable to release message [ ${i.messageId} ] using validator [ ${i.index.toString()} ] [ ${i.validator.toString()} ]`, e);
+				});
+		}));
 	}
 
 	return LambdaEventValidator;
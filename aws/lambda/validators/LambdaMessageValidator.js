@@ -52,6 +52,104 @@ module.exports = (() => {
 			return true;
 		}
 
+		/**
+		 * Invoked after a message (which passed validation) has been processed
+		 * successfully.
+		 *
+		 * @public
+		 * @param {String} name
+		 * @param {Object} message
+		 * @param {Object} event
+		 * @param {LambdaTriggerType=} trigger
+		 * @param {String=} messageId
+		 * @param {*=} response - The result of processing.
+		 * @returns {Promise}
+		 */
+		complete(name, message, event, trigger, messageId, response) {
+			return Promise.resolve()
+				.then(() => {
+					return this._complete(name, message, event, trigger, messageId, response);
+				});
+		}
+
+		/**
+		 * @protected
+		 * @param {String} name
+		 * @param {Object} message
+		 * @param {Object} event
+		 * @param {LambdaTriggerType=} trigger
+		 * @param {String=} messageId
+		 * @param {*=} response
+		 * @returns {Promise|undefined}
+		 */
+		_complete(name, message, event, trigger, messageId, response) {
+			return;
+		}
+
+		/**
+		 * Invoked after processing of a message (which passed validation) fails.
+		 *
+		 * @public
+		 * @param {String} name
+		 * @param {Object} message
+		 * @param {Object} event
+		 * @param {LambdaTriggerType=} trigger
+		 * @param {String=} messageId
+		 * @returns {Promise}
+		 */
+		abort(name, message, event, trigger, messageId) {
+			return Promise.resolve()
+				.then(() => {
+					return this._abort(name, message, event, trigger, messageId);
+				});
+		}
+
+		/**
+		 * @protected
+		 * @param {String} name
+		 * @param {Object} message
+		 * @param {Object} event
+		 * @param {LambdaTriggerType=} trigger
+		 * @param {String=} messageId
+		 * @returns {Promise|undefined}
+		 */
+		_abort(name, message, event, trigger, messageId) {
+			return;
+		}
+
+		/**
+		 * Invoked after a message fails validation. Returns a response which should
+		 * be sent instead of processing the message (e.g. the response sent when
+		 * the message was previously processed) or an undefined value.
+		 *
+		 * @public
+		 * @param {String} name
+		 * @param {Object} message
+		 * @param {Object} event
+		 * @param {LambdaTriggerType=} trigger
+		 * @param {String=} messageId
+		 * @returns {Promise<*|undefined>}
+		 */
+		getReplay(name, message, event, trigger, messageId) {
+			return Promise.resolve()
+				.then(() => {
+					return this._getReplay(name, message, event, trigger, messageId);
+				});
+		}
+
+		/**
+		 * @protected
+		 * @param {String} name
+		 * @param {Object} message
+		 * @param {Object} event
+		 * @param {LambdaTriggerType=} trigger
+		 * @param {String=} messageId
+		 * @returns {Promise<*|undefined>|*|undefined}
+		 */
+		_getReplay(name, message, event, trigger, messageId) {
+			return undefined;
+		}
+
 		toString() {
 			return '[LambdaMessageValidator]';
 		}
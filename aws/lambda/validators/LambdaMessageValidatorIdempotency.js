@@ -0,0 +1,252 @@
+const log4js = require('log4js');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+const DynamoProvider = require('./../../DynamoProvider');
+
+const DataType = require('./../../dynamo/schema/definitions/DataType'),
+	KeyType = require('./../../dynamo/schema/definitions/KeyType'),
+	Table = require('./../../dynamo/schema/definitions/Table'),
+	TableBuilder = require('./../../dynamo/schema/builders/TableBuilder');
+
+const OperatorType = require('./../../dynamo/query/definitions/OperatorType'),
+	UpdateActionType = require('./../../dynamo/query/definitions/UpdateActionType'),
+	UpdateBuilder = require('./../../dynamo/query/builders/UpdateBuilder'),
+	UpdateOperatorType = require('./../../dynamo/query/definitions/UpdateOperatorType');
+
+const LambdaMessageValidator = require('./LambdaMessageValidator');
+
+module.exports = (() => {
+	'use strict';
+
+	const logger = log4js.getLogger('common-node/aws/lambda/validators/LambdaMessageValidatorIdempotency');
+
+	const STATUS_IN_PROGRESS = 'IN_PROGRESS';
+	const STATUS_COMPLETED = 'COMPLETED';
+
+	const DEFAULT_HEADER = 'idempotency-key';
+
+	/**
+	 * Rejects messages which have already been processed (or are being processed
+	 * by another invocation), using a DynamoDB table to record the identifiers of
+	 * messages. Rejected messages cause the invocation to be suppressed (see
+	 * {@link LambdaFailureType.LAMBDA_INVOCATION_SUPPRESSED}).
+	 *
+	 * When {@link LambdaHelper.process} handles a batch (e.g. SQS records), a
+	 * single duplicate suppresses every message in the batch. The other messages
+	 * are released (see {@link LambdaEventValidator}) but not processed, and the
+	 * invocation succeeds, so the batch is not redelivered. Batches should be
+	 * handled by {@link LambdaHelper.processMessages} instead, which validates
+	 * each message separately, skipping duplicates and reporting failed messages
+	 * (as "batchItemFailures") so only those are retried.
+	 *
+	 * Messages with a recognized {@link LambdaTriggerType} are identified by the
+	 * trigger's message identifier. API requests are identified by the value of
+	 * an idempotency key header; requests without the header are always accepted.
+	 * When the "replay" option is set, the response to an API request is recorded
+	 * and sent again for duplicate requests. If the response cannot be recorded
+	 * (e.g. it is too large), the request is recorded without it.
+	 *
+	 * Records expire (using the table's time-to-live attribute) after the "ttl"
+	 * option elapses. A record for a message which is still in progress after the
+	 * "timeout" option elapses is assumed to be abandoned, allowing the message to
+	 * be processed again. The table should be created using the definition
+	 * returned by {@link LambdaMessageValidatorIdempotency.getTableDefinition}.
+	 *
+	 * @public
+	 * @extends {LambdaMessageValidator}
+	 * @param {DynamoProvider} provider
+	 * @param {Table} table
+	 * @param {LambdaMessageValidatorIdempotency~Options=} options
+	 */
+	class LambdaMessageValidatorIdempotency extends LambdaMessageValidator {
+		constructor(provider, table, options) {
+			super();
+
+			assert.argumentIsRequired(provider, 'provider', DynamoProvider, 'DynamoProvider');
+			assert.argumentIsRequired(table, 'table', Table, 'Table');
+
+			options = options || { };
+
+			assert.argumentIsOptional(options.ttl, 'options.ttl', Number);
+			assert.argumentIsOptional(options.timeout, 'options.timeout', Number);
+			assert.argumentIsOptional(options.header, 'options.header', String);
+			assert.argumentIsOptional(options.replay, 'options.replay', Boolean);
+			assert.argumentIsOptional(options.now, 'options.now', Function);
+
+			this._provider = provider;
+			this._table = table;
+
+			this._ttl = options.ttl || 86400;
+			this._timeout = options.timeout || 900;
+			this._header = (options.header || DEFAULT_HEADER).toLowerCase();
+			this._replay = is.boolean(options.replay) && options.replay;
+			this._now = options.now || (() => Date.now());
+		}
+
+		/**
+		 * Returns the definition of a table suitable for use with the validator.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} name
+		 * @returns {Table}
+		 */
+		static getTableDefinition(name) {
+			assert.argumentIsRequired(name, 'name', String);
+
+			return TableBuilder.withName(name)
+				.withAttribute('id', DataType.STRING, KeyType.HASH)
+				.withAttribute('status', DataType.STRING)
+				.withAttribute('locked', DataType.NUMBER)
+				.withAttribute('expiration', DataType.NUMBER)
+				.withAttribute('response', DataType.JSON)
+				.withTimeToLive('expiration')
+				.withOnDemandThroughput()
+				.table;
+		}
+
+		_validate(name, message, event, trigger, messageId) {
+			const id = getIdentifier.call(this, name, event, trigger, messageId);
+
+			if (id === null) {
+				return true;
+			}
+
+			const now = getSeconds.call(this);
+
+			const update = UpdateBuilder.targeting(this._table)
+				.withKeyFilterBuilder(kfb => kfb.withExpression('id', OperatorType.EQUALS, id))
+				.withConditionFilterBuilder((cfb) => {
+					cfb.orGroup((ob) => {
+						ob.withExpression('id', OperatorType.ATTRIBUTE_NOT_EXISTS)
+							.andGroup((ab) => {
+								ab.withExpression('status', OperatorType.EQUALS, STATUS_IN_PROGRESS)
+									.withExpression('locked', OperatorType.LESS_THAN, now - this._timeout);
+							});
+					});
+				})
+				.withUpdateExpression(UpdateActionType.SET, 'status', UpdateOperatorType.EQUALS, STATUS_IN_PROGRESS)
+				.withUpdateExpression(UpdateActionType.SET, 'locked', UpdateOperatorType.EQUALS, now)
+				.withUpdateExpression(UpdateActionType.SET, 'expiration', UpdateOperatorType.EQUALS, now + this._ttl)
+				.withDescription(`Claim [ ${id} ]`)
+				.update;
+
+			return this._provider.updateItem(update)
+				.then(() => {
+					return true;
+				}).catch((e) => {
+					if (e.code === 'ConditionalCheckFailedException') {
+						logger.warn(`Message [ ${id} ] has already been received`);
+
+						return false;
+					}
+
+					throw e;
+				});
+		}
+
+		_complete(name, message, event, trigger, messageId, response) {
+			const id = getIdentifier.call(this, name, event, trigger, messageId);
+
+			if (id === null) {
+				return;
+			}
+
+			const item = { id: id, status: STATUS_COMPLETED, locked: getSeconds.call(this), expiration: getSeconds.call(this) + this._ttl };
+
+			if (!(this._replay && trigger === null && !is.undefined(response) && response !== null)) {
+				return this._provider.saveItem(item, this._table);
+			}
+
+			return this._provider.saveItem(Object.assign({ response: response }, item), this._table)
+				.catch((e) => {
+					logger.warn(`Unable to record the response for [ ${id} ], the response will not be replayed`, e);
+
+					return this._provider.saveItem(item, this._table);
+				});
+		}
+
+		_abort(name, message, event, trigger, messageId) {
+			const id = getIdentifier.call(this, name, event, trigger, messageId);
+
+			if (id === null) {
+				return;
+			}
+
+			return this._provider.deleteItem({ id: id }, this._table);
+		}
+
+		_getReplay(name, message, event, trigger, messageId) {
+			const id = getIdentifier.call(this, name, event, trigger, messageId);
+
+			if (id === null || !this._replay || trigger !== null) {
+				return undefined;
+			}
+
+			return this._provider.getItem({ id: id }, this._table, true)
+				.then((item) => {
+					if (item && item.status === STATUS_COMPLETED && !is.undefined(item.response)) {
+						return item.response;
+					} else {
+						return undefined;
+					}
+				});
+		}
+
+		toString() {
+			return '[LambdaMessageValidatorIdempotency]';
+		}
+	}
+
+	function getIdentifier(name, event, trigger, messageId) {
+		const prefix = name || 'unknown';
+
+		if (trigger === null) {
+			const key = getHeader(event, this._header);
+
+			if (key === null) {
+				return null;
+			}
+
+			return `${prefix}|request|${key}`;
+		}
+
+		if (is.string(messageId)) {
+			return `${prefix}|${trigger.code}|${messageId}`;
+		}
+
+		return null;
+	}
+
+	function getHeader(event, header) {
+		if (!is.object(event) || !is.object(event.headers)) {
+			return null;
+		}
+
+		const name = Object.keys(event.headers).find(k => k.toLowerCase() === header);
+
+		if (is.undefined(name) || !is.string(event.headers[name]) || event.headers[name].length === 0) {
+			return null;
+		}
+
+		return event.headers[name];
+	}
+
+	function getSeconds() {
+		return Math.floor(this._now() / 1000);
+	}
+
+	/**
+	 * @typedef LambdaMessageValidatorIdempotency~Options
+	 * @type {Object}
+	 * @property {Number=} ttl - The number of seconds a message identifier is retained (defaults to one day).
+	 * @property {Number=} timeout - The number of seconds after which an in-progress message is assumed to be abandoned (defaults to fifteen minutes).
+	 * @property {String=} header - The name of the header containing the idempotency key for API requests (defaults to "idempotency-key").
+	 * @property {Boolean=} replay - If true, the response to an API request is recorded and sent for duplicate requests.
+	 * @property {Function=} now - Returns the current time, in milliseconds (for testing).
+	 */
+
+	return LambdaMessageValidatorIdempotency;
+})();
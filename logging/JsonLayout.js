@@ -0,0 +1,109 @@
+const log4js = require('log4js'),
+	util = require('util');
+
+const is = require('@barchart/common-js/lang/is');
+
+const LogContext = require('./LogContext');
+
+module.exports = (() => {
+	'use strict';
+
+	const NAME = 'json';
+
+	let registered = false;
+
+	/**
+	 * A log4js layout which writes each log entry as a single line of JSON,
+	 * including the properties of the current {@link LogContext} (e.g. a
+	 * correlation identifier) and any properties added to the logger (see
+	 * log4js "addContext"). Each property is a top-level field, so entries
+	 * can be filtered using CloudWatch Logs Insights (see {@link CloudWatchLogsProvider#startQuery}),
+	 * for example:
+	 *
+	 * fields @timestamp, message | filter correlationId = "..."
+	 *
+	 * After registration, the layout can be used in a log4js configuration
+	 * (e.g. "layout": { "type": "json" }).
+	 *
+	 * @public
+	 */
+	class JsonLayout {
+		constructor() {
+
+		}
+
+		/**
+		 * The name of the layout, for use in log4js configuration.
+		 *
+		 * @public
+		 * @static
+		 * @returns {String}
+		 */
+		static get NAME() {
+			return NAME;
+		}
+
+		/**
+		 * Registers the layout with log4js. Subsequent calls are ignored.
+		 *
+		 * @public
+		 * @static
+		 */
+		static register() {
+			if (!registered) {
+				log4js.addLayout(NAME, () => JsonLayout.format);
+
+				registered = true;
+			}
+		}
+
+		/**
+		 * Converts a log4js logging event into a line of JSON.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} loggingEvent
+		 * @returns {String}
+		 */
+		static format(loggingEvent) {
+			const entry = Object.assign({ }, LogContext.getProperties(), loggingEvent.context);
+
+			entry.timestamp = loggingEvent.startTime.toISOString();
+			entry.level = loggingEvent.level.levelStr;
+			entry.category = loggingEvent.categoryName;
+			entry.message = util.format(...loggingEvent.data.map(getPrintable));
+
+			const error = loggingEvent.data.find(d => d instanceof Error);
+
+			if (error) {
+				entry.error = { name: error.name, message: error.message, stack: error.stack };
+			}
+
+			try {
+				return JSON.stringify(entry);
+			} catch (e) {
+				return JSON.stringify({ timestamp: entry.timestamp, level: entry.level, category: entry.category, message: entry.message });
+			}
+		}
+
+		toString() {
+			return '[JsonLayout]';
+		}
+	}
+
+	function getPrintable(data) {
+		if (data instanceof Error) {
+			return data.message;
+		} else if (is.object(data)) {
+			try {
+				return JSON.stringify(data);
+			} catch (e) {
+				return util.inspect(data);
+			}
+		} else {
+			return data;
+		}
+	}
+
+	return JsonLayout;
+})();
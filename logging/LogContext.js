@@ -0,0 +1,129 @@
+const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage,
+	uuid = require('uuid');
+
+const assert = require('@barchart/common-js/lang/assert'),
+	is = require('@barchart/common-js/lang/is');
+
+module.exports = (() => {
+	'use strict';
+
+	const CORRELATION_HEADER = 'X-Correlation-Id';
+
+	const storage = new AsyncLocalStorage();
+
+	/**
+	 * Tracks properties which describe the work being performed (e.g. a request
+	 * identifier and a correlation identifier) across asynchronous operations.
+	 * The properties are added to each log entry written by {@link JsonLayout}.
+	 *
+	 * @public
+	 */
+	class LogContext {
+		constructor() {
+
+		}
+
+		/**
+		 * The name of the HTTP header used to propagate a correlation identifier.
+		 *
+		 * @public
+		 * @static
+		 * @returns {String}
+		 */
+		static get CORRELATION_HEADER() {
+			return CORRELATION_HEADER;
+		}
+
+		/**
+		 * Invokes a function, making the properties available (see {@link LogContext.getProperties})
+		 * to all synchronous and asynchronous work started by the function. Properties
+		 * of the current context are inherited.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object} properties
+		 * @param {Function} fn
+		 * @returns {*} - The result of the function.
+		 */
+		static run(properties, fn) {
+			assert.argumentIsRequired(properties, 'properties', Object);
+			assert.argumentIsRequired(fn, 'fn', Function);
+
+			return storage.run(Object.assign({ }, LogContext.getProperties(), properties), fn);
+		}
+
+		/**
+		 * Returns the properties of the current context (or an empty object, when
+		 * no context exists).
+		 *
+		 * @public
+		 * @static
+		 * @returns {Object}
+		 */
+		static getProperties() {
+			const properties = storage.getStore();
+
+			if (is.undefined(properties)) {
+				return { };
+			}
+
+			return Object.assign({ }, properties);
+		}
+
+		/**
+		 * Adds (or replaces) a property of the current context. Ignored when no
+		 * context exists.
+		 *
+		 * @public
+		 * @static
+		 * @param {String} key
+		 * @param {*} value
+		 */
+		static setProperty(key, value) {
+			assert.argumentIsRequired(key, 'key', String);
+
+			const properties = storage.getStore();
+
+			if (!is.undefined(properties)) {
+				properties[key] = value;
+			}
+		}
+
+		/**
+		 * Reads the correlation identifier from HTTP headers (ignoring case) or, if
+		 * the header is missing, generates a new identifier.
+		 *
+		 * @public
+		 * @static
+		 * @param {Object=} headers
+		 * @returns {String}
+		 */
+		static getCorrelationId(headers) {
+			let correlationId = null;
+
+			if (is.object(headers)) {
+				const key = Object.keys(headers).find(k => k.toLowerCase() === CORRELATION_HEADER.toLowerCase());
+
+				if (!is.undefined(key)) {
+					correlationId = headers[key];
+
+					if (is.array(correlationId)) {
+						correlationId = correlationId[0];
+					}
+				}
+			}
+
+			if (!is.string(correlationId) || correlationId.length === 0) {
+				correlationId = uuid.v4();
+			}
+
+			return correlationId;
+		}
+
+		toString() {
+			return '[LogContext]';
+		}
+	}
+
+	return LogContext;
+})();
@@ -32,6 +32,8 @@ const Container = require('./../endpoints/Container'),
 
 const S3Provider = require('./../../../aws/S3Provider');
 
+const LogContext = require('./../../../logging/LogContext');
+
 module.exports = (() => {
 	'use strict';
 
@@ -287,6 +289,8 @@ module.exports = (() => {
 			app.use(bodyParser.urlencoded({extended: true, limit: '1mb'}));
 			app.use(bodyParser.json({limit: '1mb'}));
 
+			app.use(buildLoggingHandler());
+
 			app.use((req, res, next) => {
 				logger.debug('Applying HTTP headers for ' + req.originalUrl);
 
@@ -855,6 +859,16 @@ module.exports = (() => {
 		];
 	};
 
+	function buildLoggingHandler() {
+		return (req, res, next) => {
+			const correlationId = LogContext.getCorrelationId(req.headers);
+
+			res.header(LogContext.CORRELATION_HEADER, correlationId);
+
+			LogContext.run({ correlationId: correlationId, method: req.method, path: req.originalUrl }, next);
+		};
+	}
+
 	function buildPageHandlers(verb, basePath, routePath, template, command, cache, useSession, acceptFile, secureRedirect) {
 		const handlers = [ ];
 
@@ -0,0 +1,293 @@
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator');
+
+const CachingDynamoProvider = require('./../../../../../aws/dynamo/cache/CachingDynamoProvider'),
+	DynamoCache = require('./../../../../../aws/dynamo/cache/DynamoCache'),
+	MemoryCacheStore = require('./../../../../../aws/dynamo/cache/MemoryCacheStore');
+
+const DataType = require('./../../../../../aws/dynamo/schema/definitions/DataType'),
+	KeyType = require('./../../../../../aws/dynamo/schema/definitions/KeyType'),
+	TableBuilder = require('./../../../../../aws/dynamo/schema/builders/TableBuilder');
+
+const OperatorType = require('./../../../../../aws/dynamo/query/definitions/OperatorType'),
+	QueryBuilder = require('./../../../../../aws/dynamo/query/builders/QueryBuilder'),
+	UpdateActionType = require('./../../../../../aws/dynamo/query/definitions/UpdateActionType'),
+	UpdateBuilder = require('./../../../../../aws/dynamo/query/builders/UpdateBuilder'),
+	UpdateOperatorType = require('./../../../../../aws/dynamo/query/definitions/UpdateOperatorType');
+
+describe('When a CachingDynamoProvider is used', () => {
+	'use strict';
+
+	const table = TableBuilder.withName('test-settings')
+		.withAttribute('system', DataType.STRING, KeyType.HASH)
+		.withAttribute('name', DataType.STRING, KeyType.RANGE)
+		.withAttribute('value', DataType.STRING)
+		.withOnDemandThroughput()
+		.table;
+
+	const getQuery = () => {
+		return QueryBuilder.targeting(table)
+			.withKeyFilterBuilder(kfb => kfb.withExpression('system', OperatorType.EQUALS, 'a'))
+			.query;
+	};
+
+	let now;
+
+	let emulator;
+	let cache;
+	let provider;
+
+	beforeEach((done) => {
+		now = 0;
+
+		emulator = new DynamoEmulator();
+		cache = new DynamoCache(new MemoryCacheStore(100, () => now)).withTable('test-settings', 1000);
+		provider = new CachingDynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: emulator }, cache);
+
+		provider.start()
+			.then(() => provider.createTable(table))
+			.then(() => provider.createItems([ { system: 'a', name: 'x', value: '1' }, { system: 'a', name: 'y', value: '2' } ], table))
+			.then(() => {
+				spyOn(emulator, 'getItem').and.callThrough();
+				spyOn(emulator, 'batchGetItem').and.callThrough();
+				spyOn(emulator, 'query').and.callThrough();
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	describe('and an item is read twice', () => {
+		let first;
+		let second;
+
+		beforeEach((done) => {
+			provider.getItem({ system: 'a', name: 'x' }, table)
+				.then((item) => {
+					first = item;
+
+					return provider.getItem({ system: 'a', name: 'x' }, table);
+				}).then((item) => {
+					second = item;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should read the table once', () => {
+			expect(emulator.getItem.calls.count()).toEqual(1);
+		});
+
+		it('should return the same item', () => {
+			expect(first.value).toEqual('1');
+			expect(second).toEqual(first);
+		});
+
+		it('should count the hit and the miss', () => {
+			expect(cache.getStatistics('test-settings')).toEqual({ hits: 1, misses: 1 });
+		});
+
+		it('should read the table again after the time-to-live elapses', (done) => {
+			now = 1000;
+
+			provider.getItem({ system: 'a', name: 'x' }, table)
+				.then(() => {
+					expect(emulator.getItem.calls.count()).toEqual(2);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should bypass the cache for consistent reads', (done) => {
+			provider.getItem({ system: 'a', name: 'x' }, table, true)
+				.then(() => {
+					expect(emulator.getItem.calls.count()).toEqual(2);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and a missing item is read twice', () => {
+		let results;
+
+		beforeEach((done) => {
+			provider.getItem({ system: 'a', name: 'z' }, table)
+				.then(() => provider.getItem({ system: 'a', name: 'z' }, table))
+				.then((item) => {
+					results = item;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should cache the absence of the item', () => {
+			expect(results).toEqual(null);
+			expect(emulator.getItem.calls.count()).toEqual(1);
+		});
+	});
+
+	describe('and items are read after one item is cached', () => {
+		let results;
+
+		beforeEach((done) => {
+			provider.getItem({ system: 'a', name: 'x' }, table)
+				.then(() => provider.getItems([ { system: 'a', name: 'y' }, { system: 'a', name: 'x' } ], table))
+				.then((items) => {
+					results = items;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should only request the items which are not cached', () => {
+			expect(emulator.batchGetItem.calls.count()).toEqual(1);
+			expect(emulator.batchGetItem.calls.argsFor(0)[0].RequestItems['test-settings'].Keys.length).toEqual(1);
+		});
+
+		it('should return the items in order', () => {
+			expect(results.map(r => r.name)).toEqual([ 'y', 'x' ]);
+		});
+	});
+
+	describe('and an item is changed after being cached', () => {
+		let item;
+		let results;
+
+		beforeEach((done) => {
+			const update = UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder(kfb => kfb.withExpression('system', OperatorType.EQUALS, 'a').withExpression('name', OperatorType.EQUALS, 'y'))
+				.withUpdateExpression(UpdateActionType.SET, 'value', UpdateOperatorType.EQUALS, '4')
+				.update;
+
+			provider.getItem({ system: 'a', name: 'x' }, table)
+				.then(() => provider.query(getQuery()))
+				.then(() => provider.saveItem({ system: 'a', name: 'x', value: '3' }, table))
+				.then(() => provider.updateItem(update))
+				.then(() => provider.getItem({ system: 'a', name: 'x' }, table))
+				.then((i) => {
+					item = i;
+
+					return provider.query(getQuery());
+				}).then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should read the changed item', () => {
+			expect(emulator.getItem.calls.count()).toEqual(2);
+			expect(item.value).toEqual('3');
+		});
+
+		it('should run the query again', () => {
+			expect(emulator.query.calls.count()).toEqual(2);
+			expect(results.map(r => r.value)).toEqual([ '3', '4' ]);
+		});
+	});
+
+	describe('and a query is run twice', () => {
+		let results;
+
+		beforeEach((done) => {
+			provider.query(getQuery())
+				.then(() => provider.query(getQuery()))
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should query the table once', () => {
+			expect(emulator.query.calls.count()).toEqual(1);
+			expect(results.length).toEqual(2);
+		});
+
+		it('should query the table again after an item is deleted', (done) => {
+			provider.deleteItem({ system: 'a', name: 'y' }, table)
+				.then(() => provider.query(getQuery()))
+				.then((r) => {
+					expect(emulator.query.calls.count()).toEqual(2);
+					expect(r.length).toEqual(1);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and a reader mutates the items it receives', () => {
+		let item;
+		let results;
+
+		beforeEach((done) => {
+			provider.getItem({ system: 'a', name: 'x' }, table)
+				.then((i) => {
+					i.value = 'changed';
+
+					return provider.query(getQuery());
+				}).then((r) => {
+					r[0].value = 'changed';
+					r.pop();
+
+					return provider.getItem({ system: 'a', name: 'x' }, table);
+				}).then((i) => {
+					item = i;
+
+					return provider.query(getQuery());
+				}).then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should not change the cached item', () => {
+			expect(emulator.getItem.calls.count()).toEqual(1);
+			expect(item.value).toEqual('1');
+		});
+
+		it('should not change the cached query results', () => {
+			expect(emulator.query.calls.count()).toEqual(1);
+			expect(results.map(r => r.value)).toEqual([ '1', '2' ]);
+		});
+	});
+
+	describe('and the store reaches its capacity', () => {
+		it('should discard the least recently used value', (done) => {
+			const store = new MemoryCacheStore(2);
+
+			store.set('a', 1, 1000)
+				.then(() => store.set('b', 2, 1000))
+				.then(() => store.get('a'))
+				.then(() => store.set('c', 3, 1000))
+				.then(() => Promise.all([ store.get('a'), store.get('b'), store.get('c') ]))
+				.then((values) => {
+					expect(values).toEqual([ 1, undefined, 3 ]);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+});
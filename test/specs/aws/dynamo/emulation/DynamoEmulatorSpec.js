@@ -0,0 +1,917 @@
+const ConcurrencyConflictError = require('./../../../../../aws/dynamo/errors/ConcurrencyConflictError');
+
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator'),
+	DynamoProvider = require('./../../../../../aws/DynamoProvider');
+
+const TableBuilder = require('./../../../../../aws/dynamo/schema/builders/TableBuilder'),
+	DataType = require('./../../../../../aws/dynamo/schema/definitions/DataType'),
+	IndexType = require('./../../../../../aws/dynamo/schema/definitions/IndexType'),
+	KeyType = require('./../../../../../aws/dynamo/schema/definitions/KeyType'),
+	ProjectionType = require('./../../../../../aws/dynamo/schema/definitions/ProjectionType'),
+	StreamViewType = require('./../../../../../aws/dynamo/schema/definitions/StreamViewType');
+
+const OperatorType = require('./../../../../../aws/dynamo/query/definitions/OperatorType'),
+	OrderingType = require('./../../../../../aws/dynamo/query/definitions/OrderingType'),
+	QueryBuilder = require('./../../../../../aws/dynamo/query/builders/QueryBuilder'),
+	ReturnValueType = require('./../../../../../aws/dynamo/query/definitions/ReturnValueType'),
+	ScanBuilder = require('./../../../../../aws/dynamo/query/builders/ScanBuilder'),
+	TransactionBuilder = require('./../../../../../aws/dynamo/query/builders/TransactionBuilder'),
+	UpdateActionType = require('./../../../../../aws/dynamo/query/definitions/UpdateActionType'),
+	UpdateBuilder = require('./../../../../../aws/dynamo/query/builders/UpdateBuilder'),
+	UpdateOperatorType = require('./../../../../../aws/dynamo/query/definitions/UpdateOperatorType');
+
+describe('When a DynamoProvider uses a DynamoEmulator', () => {
+	'use strict';
+
+	let now;
+
+	let emulator;
+	let provider;
+	let table;
+	let created;
+
+	beforeEach((done) => {
+		now = Date.UTC(2024, 0, 1);
+
+		emulator = new DynamoEmulator({ now: () => now });
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: emulator });
+
+		table = TableBuilder.withName('test-orders')
+			.withAttribute('customer', DataType.STRING, KeyType.HASH)
+			.withAttribute('sequence', DataType.NUMBER, KeyType.RANGE)
+			.withAttribute('status', DataType.STRING)
+			.withAttribute('total', DataType.NUMBER)
+			.withAttribute('expiration', DataType.NUMBER)
+			.withIndexBuilder('status-index', (ib) => {
+				ib.withType(IndexType.GLOBAL_SECONDARY)
+					.withKey('status', KeyType.HASH)
+					.withKey('sequence', KeyType.RANGE)
+					.withProjection(ProjectionType.ALL);
+			})
+			.withOnDemandThroughput()
+			.withTimeToLive('expiration')
+			.table;
+
+		provider.start()
+			.then(() => provider.createTable(table))
+			.then((t) => {
+				created = t;
+
+				const items = [ ];
+
+				for (let i = 1; i <= 10; i++) {
+					items.push({ customer: i % 2 === 0 ? 'even' : 'odd', sequence: i, status: i > 7 ? 'open' : 'closed', total: i * 10, expiration: (now / 1000) + 3600 });
+				}
+
+				return provider.createItems(items, table);
+			}).then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	describe('and the table is created', () => {
+		it('should return a definition which matches the original', () => {
+			expect(created.name).toEqual('test-orders');
+			expect(created.equals(table, true)).toEqual(true);
+		});
+
+		it('should succeed when creating the same table again', (done) => {
+			provider.createTable(table)
+				.then((t) => {
+					expect(t.equals(created, true)).toEqual(true);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and the table is migrated to a definition with another index and a stream', () => {
+		let target;
+
+		let migration;
+		let migrated;
+
+		beforeEach((done) => {
+			target = TableBuilder.withName('test-orders')
+				.withAttribute('customer', DataType.STRING, KeyType.HASH)
+				.withAttribute('sequence', DataType.NUMBER, KeyType.RANGE)
+				.withAttribute('status', DataType.STRING)
+				.withAttribute('total', DataType.NUMBER)
+				.withAttribute('expiration', DataType.NUMBER)
+				.withIndexBuilder('total-index', (ib) => {
+					ib.withType(IndexType.GLOBAL_SECONDARY)
+						.withKey('total', KeyType.HASH)
+						.withProjection(ProjectionType.KEYS);
+				})
+				.withOnDemandThroughput()
+				.withStreamViewType(StreamViewType.BOTH_IMAGES)
+				.withTimeToLive('expiration')
+				.table;
+
+			provider.getTableMigration(target)
+				.then((m) => {
+					migration = m;
+
+					return provider.createTable(target, true);
+				}).then((t) => {
+					migrated = t;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should report the planned changes', () => {
+			expect(migration.toReport().length).toEqual(3);
+		});
+
+		it('should return the migrated definition', () => {
+			expect(migrated.indices.map(i => i.name)).toEqual([ 'total-index' ]);
+			expect(migrated.streamViewType).toEqual(StreamViewType.BOTH_IMAGES);
+		});
+
+		it('should not require further changes', (done) => {
+			provider.getTableMigration(target)
+				.then((m) => {
+					expect(m.required).toEqual(false);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and a query is run against the table', () => {
+		let results;
+
+		beforeEach((done) => {
+			const query = QueryBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.withExpression('customer', OperatorType.EQUALS, 'odd')
+						.withExpression('sequence', OperatorType.GREATER_THAN, 3);
+				})
+				.withOrderingType(OrderingType.DESCENDING)
+				.query;
+
+			provider.query(query)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the matching items, in descending order', () => {
+			expect(results.map(i => i.sequence)).toEqual([ 9, 7, 5 ]);
+		});
+
+		it('should deserialize the items', () => {
+			expect(results[0]).toEqual({ customer: 'odd', sequence: 9, status: 'open', total: 90, expiration: (now / 1000) + 3600 });
+		});
+	});
+
+	describe('and a query is run against a global secondary index', () => {
+		let results;
+
+		beforeEach((done) => {
+			const query = QueryBuilder.targeting(table)
+				.withIndex('status-index')
+				.withKeyFilterBuilder(kfb => kfb.withExpression('status', OperatorType.EQUALS, 'open'))
+				.query;
+
+			provider.query(query)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the items with a matching index key, ordered by range key', () => {
+			expect(results.map(i => i.sequence)).toEqual([ 8, 9, 10 ]);
+		});
+	});
+
+	describe('and the emulator returns one item per page', () => {
+		let results;
+
+		beforeEach((done) => {
+			emulator = new DynamoEmulator({ pageSize: 1 });
+
+			const other = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: emulator });
+
+			other.start()
+				.then(() => other.createTable(table))
+				.then(() => other.createItems([ { customer: 'a', sequence: 1 }, { customer: 'a', sequence: 2 }, { customer: 'a', sequence: 3 } ], table))
+				.then(() => other.query(QueryBuilder.targeting(table).withKeyFilterBuilder(kfb => kfb.withExpression('customer', OperatorType.EQUALS, 'a')).query))
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should follow the LastEvaluatedKey to return every item', () => {
+			expect(results.map(i => i.sequence)).toEqual([ 1, 2, 3 ]);
+		});
+	});
+
+	describe('and a scan is run with a filter', () => {
+		let results;
+
+		beforeEach((done) => {
+			const scan = ScanBuilder.targeting(table)
+				.withFilterBuilder((fb) => {
+					fb.withExpression('total', OperatorType.GREATER_THAN_OR_EQUAL_TO, 50)
+						.withExpression('status', OperatorType.EQUALS, 'closed');
+				})
+				.scan;
+
+			provider.scan(scan)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the matching items', () => {
+			expect(results.map(i => i.sequence).sort()).toEqual([ 5, 6, 7 ]);
+		});
+	});
+
+	describe('and an item is saved with overwrite prevention', () => {
+		it('should succeed when no item exists', (done) => {
+			provider.saveItem({ customer: 'new', sequence: 1 }, table, true)
+				.then((result) => {
+					expect(result).toEqual(true);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should fail with a ConditionalCheckFailedException when the item exists', (done) => {
+			provider.saveItem({ customer: 'odd', sequence: 1 }, table, true)
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					expect(e.code).toEqual('ConditionalCheckFailedException');
+
+					done();
+				});
+		});
+	});
+
+	describe('and an item is updated', () => {
+		let result;
+
+		beforeEach((done) => {
+			const update = UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.withExpression('customer', OperatorType.EQUALS, 'even')
+						.withExpression('sequence', OperatorType.EQUALS, 2);
+				})
+				.withUpdateExpression(UpdateActionType.SET, 'total', UpdateOperatorType.PLUS, 5)
+				.withUpdateExpression(UpdateActionType.SET, 'status', UpdateOperatorType.EQUALS, 'open')
+				.withReturnValueType(ReturnValueType.ALL_NEW)
+				.update;
+
+			provider.updateItem(update)
+				.then((r) => {
+					result = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the updated item', () => {
+			expect(result.total).toEqual(25);
+			expect(result.status).toEqual('open');
+		});
+	});
+
+	describe('and a transaction fails a condition check', () => {
+		let error;
+
+		beforeEach((done) => {
+			const transaction = TransactionBuilder.create()
+				.withDelete({ customer: 'odd', sequence: 1 }, table)
+				.withConditionCheck({ customer: 'odd', sequence: 3 }, table, fb => fb.withExpression('status', OperatorType.EQUALS, 'open'))
+				.transaction;
+
+			provider.executeTransaction(transaction)
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					error = e;
+
+					done();
+				});
+		});
+
+		it('should identify the failed operation', () => {
+			expect(error.code).toEqual('TransactionCanceledException');
+			expect(error.failures.map(f => f.index)).toEqual([ 1 ]);
+		});
+
+		it('should not apply the other operations', () => {
+			expect(emulator.getItems('test-orders').length).toEqual(10);
+		});
+	});
+
+	describe('and a backup is restored to a new table', () => {
+		let restored;
+
+		beforeEach((done) => {
+			provider.createBackup('test-orders', 'nightly')
+				.then((data) => {
+					return provider.deleteItem({ customer: 'odd', sequence: 1 }, table)
+						.then(() => provider.restoreBackup(data.BackupDetails.BackupArn, 'orders-restored'));
+				}).then((t) => {
+					restored = t;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should qualify the name of the new table', () => {
+			expect(restored.name).toEqual('test-orders-restored');
+		});
+
+		it('should restore the items which existed when the backup was created', () => {
+			expect(emulator.getItems('test-orders-restored').length).toEqual(10);
+			expect(emulator.getItems('test-orders').length).toEqual(9);
+		});
+	});
+
+	describe('and point-in-time recovery is enabled and the table is restored', () => {
+		let description;
+		let restored;
+
+		beforeEach((done) => {
+			provider.enablePointInTimeRecovery('orders')
+				.then((d) => {
+					description = d;
+
+					return provider.restorePointInTime('orders', 'orders-recovered');
+				}).then((t) => {
+					restored = t;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should report point-in-time recovery as enabled', () => {
+			expect(description.PointInTimeRecoveryDescription.PointInTimeRecoveryStatus).toEqual('ENABLED');
+		});
+
+		it('should create the new table with the items', () => {
+			expect(restored.name).toEqual('test-orders-recovered');
+			expect(emulator.getItems('test-orders-recovered').length).toEqual(10);
+		});
+	});
+
+	describe('and a table without point-in-time recovery is restored', () => {
+		let error;
+
+		beforeEach((done) => {
+			provider.restorePointInTime('orders', 'orders-recovered')
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					error = e;
+
+					done();
+				});
+		});
+
+		it('should reject', () => {
+			expect(error.code).toEqual('PointInTimeRecoveryUnavailableException');
+		});
+	});
+
+	describe('and an item is read by key', () => {
+		let found;
+		let missing;
+
+		beforeEach((done) => {
+			Promise.all([
+				provider.getItem({ customer: 'odd', sequence: 3 }, table),
+				provider.getItem({ customer: 'odd', sequence: 4 }, table)
+			]).then((r) => {
+				found = r[0];
+				missing = r[1];
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+		});
+
+		it('should return the item', () => {
+			expect(found.customer).toEqual('odd');
+			expect(found.sequence).toEqual(3);
+			expect(found.total).toEqual(30);
+		});
+
+		it('should return null for an item which does not exist', () => {
+			expect(missing).toEqual(null);
+		});
+	});
+
+	describe('and items are read by key', () => {
+		let results;
+
+		beforeEach((done) => {
+			spyOn(emulator, 'batchGetItem').and.callThrough();
+
+			const keys = [ { customer: 'even', sequence: 8 }, { customer: 'odd', sequence: 2 }, { customer: 'odd', sequence: 1 }, { customer: 'even', sequence: 8 } ];
+
+			for (let i = 0; i < 150; i++) {
+				keys.push({ customer: 'odd', sequence: 1000 + i });
+			}
+
+			provider.getItems(keys, table)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return one result for each key, in order', () => {
+			expect(results.length).toEqual(154);
+
+			expect(results[0].sequence).toEqual(8);
+			expect(results[1]).toEqual(null);
+			expect(results[2].sequence).toEqual(1);
+			expect(results[3].sequence).toEqual(8);
+		});
+
+		it('should request each key once, in batches of no more than 100 keys', () => {
+			expect(emulator.batchGetItem.calls.count()).toEqual(2);
+			expect(emulator.batchGetItem.calls.argsFor(0)[0].RequestItems['test-orders'].Keys.length).toEqual(100);
+			expect(emulator.batchGetItem.calls.argsFor(1)[0].RequestItems['test-orders'].Keys.length).toEqual(53);
+		});
+	});
+
+	describe('and items are read by key, but some keys are not processed', () => {
+		let results;
+
+		beforeEach((done) => {
+			const batchGetItem = emulator.batchGetItem.bind(emulator);
+
+			let unprocessed = true;
+
+			spyOn(emulator, 'batchGetItem').and.callFake((payload, callback) => {
+				if (unprocessed) {
+					unprocessed = false;
+
+					const keys = payload.RequestItems['test-orders'].Keys;
+
+					batchGetItem({ RequestItems: { 'test-orders': { Keys: keys.slice(0, 1) } } }, (error, data) => {
+						data.UnprocessedKeys = { 'test-orders': { Keys: keys.slice(1) } };
+
+						callback(error, data);
+					});
+				} else {
+					batchGetItem(payload, callback);
+				}
+			});
+
+			provider.getItems([ { customer: 'odd', sequence: 1 }, { customer: 'odd', sequence: 3 }, { customer: 'odd', sequence: 5 } ], table)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should retry the unprocessed keys', () => {
+			expect(emulator.batchGetItem.calls.count()).toEqual(2);
+		});
+
+		it('should return every item', () => {
+			expect(results.map(r => r.sequence)).toEqual([ 1, 3, 5 ]);
+		});
+
+		it('should count the retry as throttled', () => {
+			expect(provider.getMetrics().getStatistics('test-orders').operations.BatchGetItem.throttles).toEqual(1);
+		});
+	});
+
+	describe('and a parallel scan is run', () => {
+		let results;
+		let count;
+
+		beforeEach((done) => {
+			spyOn(provider, 'scan').and.callThrough();
+
+			provider.scanParallel(ScanBuilder.targeting(table).scan, 4, 2)
+				.then((r) => {
+					results = r;
+
+					return provider.scanParallel(ScanBuilder.targeting(table).withCount().scan, 3);
+				}).then((c) => {
+					count = c;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should scan each segment', () => {
+			const segments = provider.scan.calls.allArgs().slice(0, 4).map(args => args[0].segment);
+
+			expect(segments).toEqual([ 0, 1, 2, 3 ]);
+		});
+
+		it('should merge the results of each segment', () => {
+			expect(results.map(r => r.sequence).sort((a, b) => a - b)).toEqual([ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10 ]);
+		});
+
+		it('should sum the counts of each segment', () => {
+			expect(count).toEqual(10);
+		});
+	});
+
+	describe('and a parallel scan is run on a scan which targets a segment', () => {
+		let error;
+
+		beforeEach((done) => {
+			provider.scanParallel(ScanBuilder.targeting(table).withConcurrency(0, 2).scan, 4)
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					error = e;
+
+					done();
+				});
+		});
+
+		it('should reject', () => {
+			expect(error instanceof Error).toEqual(true);
+		});
+	});
+
+	describe('and the capacity consumed by operations is measured', () => {
+		let statistics;
+
+		beforeEach((done) => {
+			const query = QueryBuilder.targeting(table)
+				.withIndex('status-index')
+				.withKeyFilterBuilder(kfb => kfb.withExpression('status', OperatorType.EQUALS, 'open'))
+				.query;
+
+			provider.getMetrics().reset();
+
+			provider.query(query)
+				.then(() => provider.getItem({ customer: 'odd', sequence: 1 }, table))
+				.then(() => provider.saveItem({ customer: 'odd', sequence: 11, status: 'open', total: 110 }, table))
+				.then(() => {
+					statistics = provider.getMetrics().getStatistics('test-orders');
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should aggregate the capacity consumed by the table', () => {
+			expect(statistics.capacity).toEqual({ total: 2, read: 1, write: 1 });
+		});
+
+		it('should aggregate the capacity consumed by each index', () => {
+			expect(statistics.indices['status-index']).toEqual({ total: 0.5, read: 0.5, write: 0 });
+		});
+
+		it('should aggregate the capacity consumed by each operation', () => {
+			expect(statistics.operations.Query).toEqual({ requests: 1, capacity: { total: 0.5, read: 0.5, write: 0 }, retries: 0, throttles: 0 });
+			expect(statistics.operations.GetItem.capacity.read).toEqual(0.5);
+			expect(statistics.operations.PutItem.capacity.write).toEqual(1);
+		});
+	});
+
+	describe('and a query is throttled', () => {
+		let retries;
+		let results;
+
+		beforeEach((done) => {
+			const query = emulator.query.bind(emulator);
+
+			let throttled = true;
+
+			spyOn(emulator, 'query').and.callFake((payload, callback) => {
+				if (throttled) {
+					throttled = false;
+
+					const error = new Error('The level of configured provisioned throughput for the table was exceeded.');
+
+					error.code = 'ProvisionedThroughputExceededException';
+
+					callback(error, null);
+				} else {
+					query(payload, callback);
+				}
+			});
+
+			retries = [ ];
+
+			provider.getMetrics().reset();
+			provider.getMetrics().registerRetryObserver(r => retries.push(r));
+
+			provider.query(QueryBuilder.targeting(table).withKeyFilterBuilder(kfb => kfb.withExpression('customer', OperatorType.EQUALS, 'odd')).query)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the results after retrying', () => {
+			expect(results.length).toEqual(5);
+		});
+
+		it('should notify retry observers', () => {
+			expect(retries).toEqual([ { operation: 'Query', tableName: 'test-orders', code: 'ProvisionedThroughputExceededException', throttled: true } ]);
+		});
+
+		it('should count the retry', () => {
+			const statistics = provider.getMetrics().getStatistics('test-orders');
+
+			expect(statistics.retries).toEqual(1);
+			expect(statistics.throttles).toEqual(1);
+			expect(statistics.operations.Query.requests).toEqual(1);
+		});
+	});
+
+	describe('and items expire', () => {
+		let results;
+
+		beforeEach((done) => {
+			now = now + (7200 * 1000);
+
+			provider.scan(ScanBuilder.targeting(table).scan)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should not return the expired items', () => {
+			expect(results.length).toEqual(0);
+		});
+	});
+});
+
+describe('When a DynamoProvider writes to a versioned table using a DynamoEmulator', () => {
+	'use strict';
+
+	let emulator;
+	let provider;
+	let table;
+
+	beforeEach((done) => {
+		emulator = new DynamoEmulator();
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: emulator });
+
+		table = TableBuilder.withName('test-accounts')
+			.withAttribute('account', DataType.STRING, KeyType.HASH)
+			.withAttribute('balance', DataType.NUMBER)
+			.withAttribute('version', DataType.NUMBER)
+			.withVersionAttribute('version')
+			.withOnDemandThroughput()
+			.table;
+
+		provider.start()
+			.then(() => provider.createTable(table))
+			.then(() => provider.saveItem({ account: 'a', balance: 10 }, table))
+			.then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	describe('and a new item is saved', () => {
+		it('should write the first version', () => {
+			expect(emulator.getItems('test-accounts')[0].version).toEqual({ N: '1' });
+		});
+	});
+
+	describe('and an item is saved with the current version', () => {
+		let item;
+
+		beforeEach((done) => {
+			item = { account: 'a', balance: 20, version: 1 };
+
+			provider.saveItem(item, table)
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should increment the version', () => {
+			expect(emulator.getItems('test-accounts')[0].version).toEqual({ N: '2' });
+		});
+
+		it('should not mutate the item', () => {
+			expect(item.version).toEqual(1);
+		});
+	});
+
+	describe('and an item is saved with a stale version', () => {
+		let error;
+
+		beforeEach((done) => {
+			provider.saveItem({ account: 'a', balance: 20, version: 1 }, table)
+				.then(() => provider.saveItem({ account: 'a', balance: 30, version: 1 }, table))
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					error = e;
+
+					done();
+				});
+		});
+
+		it('should reject with a ConcurrencyConflictError', () => {
+			expect(error instanceof ConcurrencyConflictError).toEqual(true);
+			expect(error.code).toEqual('ConcurrencyConflict');
+			expect(error.key).toEqual({ account: 'a' });
+			expect(error.expectedVersion).toEqual(1);
+		});
+
+		it('should not overwrite the item', () => {
+			expect(emulator.getItems('test-accounts')[0].balance).toEqual({ N: '20' });
+		});
+	});
+
+	describe('and an unversioned item is saved over a versioned item', () => {
+		let error;
+
+		beforeEach((done) => {
+			provider.saveItem({ account: 'a', balance: 20 }, table)
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					error = e;
+
+					done();
+				});
+		});
+
+		it('should reject with a ConcurrencyConflictError', () => {
+			expect(error instanceof ConcurrencyConflictError).toEqual(true);
+			expect(error.expectedVersion).toEqual(null);
+		});
+	});
+
+	describe('and an item is saved over an existing item, with overwrites prevented', () => {
+		let error;
+
+		beforeEach((done) => {
+			provider.saveItem({ account: 'a', balance: 20 }, table, true)
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					error = e;
+
+					done();
+				});
+		});
+
+		it('should reject with the original error', () => {
+			expect(error instanceof ConcurrencyConflictError).toEqual(false);
+			expect(error.code).toEqual('ConditionalCheckFailedException');
+		});
+	});
+
+	describe('and an item is updated', () => {
+		const getUpdate = (version) => {
+			return UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder(kfb => kfb.withExpression('account', OperatorType.EQUALS, 'a'))
+				.withUpdateExpression(UpdateActionType.SET, 'balance', UpdateOperatorType.EQUALS, 50)
+				.withExpectedVersion(version)
+				.withReturnValueType(ReturnValueType.ALL_NEW)
+				.update;
+		};
+
+		it('should increment the version when the expected version matches', (done) => {
+			provider.updateItem(getUpdate(1))
+				.then((result) => {
+					expect(result.version).toEqual(2);
+					expect(result.balance).toEqual(50);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should reject with a ConcurrencyConflictError when the expected version does not match', (done) => {
+			provider.updateItem(getUpdate(4))
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					expect(e instanceof ConcurrencyConflictError).toEqual(true);
+					expect(e.key).toEqual({ account: 'a' });
+					expect(e.cause.code).toEqual('ConditionalCheckFailedException');
+
+					done();
+				});
+		});
+	});
+
+	describe('and an item is put using a transaction', () => {
+		const execute = (item) => {
+			return provider.executeTransaction(TransactionBuilder.create().withPut(item, table).transaction);
+		};
+
+		it('should increment the version when the version matches', (done) => {
+			const item = { account: 'a', balance: 20, version: 1 };
+
+			execute(item)
+				.then(() => {
+					expect(emulator.getItems('test-accounts')[0].version).toEqual({ N: '2' });
+					expect(item.version).toEqual(1);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should cancel the transaction when the version is stale', (done) => {
+			execute({ account: 'a', balance: 20, version: 1 })
+				.then(() => execute({ account: 'a', balance: 30, version: 1 }))
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					expect(e.code).toEqual('TransactionCanceledException');
+					expect(emulator.getItems('test-accounts')[0].balance).toEqual({ N: '20' });
+
+					done();
+				});
+		});
+
+		it('should cancel the transaction when an unversioned item is put over a versioned item', (done) => {
+			execute({ account: 'a', balance: 20 })
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					expect(e.code).toEqual('TransactionCanceledException');
+					expect(emulator.getItems('test-accounts')[0].balance).toEqual({ N: '10' });
+
+					done();
+				});
+		});
+	});
+
+	describe('and items are created using a batch', () => {
+		it('should reject', (done) => {
+			provider.createItems([ { account: 'b', balance: 20 } ], table)
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch(() => {
+					expect(emulator.getItems('test-accounts').length).toEqual(1);
+
+					done();
+				});
+		});
+	});
+});
@@ -0,0 +1,95 @@
+const DynamoMetricsCollector = require('./../../../../../aws/dynamo/metrics/DynamoMetricsCollector');
+
+describe('When a DynamoMetricsCollector is used', () => {
+	'use strict';
+
+	let collector;
+
+	beforeEach(() => {
+		collector = new DynamoMetricsCollector();
+	});
+
+	describe('and capacity is recorded for a table and its indices', () => {
+		let observed;
+
+		beforeEach(() => {
+			observed = [ ];
+
+			collector.registerCapacityObserver(c => observed.push(c));
+
+			collector.recordCapacity('Query', { TableName: 'orders', CapacityUnits: 1.5, ReadCapacityUnits: 1.5, Table: { CapacityUnits: 1, ReadCapacityUnits: 1 }, GlobalSecondaryIndexes: { 'status-index': { CapacityUnits: 0.5, ReadCapacityUnits: 0.5 } } });
+			collector.recordCapacity('PutItem', { TableName: 'orders', CapacityUnits: 2, WriteCapacityUnits: 2 });
+			collector.recordCapacity('BatchWriteItem', [ { TableName: 'orders', CapacityUnits: 3, WriteCapacityUnits: 3 }, { TableName: 'accounts', CapacityUnits: 1, WriteCapacityUnits: 1 } ]);
+			collector.recordCapacity('GetItem', undefined);
+		});
+
+		it('should aggregate the capacity consumed by each table', () => {
+			expect(collector.getStatistics('orders').capacity).toEqual({ total: 6.5, read: 1.5, write: 5 });
+			expect(collector.getStatistics('accounts').capacity).toEqual({ total: 1, read: 0, write: 1 });
+		});
+
+		it('should aggregate the capacity consumed by each index', () => {
+			expect(collector.getStatistics('orders').indices).toEqual({ 'status-index': { total: 0.5, read: 0.5, write: 0 } });
+		});
+
+		it('should count the requests for each operation', () => {
+			const operations = collector.getStatistics('orders').operations;
+
+			expect(Object.keys(operations)).toEqual([ 'Query', 'PutItem', 'BatchWriteItem' ]);
+			expect(operations.BatchWriteItem).toEqual({ requests: 1, capacity: { total: 3, read: 0, write: 3 }, retries: 0, throttles: 0 });
+		});
+
+		it('should notify observers for each table', () => {
+			expect(observed.length).toEqual(4);
+			expect(observed[3]).toEqual({ operation: 'BatchWriteItem', tableName: 'accounts', capacity: { total: 1, read: 0, write: 1 }, indices: { } });
+		});
+
+		it('should return statistics for every table', () => {
+			expect(Object.keys(collector.getStatistics())).toEqual([ 'orders', 'accounts' ]);
+		});
+
+		it('should return copies of the statistics', () => {
+			collector.getStatistics('orders').capacity.total = 0;
+
+			expect(collector.getStatistics('orders').capacity.total).toEqual(6.5);
+		});
+
+		it('should discard the statistics when reset', () => {
+			collector.reset();
+
+			expect(collector.getStatistics()).toEqual({ });
+			expect(collector.getStatistics('orders').capacity).toEqual({ total: 0, read: 0, write: 0 });
+		});
+	});
+
+	describe('and retries are recorded', () => {
+		beforeEach(() => {
+			collector.recordRetry('Scan', 'orders', 'ThrottlingException');
+			collector.recordRetry('Scan', 'orders', 'UnknownError');
+			collector.recordRetry('BatchWriteItem', 'orders', 'UnprocessedItems');
+		});
+
+		it('should count every retry', () => {
+			expect(collector.getStatistics('orders').retries).toEqual(3);
+			expect(collector.getStatistics('orders').operations.Scan.retries).toEqual(2);
+		});
+
+		it('should count throttled retries', () => {
+			expect(collector.getStatistics('orders').throttles).toEqual(2);
+			expect(collector.getStatistics('orders').operations.Scan.throttles).toEqual(1);
+			expect(collector.getStatistics('orders').operations.BatchWriteItem.throttles).toEqual(1);
+		});
+	});
+
+	describe('and the collector is disposed', () => {
+		it('should not notify observers', () => {
+			const observer = jasmine.createSpy('observer');
+
+			collector.registerRetryObserver(observer);
+			collector.dispose();
+			collector.recordRetry('Scan', 'orders', 'ThrottlingException');
+
+			expect(observer).not.toHaveBeenCalled();
+		});
+	});
+});
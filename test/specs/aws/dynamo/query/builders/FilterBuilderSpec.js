@@ -0,0 +1,201 @@
+const TableBuilder = require('./../../../../../../aws/dynamo/schema/builders/TableBuilder'),
+	ConditionalBuilder = require('./../../../../../../aws/dynamo/query/builders/ConditionalBuilder'),
+	DataType = require('./../../../../../../aws/dynamo/schema/definitions/DataType'),
+	KeyType = require('./../../../../../../aws/dynamo/schema/definitions/KeyType'),
+	OperatorType = require('./../../../../../../aws/dynamo/query/definitions/OperatorType'),
+	QueryBuilder = require('./../../../../../../aws/dynamo/query/builders/QueryBuilder'),
+	ScanBuilder = require('./../../../../../../aws/dynamo/query/builders/ScanBuilder');
+
+describe('When creating a filter', () => {
+	'use strict';
+
+	let table;
+
+	beforeEach(() => {
+		table = TableBuilder.withName('filters')
+			.withAttribute('hash', DataType.STRING, KeyType.HASH)
+			.withAttribute('range', DataType.NUMBER, KeyType.RANGE)
+			.withAttribute('status', DataType.STRING)
+			.withAttribute('size', DataType.NUMBER)
+			.table;
+	});
+
+	describe('for a scan, with two expressions', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = ScanBuilder.targeting(table)
+				.withFilterBuilder((fb) => {
+					fb.withExpression('status', OperatorType.EQUALS, 'A')
+						.withExpression('size', OperatorType.GREATER_THAN, 3);
+				})
+				.scan.toScanSchema();
+		});
+
+		it('should join the expressions with "and"', () => {
+			expect(schema.FilterExpression).toEqual('#c = :a and #d > :b');
+		});
+	});
+
+	describe('for a scan, with an "or" group', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = ScanBuilder.targeting(table)
+				.withFilterBuilder((fb) => {
+					fb.withExpression('size', OperatorType.GREATER_THAN, 3)
+						.orGroup((gb) => {
+							gb.withExpression('status', OperatorType.EQUALS, 'A')
+								.withExpression('status', OperatorType.EQUALS, 'B');
+						});
+				})
+				.scan.toScanSchema();
+		});
+
+		it('should wrap the group in parentheses', () => {
+			expect(schema.FilterExpression).toEqual('#d > :a and (#c = :b or #c = :c)');
+		});
+
+		it('should define a value alias for each expression', () => {
+			expect(schema.ExpressionAttributeValues).toEqual({ ':a': { N: '3' }, ':b': { S: 'A' }, ':c': { S: 'B' } });
+		});
+
+		it('should define each attribute alias once', () => {
+			expect(schema.ExpressionAttributeNames).toEqual({ '#d': 'size', '#c': 'status' });
+		});
+	});
+
+	describe('for a scan, with an "and" group nested in an "or" group', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = ScanBuilder.targeting(table)
+				.withFilterBuilder((fb) => {
+					fb.orGroup((ob) => {
+						ob.withExpression('status', OperatorType.EQUALS, 'A')
+							.andGroup((ab) => {
+								ab.withExpression('status', OperatorType.EQUALS, 'B')
+									.withExpression('size', OperatorType.LESS_THAN, 10);
+							});
+					});
+				})
+				.scan.toScanSchema();
+		});
+
+		it('should nest the parentheses', () => {
+			expect(schema.FilterExpression).toEqual('(#c = :a or (#c = :b and #d < :c))');
+		});
+	});
+
+	describe('for a scan, with a "not" group', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = ScanBuilder.targeting(table)
+				.withFilterBuilder((fb) => {
+					fb.not(nb => nb.withExpression('size', OperatorType.BETWEEN, [ 1, 5 ]));
+				})
+				.scan.toScanSchema();
+		});
+
+		it('should negate the group', () => {
+			expect(schema.FilterExpression).toEqual('NOT (#d BETWEEN :a0 AND :a1)');
+		});
+
+		it('should define value aliases for the operands', () => {
+			expect(schema.ExpressionAttributeValues).toEqual({ ':a0': { N: '1' }, ':a1': { N: '5' } });
+		});
+	});
+
+	describe('for a scan, with an "in" expression', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = ScanBuilder.targeting(table)
+				.withFilterBuilder((fb) => {
+					fb.withExpression('status', OperatorType.IN, [ 'A', 'B', 'C' ]);
+				})
+				.scan.toScanSchema();
+		});
+
+		it('should list a value alias for each operand', () => {
+			expect(schema.FilterExpression).toEqual('#c IN (:a0, :a1, :a2)');
+			expect(schema.ExpressionAttributeValues).toEqual({ ':a0': { S: 'A' }, ':a1': { S: 'B' }, ':a2': { S: 'C' } });
+		});
+	});
+
+	describe('for a scan, with an "in" expression that has no operands', () => {
+		let builder;
+
+		beforeEach(() => {
+			builder = ScanBuilder.targeting(table)
+				.withFilterBuilder((fb) => {
+					fb.withExpression('status', OperatorType.IN, [ ]);
+				});
+		});
+
+		it('should throw a validation error', () => {
+			expect(() => builder.scan.toScanSchema()).toThrowError();
+		});
+	});
+
+	describe('for a query, with a grouped results filter', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = QueryBuilder.targeting(table)
+				.withKeyFilterBuilder(kfb => kfb.withExpression('hash', OperatorType.EQUALS, 'x'))
+				.withResultsFilterBuilder((rfb) => {
+					rfb.orGroup((gb) => {
+						gb.withExpression('status', OperatorType.EQUALS, 'A')
+							.not(nb => nb.withExpression('size', OperatorType.EQUALS, 0));
+					});
+				})
+				.query.toQuerySchema();
+		});
+
+		it('should offset the value aliases used by the results filter', () => {
+			expect(schema.KeyConditionExpression).toEqual('#a = :a');
+			expect(schema.FilterExpression).toEqual('(#c = :b or NOT (#d = :c))');
+			expect(schema.ExpressionAttributeValues).toEqual({ ':a': { S: 'x' }, ':b': { S: 'A' }, ':c': { N: '0' } });
+		});
+	});
+
+	describe('for a query, with a grouped key filter', () => {
+		let builder;
+
+		beforeEach(() => {
+			builder = QueryBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.orGroup((gb) => {
+						gb.withExpression('hash', OperatorType.EQUALS, 'x')
+							.withExpression('hash', OperatorType.EQUALS, 'y');
+					});
+				});
+		});
+
+		it('should throw a validation error', () => {
+			expect(() => builder.query.toQuerySchema()).toThrowError();
+		});
+	});
+
+	describe('for a conditional, with an "or" group', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = new ConditionalBuilder(table)
+				.withFilterBuilder((fb) => {
+					fb.orGroup((gb) => {
+						gb.withExpression('hash', OperatorType.ATTRIBUTE_NOT_EXISTS)
+							.withExpression('size', OperatorType.LESS_THAN, 2);
+					});
+				})
+				.conditional.toConditionalSchema();
+		});
+
+		it('should generate the condition expression', () => {
+			expect(schema.ConditionExpression).toEqual('(attribute_not_exists(#a) or #d < :b)');
+			expect(schema.ExpressionAttributeValues).toEqual({ ':b': { N: '2' } });
+		});
+	});
+});
@@ -0,0 +1,121 @@
+const TableBuilder = require('./../../../../../../aws/dynamo/schema/builders/TableBuilder'),
+	DataType = require('./../../../../../../aws/dynamo/schema/definitions/DataType'),
+	OperatorType = require('./../../../../../../aws/dynamo/query/definitions/OperatorType'),
+	KeyType = require('./../../../../../../aws/dynamo/schema/definitions/KeyType'),
+	TransactionBuilder = require('./../../../../../../aws/dynamo/query/builders/TransactionBuilder'),
+	UpdateActionType = require('./../../../../../../aws/dynamo/query/definitions/UpdateActionType'),
+	UpdateOperatorType = require('./../../../../../../aws/dynamo/query/definitions/UpdateOperatorType');
+
+describe('When creating a transaction', () => {
+	'use strict';
+
+	let accounts;
+	let transfers;
+
+	beforeEach(() => {
+		accounts = TableBuilder.withName('accounts')
+			.withAttribute('id', DataType.STRING, KeyType.HASH)
+			.withAttribute('balance', DataType.NUMBER)
+			.table;
+
+		transfers = TableBuilder.withName('transfers')
+			.withAttribute('account', DataType.STRING, KeyType.HASH)
+			.withAttribute('sequence', DataType.NUMBER, KeyType.RANGE)
+			.withAttribute('amount', DataType.NUMBER)
+			.table;
+	});
+
+	describe('with no operations', () => {
+		let builder;
+
+		beforeEach(() => {
+			builder = TransactionBuilder.create()
+				.withDescription('Test transaction');
+		});
+
+		it('should throw a validation error', () => {
+			expect(() => builder.transaction.toTransactionSchema()).toThrowError();
+		});
+	});
+
+	describe('with a put, an update, a delete, and a condition check across two tables', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = TransactionBuilder.create()
+				.withDescription('Test transaction')
+				.withPut({ account: 'a', sequence: 1, amount: 10 }, transfers, (fb) => {
+					fb.withExpression('account', OperatorType.ATTRIBUTE_NOT_EXISTS);
+				})
+				.withUpdateBuilder(accounts, (ub) => {
+					ub.withKeyFilterBuilder(kfb => kfb.withExpression('id', OperatorType.EQUALS, 'a'))
+						.withConditionFilterBuilder(cfb => cfb.withExpression('balance', OperatorType.GREATER_THAN_OR_EQUAL_TO, 10))
+						.withUpdateExpression(UpdateActionType.SET, 'balance', UpdateOperatorType.MINUS, 10);
+				})
+				.withDelete({ account: 'b', sequence: 7 }, transfers)
+				.withConditionCheck({ id: 'b' }, accounts, (fb) => {
+					fb.withExpression('id', OperatorType.ATTRIBUTE_EXISTS);
+				})
+				.transaction.toTransactionSchema();
+		});
+
+		it('should contain four operations', () => {
+			expect(schema.TransactItems.length).toEqual(4);
+		});
+
+		it('should contain operations in the order they were added', () => {
+			expect(Object.keys(schema.TransactItems[0])).toEqual([ 'Put' ]);
+			expect(Object.keys(schema.TransactItems[1])).toEqual([ 'Update' ]);
+			expect(Object.keys(schema.TransactItems[2])).toEqual([ 'Delete' ]);
+			expect(Object.keys(schema.TransactItems[3])).toEqual([ 'ConditionCheck' ]);
+		});
+
+		it('should serialize the put item and its condition', () => {
+			const put = schema.TransactItems[0].Put;
+
+			expect(put.TableName).toEqual('transfers');
+			expect(put.Item).toEqual({ account: { S: 'a' }, sequence: { N: '1' }, amount: { N: '10' } });
+			expect(put.ConditionExpression).toEqual('attribute_not_exists(#a)');
+		});
+
+		it('should include a condition expression for the update, without return values', () => {
+			const update = schema.TransactItems[1].Update;
+
+			expect(update.TableName).toEqual('accounts');
+			expect(update.Key).toEqual({ id: { S: 'a' } });
+			expect(update.ConditionExpression).toBeDefined();
+			expect(update.ReturnValues).toBeUndefined();
+		});
+
+		it('should serialize the delete key only', () => {
+			expect(schema.TransactItems[2].Delete).toEqual({ TableName: 'transfers', Key: { account: { S: 'b' }, sequence: { N: '7' } } });
+		});
+
+		it('should include a condition expression for the condition check', () => {
+			const check = schema.TransactItems[3].ConditionCheck;
+
+			expect(check.Key).toEqual({ id: { S: 'b' } });
+			expect(check.ConditionExpression).toEqual('attribute_exists(#a)');
+		});
+	});
+
+	describe('with a condition check that has no condition', () => {
+		it('should throw an error', () => {
+			expect(() => TransactionBuilder.create().withConditionCheck({ id: 'a' }, accounts)).toThrowError();
+		});
+	});
+
+	describe('with two operations targeting the same item', () => {
+		let builder;
+
+		beforeEach(() => {
+			builder = TransactionBuilder.create()
+				.withPut({ id: 'a', balance: 5 }, accounts)
+				.withDelete({ id: 'a' }, accounts);
+		});
+
+		it('should throw a validation error', () => {
+			expect(() => builder.transaction.toTransactionSchema()).toThrowError();
+		});
+	});
+});
@@ -126,3 +126,132 @@ describe('When creating an update query', () => {
 	});
 });
 
+
+describe('When creating an update query for a versioned table', () => {
+	'use strict';
+
+	let table;
+
+	beforeEach(() => {
+		table = TableBuilder.withName('versioned')
+			.withAttribute('hash', DataType.STRING, KeyType.HASH)
+			.withAttribute('name', DataType.STRING)
+			.withAttribute('version', DataType.NUMBER)
+			.withVersionAttribute('version')
+			.table;
+	});
+
+	describe('and an expected version is specified', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.withExpression('hash', OperatorType.EQUALS, 'hash-key');
+				})
+				.withUpdateExpression(UpdateActionType.SET, 'name', UpdateOperatorType.EQUALS, 'testing')
+				.withExpectedVersion(3)
+				.update.toUpdateSchema();
+		});
+
+		it('should increment the version', () => {
+			expect(schema.UpdateExpression.match(/ADD/g).length).toEqual(1);
+		});
+
+		it('should condition on the expected version', () => {
+			expect(schema.ConditionExpression).toBeDefined();
+			expect(Object.keys(schema.ExpressionAttributeValues).some(k => schema.ExpressionAttributeValues[k].N === '3')).toEqual(true);
+		});
+	});
+
+	describe('and an expected version is not specified', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.withExpression('hash', OperatorType.EQUALS, 'hash-key');
+				})
+				.withUpdateExpression(UpdateActionType.SET, 'name', UpdateOperatorType.EQUALS, 'testing')
+				.update.toUpdateSchema();
+		});
+
+		it('should increment the version without a condition', () => {
+			expect(schema.UpdateExpression.match(/ADD/g).length).toEqual(1);
+			expect(schema.ConditionExpression).toBeUndefined();
+		});
+	});
+
+	describe('and an update expression references the version attribute', () => {
+		let builder;
+
+		beforeEach(() => {
+			builder = UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.withExpression('hash', OperatorType.EQUALS, 'hash-key');
+				})
+				.withUpdateExpression(UpdateActionType.SET, 'version', UpdateOperatorType.EQUALS, 7);
+		});
+
+		it('should throw an error', () => {
+			expect(() => builder.update.toUpdateSchema()).toThrowError();
+		});
+	});
+});
+
+describe('When creating an update query for set attributes', () => {
+	'use strict';
+
+	let table;
+
+	beforeEach(() => {
+		table = TableBuilder.withName('sets')
+			.withAttribute('hash', DataType.STRING, KeyType.HASH)
+			.withAttribute('name', DataType.STRING)
+			.withAttribute('tags', DataType.STRING_SET)
+			.withAttribute('scores', DataType.NUMBER_SET)
+			.table;
+	});
+
+	describe('and items are added and deleted', () => {
+		let schema;
+
+		beforeEach(() => {
+			schema = UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.withExpression('hash', OperatorType.EQUALS, 'hash-key');
+				})
+				.withAddToSet('tags', [ 'a', 'b' ])
+				.withDeleteFromSet('scores', [ 1 ])
+				.update.toUpdateSchema();
+		});
+
+		it('should contain ADD and DELETE clauses', () => {
+			expect(schema.UpdateExpression.match(/ADD/g).length).toEqual(1);
+			expect(schema.UpdateExpression.match(/DELETE/g).length).toEqual(1);
+		});
+
+		it('should serialize the operands as sets', () => {
+			const values = Object.keys(schema.ExpressionAttributeValues).map(k => schema.ExpressionAttributeValues[k]);
+
+			expect(values).toContain({ SS: [ 'a', 'b' ] });
+			expect(values).toContain({ NS: [ '1' ] });
+		});
+	});
+
+	describe('and items are deleted from an attribute which is not a set', () => {
+		let builder;
+
+		beforeEach(() => {
+			builder = UpdateBuilder.targeting(table)
+				.withKeyFilterBuilder((kfb) => {
+					kfb.withExpression('hash', OperatorType.EQUALS, 'hash-key');
+				})
+				.withDeleteFromSet('name', [ 'a' ]);
+		});
+
+		it('should throw an error', () => {
+			expect(() => builder.update.toUpdateSchema()).toThrowError();
+		});
+	});
+});
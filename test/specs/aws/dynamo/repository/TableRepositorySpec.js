@@ -0,0 +1,221 @@
+const Day = require('@barchart/common-js/lang/Day');
+
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator'),
+	DynamoProvider = require('./../../../../../aws/DynamoProvider');
+
+const DataType = require('./../../../../../aws/dynamo/schema/definitions/DataType'),
+	IndexType = require('./../../../../../aws/dynamo/schema/definitions/IndexType'),
+	KeyType = require('./../../../../../aws/dynamo/schema/definitions/KeyType'),
+	ProjectionType = require('./../../../../../aws/dynamo/schema/definitions/ProjectionType'),
+	TableBuilder = require('./../../../../../aws/dynamo/schema/builders/TableBuilder');
+
+const AccessPattern = require('./../../../../../aws/dynamo/repository/AccessPattern'),
+	TableRepository = require('./../../../../../aws/dynamo/repository/TableRepository');
+
+describe('When a TableRepository is used', () => {
+	'use strict';
+
+	const table = TableBuilder.withName('test-repository')
+		.withAttribute('customer', DataType.STRING, KeyType.HASH)
+		.withAttribute('order', DataType.STRING, KeyType.RANGE)
+		.withAttribute('status', DataType.STRING)
+		.withAttribute('day', DataType.DAY)
+		.withIndexBuilder('status-index', (ib) => {
+			ib.withType(IndexType.GLOBAL_SECONDARY)
+				.withKey('status', KeyType.HASH)
+				.withKey('order', KeyType.RANGE)
+				.withProjection(ProjectionType.ALL);
+		})
+		.withOnDemandThroughput()
+		.table;
+
+	const accessPatterns = [
+		AccessPattern.byKey('findByKey'),
+		AccessPattern.byHash('findByCustomer'),
+		AccessPattern.byRangePrefix('findByCustomerAndYear'),
+		AccessPattern.byHash('findByStatus', 'status-index')
+	];
+
+	let provider;
+	let repository;
+
+	beforeEach((done) => {
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: new DynamoEmulator() });
+		repository = new TableRepository(provider, table, accessPatterns);
+
+		const items = [
+			{ customer: 'a', order: '2023-001', status: 'closed', day: new Day(2023, 5, 1) },
+			{ customer: 'a', order: '2024-001', status: 'open', day: new Day(2024, 1, 2) },
+			{ customer: 'a', order: '2024-002', status: 'closed', day: new Day(2024, 1, 3) },
+			{ customer: 'b', order: '2024-003', status: 'open', day: new Day(2024, 2, 4) }
+		];
+
+		repository.start()
+			.then(() => provider.createItems(items, table))
+			.then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should add a finder function for each access pattern', () => {
+		expect(accessPatterns.every(ap => typeof repository[ap.name] === 'function')).toEqual(true);
+		expect(repository.accessPatterns).toEqual(accessPatterns);
+	});
+
+	describe('and an item is found by key', () => {
+		let found;
+		let missing;
+
+		beforeEach((done) => {
+			repository.findByKey('a', '2024-001')
+				.then((item) => {
+					found = item;
+
+					return repository.findByKey('a', '2024-999');
+				}).then((item) => {
+					missing = item;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the deserialized item', () => {
+			expect(found.order).toEqual('2024-001');
+			expect(found.day instanceof Day).toEqual(true);
+		});
+
+		it('should return a null value when the item does not exist', () => {
+			expect(missing).toEqual(null);
+		});
+	});
+
+	describe('and items are found by hash key', () => {
+		let results;
+
+		beforeEach((done) => {
+			repository.findByCustomer('a')
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return every item with the hash key', () => {
+			expect(results.map(r => r.order)).toEqual([ '2023-001', '2024-001', '2024-002' ]);
+		});
+	});
+
+	describe('and items are found by range prefix', () => {
+		let results;
+
+		beforeEach((done) => {
+			repository.findByCustomerAndYear('a', '2024')
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the items with a matching range key', () => {
+			expect(results.map(r => r.order)).toEqual([ '2024-001', '2024-002' ]);
+		});
+	});
+
+	describe('and items are found using an index', () => {
+		let results;
+
+		beforeEach((done) => {
+			repository.findByStatus('open')
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the items with a matching index key', () => {
+			expect(results.map(r => r.order)).toEqual([ '2024-001', '2024-003' ]);
+		});
+	});
+
+	describe('and a query builder is refined', () => {
+		let results;
+
+		beforeEach((done) => {
+			repository.query(repository.getQueryBuilder('findByCustomer', 'a').withLimit(1).query)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the results of the refined query', () => {
+			expect(results.map(r => r.order)).toEqual([ '2023-001' ]);
+		});
+	});
+
+	describe('and a finder is called with an invalid argument', () => {
+		it('should reject when the hash key has the wrong type', (done) => {
+			repository.findByCustomer(1)
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					expect(e.message).toContain('[ customer ]');
+
+					done();
+				});
+		});
+
+		it('should reject when the range key is missing', (done) => {
+			repository.findByKey('a')
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					expect(e.message).toContain('[ order ]');
+
+					done();
+				});
+		});
+
+		it('should reject when the prefix is empty', (done) => {
+			repository.findByCustomerAndYear('a', '')
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					expect(e.message).toContain('[ order ]');
+
+					done();
+				});
+		});
+	});
+
+	describe('and an access pattern does not match the table', () => {
+		it('should throw when the index does not exist', () => {
+			expect(() => new TableRepository(provider, table, [ AccessPattern.byHash('findByOther', 'other-index') ])).toThrowError();
+		});
+
+		it('should throw when the name is already used', () => {
+			expect(() => new TableRepository(provider, table, [ AccessPattern.byHash('query') ])).toThrowError();
+			expect(() => new TableRepository(provider, table, [ AccessPattern.byHash('findByCustomer'), AccessPattern.byKey('findByCustomer') ])).toThrowError();
+		});
+
+		it('should throw when a key access pattern uses an index', () => {
+			expect(() => new AccessPattern('findByStatus', AccessPattern.byKey('x').type, 'status-index')).toThrowError();
+		});
+	});
+});
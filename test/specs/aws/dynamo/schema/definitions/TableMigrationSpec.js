@@ -0,0 +1,158 @@
+const TableBuilder = require('./../../../../../../aws/dynamo/schema/builders/TableBuilder'),
+	DataType = require('./../../../../../../aws/dynamo/schema/definitions/DataType'),
+	IndexType = require('./../../../../../../aws/dynamo/schema/definitions/IndexType'),
+	KeyType = require('./../../../../../../aws/dynamo/schema/definitions/KeyType'),
+	ProjectionType = require('./../../../../../../aws/dynamo/schema/definitions/ProjectionType'),
+	StreamViewType = require('./../../../../../../aws/dynamo/schema/definitions/StreamViewType'),
+	TableChangeType = require('./../../../../../../aws/dynamo/schema/definitions/TableChangeType'),
+	TableMigration = require('./../../../../../../aws/dynamo/schema/definitions/TableMigration');
+
+describe('When comparing a table definition to the server definition', () => {
+	'use strict';
+
+	const getBuilder = (name) => {
+		return TableBuilder.withName(name || 'migrations')
+			.withAttribute('hash', DataType.STRING, KeyType.HASH)
+			.withAttribute('range', DataType.NUMBER, KeyType.RANGE)
+			.withAttribute('status', DataType.STRING)
+			.withAttribute('expiration', DataType.NUMBER);
+	};
+
+	const withStatusIndex = (tb) => {
+		return tb.withIndexBuilder('status-index', (ib) => {
+			ib.withType(IndexType.GLOBAL_SECONDARY)
+				.withKey('status', KeyType.HASH)
+				.withProjection(ProjectionType.KEYS);
+		});
+	};
+
+	describe('and the server definition matches', () => {
+		let migration;
+
+		beforeEach(() => {
+			const target = withStatusIndex(getBuilder()).withOnDemandThroughput().table;
+			const current = TableBuilder.fromDefinition(target.toTableSchema());
+
+			migration = TableMigration.compare(target, current);
+		});
+
+		it('should not require any changes', () => {
+			expect(migration.required).toEqual(false);
+			expect(migration.safe).toEqual(true);
+			expect(migration.toReport()).toEqual([ ]);
+		});
+	});
+
+	describe('and the definition adds an index, a stream, and time-to-live', () => {
+		let migration;
+
+		beforeEach(() => {
+			const target = withStatusIndex(getBuilder()).withOnDemandThroughput().withStreamViewType(StreamViewType.NEW_IMAGE).withTimeToLive('expiration').table;
+			const current = TableBuilder.fromDefinition(getBuilder().withOnDemandThroughput().table.toTableSchema());
+
+			migration = TableMigration.compare(target, current);
+		});
+
+		it('should list the changes in order', () => {
+			expect(migration.changes.map(c => c.changeType)).toEqual([ TableChangeType.ADD_INDEX, TableChangeType.ENABLE_STREAM, TableChangeType.ENABLE_TTL ]);
+		});
+
+		it('should be safe', () => {
+			expect(migration.safe).toEqual(true);
+		});
+
+		it('should include the index key attribute definitions', () => {
+			const schema = migration.changes[0].toChangeSchema();
+
+			expect(schema.AttributeDefinitions).toEqual([ { AttributeName: 'status', AttributeType: 'S' } ]);
+			expect(schema.GlobalSecondaryIndexUpdates[0].Create.IndexName).toEqual('status-index');
+			expect(schema.GlobalSecondaryIndexUpdates[0].Create.ProvisionedThroughput).toBeUndefined();
+		});
+
+		it('should produce a report with one line per change', () => {
+			expect(migration.toReport().length).toEqual(3);
+		});
+	});
+
+	describe('and the definition removes an index and switches to provisioned throughput', () => {
+		let migration;
+
+		beforeEach(() => {
+			const target = getBuilder().withProvisionedThroughput(2, 3).table;
+			const current = TableBuilder.fromDefinition(withStatusIndex(getBuilder()).withOnDemandThroughput().table.toTableSchema());
+
+			migration = TableMigration.compare(target, current);
+		});
+
+		it('should remove the index before changing the provisioning', () => {
+			expect(migration.changes.map(c => c.changeType)).toEqual([ TableChangeType.REMOVE_INDEX, TableChangeType.CHANGE_PROVISIONING ]);
+		});
+
+		it('should specify the throughput', () => {
+			expect(migration.changes[1].toChangeSchema()).toEqual({ TableName: 'migrations', BillingMode: 'PROVISIONED', ProvisionedThroughput: { ReadCapacityUnits: 2, WriteCapacityUnits: 3 } });
+		});
+	});
+
+	describe('and the definition changes the throughput of an index (on a provisioned table)', () => {
+		let migration;
+
+		beforeEach(() => {
+			const withThroughput = (tb, readUnits, writeUnits) => {
+				return tb.withIndexBuilder('status-index', (ib) => {
+					ib.withType(IndexType.GLOBAL_SECONDARY)
+						.withKey('status', KeyType.HASH)
+						.withProjection(ProjectionType.KEYS)
+						.withProvisionedThroughput(readUnits, writeUnits);
+				});
+			};
+
+			const target = withThroughput(getBuilder(), 4, 5).withProvisionedThroughput(2, 3).table;
+			const current = TableBuilder.fromDefinition(withThroughput(getBuilder(), 2, 3).withProvisionedThroughput(2, 3).table.toTableSchema());
+
+			migration = TableMigration.compare(target, current);
+		});
+
+		it('should change the provisioning of the index', () => {
+			expect(migration.changes.map(c => c.changeType)).toEqual([ TableChangeType.CHANGE_PROVISIONING ]);
+		});
+
+		it('should specify the throughput of the index', () => {
+			expect(migration.changes[0].toChangeSchema()).toEqual({ TableName: 'migrations', GlobalSecondaryIndexUpdates: [ { Update: { IndexName: 'status-index', ProvisionedThroughput: { ReadCapacityUnits: 4, WriteCapacityUnits: 5 } } } ] });
+		});
+	});
+
+	describe('and the definition changes the stream view type', () => {
+		let migration;
+
+		beforeEach(() => {
+			const target = getBuilder().withOnDemandThroughput().withStreamViewType(StreamViewType.KEYS_ONLY).table;
+			const current = TableBuilder.fromDefinition(getBuilder().withOnDemandThroughput().withStreamViewType(StreamViewType.NEW_IMAGE).table.toTableSchema());
+
+			migration = TableMigration.compare(target, current);
+		});
+
+		it('should disable the stream, then enable the new stream', () => {
+			expect(migration.changes.map(c => c.changeType)).toEqual([ TableChangeType.DISABLE_STREAM, TableChangeType.ENABLE_STREAM ]);
+		});
+	});
+
+	describe('and the definition changes the keys', () => {
+		let migration;
+
+		beforeEach(() => {
+			const target = getBuilder().withOnDemandThroughput().table;
+			const current = TableBuilder.fromDefinition(TableBuilder.withName('migrations').withAttribute('hash', DataType.STRING, KeyType.HASH).withOnDemandThroughput().table.toTableSchema());
+
+			migration = TableMigration.compare(target, current);
+		});
+
+		it('should not be safe', () => {
+			expect(migration.safe).toEqual(false);
+			expect(migration.changes[0].changeType).toEqual(TableChangeType.CHANGE_KEYS);
+		});
+
+		it('should refuse to generate a schema for the change', () => {
+			expect(() => migration.changes[0].toChangeSchema()).toThrowError();
+		});
+	});
+});
@@ -1,6 +1,14 @@
-const Serializer = require('./../../../../../../aws/dynamo/schema/serialization/Serializer');
+const Currency = require('@barchart/common-js/lang/Currency'),
+	Day = require('@barchart/common-js/lang/Day'),
+	Decimal = require('@barchart/common-js/lang/Decimal'),
+	Money = require('@barchart/common-js/lang/Money');
+
+const Serializer = require('./../../../../../../aws/dynamo/schema/serialization/Serializer'),
+	Serializers = require('./../../../../../../aws/dynamo/schema/serialization/Serializers');
 
 const TableBuilder = require('./../../../../../../aws/dynamo/schema/builders/TableBuilder'),
+	ComponentType = require('./../../../../../../aws/dynamo/schema/definitions/ComponentType'),
+	ComponentTypeDefinition = require('./../../../../../../aws/dynamo/schema/definitions/ComponentTypeDefinition'),
 	DataType = require('./../../../../../../aws/dynamo/schema/definitions/DataType'),
 	KeyType = require('./../../../../../../aws/dynamo/schema/definitions/KeyType');
 
@@ -97,4 +105,81 @@ describe('When a Serializer with a table that has "person.name" and "person.age"
 			expect(deserialized && deserialized.person && deserialized.person.age).toEqual(3);
 		});
 	});
-});
\ No newline at end of file
+});
+describe('When a Serializer with a table that has components', () => {
+	'use strict';
+
+	const coordinates = new ComponentType('Coordinates', [
+		new ComponentTypeDefinition('latitude', DataType.NUMBER, 'lat'),
+		new ComponentTypeDefinition('longitude', DataType.NUMBER, 'lon')
+	]);
+
+	Serializers.registerComponentType(coordinates, c => [ c.latitude, c.longitude ], data => ({ latitude: data[0], longitude: data[1] }));
+
+	let table;
+
+	beforeEach(() => {
+		table = TableBuilder.withName('irrelevant-components')
+			.withAttribute('id', DataType.STRING, KeyType.HASH)
+			.withComponent('price', ComponentType.MONEY)
+			.withComponent('season', ComponentType.DAY_RANGE)
+			.withComponent('weight', ComponentType.QUANTITY)
+			.withComponent('location', coordinates)
+			.table;
+	});
+
+	describe('and an item is serialized', () => {
+		let item;
+		let serialized;
+
+		beforeEach(() => {
+			item = {
+				id: 'a',
+				price: new Money(1.5, Currency.USD),
+				season: { start: new Day(2024, 3, 20), end: new Day(2024, 6, 20) },
+				weight: { quantity: new Decimal(2.25), unit: 'kg' },
+				location: { latitude: 41.88, longitude: -87.63 }
+			};
+
+			serialized = Serializer.serialize(item, table);
+		});
+
+		it('the result should flatten each component into multiple attributes', () => {
+			expect(serialized['price-amount']).toEqual({ S: '1.5' });
+			expect(serialized['price-currency']).toEqual({ S: 'USD' });
+			expect(serialized['season-start']).toEqual({ S: '2024-03-20' });
+			expect(serialized['season-end']).toEqual({ S: '2024-06-20' });
+			expect(serialized['weight-quantity']).toEqual({ S: '2.25' });
+			expect(serialized['weight-unit']).toEqual({ S: 'kg' });
+			expect(serialized['location-lat']).toEqual({ N: '41.88' });
+			expect(serialized['location-lon']).toEqual({ N: '-87.63' });
+		});
+
+		describe('and the result is deserialized', () => {
+			let deserialized;
+
+			beforeEach(() => {
+				deserialized = Serializer.deserialize(serialized, table);
+			});
+
+			it('the result should have a "price" property which is a Money instance', () => {
+				expect(deserialized.price instanceof Money).toEqual(true);
+				expect(deserialized.price.toAmount()).toEqual(item.price.toAmount());
+			});
+
+			it('the result should have a "season" property with "start" and "end" days', () => {
+				expect(deserialized.season.start.format()).toEqual('2024-03-20');
+				expect(deserialized.season.end.format()).toEqual('2024-06-20');
+			});
+
+			it('the result should have a "weight" property with a "quantity" and "unit"', () => {
+				expect(deserialized.weight.quantity.toFloat()).toEqual(2.25);
+				expect(deserialized.weight.unit).toEqual('kg');
+			});
+
+			it('the result should have a "location" property created by the custom component type', () => {
+				expect(deserialized.location).toEqual({ latitude: 41.88, longitude: -87.63 });
+			});
+		});
+	});
+});
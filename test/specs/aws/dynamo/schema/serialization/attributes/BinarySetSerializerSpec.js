@@ -0,0 +1,31 @@
+const BinarySetSerializer = require('./../../../../../../../aws/dynamo/schema/serialization/attributes/BinarySetSerializer');
+
+describe('When a BinarySetSerializer is instantiated', () => {
+	'use strict';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = new BinarySetSerializer();
+	});
+
+	it('it serializes two buffers as { "BS": [ ... ] }', () => {
+		let serialized = serializer.serialize([Buffer.from('one'), Buffer.from('two')]);
+
+		expect(serialized.BS.map(b => b.toString())).toEqual(['one', 'two']);
+	});
+
+	it('it deserializes { "BS": [ ... ] } as an array of buffers', () => {
+		let deserialized = serializer.deserialize({ BS: [Buffer.from('one')] });
+
+		expect(deserialized[0].toString()).toEqual('one');
+	});
+
+	it('it throws when serializing two equal buffers', () => {
+		expect(() => serializer.serialize([Buffer.from('one'), Buffer.from('one')])).toThrowError();
+	});
+
+	it('it throws when serializing a string', () => {
+		expect(() => serializer.serialize(['one'])).toThrowError();
+	});
+});
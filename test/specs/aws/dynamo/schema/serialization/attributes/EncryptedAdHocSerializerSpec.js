@@ -0,0 +1,38 @@
+const AdHoc = require('@barchart/common-js/lang/AdHoc');
+
+const Attribute = require('./../../../../../../../aws/dynamo/schema/definitions/Attribute'),
+	DataType = require('./../../../../../../../aws/dynamo/schema/definitions/DataType'),
+	EncryptionType = require('./../../../../../../../aws/dynamo/schema/definitions/EncryptionType'),
+	Encryptor = require('./../../../../../../../aws/dynamo/schema/definitions/Encryptor');
+
+const EncryptedAdHocSerializer = require('./../../../../../../../aws/dynamo/schema/serialization/attributes/EncryptedAdHocSerializer');
+
+describe('When a EncryptedAdHocSerializer is instantiated using the AES-192-GCM algorithm', () => {
+	'use strict';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = new EncryptedAdHocSerializer(new Attribute('test', DataType.AD_HOC_ENCRYPTED, null, new Encryptor(EncryptionType.AES_192_GCM, '123456789012345678901234')));
+	});
+
+	describe('and an AdHoc instance is serialized', () => {
+		let serialized;
+
+		beforeEach(() => {
+			serialized = serializer.serialize(new AdHoc({ a: 1, b: 'two' }));
+		});
+
+		it('should produce the original data when deserialized', () => {
+			expect(serializer.deserialize(serialized).data).toEqual({ a: 1, b: 'two' });
+		});
+
+		it('should reject a value which has been tampered with', () => {
+			const tampered = Buffer.from(serialized.B);
+
+			tampered[tampered.length - 1] = tampered[tampered.length - 1] ^ 1;
+
+			expect(() => serializer.deserialize({ B: tampered })).toThrowError(/failed authentication/);
+		});
+	});
+});
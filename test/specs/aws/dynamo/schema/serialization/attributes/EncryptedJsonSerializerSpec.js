@@ -0,0 +1,54 @@
+const Attribute = require('./../../../../../../../aws/dynamo/schema/definitions/Attribute'),
+	DataType = require('./../../../../../../../aws/dynamo/schema/definitions/DataType'),
+	EncryptionType = require('./../../../../../../../aws/dynamo/schema/definitions/EncryptionType'),
+	Encryptor = require('./../../../../../../../aws/dynamo/schema/definitions/Encryptor');
+
+const EncryptedJsonSerializer = require('./../../../../../../../aws/dynamo/schema/serialization/attributes/EncryptedJsonSerializer');
+
+describe('When a EncryptedJsonSerializer is instantiated using the AES-256-GCM algorithm', () => {
+	'use strict';
+
+	const key = '12345678901234567890123456789012';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = new EncryptedJsonSerializer(new Attribute('test', DataType.JSON_ENCRYPTED, null, new Encryptor(EncryptionType.AES_256_GCM, key)));
+	});
+
+	describe('and an object is serialized', () => {
+		let object = { a: 1, b: 'two', c: [ 3 ] };
+		let serialized;
+
+		beforeEach(() => {
+			serialized = serializer.serialize(object);
+		});
+
+		it('should produce the original object when deserialized', () => {
+			expect(serializer.deserialize(serialized)).toEqual(object);
+		});
+
+		it('should reject a value which has been tampered with', () => {
+			const tampered = Buffer.from(serialized.B);
+
+			tampered[20] = tampered[20] ^ 1;
+
+			expect(() => serializer.deserialize({ B: tampered })).toThrowError(/failed authentication/);
+		});
+	});
+
+	describe('and an object was serialized using the AES-256 algorithm', () => {
+		let object = { d: 4 };
+		let serialized;
+
+		beforeEach(() => {
+			serialized = new EncryptedJsonSerializer(new Attribute('test', DataType.JSON_ENCRYPTED, null, new Encryptor(EncryptionType.AES_256, key))).serialize(object);
+		});
+
+		it('should produce the original object when deserialized, with legacy reads enabled', () => {
+			const legacy = new EncryptedJsonSerializer(new Attribute('test', DataType.JSON_ENCRYPTED, null, new Encryptor(EncryptionType.AES_256_GCM, key, null, null, true)));
+
+			expect(legacy.deserialize(serialized)).toEqual(object);
+		});
+	});
+});
@@ -85,4 +85,166 @@ describe('When a EncryptedStringSerializer is instantiated using the AES-256 alg
 			});
 		});
 	});
-});
\ No newline at end of file
+});
+describe('When a EncryptedStringSerializer is instantiated with a key identifier', () => {
+	'use strict';
+
+	const legacyKey = '12345678901234567890123456789012';
+	const retiredKey = 'abcdefghijklmnopqrstuvwxyz123456';
+	const currentKey = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ123456';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_256, currentKey, 'two', [ { keyId: 'one', key: retiredKey }, { keyId: null, key: legacyKey } ])));
+	});
+
+	describe('and a string is serialized', () => {
+		let string = ('abc').repeat(10);
+		let serialized;
+
+		beforeEach(() => {
+			serialized = serializer.serialize(string);
+		});
+
+		it('should produce the original string when deserialized', () => {
+			expect(serializer.deserialize(serialized)).toEqual(string);
+		});
+
+		it('should not be readable by a serializer which does not have the key', () => {
+			const other = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_256, retiredKey, 'one')));
+
+			expect(() => other.deserialize(serialized)).toThrowError();
+		});
+	});
+
+	describe('and a string was serialized using a retired key', () => {
+		let string = ('def').repeat(10);
+		let serialized;
+
+		beforeEach(() => {
+			serialized = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_256, retiredKey, 'one'))).serialize(string);
+		});
+
+		it('should produce the original string when deserialized', () => {
+			expect(serializer.deserialize(serialized)).toEqual(string);
+		});
+	});
+
+	describe('and a string was serialized without a key identifier', () => {
+		let string = ('ghi').repeat(10);
+		let serialized;
+
+		beforeEach(() => {
+			serialized = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_256, legacyKey))).serialize(string);
+		});
+
+		it('should produce the original string when deserialized using the legacy key', () => {
+			expect(serializer.deserialize(serialized)).toEqual(string);
+		});
+	});
+});
+
+describe('When a EncryptedStringSerializer is instantiated using the AES-256-GCM algorithm', () => {
+	'use strict';
+
+	const key = '12345678901234567890123456789012';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_256_GCM, key)));
+	});
+
+	describe('and a string is serialized', () => {
+		let string = ('abc').repeat(10);
+		let serialized;
+
+		beforeEach(() => {
+			serialized = serializer.serialize(string);
+		});
+
+		it('should produce the original string when deserialized', () => {
+			expect(serializer.deserialize(serialized)).toEqual(string);
+		});
+
+		it('should produce a different value each time', () => {
+			expect(serializer.serialize(string).B.equals(serialized.B)).toEqual(false);
+		});
+
+		it('should reject a value which has been tampered with', () => {
+			const tampered = Buffer.from(serialized.B);
+
+			tampered[tampered.length - 1] = tampered[tampered.length - 1] ^ 1;
+
+			expect(() => serializer.deserialize({ B: tampered })).toThrowError(/failed authentication/);
+		});
+	});
+
+	describe('and a string was serialized using the AES-256 algorithm', () => {
+		let string = ('def').repeat(10);
+		let serialized;
+
+		beforeEach(() => {
+			serialized = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_256, key))).serialize(string);
+		});
+
+		it('should reject the value, unless legacy reads are enabled', () => {
+			expect(() => serializer.deserialize(serialized)).toThrowError(/not written using authenticated encryption/);
+		});
+
+		it('should produce the original string when deserialized, with legacy reads enabled', () => {
+			const legacy = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_256_GCM, key, null, null, true)));
+
+			expect(legacy.deserialize(serialized)).toEqual(string);
+		});
+	});
+
+	describe('and a string is serialized, then the authentication marker is altered', () => {
+		let tampered;
+
+		beforeEach(() => {
+			tampered = Buffer.from(serializer.serialize(('ghi').repeat(10)).B);
+
+			tampered[0] = tampered[0] ^ 1;
+		});
+
+		it('should not attempt to read the value using the legacy algorithm', () => {
+			expect(() => serializer.deserialize({ B: tampered })).toThrowError(/not written using authenticated encryption/);
+		});
+	});
+});
+
+describe('When a EncryptedStringSerializer is instantiated using the AES-192-GCM algorithm with a key identifier', () => {
+	'use strict';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_192_GCM, '123456789012345678901234', 'one')));
+	});
+
+	describe('and a string is serialized', () => {
+		let string = ('abc').repeat(10);
+		let serialized;
+
+		beforeEach(() => {
+			serialized = serializer.serialize(string);
+		});
+
+		it('should produce the original string when deserialized', () => {
+			expect(serializer.deserialize(serialized)).toEqual(string);
+		});
+
+		it('should reject a value with a tampered key identifier', () => {
+			const other = new EncryptedStringSerializer(new Attribute('test', DataType.STRING, null, new Encryptor(EncryptionType.AES_192_GCM, '123456789012345678901234', 'two', [ { keyId: 'one', key: '123456789012345678901234' } ])));
+			const tampered = Buffer.from(serialized.B);
+
+			tampered[7] = 'two'.charCodeAt(0);
+			tampered[8] = 'two'.charCodeAt(1);
+			tampered[9] = 'two'.charCodeAt(2);
+
+			expect(() => other.deserialize({ B: tampered })).toThrowError(/failed authentication/);
+		});
+	});
+});
@@ -0,0 +1,27 @@
+const NumberSetSerializer = require('./../../../../../../../aws/dynamo/schema/serialization/attributes/NumberSetSerializer');
+
+describe('When a NumberSetSerializer is instantiated', () => {
+	'use strict';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = new NumberSetSerializer();
+	});
+
+	it('it serializes [1, 2.5] as { "NS": ["1", "2.5"] }', () => {
+		let serialized = serializer.serialize([1, 2.5]);
+
+		expect(serialized.NS).toEqual(['1', '2.5']);
+	});
+
+	it('it deserializes { "NS": ["1", "2.5"] } as [1, 2.5]', () => {
+		let deserialized = serializer.deserialize({ NS: ['1', '2.5'] });
+
+		expect(deserialized).toEqual([1, 2.5]);
+	});
+
+	it('it throws when serializing [1, 1]', () => {
+		expect(() => serializer.serialize([1, 1])).toThrowError();
+	});
+});
@@ -0,0 +1,39 @@
+const Enum = require('@barchart/common-js/lang/Enum');
+
+const DataType = require('./../../../../../../../aws/dynamo/schema/definitions/DataType'),
+	Serializers = require('./../../../../../../../aws/dynamo/schema/serialization/Serializers');
+
+describe('When a serializer for a list of enumeration items is used', () => {
+	'use strict';
+
+	class Color extends Enum {
+		constructor(code) {
+			super(code, code);
+		}
+	}
+
+	const red = new Color('red');
+	const blue = new Color('blue');
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = Serializers.forDataType(DataType.forEnumList(Color, 'Colors'));
+	});
+
+	it('it serializes [red, blue] as { "L": [{ "S": "red" }, { "S": "blue" }] }', () => {
+		let serialized = serializer.serialize([red, blue]);
+
+		expect(serialized.L).toEqual([{ S: 'red' }, { S: 'blue' }]);
+	});
+
+	it('it deserializes { "L": [{ "S": "blue" }] } as [blue]', () => {
+		let deserialized = serializer.deserialize({ L: [{ S: 'blue' }] });
+
+		expect(deserialized).toEqual([blue]);
+	});
+
+	it('it throws when serializing an item which is not an enumeration item', () => {
+		expect(() => serializer.serialize(['red'])).toThrowError();
+	});
+});
@@ -0,0 +1,27 @@
+const Decimal = require('@barchart/common-js/lang/Decimal');
+
+const DataType = require('./../../../../../../../aws/dynamo/schema/definitions/DataType'),
+	Serializers = require('./../../../../../../../aws/dynamo/schema/serialization/Serializers');
+
+describe('When a serializer for a map of Decimal instances is used', () => {
+	'use strict';
+
+	let serializer;
+
+	beforeEach(() => {
+		serializer = Serializers.forDataType(DataType.forMap(DataType.DECIMAL, 'Prices'));
+	});
+
+	it('it serializes { a: 1.5 } as { "M": { "a": { "S": "1.5" } } }', () => {
+		let serialized = serializer.serialize({ a: new Decimal(1.5) });
+
+		expect(serialized.M).toEqual({ a: { S: '1.5' } });
+	});
+
+	it('it deserializes { "M": { "b": { "S": "2.25" } } } as { b: 2.25 }', () => {
+		let deserialized = serializer.deserialize({ M: { b: { S: '2.25' } } });
+
+		expect(deserialized.b instanceof Decimal).toEqual(true);
+		expect(deserialized.b.toFloat()).toEqual(2.25);
+	});
+});
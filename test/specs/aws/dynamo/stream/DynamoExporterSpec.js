@@ -0,0 +1,217 @@
+const fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	Stream = require('stream');
+
+const Decimal = require('@barchart/common-js/lang/Decimal');
+
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator'),
+	DynamoProvider = require('./../../../../../aws/DynamoProvider'),
+	S3Provider = require('./../../../../../aws/S3Provider');
+
+const DataType = require('./../../../../../aws/dynamo/schema/definitions/DataType'),
+	KeyType = require('./../../../../../aws/dynamo/schema/definitions/KeyType'),
+	TableBuilder = require('./../../../../../aws/dynamo/schema/builders/TableBuilder');
+
+const ScanBuilder = require('./../../../../../aws/dynamo/query/builders/ScanBuilder');
+
+const DynamoExporter = require('./../../../../../aws/dynamo/stream/DynamoExporter'),
+	DynamoScanReader = require('./../../../../../aws/dynamo/stream/DynamoScanReader');
+
+describe('When exporting a table', () => {
+	'use strict';
+
+	const table = TableBuilder.withName('test-exports')
+		.withAttribute('id', DataType.NUMBER, KeyType.HASH)
+		.withAttribute('name', DataType.STRING)
+		.withAttribute('amount', DataType.DECIMAL)
+		.withAttribute('payload', DataType.BINARY)
+		.withOnDemandThroughput()
+		.table;
+
+	const items = [ ];
+
+	for (let i = 1; i <= 30; i++) {
+		items.push({ id: i, name: `item-${i}`, amount: new Decimal(i).divide(4), payload: Buffer.from([ i, 0, 255 ]) });
+	}
+
+	let emulator;
+	let provider;
+
+	beforeEach((done) => {
+		emulator = new DynamoEmulator();
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: emulator });
+
+		provider.start()
+			.then(() => provider.createTable(table))
+			.then(() => provider.createItems(items.slice(0, 15), table))
+			.then(() => provider.createItems(items.slice(15), table))
+			.then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	const verify = (done) => {
+		provider.scan(ScanBuilder.targeting(table).scan)
+			.then((results) => {
+				results.sort((a, b) => a.id - b.id);
+
+				expect(results.length).toEqual(30);
+
+				results.forEach((result, i) => {
+					expect(result.name).toEqual(items[i].name);
+					expect(result.amount.getIsEqual(items[i].amount)).toEqual(true);
+					expect(result.payload.equals(items[i].payload)).toEqual(true);
+				});
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	};
+
+	describe('to a file, and importing the file into an empty table', () => {
+		let file;
+		let exported;
+		let imported;
+		let lines;
+
+		beforeEach((done) => {
+			file = path.join(os.tmpdir(), `dynamo-export-${process.pid}-${Date.now()}.json`);
+
+			DynamoExporter.exportToFile(table, provider, file)
+				.then((count) => {
+					exported = count;
+					lines = fs.readFileSync(file, 'utf8').split('\n').filter(l => l.length !== 0);
+
+					emulator.reset();
+
+					return provider.createTable(table);
+				}).then(() => {
+					return DynamoExporter.importFromFile(table, provider, file);
+				}).then((count) => {
+					imported = count;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		afterEach(() => {
+			if (fs.existsSync(file)) {
+				fs.unlinkSync(file);
+			}
+		});
+
+		it('should export each item', () => {
+			expect(exported).toEqual(30);
+		});
+
+		it('should write one line, in DynamoDB format, for each item', () => {
+			expect(lines.length).toEqual(30);
+
+			const parsed = JSON.parse(lines[0]);
+
+			expect(typeof parsed.Item.id.N).toEqual('string');
+			expect(typeof parsed.Item.payload.B).toEqual('string');
+		});
+
+		it('should import each item', () => {
+			expect(imported).toEqual(30);
+		});
+
+		it('should restore the items', (done) => {
+			verify(done);
+		});
+	});
+
+	describe('to S3, and importing the object into an empty table', () => {
+		let s3;
+		let uploaded;
+		let exported;
+		let imported;
+
+		beforeEach((done) => {
+			s3 = new S3Provider({ region: 'us-east-1' });
+
+			spyOn(s3, 'uploadStream').and.callFake((bucket, key, reader) => {
+				const chunks = [ ];
+
+				return new Promise((resolve, reject) => {
+					reader.on('data', c => chunks.push(c));
+					reader.on('error', e => reject(e));
+					reader.on('end', () => {
+						uploaded = Buffer.concat(chunks);
+
+						resolve({ Bucket: bucket, Key: key });
+					});
+				});
+			});
+
+			spyOn(s3, 'createReadStream').and.callFake(() => {
+				return Promise.resolve(Stream.Readable.from([ uploaded.slice(0, 7), uploaded.slice(7) ]));
+			});
+
+			DynamoExporter.exportToS3(table, provider, s3, 'bucket', 'exports/orders.json')
+				.then((count) => {
+					exported = count;
+
+					emulator.reset();
+
+					return provider.createTable(table);
+				}).then(() => {
+					return DynamoExporter.importFromS3(table, provider, s3, 'bucket', 'exports/orders.json');
+				}).then((count) => {
+					imported = count;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should upload the export', () => {
+			expect(exported).toEqual(30);
+			expect(s3.uploadStream).toHaveBeenCalledWith('bucket', 'exports/orders.json', jasmine.any(Stream.Readable));
+		});
+
+		it('should import each item', () => {
+			expect(imported).toEqual(30);
+		});
+
+		it('should restore the items', (done) => {
+			verify(done);
+		});
+	});
+
+	describe('to S3, and the upload fails', () => {
+		let error;
+
+		beforeEach((done) => {
+			const s3 = new S3Provider({ region: 'us-east-1' });
+
+			spyOn(s3, 'uploadStream').and.returnValue(Promise.reject(new Error('Upload failed')));
+			spyOn(DynamoScanReader.prototype, 'destroy').and.callThrough();
+
+			DynamoExporter.exportToS3(table, provider, s3, 'bucket', 'exports/orders.json')
+				.then(() => {
+					done.fail('Expected the promise to reject');
+				}).catch((e) => {
+					error = e;
+
+					done();
+				});
+		});
+
+		it('should reject with the upload error', () => {
+			expect(error.message).toEqual('Upload failed');
+		});
+
+		it('should stop scanning the table', () => {
+			expect(DynamoScanReader.prototype.destroy).toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,267 @@
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator'),
+	DynamoProvider = require('./../../../../../aws/DynamoProvider'),
+	TableContainer = require('./../../../../../aws/dynamo/TableContainer');
+
+const DataType = require('./../../../../../aws/dynamo/schema/definitions/DataType'),
+	IndexType = require('./../../../../../aws/dynamo/schema/definitions/IndexType'),
+	KeyType = require('./../../../../../aws/dynamo/schema/definitions/KeyType'),
+	ProjectionType = require('./../../../../../aws/dynamo/schema/definitions/ProjectionType'),
+	TableBuilder = require('./../../../../../aws/dynamo/schema/builders/TableBuilder');
+
+const OperatorType = require('./../../../../../aws/dynamo/query/definitions/OperatorType'),
+	QueryBuilder = require('./../../../../../aws/dynamo/query/builders/QueryBuilder'),
+	ScanBuilder = require('./../../../../../aws/dynamo/query/builders/ScanBuilder');
+
+const DynamoIterator = require('./../../../../../aws/dynamo/stream/DynamoIterator');
+
+describe('When iterating the results of a query or scan', () => {
+	'use strict';
+
+	const table = TableBuilder.withName('test-pages')
+		.withAttribute('account', DataType.STRING, KeyType.HASH)
+		.withAttribute('sequence', DataType.NUMBER, KeyType.RANGE)
+		.withAttribute('status', DataType.STRING)
+		.withIndexBuilder('status-index', (ib) => {
+			ib.withType(IndexType.GLOBAL_SECONDARY)
+				.withKey('status', KeyType.HASH)
+				.withKey('sequence', KeyType.RANGE)
+				.withProjection(ProjectionType.ALL);
+		})
+		.withOnDemandThroughput()
+		.table;
+
+	const collect = (iterator, results) => {
+		const items = results || [ ];
+
+		return iterator.next()
+			.then((result) => {
+				if (result.done) {
+					return items;
+				}
+
+				items.push(result.value);
+
+				return collect(iterator, items);
+			});
+	};
+
+	const getQuery = (limit) => {
+		const builder = QueryBuilder.targeting(table)
+			.withKeyFilterBuilder(kfb => kfb.withExpression('account', OperatorType.EQUALS, 'a'));
+
+		if (limit) {
+			builder.withLimit(limit);
+		}
+
+		return builder.query;
+	};
+
+	let provider;
+
+	beforeEach((done) => {
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: new DynamoEmulator({ pageSize: 3 }) });
+
+		const items = [ ];
+
+		for (let i = 1; i <= 10; i++) {
+			items.push({ account: 'a', sequence: i, status: i % 2 === 0 ? 'even' : 'odd' });
+		}
+
+		provider.start()
+			.then(() => provider.createTable(table))
+			.then(() => provider.createItems(items, table))
+			.then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	describe('and every item is read', () => {
+		let iterator;
+		let results;
+
+		beforeEach((done) => {
+			spyOn(provider, 'queryChunk').and.callThrough();
+
+			iterator = provider.iterateQuery(getQuery());
+
+			collect(iterator)
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return every item, in order', () => {
+			expect(results.map(r => r.sequence)).toEqual([ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10 ]);
+		});
+
+		it('should request one page at a time', () => {
+			expect(provider.queryChunk.calls.count()).toEqual(4);
+		});
+
+		it('should be completed, without a cursor', () => {
+			expect(iterator.completed).toEqual(true);
+			expect(iterator.cursor).toEqual(null);
+		});
+	});
+
+	describe('and the query has a limit', () => {
+		let results;
+
+		beforeEach((done) => {
+			collect(provider.iterateQuery(getQuery(4)))
+				.then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return no more items than the limit', () => {
+			expect(results.map(r => r.sequence)).toEqual([ 1, 2, 3, 4 ]);
+		});
+	});
+
+	describe('and a "for await" loop exits early', () => {
+		let iterator;
+		let results;
+
+		beforeEach(async () => {
+			spyOn(provider, 'scanChunk').and.callThrough();
+
+			iterator = provider.iterateScan(ScanBuilder.targeting(table).scan);
+			results = [ ];
+
+			for await (const item of iterator) {
+				results.push(item);
+
+				if (results.length === 2) {
+					break;
+				}
+			}
+		});
+
+		it('should return the items read before exiting', () => {
+			expect(results.length).toEqual(2);
+		});
+
+		it('should not request additional pages', () => {
+			expect(provider.scanChunk.calls.count()).toEqual(1);
+		});
+
+		it('should not return items after exiting', (done) => {
+			iterator.next()
+				.then((result) => {
+					expect(result.done).toEqual(true);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and iteration is resumed using a cursor', () => {
+		let first;
+		let second;
+		let cursor;
+
+		beforeEach((done) => {
+			const iterator = provider.iterateQuery(getQuery(4));
+
+			collect(iterator)
+				.then((r) => {
+					first = r;
+					cursor = iterator.cursor;
+
+					return collect(provider.iterateQuery(getQuery(), cursor));
+				}).then((r) => {
+					second = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should produce an opaque string', () => {
+			expect(typeof cursor).toEqual('string');
+		});
+
+		it('should return the remaining items', () => {
+			expect(first.concat(second).map(r => r.sequence)).toEqual([ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10 ]);
+		});
+	});
+
+	describe('and iteration of an index is resumed using a cursor', () => {
+		let first;
+		let second;
+
+		beforeEach((done) => {
+			const getIndexQuery = (limit) => {
+				return QueryBuilder.targeting(table)
+					.withIndex('status-index')
+					.withKeyFilterBuilder(kfb => kfb.withExpression('status', OperatorType.EQUALS, 'even'))
+					.withLimit(limit)
+					.query;
+			};
+
+			const iterator = provider.iterateQuery(getIndexQuery(2));
+
+			collect(iterator)
+				.then((r) => {
+					first = r;
+
+					return collect(provider.iterateQuery(getIndexQuery(10), iterator.cursor));
+				}).then((r) => {
+					second = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the remaining items', () => {
+			expect(first.map(r => r.sequence)).toEqual([ 2, 4 ]);
+			expect(second.map(r => r.sequence)).toEqual([ 6, 8, 10 ]);
+		});
+	});
+
+	describe('and a cursor is created by a table container', () => {
+		let results;
+
+		beforeEach((done) => {
+			const container = new TableContainer(provider, table);
+
+			container.start()
+				.then(() => {
+					return collect(container.iterateQuery(getQuery(), container.getCursor('a', 7)));
+				}).then((r) => {
+					results = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should return the items after the key', () => {
+			expect(results.map(r => r.sequence)).toEqual([ 8, 9, 10 ]);
+		});
+	});
+
+	describe('and the cursor is not valid', () => {
+		it('should throw', () => {
+			expect(() => provider.iterateQuery(getQuery(), 'not-a-cursor')).toThrowError();
+			expect(() => DynamoIterator.fromCursor(Buffer.from(JSON.stringify({ other: { S: 'a' } })).toString('base64'), table)).toThrowError();
+		});
+	});
+});
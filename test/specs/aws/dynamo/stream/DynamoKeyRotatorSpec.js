@@ -0,0 +1,217 @@
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator'),
+	DynamoProvider = require('./../../../../../aws/DynamoProvider'),
+	SecretsManagerProvider = require('./../../../../../aws/SecretsManagerProvider');
+
+const DataType = require('./../../../../../aws/dynamo/schema/definitions/DataType'),
+	EncryptionType = require('./../../../../../aws/dynamo/schema/definitions/EncryptionType'),
+	EncryptorBuilder = require('./../../../../../aws/dynamo/schema/builders/EncryptorBuilder'),
+	KeyType = require('./../../../../../aws/dynamo/schema/definitions/KeyType'),
+	TableBuilder = require('./../../../../../aws/dynamo/schema/builders/TableBuilder');
+
+const OperatorType = require('./../../../../../aws/dynamo/query/definitions/OperatorType'),
+	QueryBuilder = require('./../../../../../aws/dynamo/query/builders/QueryBuilder');
+
+const DynamoKeyRotator = require('./../../../../../aws/dynamo/stream/DynamoKeyRotator');
+
+describe('When rotating the keys of a table', () => {
+	'use strict';
+
+	const getTable = (keyring) => {
+		return TableBuilder.withName('test-secrets')
+			.withAttribute('id', DataType.STRING, KeyType.HASH)
+			.withAttributeBuilder('secret', (ab) => {
+				ab.withDataType(DataType.STRING_ENCRYPTED)
+					.withEncryptorBuilder(eb => eb.withEncryptionType(EncryptionType.AES_256).withKeyring(keyring));
+			})
+			.withOnDemandThroughput()
+			.table;
+	};
+
+	const first = { current: 'one', keys: { one: '12345678901234567890123456789012' } };
+	const second = { current: 'two', keys: { one: '12345678901234567890123456789012', two: 'abcdefghijklmnopqrstuvwxyz123456' } };
+
+	let emulator;
+	let provider;
+	let count;
+
+	beforeEach((done) => {
+		emulator = new DynamoEmulator();
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: emulator });
+
+		const original = getTable(first);
+
+		provider.start()
+			.then(() => provider.createTable(original))
+			.then(() => provider.createItems([ { id: 'a', secret: 'apple' }, { id: 'b', secret: 'banana' } ], original))
+			.then(() => provider.saveItem({ id: 'c', secret: 'cherry' }, getTable(second)))
+			.then(() => {
+				const updateItem = provider.updateItem.bind(provider);
+
+				let concurrent = false;
+
+				spyOn(provider, 'updateItem').and.callFake((update) => {
+					if (concurrent) {
+						return updateItem(update);
+					}
+
+					concurrent = true;
+
+					return provider.saveItem({ id: 'a', secret: 'apricot' }, original)
+						.then(() => updateItem(update));
+				});
+
+				return DynamoKeyRotator.rotate(getTable(second), provider);
+			})
+			.then((c) => {
+				count = c;
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should re-encrypt each item', () => {
+		expect(count).toEqual(2);
+	});
+
+	it('should write each item with the current key', () => {
+		expect(emulator.getItems('test-secrets').every(i => i.secret.B.includes(Buffer.from('two')))).toEqual(true);
+	});
+
+	it('should skip items written with the current key', () => {
+		expect(provider.updateItem.calls.all().every(c => c.args[0].keyFilter.expressions[0].operand !== 'c')).toEqual(true);
+	});
+
+	it('should not overwrite an item changed during the rotation', (done) => {
+		const table = getTable(second);
+
+		const query = QueryBuilder.targeting(table)
+			.withKeyFilterBuilder(kfb => kfb.withExpression('id', OperatorType.EQUALS, 'a'))
+			.query;
+
+		provider.query(query)
+			.then((results) => {
+				expect(results[0].secret).toEqual('apricot');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should read the items without the retired key', (done) => {
+		const table = getTable({ current: 'two', keys: { two: 'abcdefghijklmnopqrstuvwxyz123456' } });
+
+		const query = QueryBuilder.targeting(table)
+			.withKeyFilterBuilder(kfb => kfb.withExpression('id', OperatorType.EQUALS, 'b'))
+			.query;
+
+		provider.query(query)
+			.then((results) => {
+				expect(results[0].secret).toEqual('banana');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+});
+
+describe('When migrating a table to authenticated encryption', () => {
+	'use strict';
+
+	const keyring = { current: 'one', keys: { one: '12345678901234567890123456789012' } };
+
+	const getTable = (type, legacy) => {
+		return TableBuilder.withName('test-secrets')
+			.withAttribute('id', DataType.STRING, KeyType.HASH)
+			.withAttributeBuilder('secret', (ab) => {
+				ab.withDataType(DataType.STRING_ENCRYPTED)
+					.withEncryptorBuilder((eb) => {
+						eb.withEncryptionType(type).withKeyring(keyring);
+
+						if (legacy) {
+							eb.withLegacyReads();
+						}
+					});
+			})
+			.withOnDemandThroughput()
+			.table;
+	};
+
+	let provider;
+	let count;
+
+	beforeEach((done) => {
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: new DynamoEmulator() });
+
+		const original = getTable(EncryptionType.AES_256, false);
+
+		provider.start()
+			.then(() => provider.createTable(original))
+			.then(() => provider.createItems([ { id: 'a', secret: 'apple' }, { id: 'b', secret: 'banana' } ], original))
+			.then(() => DynamoKeyRotator.rotate(getTable(EncryptionType.AES_256_GCM, true), provider))
+			.then((c) => {
+				count = c;
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should re-encrypt each item', () => {
+		expect(count).toEqual(2);
+	});
+
+	it('should read the items without legacy reads', (done) => {
+		const query = QueryBuilder.targeting(getTable(EncryptionType.AES_256_GCM, false))
+			.withKeyFilterBuilder(kfb => kfb.withExpression('id', OperatorType.EQUALS, 'b'))
+			.query;
+
+		provider.query(query)
+			.then((results) => {
+				expect(results[0].secret).toEqual('banana');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+});
+
+describe('When reading a keyring from AWS Secrets Manager', () => {
+	'use strict';
+
+	let provider;
+
+	beforeEach(() => {
+		provider = new SecretsManagerProvider({ region: 'us-east-1' });
+	});
+
+	it('should parse the secret', (done) => {
+		spyOn(provider, 'getSecretValue').and.returnValue(Promise.resolve(JSON.stringify({ current: 'one', keys: { one: 'key' } })));
+
+		EncryptorBuilder.getKeyring(provider, 'keys')
+			.then((keyring) => {
+				expect(keyring.current).toEqual('one');
+				expect(keyring.keys.one).toEqual('key');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should reject a secret which is not a keyring', (done) => {
+		spyOn(provider, 'getSecretValue').and.returnValue(Promise.resolve(JSON.stringify({ key: 'value' })));
+
+		EncryptorBuilder.getKeyring(provider, 'keys')
+			.then(() => {
+				done.fail('Expected the promise to reject');
+			}).catch(() => {
+				done();
+			});
+	});
+});
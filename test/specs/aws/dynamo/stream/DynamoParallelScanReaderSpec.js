@@ -0,0 +1,189 @@
+const Stream = require('stream');
+
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator'),
+	DynamoProvider = require('./../../../../../aws/DynamoProvider');
+
+const DataType = require('./../../../../../aws/dynamo/schema/definitions/DataType'),
+	KeyType = require('./../../../../../aws/dynamo/schema/definitions/KeyType'),
+	TableBuilder = require('./../../../../../aws/dynamo/schema/builders/TableBuilder');
+
+const ScanBuilder = require('./../../../../../aws/dynamo/query/builders/ScanBuilder');
+
+const DynamoParallelScanReader = require('./../../../../../aws/dynamo/stream/DynamoParallelScanReader');
+
+describe('When reading a parallel scan as a stream', () => {
+	'use strict';
+
+	const table = TableBuilder.withName('test-segments')
+		.withAttribute('id', DataType.STRING, KeyType.HASH)
+		.withAttribute('value', DataType.NUMBER)
+		.withOnDemandThroughput()
+		.table;
+
+	let provider;
+
+	beforeEach((done) => {
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: new DynamoEmulator({ pageSize: 3 }) });
+
+		const batches = [ [ ], [ ] ];
+
+		for (let i = 0; i < 40; i++) {
+			batches[i % 2].push({ id: `item-${i}`, value: i });
+		}
+
+		provider.start()
+			.then(() => provider.createTable(table))
+			.then(() => provider.createItems(batches[0], table))
+			.then(() => provider.createItems(batches[1], table))
+			.then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	describe('with a concurrency limit', () => {
+		let reader;
+		let values;
+		let maximum;
+
+		beforeEach((done) => {
+			const scanChunk = provider.scanChunk.bind(provider);
+
+			let running = 0;
+
+			maximum = 0;
+
+			spyOn(provider, 'scanChunk').and.callFake((scan, startKey) => {
+				running = running + 1;
+				maximum = Math.max(maximum, running);
+
+				return scanChunk(scan, startKey)
+					.then((results) => {
+						running = running - 1;
+
+						return results;
+					});
+			});
+
+			reader = new DynamoParallelScanReader(ScanBuilder.targeting(table).scan, provider, 4, 2, null, true);
+			values = [ ];
+
+			const writer = new Stream.Writable({
+				objectMode: true,
+				highWaterMark: 1,
+				write: (item, encoding, callback) => {
+					values.push(item.value);
+
+					setImmediate(() => callback());
+				}
+			});
+
+			Stream.pipeline(reader, writer, (e) => {
+				if (e) {
+					done.fail(e);
+				} else {
+					done();
+				}
+			});
+		});
+
+		it('should return every item once', () => {
+			expect(values.slice().sort((a, b) => a - b)).toEqual(Array.from({ length: 40 }, (v, i) => i));
+		});
+
+		it('should scan every segment', () => {
+			const segments = provider.scanChunk.calls.allArgs().map(args => args[0].segment).filter((s, i, a) => a.indexOf(s) === i).sort();
+
+			expect(segments).toEqual([ 0, 1, 2, 3 ]);
+		});
+
+		it('should not read more segments at once than the concurrency limit', () => {
+			expect(maximum).toBeLessThan(3);
+		});
+
+		it('should count the records scanned', () => {
+			expect(reader.scanned).toEqual(40);
+		});
+	});
+
+	describe('and a segment starts while reading is paused', () => {
+		let reader;
+		let segments;
+
+		beforeEach((done) => {
+			const scanChunk = provider.scanChunk.bind(provider);
+
+			segments = [ ];
+
+			spyOn(provider, 'scanChunk').and.callFake((scan, startKey) => {
+				segments.push(scan.segment);
+
+				if (scan.segment === 0) {
+					return Promise.resolve({ results: [ { id: 'x', value: 1 }, { id: 'y', value: 2 }, { id: 'z', value: 3 } ], startKey: null });
+				}
+
+				return scanChunk(scan, startKey);
+			});
+
+			reader = new DynamoParallelScanReader(ScanBuilder.targeting(table).scan, provider, 2, 1, 2, true);
+			reader.read(0);
+
+			setTimeout(() => {
+				reader.read();
+
+				setTimeout(() => {
+					done();
+				}, 50);
+			}, 50);
+		});
+
+		afterEach((done) => {
+			reader.stop()
+				.then(() => {
+					done();
+				});
+		});
+
+		it('should start the next segment', () => {
+			expect(segments).toEqual([ 0, 1 ]);
+		});
+
+		it('should pause the next segment', () => {
+			expect(reader.readableLength).toEqual(2);
+		});
+	});
+
+	describe('and a segment fails', () => {
+		let error;
+
+		beforeEach((done) => {
+			const scanChunk = provider.scanChunk.bind(provider);
+
+			spyOn(provider, 'scanChunk').and.callFake((scan, startKey) => {
+				if (scan.segment === 1) {
+					return Promise.reject(new Error('Segment failed'));
+				}
+
+				return scanChunk(scan, startKey);
+			});
+
+			const reader = new DynamoParallelScanReader(ScanBuilder.targeting(table).scan, provider, 2);
+
+			const writer = new Stream.Writable({
+				objectMode: true,
+				write: (item, encoding, callback) => callback()
+			});
+
+			Stream.pipeline(reader, writer, (e) => {
+				error = e;
+
+				done();
+			});
+		});
+
+		it('should emit the error', () => {
+			expect(error.message).toEqual('Segment failed');
+		});
+	});
+});
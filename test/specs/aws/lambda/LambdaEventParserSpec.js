@@ -0,0 +1,92 @@
+const Day = require('@barchart/common-js/lang/Day');
+
+const DataType = require('./../../../../aws/dynamo/schema/definitions/DataType'),
+	KeyType = require('./../../../../aws/dynamo/schema/definitions/KeyType'),
+	Serializer = require('./../../../../aws/dynamo/schema/serialization/Serializer'),
+	TableBuilder = require('./../../../../aws/dynamo/schema/builders/TableBuilder');
+
+const LambdaEventParser = require('./../../../../aws/lambda/LambdaEventParser');
+
+describe('When a LambdaEventParser is used', () => {
+	'use strict';
+
+	describe('for a DynamoDB stream event', () => {
+		const table = TableBuilder.withName('test-stream')
+			.withAttribute('account', DataType.STRING, KeyType.HASH)
+			.withAttribute('day', DataType.DAY)
+			.withAttribute('balance', DataType.NUMBER)
+			.withAttribute('name', DataType.STRING)
+			.table;
+
+		const getRecord = (eventName, keys, oldItem, newItem, arn) => {
+			const dynamodb = { Keys: Serializer.serialize(keys, table, true), SequenceNumber: '100' };
+
+			if (oldItem) {
+				dynamodb.OldImage = Serializer.serialize(oldItem, table);
+			}
+
+			if (newItem) {
+				dynamodb.NewImage = Serializer.serialize(newItem, table);
+			}
+
+			return { eventID: `${eventName}-1`, eventName: eventName, eventSource: 'aws:dynamodb', eventSourceARN: arn || 'arn:aws:dynamodb:us-east-1:123456789012:table/test-stream/stream/2024-01-01T00:00:00.000', dynamodb: dynamodb };
+		};
+
+		let event;
+		let records;
+
+		beforeEach(() => {
+			event = {
+				Records: [
+					getRecord('INSERT', { account: 'a' }, null, { account: 'a', day: new Day(2024, 1, 1), balance: 10, name: 'Alpha' }),
+					getRecord('MODIFY', { account: 'a' }, { account: 'a', day: new Day(2024, 1, 1), balance: 10, name: 'Alpha' }, { account: 'a', day: new Day(2024, 1, 2), balance: 10 }),
+					getRecord('REMOVE', { account: 'a' }, { account: 'a', balance: 20 }, null),
+					getRecord('INSERT', { account: 'b' }, null, { account: 'b' }, 'arn:aws:dynamodb:us-east-1:123456789012:table/test-other/stream/2024-01-01T00:00:00.000'),
+					{ eventSource: 'aws:sqs', messageId: '1', body: '{}' }
+				]
+			};
+
+			records = new LambdaEventParser(event).getStreamRecords(table);
+		});
+
+		it('should ignore records from other tables and sources', () => {
+			expect(records.length).toEqual(3);
+		});
+
+		it('should expose the event names', () => {
+			expect(records.map(r => r.eventName)).toEqual([ 'INSERT', 'MODIFY', 'REMOVE' ]);
+			expect(records[0].id).toEqual('INSERT-1');
+			expect(records[0].sequenceNumber).toEqual('100');
+		});
+
+		it('should deserialize the keys', () => {
+			expect(records[0].keys).toEqual({ account: 'a' });
+		});
+
+		it('should deserialize the images', () => {
+			expect(records[0].oldImage).toEqual(null);
+			expect(records[0].newImage.day instanceof Day).toEqual(true);
+			expect(records[1].oldImage.name).toEqual('Alpha');
+			expect(records[2].newImage).toEqual(null);
+		});
+
+		it('should list every attribute as changed for an insert', () => {
+			expect(records[0].changes).toEqual([ 'account', 'day', 'balance', 'name' ]);
+		});
+
+		it('should list the changed (and removed) attributes for a modification', () => {
+			expect(records[1].changes).toEqual([ 'day', 'name' ]);
+		});
+
+		it('should list every attribute as changed for a removal', () => {
+			expect(records[2].changes).toEqual([ 'account', 'balance' ]);
+		});
+
+		it('should return the stream content as messages, without parsing', () => {
+			const messages = new LambdaEventParser(event).getMessages();
+
+			expect(messages[0].NewImage.account).toEqual({ S: 'a' });
+			expect(messages[4]).toEqual({ });
+		});
+	});
+});
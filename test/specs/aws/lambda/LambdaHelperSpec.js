@@ -0,0 +1,178 @@
+const log4js = require('log4js');
+
+const LambdaHelper = require('./../../../../aws/lambda/LambdaHelper');
+
+describe('When LambdaHelper processes messages individually', () => {
+	'use strict';
+
+	const getRecord = (id, body, group) => {
+		const record = { messageId: id, eventSource: 'aws:sqs', body: JSON.stringify(body), attributes: { } };
+
+		if (group) {
+			record.attributes.MessageGroupId = group;
+		}
+
+		return record;
+	};
+
+	let callback;
+	let processed;
+
+	const run = (records, processor) => {
+		callback = jasmine.createSpy('callback');
+		processed = [ ];
+
+		return LambdaHelper.processMessages('test', { Records: records }, callback, (message, record, parser) => {
+			processed.push(record.messageId);
+
+			return processor(message, record, parser);
+		});
+	};
+
+	describe('and one message from a standard queue fails', () => {
+		beforeEach((done) => {
+			const records = [ getRecord('a', { value: 1 }), getRecord('b', { value: 2 }), getRecord('c', { value: 3 }) ];
+
+			run(records, (message) => {
+				if (message.value === 2) {
+					throw new Error('Unable to process message');
+				}
+			}).then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+		});
+
+		it('should process every message', () => {
+			expect(processed).toEqual([ 'a', 'b', 'c' ]);
+		});
+
+		it('should respond with the identifier of the failed message', () => {
+			expect(callback).toHaveBeenCalledWith(null, { batchItemFailures: [ { itemIdentifier: 'b' } ] });
+		});
+	});
+
+	describe('and every message succeeds', () => {
+		beforeEach((done) => {
+			run([ getRecord('a', { value: 1 }) ], () => Promise.resolve())
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should respond with no failures', () => {
+			expect(callback).toHaveBeenCalledWith(null, { batchItemFailures: [ ] });
+		});
+	});
+
+	describe('and a message from a FIFO queue fails', () => {
+		beforeEach((done) => {
+			const records = [ getRecord('a', { value: 1 }, 'g'), getRecord('b', { value: 2 }, 'g'), getRecord('c', { value: 3 }, 'g') ];
+
+			run(records, (message) => {
+				if (message.value === 2) {
+					return Promise.reject(new Error('Unable to process message'));
+				}
+			}).then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+		});
+
+		it('should not process the remaining messages', () => {
+			expect(processed).toEqual([ 'a', 'b' ]);
+		});
+
+		it('should report the failed message and the remaining messages', () => {
+			expect(callback).toHaveBeenCalledWith(null, { batchItemFailures: [ { itemIdentifier: 'b' }, { itemIdentifier: 'c' } ] });
+		});
+	});
+
+	describe('and a record from a Kinesis stream fails', () => {
+		beforeEach((done) => {
+			const records = [ 1, 2, 3 ].map((value) => {
+				return { eventSource: 'aws:kinesis', eventID: `shard:${value}`, messageId: `${value}`, kinesis: { sequenceNumber: `${value}`, data: Buffer.from(JSON.stringify({ value: value })).toString('base64') } };
+			});
+
+			run(records, (message) => {
+				if (message.value === 2) {
+					return Promise.reject(new Error('Unable to process record'));
+				}
+			}).then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+		});
+
+		it('should not process the remaining records', () => {
+			expect(processed).toEqual([ '1', '2' ]);
+		});
+
+		it('should report the failed record and the remaining records', () => {
+			expect(callback).toHaveBeenCalledWith(null, { batchItemFailures: [ { itemIdentifier: '2' }, { itemIdentifier: '3' } ] });
+		});
+	});
+
+	describe('and a message which cannot be identified fails', () => {
+		beforeEach((done) => {
+			const records = [ getRecord('a', { value: 1 }), { messageId: 'b', eventSource: 'aws:unknown', body: '{}' } ];
+
+			run(records, (message, record) => {
+				if (record.messageId === 'b') {
+					return Promise.reject(new Error('Unable to process message'));
+				}
+			})
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should fail the entire invocation', () => {
+			expect(callback).toHaveBeenCalledTimes(1);
+			expect(callback.calls.argsFor(0)[0]).toEqual(jasmine.any(Error));
+		});
+	});
+
+	describe('and a message is not valid JSON', () => {
+		beforeEach((done) => {
+			const records = [ { messageId: 'a', eventSource: 'aws:sqs', body: '{' }, getRecord('b', { value: 2 }) ];
+
+			run(records, () => true)
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should only report the malformed message', () => {
+			expect(processed).toEqual([ 'b' ]);
+			expect(callback).toHaveBeenCalledWith(null, { batchItemFailures: [ { itemIdentifier: 'a' } ] });
+		});
+	});
+});
+
+describe('When LambdaHelper configures a structured logger after a logger has been configured', () => {
+	'use strict';
+
+	beforeEach(() => {
+		spyOn(log4js, 'configure');
+
+		LambdaHelper.getLogger({ appenders: { console: { type: 'console' } }, categories: { default: { appenders: [ 'console' ], level: 'off' } } });
+		LambdaHelper.getStructuredLogger('debug');
+	});
+
+	it('should apply the structured configuration', () => {
+		const configuration = log4js.configure.calls.mostRecent().args[0];
+
+		expect(configuration.appenders.console.layout.type).toEqual('json');
+		expect(configuration.categories.default.level).toEqual('debug');
+	});
+});
@@ -0,0 +1,142 @@
+const DataType = require('@barchart/common-js/serialization/json/DataType'),
+	Day = require('@barchart/common-js/lang/Day'),
+	SchemaBuilder = require('@barchart/common-js/serialization/json/builders/SchemaBuilder');
+
+const FailureReason = require('@barchart/common-js/api/failures/FailureReason');
+
+const LambdaEventParser = require('./../../../../aws/lambda/LambdaEventParser'),
+	LambdaHelper = require('./../../../../aws/lambda/LambdaHelper'),
+	LambdaSchemaValidator = require('./../../../../aws/lambda/LambdaSchemaValidator');
+
+const LambdaRequestBuilder = require('./../../../../aws/lambda/local/LambdaRequestBuilder'),
+	LambdaRunner = require('./../../../../aws/lambda/local/LambdaRunner');
+
+describe('When a LambdaSchemaValidator checks a candidate', () => {
+	'use strict';
+
+	const schema = SchemaBuilder.withName('order')
+		.withField('symbol', DataType.STRING)
+		.withField('quantity', DataType.NUMBER)
+		.withField('day', DataType.DAY)
+		.withField('account.id', DataType.STRING)
+		.withField('note', DataType.STRING, true)
+		.schema;
+
+	it('should convert valid fields', () => {
+		const result = LambdaSchemaValidator.check(schema, { symbol: 'AAPL', quantity: 10, day: '2024-01-02', account: { id: 'a' }, extra: true }, 'body');
+
+		expect(result.failures).toEqual([ ]);
+		expect(result.value.day instanceof Day).toEqual(true);
+		expect(result.value.day.format()).toEqual('2024-01-02');
+		expect(result.value.extra).toEqual(true);
+	});
+
+	it('should report every missing or invalid field', () => {
+		const result = LambdaSchemaValidator.check(schema, { symbol: 'AAPL', quantity: 'ten', day: 'yesterday' }, 'body');
+
+		expect(result.failures.map(f => f.data)).toEqual([
+			{ source: 'body', field: 'quantity', expected: 'Number', received: 'ten' },
+			{ source: 'body', field: 'day', expected: 'Day', received: 'yesterday' },
+			{ source: 'body', field: 'account.id', expected: 'String' }
+		]);
+	});
+
+	it('should coerce strings when requested', () => {
+		expect(LambdaSchemaValidator.convert('42', DataType.NUMBER, true)).toEqual({ value: 42 });
+		expect(LambdaSchemaValidator.convert('false', DataType.BOOLEAN, true)).toEqual({ value: false });
+		expect(LambdaSchemaValidator.convert('42', DataType.NUMBER)).toEqual(null);
+		expect(LambdaSchemaValidator.convert('yes', DataType.BOOLEAN, true)).toEqual(null);
+	});
+
+	it('should not build a failure reason without failures', () => {
+		expect(LambdaSchemaValidator.getFailureReason([ ])).toEqual(null);
+	});
+});
+
+describe('When a LambdaEventParser validates a request', () => {
+	'use strict';
+
+	const body = SchemaBuilder.withName('body')
+		.withField('symbol', DataType.STRING)
+		.withField('quantity', DataType.NUMBER)
+		.schema;
+
+	const query = SchemaBuilder.withName('query')
+		.withField('day', DataType.DAY)
+		.withField('limit', DataType.NUMBER, true)
+		.schema;
+
+	const path = SchemaBuilder.withName('path')
+		.withField('account', DataType.STRING)
+		.schema;
+
+	it('should resolve the converted body, querystring, and path parameters', (done) => {
+		const request = LambdaRequestBuilder.forRequest('POST', '/accounts/a%20b/orders')
+			.withPathParameter('account', 'a b')
+			.withQueryString('day', '2024-01-02')
+			.withQueryString('limit', '5')
+			.withBody({ symbol: 'AAPL', quantity: 10 })
+			.request;
+
+		new LambdaEventParser(request).validateRequest({ body: body, query: query, path: path })
+			.then((result) => {
+				expect(result.body).toEqual({ symbol: 'AAPL', quantity: 10 });
+				expect(result.query.day.format()).toEqual('2024-01-02');
+				expect(result.query.limit).toEqual(5);
+				expect(result.path).toEqual({ account: 'a b' });
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should reject with a failure reason listing every field', (done) => {
+		const request = LambdaRequestBuilder.forRequest('POST', '/accounts/a/orders')
+			.withQueryString('limit', 'many')
+			.withBody({ symbol: 'AAPL', quantity: 'ten' })
+			.request;
+
+		new LambdaEventParser(request).validateRequest({ body: body, query: query, path: path }, 'create order')
+			.then(() => {
+				done.fail('Expected the promise to be rejected');
+			}).catch((e) => {
+				expect(e instanceof FailureReason).toEqual(true);
+
+				const items = e.format()[0].children.map(c => c.value.data);
+
+				expect(items).toEqual([
+					{ source: 'body', field: 'quantity', expected: 'Number', received: 'ten' },
+					{ source: 'query', field: 'day', expected: 'Day' },
+					{ source: 'query', field: 'limit', expected: 'Number', received: 'many' },
+					{ source: 'path', field: 'account', expected: 'String' }
+				]);
+
+				done();
+			});
+	});
+
+	it('should respond with HTTP 400 when the body is not JSON', (done) => {
+		const request = LambdaRequestBuilder.forRequest('POST', '/orders').request;
+
+		request.body = '{ symbol';
+
+		const runner = new LambdaRunner((event, context, callback) => {
+			return LambdaHelper.process('create order', event, callback, (parser) => {
+				return parser.validateBody(body);
+			});
+		});
+
+		runner.invoke(request)
+			.then((result) => {
+				expect(result.statusCode).toEqual(400);
+				expect(result.body[0].value.code).toEqual('REQUEST_INPUT_MALFORMED');
+				expect(result.body[0].children[0].value.code).toEqual('LAMBDA_FIELD_INVALID');
+				expect(result.body[0].children[0].value.data).toEqual({ source: 'body', field: 'body', expected: 'JSON', received: '{ symbol' });
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+});
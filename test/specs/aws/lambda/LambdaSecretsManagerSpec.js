@@ -0,0 +1,139 @@
+const DataType = require('@barchart/common-js/serialization/json/DataType');
+
+const SecretsManagerProvider = require('./../../../../aws/SecretsManagerProvider');
+
+const LambdaSecretsManager = require('./../../../../aws/lambda/LambdaSecretsManager'),
+	LambdaSecretStage = require('./../../../../aws/lambda/LambdaSecretStage');
+
+describe('When a LambdaSecretsManager is used', () => {
+	'use strict';
+
+	let versions;
+	let now;
+	let manager;
+
+	beforeEach(() => {
+		versions = {
+			AWSCURRENT: JSON.stringify({ username: 'app', password: 'two', port: '5432' }),
+			AWSPREVIOUS: JSON.stringify({ username: 'app', password: 'one', port: '5432' })
+		};
+
+		now = 0;
+
+		spyOn(SecretsManagerProvider.prototype, 'start').and.returnValue(Promise.resolve(true));
+		spyOn(SecretsManagerProvider.prototype, 'getSecretValue').and.callFake((secretId, stage) => Promise.resolve(versions[stage]));
+
+		manager = new LambdaSecretsManager({ ttl: 1000, now: () => now });
+	});
+
+	it('should cache a value until it expires', (done) => {
+		manager.getValue('database')
+			.then(() => {
+				versions.AWSCURRENT = 'rotated';
+				now = 999;
+
+				return manager.getValue('database');
+			}).then((value) => {
+				expect(value).not.toEqual('rotated');
+
+				now = 1000;
+
+				return manager.getValue('database');
+			}).then((value) => {
+				expect(value).toEqual('rotated');
+				expect(SecretsManagerProvider.prototype.getSecretValue.calls.count()).toEqual(2);
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should return an expired value while refreshing in the background', (done) => {
+		manager.configure('database', { refresh: true });
+
+		manager.getValue('database')
+			.then(() => {
+				versions.AWSCURRENT = 'rotated';
+				now = 5000;
+
+				return manager.getValue('database');
+			}).then((value) => {
+				expect(value).not.toEqual('rotated');
+
+				return manager.getValue('database');
+			}).then((value) => {
+				expect(value).toEqual('rotated');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should read a version stage', (done) => {
+		manager.getField('database', 'password', DataType.STRING, LambdaSecretStage.PREVIOUS)
+			.then((value) => {
+				expect(value).toEqual('one');
+				expect(SecretsManagerProvider.prototype.getSecretValue).toHaveBeenCalledWith('database', 'AWSPREVIOUS');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should convert a field', (done) => {
+		manager.getField('database', 'port', DataType.NUMBER)
+			.then((value) => {
+				expect(value).toEqual(5432);
+
+				return manager.getField('database', 'host');
+			}).then(() => {
+				done.fail('Expected the promise to be rejected');
+			}).catch((e) => {
+				expect(e.message).toContain('[ host ]');
+
+				done();
+			});
+	});
+
+	it('should fall back to the previous value when authentication fails', (done) => {
+		const attempts = [ ];
+
+		const connect = (value) => {
+			const password = JSON.parse(value).password;
+
+			attempts.push(password);
+
+			if (password === 'one') {
+				return Promise.resolve('connected');
+			} else {
+				return Promise.reject(new Error('Authentication failed'));
+			}
+		};
+
+		manager.useValue('database', connect, e => e.message === 'Authentication failed')
+			.then((result) => {
+				expect(result).toEqual('connected');
+				expect(attempts).toEqual([ 'two', 'one' ]);
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should not retry other failures', (done) => {
+		let attempts = 0;
+
+		manager.useValue('database', () => Promise.reject(new Error('Timeout ' + (++attempts))), e => e.message === 'Authentication failed')
+			.then(() => {
+				done.fail('Expected the promise to be rejected');
+			}).catch((e) => {
+				expect(e.message).toEqual('Timeout 1');
+
+				done();
+			});
+	});
+});
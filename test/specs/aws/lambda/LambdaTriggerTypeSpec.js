@@ -0,0 +1,113 @@
+const LambdaEventParser = require('./../../../../aws/lambda/LambdaEventParser'),
+	LambdaTriggerType = require('./../../../../aws/lambda/LambdaTriggerType');
+
+const LambdaEventValidator = require('./../../../../aws/lambda/validators/LambdaEventValidator'),
+	LambdaMessageValidator = require('./../../../../aws/lambda/validators/LambdaMessageValidator');
+
+describe('When a LambdaTriggerType is determined', () => {
+	'use strict';
+
+	const s3 = {
+		eventSource: 'aws:s3',
+		eventName: 'ObjectCreated:Put',
+		responseElements: { 'x-amz-request-id': 'C3D13FE58DE4C810' },
+		s3: { bucket: { name: 'reports' }, object: { key: 'daily/summary+report%282024%29.json', size: 1024, eTag: 'd41d8cd98f00b204e9800998ecf8427e', sequencer: '0A1B2C3D4E5F678901' } }
+	};
+
+	const kinesis = {
+		eventSource: 'aws:kinesis',
+		eventID: 'shardId-000000000006:49590338271490256608559692538361571095921575989136588898',
+		kinesis: { partitionKey: '1', data: Buffer.from(JSON.stringify({ symbol: 'AAPL' })).toString('base64') }
+	};
+
+	const ses = {
+		eventSource: 'aws:ses',
+		ses: { mail: { messageId: 'o3vrnil0e2ic28trm7dfhrc2v0clambda4nbp0g1', source: 'sender@example.com' }, receipt: { action: { type: 'Lambda' } } }
+	};
+
+	const websocket = {
+		requestContext: { routeKey: 'subscribe', eventType: 'MESSAGE', connectionId: 'L0SM9cOFvHcCIhw=', messageId: 'L0SNAdxBPHcCIhw=', requestId: 'L0SNBFxpvHcFpLg=' },
+		body: JSON.stringify({ symbol: 'TSLA' })
+	};
+
+	const eventbridge = {
+		id: '4e5c7b2a-1f3a-4d35-9a8c-0d0f1c2b3a4d',
+		source: 'com.barchart.orders',
+		'detail-type': 'Order Filled',
+		detail: { order: 42 }
+	};
+
+	const cloudwatch = {
+		id: 'cdc73f9d-aea9-11e3-9d5a-835b769c0d9c',
+		source: 'aws.events',
+		'detail-type': 'Scheduled Event',
+		detail: { }
+	};
+
+	it('should recognize each source', () => {
+		expect(LambdaTriggerType.fromMessage(s3)).toBe(LambdaTriggerType.S3);
+		expect(LambdaTriggerType.fromMessage(kinesis)).toBe(LambdaTriggerType.KINESIS);
+		expect(LambdaTriggerType.fromMessage(ses)).toBe(LambdaTriggerType.SES);
+		expect(LambdaTriggerType.fromMessage(websocket)).toBe(LambdaTriggerType.WEBSOCKET);
+		expect(LambdaTriggerType.fromMessage(eventbridge)).toBe(LambdaTriggerType.EVENTBRIDGE);
+		expect(LambdaTriggerType.fromMessage(cloudwatch)).toBe(LambdaTriggerType.CLOUDWATCH);
+	});
+
+	it('should extract identifiers', () => {
+		expect(LambdaTriggerType.S3.getId(s3)).toEqual('C3D13FE58DE4C810');
+		expect(LambdaTriggerType.KINESIS.getId(kinesis)).toEqual(kinesis.eventID);
+		expect(LambdaTriggerType.SES.getId(ses)).toEqual('o3vrnil0e2ic28trm7dfhrc2v0clambda4nbp0g1');
+		expect(LambdaTriggerType.WEBSOCKET.getId(websocket)).toEqual('L0SNAdxBPHcCIhw=');
+		expect(LambdaTriggerType.EVENTBRIDGE.getId(eventbridge)).toEqual(eventbridge.id);
+	});
+
+	it('should describe the S3 object, with a decoded key', () => {
+		expect(LambdaTriggerType.S3.getContent(s3)).toEqual({ bucket: 'reports', key: 'daily/summary report(2024).json', size: 1024, eTag: 'd41d8cd98f00b204e9800998ecf8427e', versionId: null, eventName: 'ObjectCreated:Put' });
+	});
+
+	it('should decode Kinesis data', () => {
+		expect(LambdaTriggerType.KINESIS.getContent(kinesis)).toEqual('{"symbol":"AAPL"}');
+	});
+
+	it('should return no content for a WebSocket connection', () => {
+		const connect = { requestContext: { routeKey: '$connect', eventType: 'CONNECT', connectionId: 'L0SM9cOFvHcCIhw=', requestId: 'L0SNBFxpvHcFpLg=' } };
+
+		expect(LambdaTriggerType.fromMessage(connect)).toBe(LambdaTriggerType.WEBSOCKET);
+		expect(LambdaTriggerType.WEBSOCKET.getContent(connect)).toEqual(null);
+	});
+
+	describe('and messages are read by a LambdaEventParser', () => {
+		it('should parse JSON content and return object content as-is', () => {
+			expect(new LambdaEventParser({ Records: [ kinesis, s3, ses ] }).getMessages().map(m => m.symbol || m.bucket || m.mail.source)).toEqual([ 'AAPL', 'reports', 'sender@example.com' ]);
+			expect(new LambdaEventParser(websocket).getMessages()).toEqual([ { symbol: 'TSLA' } ]);
+			expect(new LambdaEventParser(eventbridge).getMessages()).toEqual([ { order: 42 } ]);
+		});
+	});
+
+	describe('and messages are checked by a LambdaEventValidator', () => {
+		let received;
+
+		beforeEach((done) => {
+			received = [ ];
+
+			class RecordingValidator extends LambdaMessageValidator {
+				_validate(name, message, event, trigger, messageId) {
+					received.push({ trigger: trigger, messageId: messageId });
+
+					return true;
+				}
+			}
+
+			new LambdaEventValidator([ new RecordingValidator() ]).validate({ Records: [ s3, kinesis ] })
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should pass the trigger type and identifier of each message', () => {
+			expect(received).toEqual([ { trigger: LambdaTriggerType.S3, messageId: 'C3D13FE58DE4C810' }, { trigger: LambdaTriggerType.KINESIS, messageId: kinesis.eventID } ]);
+		});
+	});
+});
@@ -0,0 +1,226 @@
+const S3Provider = require('./../../../../../aws/S3Provider');
+
+const LambdaHelper = require('./../../../../../aws/lambda/LambdaHelper'),
+	LambdaTriggerType = require('./../../../../../aws/lambda/LambdaTriggerType');
+
+const LambdaResponseGeneratorGzip = require('./../../../../../aws/lambda/responses/LambdaResponseGeneratorGzip'),
+	LambdaResponseGeneratorS3 = require('./../../../../../aws/lambda/responses/LambdaResponseGeneratorS3');
+
+const LambdaEventBuilder = require('./../../../../../aws/lambda/local/LambdaEventBuilder'),
+	LambdaRequestBuilder = require('./../../../../../aws/lambda/local/LambdaRequestBuilder'),
+	LambdaRunner = require('./../../../../../aws/lambda/local/LambdaRunner');
+
+describe('When a LambdaRunner invokes a handler', () => {
+	'use strict';
+
+	describe('for an API Gateway request', () => {
+		let received;
+		let result;
+
+		beforeEach((done) => {
+			const request = LambdaRequestBuilder.forRequest('post', '/orders/AAPL%20US')
+				.withResource('/orders/{symbol}')
+				.withPathParameter('symbol', 'AAPL US')
+				.withQueryString('side', 'buy')
+				.withHeader('Authorization', 'Bearer token')
+				.withAuthorizerContext('user', 'me')
+				.withBody({ quantity: 10 })
+				.request;
+
+			const runner = new LambdaRunner((event, context, callback) => {
+				return LambdaHelper.process('create order', event, callback, (parser) => {
+					received = {
+						name: process.env.AWS_LAMBDA_FUNCTION_NAME,
+						symbol: parser.getPath('symbol'),
+						side: parser.getQueryString('side'),
+						authorization: parser.getHeader('Authorization'),
+						user: parser.getContext('user'),
+						quantity: parser.getBody('quantity')
+					};
+
+					return { created: true };
+				});
+			}, { name: 'orders' });
+
+			runner.invoke(request)
+				.then((r) => {
+					result = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should provide the path, querystring, headers, context, and body to the handler', () => {
+			expect(received).toEqual({ name: 'orders', symbol: 'AAPL US', side: 'buy', authorization: 'Bearer token', user: 'me', quantity: 10 });
+		});
+
+		it('should restore the function name', () => {
+			expect(process.env.AWS_LAMBDA_FUNCTION_NAME).toBeUndefined();
+		});
+
+		it('should decode the response', () => {
+			expect(result.error).toEqual(null);
+			expect(result.statusCode).toEqual(200);
+			expect(result.body).toEqual({ created: true });
+		});
+	});
+
+	describe('which compresses a large response', () => {
+		let items;
+		let result;
+
+		beforeEach((done) => {
+			items = Array.from({ length: 500 }, (v, i) => ({ sequence: i, symbol: 'AAPL' }));
+
+			const request = LambdaRequestBuilder.forRequest('GET', '/quotes')
+				.withHeader('Accept-Encoding', 'gzip, deflate')
+				.request;
+
+			const runner = new LambdaRunner((event, context, callback) => {
+				return LambdaHelper.process('get quotes', event, callback, (parser, responder) => {
+					responder.addResponseGenerator(new LambdaResponseGeneratorGzip(parser));
+
+					return items;
+				});
+			});
+
+			runner.invoke(request)
+				.then((r) => {
+					result = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should decompress the response', () => {
+			expect(result.response.isBase64Encoded).toEqual(true);
+			expect(result.headers['Content-Encoding']).toEqual('gzip');
+			expect(result.body).toEqual(items);
+		});
+	});
+
+	describe('which uploads a very large response to S3', () => {
+		let result;
+
+		beforeEach((done) => {
+			spyOn(S3Provider.prototype, 'start').and.returnValue(Promise.resolve());
+			spyOn(S3Provider.prototype, 'upload').and.returnValue(Promise.resolve());
+			spyOn(S3Provider.prototype, 'getSignedUrl').and.returnValue(Promise.resolve('https://s3.amazonaws.com/responses/signed'));
+
+			const runner = new LambdaRunner((event, context, callback) => {
+				return LambdaHelper.process('get history', event, callback, (parser, responder) => {
+					responder.addResponseGenerator(new LambdaResponseGeneratorS3());
+
+					return { data: 'x'.repeat(5 * 1024 * 1024) };
+				});
+			});
+
+			runner.invoke(LambdaRequestBuilder.forRequest('GET', '/history').request)
+				.then((r) => {
+					result = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should report the redirect', () => {
+			expect(result.statusCode).toEqual(303);
+			expect(result.location).toEqual('https://s3.amazonaws.com/responses/signed');
+			expect(result.body).toEqual(null);
+		});
+	});
+
+	describe('for a batch of SQS messages', () => {
+		let received;
+		let result;
+
+		beforeEach((done) => {
+			const event = LambdaEventBuilder.forTrigger(LambdaTriggerType.SQS)
+				.withMessage({ value: 1 }, { id: 'a' })
+				.withMessage({ value: 2 }, { id: 'b' })
+				.event;
+
+			received = [ ];
+
+			const runner = new LambdaRunner((event, context, callback) => {
+				return LambdaHelper.processMessages('process values', event, callback, (message, record) => {
+					received.push(LambdaTriggerType.fromMessage(record));
+
+					if (message.value === 2) {
+						throw new Error('Unable to process value');
+					}
+				});
+			});
+
+			runner.invoke(event)
+				.then((r) => {
+					result = r;
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should deliver each message', () => {
+			expect(received).toEqual([ LambdaTriggerType.SQS, LambdaTriggerType.SQS ]);
+		});
+
+		it('should return the raw response', () => {
+			expect(result.statusCode).toEqual(null);
+			expect(result.body).toEqual({ batchItemFailures: [ { itemIdentifier: 'b' } ] });
+		});
+	});
+
+	describe('and the handler does not respond', () => {
+		it('should reject after the timeout', (done) => {
+			new LambdaRunner(() => { }, { timeout: 10 }).invoke({ })
+				.then(() => {
+					done.fail('Expected the invocation to be rejected');
+				}).catch(() => {
+					done();
+				});
+		});
+	});
+});
+
+describe('When a LambdaEventBuilder builds an event', () => {
+	'use strict';
+
+	const triggers = [ LambdaTriggerType.SQS, LambdaTriggerType.SNS, LambdaTriggerType.DYNAMO, LambdaTriggerType.S3, LambdaTriggerType.KINESIS, LambdaTriggerType.SES, LambdaTriggerType.CLOUDWATCH, LambdaTriggerType.EVENTBRIDGE, LambdaTriggerType.WEBSOCKET ];
+
+	it('should build messages which are recognized as the trigger', () => {
+		triggers.forEach((trigger) => {
+			const event = LambdaEventBuilder.forTrigger(trigger).withMessage({ }, { id: 'm' }).event;
+			const message = event.Records ? event.Records[0] : event;
+
+			expect(LambdaTriggerType.fromMessage(message)).toBe(trigger);
+			expect(trigger.getId(message)).toEqual('m');
+		});
+	});
+
+	it('should build S3 messages which can be decoded', () => {
+		const event = LambdaEventBuilder.forTrigger(LambdaTriggerType.S3).withMessage({ bucket: 'reports', key: 'daily/summary report(2024).json', size: 1024 }).event;
+
+		expect(LambdaTriggerType.S3.getContent(event.Records[0]).key).toEqual('daily/summary report(2024).json');
+	});
+
+	it('should build Kinesis messages which can be decoded', () => {
+		const event = LambdaEventBuilder.forTrigger(LambdaTriggerType.KINESIS).withMessage({ symbol: 'AAPL' }).event;
+
+		expect(LambdaHelper.getEventParser(event).getMessages()).toEqual([ { symbol: 'AAPL' } ]);
+	});
+
+	it('should build FIFO messages', () => {
+		const event = LambdaEventBuilder.forTrigger(LambdaTriggerType.SQS).withMessage('x', { group: 'g' }).event;
+
+		expect(event.Records[0].attributes.MessageGroupId).toEqual('g');
+		expect(event.Records[0].eventSourceARN.endsWith('.fifo')).toEqual(true);
+	});
+});
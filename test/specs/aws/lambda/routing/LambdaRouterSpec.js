@@ -0,0 +1,161 @@
+const DataType = require('@barchart/common-js/serialization/json/DataType'),
+	Day = require('@barchart/common-js/lang/Day');
+
+const LambdaRequestBuilder = require('./../../../../../aws/lambda/local/LambdaRequestBuilder'),
+	LambdaRunner = require('./../../../../../aws/lambda/local/LambdaRunner');
+
+const LambdaRoute = require('./../../../../../aws/lambda/routing/LambdaRoute'),
+	LambdaRouter = require('./../../../../../aws/lambda/routing/LambdaRouter');
+
+describe('When a LambdaRouter dispatches requests', () => {
+	'use strict';
+
+	let invocations;
+	let runner;
+
+	beforeEach(() => {
+		invocations = [ ];
+
+		const getProcessor = (name) => {
+			return (parser, responder, parameters) => {
+				invocations.push({ name: name, parameters: parameters });
+
+				return { route: name };
+			};
+		};
+
+		const router = new LambdaRouter('manage orders')
+			.withRoute('GET', '/orders', getProcessor('list'), r => r.withQueryParameter('day', DataType.DAY, true))
+			.withRoute('GET', '/orders/recent', getProcessor('recent'))
+			.withRoute('GET', '/orders/{order}', getProcessor('get'), r => r.withPathParameter('order', DataType.NUMBER))
+			.withRoute('DELETE', '/orders/{order}', getProcessor('delete'), r => r.withPathParameter('order', DataType.NUMBER))
+			.withRoute('POST', '/orders/{order}/fills', getProcessor('fill'), r => r.withPathParameter('order', DataType.NUMBER).withQueryParameter('partial', DataType.BOOLEAN))
+			.withRoute('ANY', '/files/{path+}', getProcessor('files'));
+
+		runner = new LambdaRunner(router.getHandler());
+	});
+
+	const invoke = (builder) => runner.invoke(builder.request);
+
+	it('should invoke the processor for the matching route, with typed path parameters', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('GET', '/orders/42'))
+			.then((result) => {
+				expect(result.statusCode).toEqual(200);
+				expect(result.body).toEqual({ route: 'get' });
+				expect(invocations).toEqual([ { name: 'get', parameters: { path: { order: 42 }, query: { } } } ]);
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should prefer a literal segment to a parameter', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('GET', '/orders/recent'))
+			.then((result) => {
+				expect(result.body).toEqual({ route: 'recent' });
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should convert querystring parameters', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('GET', '/orders').withQueryString('day', '2024-01-02'))
+			.then(() => {
+				expect(invocations[0].parameters.query.day instanceof Day).toEqual(true);
+				expect(invocations[0].parameters.query.day.format()).toEqual('2024-01-02');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should match a greedy parameter for any method', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('PUT', '/files/reports/daily%20summary.csv'))
+			.then(() => {
+				expect(invocations[0].parameters.path).toEqual({ path: 'reports/daily summary.csv' });
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should respond with HTTP 404 when no route matches', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('GET', '/accounts'))
+			.then((result) => {
+				expect(result.statusCode).toEqual(404);
+				expect(result.body[0].value.code).toEqual('LAMBDA_ROUTE_NOT_FOUND');
+				expect(result.body[0].value.message).toEqual('The requested resource (GET /accounts) does not exist.');
+				expect(invocations.length).toEqual(0);
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should respond with HTTP 405 when the method does not match', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('PATCH', '/orders/42'))
+			.then((result) => {
+				expect(result.statusCode).toEqual(405);
+				expect(result.headers.Allow).toEqual('GET,DELETE,OPTIONS');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should respond with HTTP 400 when a parameter is malformed or missing', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('POST', '/orders/abc/fills'))
+			.then((result) => {
+				expect(result.statusCode).toEqual(400);
+				expect(result.body[0].value.code).toEqual('REQUEST_INPUT_MALFORMED');
+				expect(result.body[0].children.map(i => i.value.code)).toEqual([ 'LAMBDA_FIELD_INVALID', 'LAMBDA_FIELD_MISSING' ]);
+				expect(result.body[0].children.map(i => i.value.data.field)).toEqual([ 'order', 'partial' ]);
+				expect(invocations.length).toEqual(0);
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should answer a preflight request', (done) => {
+		invoke(LambdaRequestBuilder.forRequest('OPTIONS', '/orders/42'))
+			.then((result) => {
+				expect(result.statusCode).toEqual(204);
+				expect(result.headers['Access-Control-Allow-Origin']).toEqual('*');
+				expect(result.headers['Access-Control-Allow-Methods']).toEqual('GET,DELETE,OPTIONS');
+				expect(invocations.length).toEqual(0);
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+});
+
+describe('When a LambdaRoute is defined', () => {
+	'use strict';
+
+	it('should reject a greedy parameter which is not the last segment', () => {
+		expect(() => new LambdaRoute('GET', '/{path+}/x', () => null)).toThrow();
+	});
+
+	it('should reject the declaration of an unknown path parameter', () => {
+		expect(() => new LambdaRoute('GET', '/orders/{order}', () => null).withPathParameter('account', DataType.NUMBER)).toThrow();
+	});
+
+	it('should not match paths with a different number of segments', () => {
+		const route = new LambdaRoute('GET', '/orders/{order}', () => null);
+
+		expect(route.match('/orders')).toEqual(null);
+		expect(route.match('/orders/1/fills')).toEqual(null);
+		expect(route.match('/orders/1/')).toEqual({ order: '1' });
+	});
+});
@@ -0,0 +1,343 @@
+const DynamoEmulator = require('./../../../../../aws/dynamo/emulation/DynamoEmulator'),
+	DynamoProvider = require('./../../../../../aws/DynamoProvider');
+
+const LambdaHelper = require('./../../../../../aws/lambda/LambdaHelper'),
+	LambdaTriggerType = require('./../../../../../aws/lambda/LambdaTriggerType');
+
+const LambdaEventValidator = require('./../../../../../aws/lambda/validators/LambdaEventValidator'),
+	LambdaMessageValidatorIdempotency = require('./../../../../../aws/lambda/validators/LambdaMessageValidatorIdempotency');
+
+describe('When a LambdaMessageValidatorIdempotency is used', () => {
+	'use strict';
+
+	const table = LambdaMessageValidatorIdempotency.getTableDefinition('test-idempotency');
+
+	const sqs = { messageId: 'a', eventSource: 'aws:sqs', body: '{}' };
+
+	let now;
+
+	let provider;
+	let validator;
+
+	beforeEach((done) => {
+		now = Date.now();
+
+		provider = new DynamoProvider({ region: 'us-east-1', prefix: 'test' }, { client: new DynamoEmulator() });
+		validator = new LambdaMessageValidatorIdempotency(provider, table, { timeout: 60, replay: true, now: () => now });
+
+		provider.start()
+			.then(() => provider.createTable(table))
+			.then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	const validate = (message, event, trigger, messageId) => {
+		return validator.validate('test-function', message, event || message, trigger, messageId);
+	};
+
+	describe('and a message is received twice', () => {
+		let results;
+
+		beforeEach((done) => {
+			results = [ ];
+
+			validate(sqs, null, LambdaTriggerType.SQS, 'a')
+				.then((valid) => {
+					results.push(valid);
+
+					return validate(sqs, null, LambdaTriggerType.SQS, 'a');
+				}).then((valid) => {
+					results.push(valid);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should accept the first message and reject the duplicate', () => {
+			expect(results).toEqual([ true, false ]);
+		});
+
+		it('should accept a different message', (done) => {
+			validate(sqs, null, LambdaTriggerType.SQS, 'b')
+				.then((valid) => {
+					expect(valid).toEqual(true);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should accept the message again after processing is aborted', (done) => {
+			validator.abort('test-function', sqs, sqs, LambdaTriggerType.SQS, 'a')
+				.then(() => validate(sqs, null, LambdaTriggerType.SQS, 'a'))
+				.then((valid) => {
+					expect(valid).toEqual(true);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should accept the message again after the in-progress record times out', (done) => {
+			now = now + 61000;
+
+			validate(sqs, null, LambdaTriggerType.SQS, 'a')
+				.then((valid) => {
+					expect(valid).toEqual(true);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		it('should not accept the message after processing completes, even if the timeout elapses', (done) => {
+			validator.complete('test-function', sqs, sqs, LambdaTriggerType.SQS, 'a')
+				.then(() => {
+					now = now + 61000;
+
+					return validate(sqs, null, LambdaTriggerType.SQS, 'a');
+				}).then((valid) => {
+					expect(valid).toEqual(false);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and an API request without an idempotency key is received twice', () => {
+		it('should accept both requests', (done) => {
+			const request = { httpMethod: 'POST', headers: { }, body: '{}' };
+
+			validate(request, request, null, null)
+				.then(() => validate(request, request, null, null))
+				.then((valid) => {
+					expect(valid).toEqual(true);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and LambdaHelper processes an API request with an idempotency key twice', () => {
+		let processor;
+		let callbacks;
+
+		beforeEach((done) => {
+			const request = { httpMethod: 'POST', headers: { 'Idempotency-Key': 'order-1' }, body: '{}' };
+
+			processor = jasmine.createSpy('processor').and.returnValue({ order: 42 });
+			callbacks = [ jasmine.createSpy('first'), jasmine.createSpy('second') ];
+
+			LambdaHelper.setValidator(new LambdaEventValidator([ validator ]));
+
+			LambdaHelper.process('test', request, callbacks[0], processor)
+				.then(() => LambdaHelper.process('test', request, callbacks[1], processor))
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		afterEach(() => {
+			LambdaHelper.setValidator(null);
+		});
+
+		it('should only invoke the processor once', () => {
+			expect(processor.calls.count()).toEqual(1);
+		});
+
+		it('should replay the previous response', () => {
+			const first = callbacks[0].calls.argsFor(0)[1];
+			const second = callbacks[1].calls.argsFor(0)[1];
+
+			expect(first.statusCode).toEqual(200);
+			expect(second.statusCode).toEqual(200);
+			expect(JSON.parse(second.body)).toEqual({ order: 42 });
+		});
+
+		it('should return the correlation identifier of the second request with the replayed response', () => {
+			const first = callbacks[0].calls.argsFor(0)[1];
+			const second = callbacks[1].calls.argsFor(0)[1];
+
+			expect(second.headers['X-Correlation-Id']).toEqual(jasmine.any(String));
+			expect(second.headers['X-Correlation-Id']).not.toEqual(first.headers['X-Correlation-Id']);
+		});
+	});
+
+	describe('and LambdaHelper processes a batch containing a duplicate message', () => {
+		let processed;
+		let callback;
+
+		beforeEach((done) => {
+			const event = { Records: [ sqs, { messageId: 'b', eventSource: 'aws:sqs', body: '{}' }, sqs ] };
+
+			processed = [ ];
+			callback = jasmine.createSpy('callback');
+
+			LambdaHelper.setValidator(new LambdaEventValidator([ validator ]));
+
+			LambdaHelper.processMessages('test', event, callback, (message, record) => {
+				processed.push(record.messageId);
+			}).then(() => {
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+		});
+
+		afterEach(() => {
+			LambdaHelper.setValidator(null);
+		});
+
+		it('should skip the duplicate without reporting a failure', () => {
+			expect(processed).toEqual([ 'a', 'b' ]);
+			expect(callback).toHaveBeenCalledWith(null, { batchItemFailures: [ ] });
+		});
+	});
+
+	describe('and LambdaHelper processes a batch containing a message which was already processed', () => {
+		const other = { messageId: 'b', eventSource: 'aws:sqs', body: '{}' };
+
+		let processor;
+
+		beforeEach((done) => {
+			processor = jasmine.createSpy('processor').and.returnValue(true);
+
+			LambdaHelper.setValidator(new LambdaEventValidator([ validator ]));
+
+			LambdaHelper.process('test', { Records: [ sqs ] }, jasmine.createSpy('callback'), () => true)
+				.then(() => LambdaHelper.process('test', { Records: [ sqs, other ] }, jasmine.createSpy('callback'), processor))
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		afterEach(() => {
+			LambdaHelper.setValidator(null);
+		});
+
+		it('should suppress the batch', () => {
+			expect(processor).not.toHaveBeenCalled();
+		});
+
+		it('should process the new message when it is redelivered', (done) => {
+			LambdaHelper.process('test', { Records: [ other ] }, jasmine.createSpy('callback'), processor)
+				.then(() => {
+					expect(processor).toHaveBeenCalledTimes(1);
+
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+	});
+
+	describe('and LambdaHelper processes an API request, but the response is too large to record', () => {
+		let processor;
+		let callbacks;
+
+		beforeEach((done) => {
+			const request = { httpMethod: 'POST', headers: { 'Idempotency-Key': 'order-2' }, body: '{}' };
+
+			const saveItem = provider.saveItem.bind(provider);
+
+			spyOn(provider, 'saveItem').and.callFake((item, table) => {
+				if (item.response) {
+					return Promise.reject(new Error('Item size has exceeded the maximum allowed size'));
+				}
+
+				return saveItem(item, table);
+			});
+
+			processor = jasmine.createSpy('processor').and.returnValue({ order: 43 });
+			callbacks = [ jasmine.createSpy('first'), jasmine.createSpy('second') ];
+
+			LambdaHelper.setValidator(new LambdaEventValidator([ validator ]));
+
+			LambdaHelper.process('test', request, callbacks[0], processor)
+				.then(() => LambdaHelper.process('test', request, callbacks[1], processor))
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		afterEach(() => {
+			LambdaHelper.setValidator(null);
+		});
+
+		it('should send the response', () => {
+			const response = callbacks[0].calls.argsFor(0)[1];
+
+			expect(response.statusCode).toEqual(200);
+			expect(JSON.parse(response.body)).toEqual({ order: 43 });
+		});
+
+		it('should record the request as completed, without the response', () => {
+			expect(provider.saveItem.calls.mostRecent().args[0].status).toEqual('COMPLETED');
+			expect(provider.saveItem.calls.mostRecent().args[0].response).toBeUndefined();
+		});
+
+		it('should suppress the duplicate request', () => {
+			expect(processor.calls.count()).toEqual(1);
+		});
+	});
+
+	describe('and LambdaHelper processes a request (and a batch), but completion cannot be recorded', () => {
+		let callbacks;
+
+		beforeEach((done) => {
+			const request = { httpMethod: 'POST', headers: { 'Idempotency-Key': 'order-3' }, body: '{}' };
+
+			spyOn(provider, 'saveItem').and.callFake(() => Promise.reject(new Error('Unable to save')));
+			spyOn(provider, 'deleteItem').and.callThrough();
+
+			callbacks = [ jasmine.createSpy('request'), jasmine.createSpy('batch') ];
+
+			LambdaHelper.setValidator(new LambdaEventValidator([ validator ]));
+
+			LambdaHelper.process('test', request, callbacks[0], () => ({ order: 44 }))
+				.then(() => LambdaHelper.processMessages('test', { Records: [ sqs ] }, callbacks[1], () => true))
+				.then(() => {
+					done();
+				}).catch((e) => {
+					done.fail(e);
+				});
+		});
+
+		afterEach(() => {
+			LambdaHelper.setValidator(null);
+		});
+
+		it('should send the response', () => {
+			const response = callbacks[0].calls.argsFor(0)[1];
+
+			expect(response.statusCode).toEqual(200);
+			expect(JSON.parse(response.body)).toEqual({ order: 44 });
+		});
+
+		it('should not report the message as failed', () => {
+			expect(callbacks[1]).toHaveBeenCalledWith(null, { batchItemFailures: [ ] });
+		});
+
+		it('should not release the claims', () => {
+			expect(provider.deleteItem).not.toHaveBeenCalled();
+		});
+	});
+});
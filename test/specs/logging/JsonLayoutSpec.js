@@ -0,0 +1,118 @@
+const log4js = require('log4js');
+
+const JsonLayout = require('./../../../logging/JsonLayout'),
+	LogContext = require('./../../../logging/LogContext');
+
+const LambdaHelper = require('./../../../aws/lambda/LambdaHelper');
+
+const LambdaEventBuilder = require('./../../../aws/lambda/local/LambdaEventBuilder'),
+	LambdaRequestBuilder = require('./../../../aws/lambda/local/LambdaRequestBuilder'),
+	LambdaRunner = require('./../../../aws/lambda/local/LambdaRunner'),
+	LambdaTriggerType = require('./../../../aws/lambda/LambdaTriggerType');
+
+describe('When a LogContext is used', () => {
+	'use strict';
+
+	it('should provide properties to asynchronous work', (done) => {
+		LogContext.run({ correlationId: 'a' }, () => {
+			return Promise.resolve()
+				.then(() => {
+					LogContext.setProperty('step', 1);
+
+					return LogContext.run({ messageId: 'm' }, () => Promise.resolve(LogContext.getProperties()));
+				});
+		}).then((properties) => {
+			expect(properties).toEqual({ correlationId: 'a', step: 1, messageId: 'm' });
+			expect(LogContext.getProperties()).toEqual({ });
+
+			done();
+		}).catch((e) => {
+			done.fail(e);
+		});
+	});
+
+	it('should read the correlation identifier from headers, ignoring case', () => {
+		expect(LogContext.getCorrelationId({ 'x-correlation-id': 'abc' })).toEqual('abc');
+		expect(LogContext.getCorrelationId({ }).length).toEqual(36);
+	});
+});
+
+describe('When a JsonLayout formats a logging event', () => {
+	'use strict';
+
+	const getEvent = (data, context) => {
+		return { startTime: new Date(Date.UTC(2024, 0, 2)), level: log4js.levels.ERROR, categoryName: 'orders', data: data, context: context || { } };
+	};
+
+	it('should write the message and context properties as JSON', () => {
+		const line = LogContext.run({ correlationId: 'c' }, () => JsonLayout.format(getEvent([ 'Processed [ %s ] orders', 2 ], { account: 'x' })));
+
+		expect(JSON.parse(line)).toEqual({ correlationId: 'c', account: 'x', timestamp: '2024-01-02T00:00:00.000Z', level: 'ERROR', category: 'orders', message: 'Processed [ 2 ] orders' });
+	});
+
+	it('should describe errors', () => {
+		const entry = JSON.parse(JsonLayout.format(getEvent([ 'Failed', new Error('Unable to connect') ])));
+
+		expect(entry.message).toEqual('Failed Unable to connect');
+		expect(entry.error.message).toEqual('Unable to connect');
+		expect(entry.error.stack).toContain('Unable to connect');
+	});
+});
+
+describe('When LambdaHelper processes an event', () => {
+	'use strict';
+
+	it('should provide the request, trigger, and correlation identifiers to the processor', (done) => {
+		let properties;
+
+		const runner = new LambdaRunner((event, context, callback) => {
+			return LambdaHelper.process('create order', event, callback, () => {
+				properties = LogContext.getProperties();
+
+				return { };
+			}, context);
+		});
+
+		const request = LambdaRequestBuilder.forRequest('POST', '/orders')
+			.withHeader('X-Correlation-Id', 'abc')
+			.request;
+
+		runner.invoke(request)
+			.then((result) => {
+				expect(properties.requestId).toEqual(jasmine.any(String));
+				expect(properties.apiRequestId).toEqual(request.requestContext.requestId);
+				expect(properties.correlationId).toEqual('abc');
+				expect(result.headers['X-Correlation-Id']).toEqual('abc');
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+
+	it('should provide the identifier of each message', (done) => {
+		const received = [ ];
+
+		const runner = new LambdaRunner((event, context, callback) => {
+			return LambdaHelper.processMessages('process values', event, callback, () => {
+				received.push(LogContext.getProperties());
+			}, context);
+		});
+
+		const event = LambdaEventBuilder.forTrigger(LambdaTriggerType.SQS)
+			.withMessage({ value: 1 }, { id: 'a' })
+			.withMessage({ value: 2 }, { id: 'b' })
+			.event;
+
+		runner.invoke(event)
+			.then(() => {
+				expect(received.map(p => p.messageId)).toEqual([ 'a', 'b' ]);
+				expect(received.map(p => p.trigger)).toEqual([ 'SQS', 'SQS' ]);
+				expect(received[0].correlationId).toEqual(received[0].requestId);
+
+				done();
+			}).catch((e) => {
+				done.fail(e);
+			});
+	});
+});